@@ -1,17 +1,59 @@
 // app/_layout.js
 // ─────────────────────────────────────────────────────────────
 // Root layout for Expo Router. Wraps the entire app in the
-// InventoryProvider so every screen can access global state.
+// providers listed in PROVIDERS: settings, formulary, inventory,
+// purchasing and stocktakes so every screen can access global
+// state, and undo so any screen can offer to undo its last change.
+// The AuthProvider keeps the PIN lock screen in front of all of it.
 // ─────────────────────────────────────────────────────────────
 
-import React from 'react';
-import { Stack } from 'expo-router';
+import React, { useCallback } from 'react';
+import { Stack, useRouter } from 'expo-router';
 import { StatusBar } from 'expo-status-bar';
 import { InventoryProvider } from '../context/inventory-context';
+import { SettingsProvider } from '../context/settings-context';
+import { AuthProvider } from '../context/auth-context';
+import { StocktakeProvider } from '../context/stocktake-context';
+import { FormularyProvider } from '../context/formulary-context';
+import { PurchasingProvider } from '../context/purchasing-context';
+import { UndoProvider } from '../context/undo-context';
+import { useNotificationTaps } from '../utils/expo-notifier';
+
+// Deep links straight to a drug (pharmatrack://drug/<id>) still get
+// the dashboard underneath, so "back" has somewhere to go.
+export const unstable_settings = {
+  initialRouteName: 'index',
+};
+
+// Every app-wide provider, outermost first. Each may use the ones
+// before it: Auth reads Settings, Inventory stamps actions with the
+// signed-in user and reads linked drugs' details from the Formulary.
+const PROVIDERS = [
+  SettingsProvider,
+  AuthProvider,
+  FormularyProvider,
+  InventoryProvider,
+  PurchasingProvider,
+  StocktakeProvider,
+  UndoProvider,
+];
+
+// ── AppProviders Component ──────────────────────────────────────
+const AppProviders = ({ children }) =>
+  PROVIDERS.reduceRight((inner, Provider) => <Provider>{inner}</Provider>, children);
 
 export default function RootLayout() {
+  const router = useRouter();
+
+  // Tapping an expiry / low-stock notification opens that drug.
+  const openDrug = useCallback(
+    (drugId) => router.push(drugId ? `/drug/${drugId}` : '/'),
+    [router]
+  );
+  useNotificationTaps(openDrug);
+
   return (
-    <InventoryProvider>
+    <AppProviders>
       <StatusBar style="dark" backgroundColor="#FFFFFF" />
 
       <Stack
@@ -38,7 +80,121 @@ export default function RootLayout() {
             title: 'Dashboard',
           }}
         />
+        <Stack.Screen
+          name="drug/[id]"
+          options={{
+            title: 'Drug Details',
+          }}
+        />
+        <Stack.Screen
+          name="import-export"
+          options={{
+            title: 'Import / Export',
+          }}
+        />
+        <Stack.Screen
+          name="reports"
+          options={{
+            title: 'Reports',
+          }}
+        />
+        <Stack.Screen
+          name="stocktake/index"
+          options={{
+            title: 'Stocktake',
+          }}
+        />
+        <Stack.Screen
+          name="stocktake/[id]"
+          options={{
+            title: 'Stocktake',
+          }}
+        />
+        <Stack.Screen
+          name="scan"
+          options={{
+            title: 'Scan Pack',
+          }}
+        />
+        <Stack.Screen
+          name="settings"
+          options={{
+            title: 'Settings',
+          }}
+        />
+        <Stack.Screen
+          name="recycle-bin"
+          options={{
+            title: 'Recycle Bin',
+          }}
+        />
+        <Stack.Screen
+          name="users"
+          options={{
+            title: 'Users',
+          }}
+        />
+        <Stack.Screen
+          name="formulary"
+          options={{
+            title: 'Formulary',
+          }}
+        />
+        <Stack.Screen
+          name="register/index"
+          options={{
+            title: 'CD Register',
+          }}
+        />
+        <Stack.Screen
+          name="register/[id]"
+          options={{
+            title: 'CD Register',
+          }}
+        />
+        <Stack.Screen
+          name="suppliers"
+          options={{
+            title: 'Suppliers',
+          }}
+        />
+        <Stack.Screen
+          name="receipts/index"
+          options={{
+            title: 'Goods Received',
+          }}
+        />
+        <Stack.Screen
+          name="receipts/new"
+          options={{
+            title: 'Receive Goods',
+          }}
+        />
+        <Stack.Screen
+          name="receipts/[id]"
+          options={{
+            title: 'Goods Received',
+          }}
+        />
+        <Stack.Screen
+          name="reorder"
+          options={{
+            title: 'Reorder',
+          }}
+        />
+        <Stack.Screen
+          name="orders/index"
+          options={{
+            title: 'Purchase Orders',
+          }}
+        />
+        <Stack.Screen
+          name="orders/[id]"
+          options={{
+            title: 'Purchase Order',
+          }}
+        />
       </Stack>
-    </InventoryProvider>
+    </AppProviders>
   );
 }
@@ -0,0 +1,743 @@
+// app/drug/[id].js
+// ─────────────────────────────────────────────────────────────
+// Full record for one drug: every stored field, its lots on an
+// expiry timeline and the complete stock movement history, with
+// the edit / dispense / transfer / delete actions. Opened by tapping a card,
+// from a notification, or via pharmatrack://drug/<id>. A controlled
+// drug links to its CD register and is dispensed with a witness.
+// ─────────────────────────────────────────────────────────────
+
+import React, { useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Stack, useLocalSearchParams, useRouter } from 'expo-router';
+import { format } from 'date-fns';
+import {
+  AlertTriangle,
+  Ban,
+  MinusCircle,
+  Pencil,
+  Trash2,
+  PackageX,
+  ArrowRightLeft,
+  ShieldCheck,
+  ChevronRight,
+} from 'lucide-react-native';
+import { useInventory } from '../../context/inventory-context';
+import { useSettings } from '../../context/settings-context';
+import { useUndo } from '../../context/undo-context';
+import { useAuth } from '../../context/auth-context';
+import { useFormulary } from '../../context/formulary-context';
+import { getDrugStatus, getDaysUntilExpiry, getExpiryStatus } from '../../utils/stock-status';
+import { getDrugHistory } from '../../utils/ledger';
+import { CONSUMPTION_WINDOW_DAYS, formatDailyUse } from '../../utils/consumption';
+import { getLocationName, getQuantityByLocation } from '../../utils/locations';
+import {
+  BASE_UNITS,
+  DOSAGE_FORMS,
+  getBaseUnit,
+  getPackSize,
+  formatPacks,
+  formatUnits,
+} from '../../utils/drug-metadata';
+import { getEntryName } from '../../utils/formulary';
+import { summarizeValue, formatMoney } from '../../utils/valuation';
+import {
+  getDrugRegister,
+  checkRegister,
+  hasDiscrepancy,
+  describeCheck,
+} from '../../utils/cd-register';
+import { STATUS_THEME, getExpiryLabel } from '../../components/drug-card';
+import {
+  MovementRow,
+  getExpiredLots,
+  confirmWriteOff,
+} from '../../components/drug-history-modal';
+import DispenseSheet from '../../components/dispense-sheet';
+import ControlledDispenseSheet from '../../components/controlled-dispense-sheet';
+import DrugFormModal from '../../components/drug-form-modal';
+import TransferSheet from '../../components/transfer-sheet';
+import WitnessSheet from '../../components/witness-sheet';
+
+// ── Helper: Stored date → display date ─────────────────────────
+const formatDate = (value, pattern = 'dd MMM yyyy') =>
+  value ? format(new Date(value), pattern) : '—';
+
+// ── Helper: Relative day count for the timeline ────────────────
+const formatDaysFromToday = (days) => {
+  if (days === 0) return 'today';
+  return days < 0 ? `${Math.abs(days)}d ago` : `in ${days}d`;
+};
+
+// ── Field Row Component ─────────────────────────────────────────
+const FieldRow = ({ label, value, hint }) => (
+  <View style={styles.fieldRow}>
+    <Text style={styles.fieldLabel}>{label}</Text>
+    <View style={styles.fieldValueBlock}>
+      <Text style={styles.fieldValue} selectable>
+        {value}
+      </Text>
+      {!!hint && <Text style={styles.fieldHint}>{hint}</Text>}
+    </View>
+  </View>
+);
+
+// ── Expiry Timeline Component ───────────────────────────────────
+// Lots in expiry order with a "Today" marker slotted in between
+// the ones already expired and the ones still to come.
+const ExpiryTimeline = ({ lots, warningDays, unit }) => {
+  const entries = lots.map((lot) => {
+    const days = getDaysUntilExpiry(lot.expiryDate);
+    return { lot, days, theme: STATUS_THEME[getExpiryStatus(days, warningDays)] };
+  });
+  const todayIndex = entries.findIndex((entry) => entry.days >= 0);
+  const splitAt = todayIndex === -1 ? entries.length : todayIndex;
+
+  const renderEntry = ({ lot, days, theme }) => {
+    const isEmpty = lot.quantity === 0;
+    const color = isEmpty ? '#CBD5E0' : theme.icon;
+    return (
+      <View key={lot.id} style={styles.timelineRow}>
+        <View style={styles.timelineRail}>
+          <View style={[styles.timelineDot, { backgroundColor: color }]} />
+          <View style={styles.timelineLine} />
+        </View>
+        <View style={styles.timelineBody}>
+          <Text style={[styles.timelineDate, { color }]}>
+            {formatDate(lot.expiryDate)} · {formatDaysFromToday(days)}
+          </Text>
+          <Text style={[styles.timelineMeta, isEmpty && styles.emptyLotText]}>
+            {lot.lotNumber ? `Lot ${lot.lotNumber}` : 'No lot #'} ·{' '}
+            {formatUnits(lot.quantity, unit)}
+          </Text>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <View>
+      {entries.slice(0, splitAt).map(renderEntry)}
+      <View style={styles.timelineRow}>
+        <View style={styles.timelineRail}>
+          <View style={styles.todayDot} />
+          <View style={styles.timelineLine} />
+        </View>
+        <Text style={styles.todayText}>Today · {formatDate(new Date())}</Text>
+      </View>
+      {entries.slice(splitAt).map(renderEntry)}
+    </View>
+  );
+};
+
+// ── Drug Detail Screen ──────────────────────────────────────────
+export default function DrugDetailScreen() {
+  const router = useRouter();
+  const { id } = useLocalSearchParams();
+  const {
+    inventory,
+    ledger,
+    cdRegister,
+    forecasts,
+    lotValues,
+    isLoading,
+    deleteDrug,
+    restoreDrug,
+    writeOffLot,
+  } = useInventory();
+  const { settings } = useSettings();
+  const { offerUndo } = useUndo();
+  const { can } = useAuth();
+  const { getEntry } = useFormulary();
+  const [isDispenseVisible, setDispenseVisible] = useState(false);
+  const [isEditVisible, setEditVisible] = useState(false);
+  const [transferLotId, setTransferLotId] = useState(null);
+  const [witnessRequest, setWitnessRequest] = useState(null);
+
+  const drug = inventory.find((d) => d.id === id);
+  const history = useMemo(() => getDrugHistory(ledger, id), [ledger, id]);
+
+  if (isLoading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color="#319795" />
+      </View>
+    );
+  }
+
+  // Deleted, or a deep link to an id that was never here.
+  if (!drug) {
+    return (
+      <View style={styles.centered}>
+        <Stack.Screen options={{ title: 'Not Found' }} />
+        <PackageX size={56} color="#CBD5E0" strokeWidth={1.5} />
+        <Text style={styles.notFoundTitle}>Drug not found</Text>
+        <Text style={styles.notFoundText}>It may have been removed from the inventory.</Text>
+        <TouchableOpacity style={styles.secondaryBtn} onPress={() => router.replace('/')}>
+          <Text style={styles.secondaryBtnText}>Back to Inventory</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const { daysUntilExpiry, warningDays, expiryStatus, reorderLevel, isLowStock, isOutOfStock } =
+    getDrugStatus(drug, settings);
+  const theme = STATUS_THEME[expiryStatus];
+  const expiredLots = getExpiredLots(drug);
+  const forecast = forecasts[drug.id];
+  const hasUsage = forecast.averageDailyUse != null;
+  const { locations } = settings;
+  const showLocations = locations.length > 1;
+  const canTransfer = showLocations && can('edit');
+  const byLocation = getQuantityByLocation(drug);
+  const transferringLot = drug.lots.find((lot) => lot.id === transferLotId) || null;
+  const formularyEntry = getEntry(drug.formularyId);
+  const stockValue = summarizeValue([drug], lotValues, settings);
+  const registerCheck = drug.controlled
+    ? checkRegister(getDrugRegister(cdRegister, drug.id), drug.quantity)
+    : null;
+  const DispenseFlow = drug.controlled ? ControlledDispenseSheet : DispenseSheet;
+
+  // ── Delete Handler ───────────────────────────────────────────
+  // Controlled stock leaving the shelf is confirmed by a witness.
+  const handleDelete = () => {
+    const remove = (witness = null) => {
+      deleteDrug(drug.id, '', witness);
+      router.back();
+      offerUndo(`${drug.name} moved to the recycle bin`, () => restoreDrug(drug.id));
+    };
+    const message = `Move "${drug.name}" to the recycle bin?`;
+    if (drug.controlled && drug.quantity > 0) {
+      setWitnessRequest({
+        title: 'Remove Drug',
+        message,
+        confirmLabel: 'Remove with Witness',
+        onWitnessed: remove,
+      });
+      return;
+    }
+    Alert.alert('Remove Drug', message, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Remove', style: 'destructive', onPress: () => remove() },
+    ]);
+  };
+
+  return (
+    <View style={styles.container}>
+      <Stack.Screen
+        options={{
+          title: drug.name,
+          headerRight: () => (
+            <View style={styles.headerActions}>
+              {can('edit') && (
+                <TouchableOpacity onPress={() => setEditVisible(true)} hitSlop={8}>
+                  <Pencil size={20} color="#234E52" />
+                </TouchableOpacity>
+              )}
+              {can('delete') && (
+                <TouchableOpacity onPress={handleDelete} hitSlop={8}>
+                  <Trash2 size={20} color="#E53E3E" />
+                </TouchableOpacity>
+              )}
+            </View>
+          ),
+        }}
+      />
+
+      <ScrollView contentContainerStyle={styles.content}>
+        {/* ── Summary ── */}
+        <View
+          style={[styles.summary, { backgroundColor: theme.background, borderColor: theme.border }]}
+        >
+          {theme.label && (
+            <View style={[styles.statusBadge, { backgroundColor: theme.labelBg }]}>
+              <AlertTriangle size={10} color="#FFF" />
+              <Text style={styles.statusBadgeText}>{theme.label}</Text>
+            </View>
+          )}
+          <Text style={[styles.quantityValue, isLowStock && styles.lowStockText]}>
+            {drug.quantity}
+            <Text style={styles.quantityUnit}>
+              {' '}
+              {BASE_UNITS[getBaseUnit(drug)]}
+              {isLowStock ? ' · Low Stock' : ''}
+            </Text>
+          </Text>
+          {!!formatPacks(drug) && <Text style={styles.fieldHint}>{formatPacks(drug)}</Text>}
+          {daysUntilExpiry != null && (
+            <Text style={[styles.expiryValue, { color: theme.icon }]}>
+              {getExpiryLabel(daysUntilExpiry, drug.expiryDate)}
+            </Text>
+          )}
+        </View>
+
+        {/* ── Controlled-Drug Register ── */}
+        {registerCheck && (
+          <TouchableOpacity
+            style={[styles.registerLink, hasDiscrepancy(registerCheck) && styles.registerAlert]}
+            onPress={() => router.push(`/register/${drug.id}`)}
+            activeOpacity={0.8}
+          >
+            <ShieldCheck
+              size={20}
+              color={hasDiscrepancy(registerCheck) ? '#E53E3E' : '#553C9A'}
+            />
+            <View style={styles.registerBody}>
+              <Text style={styles.registerTitle}>Controlled drug register</Text>
+              <Text style={styles.fieldHint}>{describeCheck(registerCheck)}</Text>
+            </View>
+            <ChevronRight size={18} color="#CBD5E0" />
+          </TouchableOpacity>
+        )}
+
+        {/* ── Stored Fields ── */}
+        <Text style={styles.sectionLabel}>DETAILS</Text>
+        <View style={styles.panel}>
+          <FieldRow label="Name" value={drug.name} />
+          <FieldRow
+            label="Formulary"
+            value={formularyEntry ? getEntryName(formularyEntry) : 'Not linked'}
+            hint={formularyEntry ? 'Details below are kept in step with this entry' : null}
+          />
+          <FieldRow label="Generic name" value={drug.genericName || '—'} />
+          <FieldRow label="Brand" value={drug.brandName || '—'} />
+          <FieldRow label="Strength" value={drug.strength || '—'} />
+          <FieldRow
+            label="Dosage form"
+            value={DOSAGE_FORMS[drug.dosageForm] ? DOSAGE_FORMS[drug.dosageForm].label : '—'}
+          />
+          <FieldRow
+            label="Pack size"
+            value={formatUnits(getPackSize(drug), getBaseUnit(drug))}
+            hint={getPackSize(drug) === 1 ? 'Counted loose' : null}
+          />
+          <FieldRow label="GTIN" value={drug.gtin || '—'} />
+          <FieldRow
+            label="Controlled drug"
+            value={drug.controlled ? 'Yes' : 'No'}
+            hint={drug.controlled ? 'Dispensed with a witness' : null}
+          />
+          {canTransfer && (
+            <FieldRow
+              label="Stock by location"
+              value={
+                locations
+                  .filter((l) => byLocation[l.id] > 0)
+                  .map((l) => `${l.name}: ${byLocation[l.id]}`)
+                  .join('\n') || '—'
+              }
+            />
+          )}
+          <FieldRow
+            label="Reorder level"
+            value={String(reorderLevel)}
+            hint={drug.reorderLevel == null ? 'Global default' : 'Set for this drug'}
+          />
+          <FieldRow
+            label="Warning window"
+            value={`${warningDays} days`}
+            hint={drug.expiryWarningDays == null ? 'Global default' : 'Set for this drug'}
+          />
+          <FieldRow
+            label="Average use"
+            value={hasUsage ? formatDailyUse(forecast.averageDailyUse) : '—'}
+            hint={`${hasUsage ? 'Dispensed over' : 'No dispenses in'} the last ${CONSUMPTION_WINDOW_DAYS} days`}
+          />
+          {hasUsage && (
+            <FieldRow
+              label="Stock-out"
+              value={formatDate(forecast.stockOutDate)}
+              hint={
+                forecast.unusedUnits > 0
+                  ? `${forecast.unusedUnits} unit(s) will expire before use`
+                  : `${forecast.daysOfSupply} days of supply`
+              }
+            />
+          )}
+          <FieldRow
+            label="Stock value"
+            value={stockValue.uncostedUnits < drug.quantity ? formatMoney(stockValue.value) : '—'}
+            hint={
+              stockValue.uncostedUnits > 0
+                ? `${stockValue.uncostedUnits} unit(s) not from a costed delivery`
+                : 'FIFO cost of the stock on hand'
+            }
+          />
+          <FieldRow label="Added" value={formatDate(drug.addedAt, 'dd MMM yyyy, HH:mm')} />
+          <FieldRow label="Last updated" value={formatDate(drug.updatedAt, 'dd MMM yyyy, HH:mm')} />
+          <FieldRow label="Record ID" value={drug.id} />
+        </View>
+
+        {/* ── Lots ── */}
+        <Text style={styles.sectionLabel}>LOTS ({drug.lots.length})</Text>
+        <View style={styles.panel}>
+          {drug.lots.map((lot) => (
+            <View key={lot.id} style={styles.lotRow}>
+              <View style={styles.lotMain}>
+                <Text style={[styles.lotNumber, lot.quantity === 0 && styles.emptyLotText]}>
+                  {lot.lotNumber || 'No lot #'}
+                </Text>
+                <Text style={styles.fieldHint}>
+                  Expires {formatDate(lot.expiryDate)} · Received {formatDate(lot.receivedAt)}
+                </Text>
+                {showLocations && (
+                  <Text style={styles.fieldHint}>{getLocationName(locations, lot.locationId)}</Text>
+                )}
+              </View>
+              <Text style={[styles.lotQuantity, lot.quantity === 0 && styles.emptyLotText]}>
+                {lot.quantity}
+              </Text>
+              {canTransfer && lot.quantity > 0 && (
+                <TouchableOpacity onPress={() => setTransferLotId(lot.id)} hitSlop={8}>
+                  <ArrowRightLeft size={18} color="#319795" />
+                </TouchableOpacity>
+              )}
+            </View>
+          ))}
+          {can('delete') &&
+            expiredLots.map((lot) => (
+              <TouchableOpacity
+                key={lot.id}
+                style={styles.writeOffBtn}
+                onPress={() => confirmWriteOff(drug, lot, writeOffLot, setWitnessRequest)}
+                activeOpacity={0.8}
+              >
+                <Ban size={16} color="#DD6B20" />
+                <Text style={styles.writeOffText}>
+                  Write off expired {lot.lotNumber ? `lot ${lot.lotNumber}` : 'lot'}{' '}
+                  ({lot.quantity})
+                </Text>
+              </TouchableOpacity>
+            ))}
+        </View>
+
+        {/* ── Expiry Timeline ── */}
+        <Text style={styles.sectionLabel}>EXPIRY TIMELINE</Text>
+        <View style={styles.panel}>
+          <ExpiryTimeline lots={drug.lots} warningDays={warningDays} unit={getBaseUnit(drug)} />
+        </View>
+
+        {/* ── Stock Movement History ── */}
+        <Text style={styles.sectionLabel}>HISTORY ({history.length})</Text>
+        <View style={styles.panel}>
+          {history.length === 0 ? (
+            <Text style={styles.fieldHint}>No movements recorded yet.</Text>
+          ) : (
+            history.map((movement) => <MovementRow key={movement.id} movement={movement} />)
+          )}
+        </View>
+      </ScrollView>
+
+      {/* ── Dispense Button ── */}
+      {can('dispense') && (
+        <View style={styles.footer}>
+          <TouchableOpacity
+            style={[styles.dispenseBtn, isOutOfStock && styles.dispenseBtnDisabled]}
+            onPress={() => setDispenseVisible(true)}
+            disabled={isOutOfStock}
+            activeOpacity={0.7}
+          >
+            <MinusCircle size={18} color={isOutOfStock ? '#A0AEC0' : '#FFFFFF'} />
+            <Text style={[styles.dispenseBtnText, isOutOfStock && styles.dispenseBtnTextDisabled]}>
+              {isOutOfStock ? 'Out of Stock' : 'Dispense'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      <DispenseFlow
+        drug={drug}
+        isExpired={expiryStatus === 'critical'}
+        visible={isDispenseVisible}
+        onClose={() => setDispenseVisible(false)}
+      />
+      <DrugFormModal drug={drug} visible={isEditVisible} onClose={() => setEditVisible(false)} />
+      <TransferSheet
+        drug={drug}
+        lot={transferringLot}
+        visible={transferringLot !== null}
+        onClose={() => setTransferLotId(null)}
+      />
+      <WitnessSheet request={witnessRequest} onClose={() => setWitnessRequest(null)} />
+    </View>
+  );
+}
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F7FAFC',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  centered: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#F7FAFC',
+    padding: 32,
+    gap: 10,
+  },
+  notFoundTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#4A5568',
+  },
+  notFoundText: {
+    fontSize: 14,
+    color: '#A0AEC0',
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  headerActions: {
+    flexDirection: 'row',
+    gap: 18,
+  },
+  summary: {
+    borderRadius: 14,
+    borderWidth: 1.5,
+    padding: 16,
+    gap: 6,
+    marginBottom: 20,
+  },
+  statusBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 4,
+    gap: 3,
+  },
+  statusBadgeText: {
+    color: '#FFF',
+    fontSize: 9,
+    fontWeight: '800',
+    letterSpacing: 0.8,
+  },
+  quantityValue: {
+    fontSize: 32,
+    fontWeight: '800',
+    color: '#2D3748',
+  },
+  quantityUnit: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  lowStockText: {
+    color: '#E53E3E',
+  },
+  expiryValue: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  registerLink: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FAF5FF',
+    borderWidth: 1,
+    borderColor: '#D6BCFA',
+    borderRadius: 14,
+    padding: 14,
+    marginBottom: 20,
+    gap: 12,
+  },
+  registerAlert: {
+    backgroundColor: '#FFF5F5',
+    borderColor: '#FC8181',
+  },
+  registerBody: {
+    flex: 1,
+    gap: 2,
+  },
+  registerTitle: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#1A202C',
+  },
+  sectionLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#A0AEC0',
+    letterSpacing: 1,
+    marginBottom: 8,
+  },
+  panel: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    marginBottom: 20,
+  },
+  fieldRow: {
+    flexDirection: 'row',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#EDF2F7',
+    gap: 12,
+  },
+  fieldLabel: {
+    width: 110,
+    fontSize: 13,
+    color: '#718096',
+  },
+  fieldValueBlock: {
+    flex: 1,
+  },
+  fieldValue: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#2D3748',
+  },
+  fieldHint: {
+    fontSize: 12,
+    color: '#A0AEC0',
+    marginTop: 2,
+  },
+  lotRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#EDF2F7',
+    gap: 12,
+  },
+  lotMain: {
+    flex: 1,
+  },
+  lotNumber: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#2D3748',
+  },
+  lotQuantity: {
+    fontSize: 16,
+    fontWeight: '800',
+    color: '#2D3748',
+  },
+  emptyLotText: {
+    color: '#A0AEC0',
+    textDecorationLine: 'line-through',
+  },
+  writeOffBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFF4E5',
+    borderWidth: 1,
+    borderColor: '#DD6B20',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    marginTop: 10,
+    marginBottom: 4,
+    gap: 8,
+  },
+  writeOffText: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#DD6B20',
+  },
+  timelineRow: {
+    flexDirection: 'row',
+    minHeight: 44,
+  },
+  timelineRail: {
+    width: 20,
+    alignItems: 'center',
+  },
+  timelineDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginTop: 4,
+  },
+  todayDot: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    borderWidth: 2,
+    borderColor: '#319795',
+    backgroundColor: '#FFFFFF',
+    marginTop: 3,
+  },
+  timelineLine: {
+    flex: 1,
+    width: 2,
+    backgroundColor: '#E2E8F0',
+    marginVertical: 2,
+  },
+  timelineBody: {
+    flex: 1,
+    paddingLeft: 8,
+    paddingBottom: 10,
+  },
+  timelineDate: {
+    fontSize: 13,
+    fontWeight: '700',
+  },
+  timelineMeta: {
+    fontSize: 12,
+    color: '#718096',
+    marginTop: 2,
+  },
+  todayText: {
+    flex: 1,
+    paddingLeft: 8,
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#319795',
+  },
+  footer: {
+    padding: 16,
+    borderTopWidth: 1,
+    borderTopColor: '#E2E8F0',
+    backgroundColor: '#FFFFFF',
+  },
+  dispenseBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#319795',
+    borderRadius: 12,
+    paddingVertical: 14,
+    gap: 8,
+  },
+  dispenseBtnDisabled: {
+    backgroundColor: '#EDF2F7',
+  },
+  dispenseBtnText: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#FFFFFF',
+    letterSpacing: 0.3,
+  },
+  dispenseBtnTextDisabled: {
+    color: '#A0AEC0',
+  },
+  secondaryBtn: {
+    alignItems: 'center',
+    borderWidth: 1.5,
+    borderColor: '#319795',
+    borderRadius: 12,
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+  },
+  secondaryBtnText: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#319795',
+  },
+});
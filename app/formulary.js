@@ -0,0 +1,222 @@
+// app/formulary.js
+// ─────────────────────────────────────────────────────────────
+// The local formulary: every product the clinic stocks, with its
+// strength, form, pack size, default thresholds and known GTINs.
+// Anyone can look something up; users who may manage settings can
+// add entries and tap one to edit or remove it.
+// ─────────────────────────────────────────────────────────────
+
+import React, { useState, useMemo } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, FlatList, TextInput } from 'react-native';
+import { Stack } from 'expo-router';
+import { BookOpen, ChevronRight, X } from 'lucide-react-native';
+import { useFormulary } from '../context/formulary-context';
+import { useInventory } from '../context/inventory-context';
+import { useAuth } from '../context/auth-context';
+import { formatProductDetails } from '../utils/drug-metadata';
+import { getEntryName, searchFormulary } from '../utils/formulary';
+import FormularyEntrySheet from '../components/formulary-entry-sheet';
+
+// ── Helper: One line of an entry's defaults ────────────────────
+const formatDefaults = (entry) =>
+  [
+    entry.controlled ? 'Controlled' : null,
+    entry.reorderLevel != null ? `reorder at ${entry.reorderLevel}` : null,
+    entry.expiryWarningDays != null ? `warn ${entry.expiryWarningDays} days` : null,
+    entry.gtins.length > 0
+      ? `${entry.gtins.length} GTIN${entry.gtins.length !== 1 ? 's' : ''}`
+      : null,
+  ]
+    .filter(Boolean)
+    .join(' · ');
+
+// ── Entry Row Component ─────────────────────────────────────────
+const EntryRow = ({ entry, linkedCount, onPress }) => {
+  const details = [formatProductDetails(entry), formatDefaults(entry)]
+    .filter(Boolean)
+    .join(' · ');
+  return (
+    <TouchableOpacity
+      style={styles.row}
+      onPress={onPress}
+      disabled={!onPress}
+      activeOpacity={0.8}
+    >
+      <BookOpen size={20} color="#319795" />
+      <View style={styles.rowBody}>
+        <Text style={styles.entryName}>{getEntryName(entry)}</Text>
+        {!!details && <Text style={styles.meta}>{details}</Text>}
+        <Text style={styles.meta}>
+          {linkedCount === 0
+            ? 'Not stocked'
+            : `${linkedCount} linked drug${linkedCount !== 1 ? 's' : ''}`}
+        </Text>
+      </View>
+      {onPress && <ChevronRight size={18} color="#CBD5E0" />}
+    </TouchableOpacity>
+  );
+};
+
+// ── Formulary Screen ────────────────────────────────────────────
+export default function FormularyScreen() {
+  const { formulary } = useFormulary();
+  const { inventory } = useInventory();
+  const { can } = useAuth();
+  const [query, setQuery] = useState('');
+  // undefined: sheet closed · null: adding · entry: editing
+  const [editing, setEditing] = useState(undefined);
+  const canManage = can('manage');
+
+  const entries = useMemo(
+    () =>
+      query.trim()
+        ? searchFormulary(formulary, query, formulary.length)
+        : [...formulary].sort((a, b) => getEntryName(a).localeCompare(getEntryName(b))),
+    [formulary, query]
+  );
+
+  // formularyId → number of drugs linked to it
+  const linkedCounts = useMemo(
+    () =>
+      inventory.reduce((counts, drug) => {
+        if (drug.formularyId) counts[drug.formularyId] = (counts[drug.formularyId] || 0) + 1;
+        return counts;
+      }, {}),
+    [inventory]
+  );
+
+  return (
+    <>
+      <Stack.Screen
+        options={{
+          headerRight: canManage
+            ? () => (
+                <TouchableOpacity onPress={() => setEditing(null)} hitSlop={8}>
+                  <Text style={styles.addText}>Add</Text>
+                </TouchableOpacity>
+              )
+            : undefined,
+        }}
+      />
+      <View style={styles.searchBar}>
+        <TextInput
+          style={styles.searchInput}
+          placeholder="Search by name, brand or GTIN..."
+          placeholderTextColor="#A0AEC0"
+          value={query}
+          onChangeText={setQuery}
+          returnKeyType="search"
+        />
+        {query.length > 0 && (
+          <TouchableOpacity onPress={() => setQuery('')} style={styles.searchClear}>
+            <X size={18} color="#718096" />
+          </TouchableOpacity>
+        )}
+      </View>
+      <FlatList
+        style={styles.container}
+        contentContainerStyle={styles.content}
+        data={entries}
+        keyExtractor={(entry) => entry.id}
+        keyboardShouldPersistTaps="handled"
+        ListHeaderComponent={
+          !query ? (
+            <Text style={styles.intro}>
+              Pick an entry when adding a drug to fill in its details. Editing an entry updates
+              every drug linked to it.
+            </Text>
+          ) : null
+        }
+        ListEmptyComponent={
+          <Text style={styles.intro}>
+            {query ? 'No entries match your search.' : 'The formulary is empty.'}
+          </Text>
+        }
+        renderItem={({ item }) => (
+          <EntryRow
+            entry={item}
+            linkedCount={linkedCounts[item.id] || 0}
+            onPress={canManage ? () => setEditing(item) : null}
+          />
+        )}
+      />
+      <FormularyEntrySheet
+        entry={editing || null}
+        visible={editing !== undefined}
+        linkedCount={editing ? linkedCounts[editing.id] || 0 : 0}
+        onClose={() => setEditing(undefined)}
+      />
+    </>
+  );
+}
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F7FAFC',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  intro: {
+    fontSize: 13,
+    color: '#718096',
+    lineHeight: 19,
+    marginBottom: 14,
+  },
+  searchBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    backgroundColor: '#FFFFFF',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E2E8F0',
+    gap: 8,
+  },
+  searchInput: {
+    flex: 1,
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: '#1A202C',
+    backgroundColor: '#F7FAFC',
+  },
+  searchClear: {
+    padding: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 8,
+    gap: 12,
+  },
+  rowBody: {
+    flex: 1,
+    gap: 3,
+  },
+  entryName: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#1A202C',
+  },
+  meta: {
+    fontSize: 12,
+    color: '#718096',
+  },
+  addText: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#319795',
+  },
+});
@@ -0,0 +1,697 @@
+// app/import-export.js
+// ─────────────────────────────────────────────────────────────
+// CSV import and export, plus full backup and restore. Export
+// shares the whole inventory as a spreadsheet (one row per lot).
+// Import walks through picking a file, mapping its columns and
+// previewing every row — with per-row errors — before anything is
+// added to the inventory. Restore verifies a backup and shows what
+// will change before replacing or merging.
+// ─────────────────────────────────────────────────────────────
+
+import React, { useState, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { useRouter } from 'expo-router';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { format } from 'date-fns';
+import {
+  Download,
+  Upload,
+  CheckCircle,
+  AlertTriangle,
+  Archive,
+  ArchiveRestore,
+} from 'lucide-react-native';
+import { useInventory } from '../context/inventory-context';
+import { useSettings } from '../context/settings-context';
+import { useAuth } from '../context/auth-context';
+import {
+  IMPORT_FIELDS,
+  parseCsv,
+  exportInventoryCsv,
+  guessColumnMapping,
+  mapCsvRows,
+} from '../utils/csv';
+import { createBackup, readBackup, diffInventories, planRestore } from '../utils/backup';
+import WitnessSheet from '../components/witness-sheet';
+
+// ── Column Mapping Step ─────────────────────────────────────────
+const MappingStep = ({ headers, mapping, onChange, onNext, onCancel }) => {
+  const missing = IMPORT_FIELDS.filter((f) => f.required && mapping[f.key] == null);
+
+  return (
+    <View>
+      <Text style={styles.stepTitle}>Match Columns</Text>
+      <Text style={styles.stepSubtitle}>
+        Choose which spreadsheet column holds each field.
+      </Text>
+
+      {IMPORT_FIELDS.map((field) => (
+        <View key={field.key} style={styles.fieldGroup}>
+          <Text style={styles.fieldLabel}>
+            {field.label.toUpperCase()}
+            {field.required ? '' : ' (OPTIONAL)'}
+          </Text>
+          <View style={styles.chipRow}>
+            {!field.required && (
+              <TouchableOpacity
+                style={[styles.chip, mapping[field.key] == null && styles.chipActive]}
+                onPress={() => onChange(field.key, null)}
+              >
+                <Text style={[styles.chipText, mapping[field.key] == null && styles.chipTextActive]}>
+                  None
+                </Text>
+              </TouchableOpacity>
+            )}
+            {headers.map((header, index) => (
+              <TouchableOpacity
+                key={index}
+                style={[styles.chip, mapping[field.key] === index && styles.chipActive]}
+                onPress={() => onChange(field.key, index)}
+              >
+                <Text style={[styles.chipText, mapping[field.key] === index && styles.chipTextActive]}>
+                  {header || `Column ${index + 1}`}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+      ))}
+
+      <TouchableOpacity
+        style={[styles.primaryBtn, missing.length > 0 && styles.primaryBtnDisabled]}
+        onPress={onNext}
+        disabled={missing.length > 0}
+        activeOpacity={0.8}
+      >
+        <Text style={styles.primaryBtnText}>Preview Rows</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.secondaryBtn} onPress={onCancel}>
+        <Text style={styles.secondaryBtnText}>Cancel</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+// ── Preview Step ────────────────────────────────────────────────
+const PreviewStep = ({ rows, onImport, onBack }) => {
+  const validRows = rows.filter((r) => Object.keys(r.errors).length === 0);
+  const invalidRows = rows.length - validRows.length;
+
+  return (
+    <View>
+      <Text style={styles.stepTitle}>Preview</Text>
+      <Text style={styles.stepSubtitle}>
+        {validRows.length} of {rows.length} row{rows.length !== 1 ? 's' : ''} ready to import
+        {invalidRows > 0 ? ` · ${invalidRows} with errors will be skipped` : ''}.
+      </Text>
+
+      {rows.map((row) => {
+        const rowErrors = Object.values(row.errors);
+        const hasErrors = rowErrors.length > 0;
+        return (
+          <View key={row.rowNumber} style={[styles.previewRow, hasErrors && styles.previewRowError]}>
+            <View style={styles.previewTop}>
+              {hasErrors ? (
+                <AlertTriangle size={14} color="#E53E3E" />
+              ) : (
+                <CheckCircle size={14} color="#38A169" />
+              )}
+              <Text style={styles.previewRowNumber}>Row {row.rowNumber}</Text>
+              <Text style={styles.previewName} numberOfLines={1}>
+                {row.values.name || '—'}
+              </Text>
+            </View>
+            <Text style={styles.previewMeta}>
+              Qty {row.values.quantity || '—'} · Exp {row.values.expiryDate || '—'}
+              {row.values.lotNumber ? ` · Lot ${row.values.lotNumber}` : ''}
+              {row.values.location ? ` · ${row.values.location}` : ''}
+              {row.values.controlled ? ' · Controlled' : ''}
+            </Text>
+            {rowErrors.map((message) => (
+              <Text key={message} style={styles.errorText}>
+                {message}
+              </Text>
+            ))}
+          </View>
+        );
+      })}
+
+      <TouchableOpacity
+        style={[styles.primaryBtn, validRows.length === 0 && styles.primaryBtnDisabled]}
+        onPress={() => onImport(validRows)}
+        disabled={validRows.length === 0}
+        activeOpacity={0.8}
+      >
+        <Text style={styles.primaryBtnText}>
+          Import {validRows.length} Row{validRows.length !== 1 ? 's' : ''}
+        </Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.secondaryBtn} onPress={onBack}>
+        <Text style={styles.secondaryBtnText}>Back to Column Matching</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+// ── Restore Preview Step ────────────────────────────────────────
+const RestoreStep = ({ restored, diff, onRestore, onCancel }) => {
+  const summary = [
+    { label: 'New drugs', count: diff.added.length, color: '#38A169' },
+    { label: 'Changed drugs', count: diff.changed.length, color: '#DD6B20' },
+    { label: 'Unchanged drugs', count: diff.unchanged, color: '#718096' },
+    { label: 'Only on this device', count: diff.removed.length, color: '#E53E3E' },
+  ];
+
+  const confirmReplace = () => {
+    Alert.alert(
+      'Replace Everything',
+      diff.removed.length > 0
+        ? `${diff.removed.length} drug${diff.removed.length !== 1 ? 's' : ''} not in the backup will be removed from this device.`
+        : 'The inventory on this device will be replaced by the backup. Its stock history is kept.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Replace', style: 'destructive', onPress: () => onRestore('replace') },
+      ]
+    );
+  };
+
+  return (
+    <View>
+      <Text style={styles.stepTitle}>Restore Backup</Text>
+      <Text style={styles.stepSubtitle}>
+        Checksum verified · made {format(new Date(restored.createdAt), 'dd MMM yyyy, HH:mm')} ·{' '}
+        {restored.inventory.length} drug{restored.inventory.length !== 1 ? 's' : ''}
+      </Text>
+
+      {summary.map((item) => (
+        <View key={item.label} style={styles.summaryRow}>
+          <Text style={styles.summaryLabel}>{item.label}</Text>
+          <Text style={[styles.summaryCount, { color: item.color }]}>{item.count}</Text>
+        </View>
+      ))}
+
+      {[...diff.added, ...diff.changed].slice(0, 20).map((drug) => (
+        <Text key={drug.id} style={styles.previewMeta}>
+          {diff.added.includes(drug) ? '+ ' : '~ '}
+          {drug.name} ({drug.quantity})
+        </Text>
+      ))}
+
+      {restored.quarantined.length > 0 && (
+        <Text style={styles.errorText}>
+          {restored.quarantined.length} record{restored.quarantined.length !== 1 ? 's' : ''} in
+          the backup could not be upgraded and will be set aside.
+        </Text>
+      )}
+
+      <TouchableOpacity style={styles.primaryBtn} onPress={() => onRestore('merge')} activeOpacity={0.8}>
+        <Text style={styles.primaryBtnText}>Merge by ID</Text>
+      </TouchableOpacity>
+      <Text style={styles.helperText}>
+        Drugs in the backup overwrite the same drugs here; drugs only on this device are kept.
+      </Text>
+      <TouchableOpacity style={styles.dangerBtn} onPress={confirmReplace} activeOpacity={0.8}>
+        <Text style={styles.dangerBtnText}>Replace Everything</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.secondaryBtn} onPress={onCancel}>
+        <Text style={styles.secondaryBtnText}>Cancel</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+// ── Import / Export Screen ──────────────────────────────────────
+export default function ImportExportScreen() {
+  const router = useRouter();
+  const { inventory, ledger, cdRegister, addDrug, restoreBackup } = useInventory();
+  const { settings, replaceSettings } = useSettings();
+  const { can } = useAuth();
+
+  const [step, setStep] = useState('start');
+  const [isBusy, setBusy] = useState(false);
+  const [csvRows, setCsvRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [restored, setRestored] = useState(null);
+  const [witnessRequest, setWitnessRequest] = useState(null);
+
+  const headers = csvRows[0] || [];
+  const mappedRows = useMemo(
+    () => (step === 'preview' ? mapCsvRows(csvRows.slice(1), mapping, settings.locations) : []),
+    [step, csvRows, mapping, settings.locations]
+  );
+
+  // ── Export Handler ───────────────────────────────────────────
+  const handleExport = async () => {
+    setBusy(true);
+    try {
+      const fileUri = `${FileSystem.cacheDirectory}pharmatrack-inventory-${format(
+        new Date(),
+        'yyyy-MM-dd'
+      )}.csv`;
+      await FileSystem.writeAsStringAsync(fileUri, exportInventoryCsv(inventory, settings.locations));
+      await Sharing.shareAsync(fileUri, {
+        mimeType: 'text/csv',
+        UTI: 'public.comma-separated-values-text',
+        dialogTitle: 'Export Inventory',
+      });
+    } catch (error) {
+      console.error('[ImportExport] Failed to export CSV:', error);
+      Alert.alert('Export Failed', error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // ── Pick + Parse Handler ─────────────────────────────────────
+  const handlePickFile = async () => {
+    setBusy(true);
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['text/csv', 'text/comma-separated-values', 'text/plain', 'application/vnd.ms-excel'],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled) return;
+
+      const text = await FileSystem.readAsStringAsync(result.assets[0].uri);
+      const rows = parseCsv(text);
+      if (rows.length < 2) {
+        Alert.alert('Nothing to Import', 'The file needs a header row and at least one data row.');
+        return;
+      }
+      setCsvRows(rows);
+      setMapping(guessColumnMapping(rows[0]));
+      setStep('map');
+    } catch (error) {
+      console.error('[ImportExport] Failed to read CSV:', error);
+      Alert.alert('Import Failed', error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // ── Commit Handler ───────────────────────────────────────────
+  const handleImport = (validRows) => {
+    validRows.forEach((row) => addDrug(row.values, 'CSV import'));
+    Alert.alert(
+      'Import Complete',
+      `${validRows.length} row${validRows.length !== 1 ? 's' : ''} added to the inventory.`,
+      [{ text: 'OK', onPress: () => router.back() }]
+    );
+  };
+
+  const resetImport = () => {
+    setCsvRows([]);
+    setMapping({});
+    setRestored(null);
+    setStep('start');
+  };
+
+  // ── Backup Handler ───────────────────────────────────────────
+  const handleBackup = async () => {
+    setBusy(true);
+    try {
+      const fileUri = `${FileSystem.cacheDirectory}pharmatrack-backup-${format(
+        new Date(),
+        'yyyy-MM-dd-HHmm'
+      )}.json`;
+      const backup = await createBackup({ inventory, ledger, cdRegister, settings });
+      await FileSystem.writeAsStringAsync(fileUri, backup);
+      await Sharing.shareAsync(fileUri, {
+        mimeType: 'application/json',
+        UTI: 'public.json',
+        dialogTitle: 'Save PharmaTrack Backup',
+      });
+    } catch (error) {
+      console.error('[ImportExport] Failed to create backup:', error);
+      Alert.alert('Backup Failed', error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // ── Restore: Pick + Verify Handler ───────────────────────────
+  const handlePickBackup = async () => {
+    setBusy(true);
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['application/json', 'text/plain'],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled) return;
+
+      const text = await FileSystem.readAsStringAsync(result.assets[0].uri);
+      setRestored(await readBackup(text));
+      setStep('restore');
+    } catch (error) {
+      console.error('[ImportExport] Failed to read backup:', error);
+      Alert.alert('Cannot Restore', error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // ── Restore: Commit Handler ──────────────────────────────────
+  const completeRestore = (mode, witness) => {
+    restoreBackup(restored, mode, witness);
+    // Settings are device-wide, so they only come across on a full replace.
+    if (mode === 'replace' && Object.keys(restored.settings).length > 0) {
+      replaceSettings(restored.settings);
+    }
+    Alert.alert(
+      'Restore Complete',
+      mode === 'replace' ? 'The inventory was replaced by the backup.' : 'The backup was merged.',
+      [{ text: 'OK', onPress: () => router.back() }]
+    );
+  };
+
+  // A restore that lowers controlled-drug stock is witnessed first.
+  const handleRestore = (mode) => {
+    const plan = planRestore({ inventory, ledger }, restored, mode);
+    const isControlled = (drugId) =>
+      [...inventory, ...plan.inventory].some((drug) => drug.id === drugId && drug.controlled);
+    if (plan.movements.some((movement) => movement.delta < 0 && isControlled(movement.drugId))) {
+      setWitnessRequest({
+        title: mode === 'replace' ? 'Replace Everything' : 'Merge Backup',
+        message:
+          'Restoring lowers the stock of a controlled drug, so a second user must witness it.',
+        confirmLabel: 'Restore with Witness',
+        onWitnessed: (witness) => completeRestore(mode, witness),
+      });
+      return;
+    }
+    completeRestore(mode, null);
+  };
+
+  const restoreDiff = useMemo(
+    () => (restored ? diffInventories(inventory, restored.inventory) : null),
+    [inventory, restored]
+  );
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      {isBusy && <ActivityIndicator style={styles.spinner} color="#319795" />}
+
+      {step === 'start' && (
+        <View>
+          <TouchableOpacity
+            style={styles.actionCard}
+            onPress={handleExport}
+            disabled={isBusy}
+            activeOpacity={0.8}
+          >
+            <Download size={22} color="#319795" />
+            <View style={styles.actionBody}>
+              <Text style={styles.actionTitle}>Export to CSV</Text>
+              <Text style={styles.actionSubtitle}>
+                Share {inventory.length} drug{inventory.length !== 1 ? 's' : ''} as a spreadsheet,
+                one row per lot.
+              </Text>
+            </View>
+          </TouchableOpacity>
+
+          {can('add') && (
+            <TouchableOpacity
+              style={styles.actionCard}
+              onPress={handlePickFile}
+              disabled={isBusy}
+              activeOpacity={0.8}
+            >
+              <Upload size={22} color="#319795" />
+              <View style={styles.actionBody}>
+                <Text style={styles.actionTitle}>Import from CSV</Text>
+                <Text style={styles.actionSubtitle}>
+                  Needs columns for name, quantity and expiry (YYYY-MM-DD); lot number is optional.
+                </Text>
+              </View>
+            </TouchableOpacity>
+          )}
+
+          {can('manage') && (
+            <>
+              <Text style={styles.sectionLabel}>BACKUP</Text>
+
+              <TouchableOpacity
+                style={styles.actionCard}
+                onPress={handleBackup}
+                disabled={isBusy}
+                activeOpacity={0.8}
+              >
+                <Archive size={22} color="#319795" />
+                <View style={styles.actionBody}>
+                  <Text style={styles.actionTitle}>Back Up Everything</Text>
+                  <Text style={styles.actionSubtitle}>
+                    Inventory, stock history, CD register and settings in one checksummed file.
+                  </Text>
+                </View>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                style={styles.actionCard}
+                onPress={handlePickBackup}
+                disabled={isBusy}
+                activeOpacity={0.8}
+              >
+                <ArchiveRestore size={22} color="#319795" />
+                <View style={styles.actionBody}>
+                  <Text style={styles.actionTitle}>Restore from Backup</Text>
+                  <Text style={styles.actionSubtitle}>
+                    Verifies the file and shows what will change before anything is touched.
+                  </Text>
+                </View>
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+      )}
+
+      {step === 'restore' && restored && (
+        <RestoreStep
+          restored={restored}
+          diff={restoreDiff}
+          onRestore={handleRestore}
+          onCancel={resetImport}
+        />
+      )}
+
+      {step === 'map' && (
+        <MappingStep
+          headers={headers}
+          mapping={mapping}
+          onChange={(key, index) => setMapping((prev) => ({ ...prev, [key]: index }))}
+          onNext={() => setStep('preview')}
+          onCancel={resetImport}
+        />
+      )}
+
+      {step === 'preview' && (
+        <PreviewStep rows={mappedRows} onImport={handleImport} onBack={() => setStep('map')} />
+      )}
+
+      <WitnessSheet request={witnessRequest} onClose={() => setWitnessRequest(null)} />
+    </ScrollView>
+  );
+}
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F7FAFC',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  spinner: {
+    marginBottom: 12,
+  },
+  actionCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    borderRadius: 14,
+    padding: 16,
+    marginBottom: 12,
+    gap: 14,
+  },
+  actionBody: {
+    flex: 1,
+    gap: 4,
+  },
+  actionTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#1A202C',
+  },
+  actionSubtitle: {
+    fontSize: 13,
+    color: '#718096',
+    lineHeight: 18,
+  },
+  sectionLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#A0AEC0',
+    letterSpacing: 1,
+    marginTop: 12,
+    marginBottom: 10,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#EDF2F7',
+  },
+  summaryLabel: {
+    fontSize: 14,
+    color: '#4A5568',
+    fontWeight: '500',
+  },
+  summaryCount: {
+    fontSize: 15,
+    fontWeight: '800',
+  },
+  helperText: {
+    fontSize: 12,
+    color: '#A0AEC0',
+    marginTop: 6,
+    textAlign: 'center',
+  },
+  dangerBtn: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1.5,
+    borderColor: '#E53E3E',
+    borderRadius: 12,
+    paddingVertical: 14,
+    marginTop: 16,
+  },
+  dangerBtnText: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#E53E3E',
+  },
+  stepTitle: {
+    fontSize: 20,
+    fontWeight: '800',
+    color: '#1A202C',
+  },
+  stepSubtitle: {
+    fontSize: 13,
+    color: '#718096',
+    marginTop: 4,
+    marginBottom: 20,
+  },
+  fieldGroup: {
+    marginBottom: 18,
+  },
+  fieldLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#A0AEC0',
+    letterSpacing: 1,
+    marginBottom: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    borderRadius: 20,
+    paddingHorizontal: 12,
+    paddingVertical: 7,
+    backgroundColor: '#FFFFFF',
+  },
+  chipActive: {
+    borderColor: '#319795',
+    backgroundColor: '#E6FFFA',
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4A5568',
+  },
+  chipTextActive: {
+    color: '#234E52',
+  },
+  previewRow: {
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 8,
+    gap: 4,
+  },
+  previewRowError: {
+    borderColor: '#FC8181',
+    backgroundColor: '#FFF5F5',
+  },
+  previewTop: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+  },
+  previewRowNumber: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#A0AEC0',
+  },
+  previewName: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#1A202C',
+  },
+  previewMeta: {
+    fontSize: 12,
+    color: '#718096',
+  },
+  errorText: {
+    fontSize: 12,
+    color: '#E53E3E',
+    fontWeight: '500',
+  },
+  primaryBtn: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#319795',
+    borderRadius: 12,
+    paddingVertical: 15,
+    marginTop: 12,
+  },
+  primaryBtnDisabled: {
+    backgroundColor: '#A0AEC0',
+  },
+  primaryBtnText: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#FFFFFF',
+    letterSpacing: 0.3,
+  },
+  secondaryBtn: {
+    alignItems: 'center',
+    paddingVertical: 14,
+  },
+  secondaryBtnText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#718096',
+  },
+});
@@ -1,27 +1,58 @@
 // app/index.js
 // ─────────────────────────────────────────────────────────────
-// The main dashboard screen. Renders the inventory list and
-// hosts the FAB + Modal for adding new drugs.
+// The main dashboard screen. Renders the inventory list (with
+// search, a location picker, status filter chips and a persisted
+// sort order) and
+// hosts the FABs + Modal for adding new drugs, by hand or from
+// a scanned pack barcode.
 // ─────────────────────────────────────────────────────────────
 
-import React, { useState, useCallback, useMemo } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
 import {
   View,
   Text,
   FlatList,
   StyleSheet,
   TouchableOpacity,
-  Modal,
   TextInput,
-  KeyboardAvoidingView,
-  Platform,
   ScrollView,
   ActivityIndicator,
   SafeAreaView,
+  Alert,
 } from 'react-native';
-import { Plus, PackageSearch, ShieldAlert, X, CheckCircle } from 'lucide-react-native';
+import { useRouter, useLocalSearchParams } from 'expo-router';
+import {
+  Plus,
+  PackageSearch,
+  ShieldAlert,
+  X,
+  AlertOctagon,
+  FileSpreadsheet,
+  Settings,
+  PackageMinus,
+  ScanLine,
+  ArrowUpDown,
+  BarChart3,
+  ClipboardCheck,
+  MapPin,
+  Lock,
+  Truck,
+  Wallet,
+} from 'lucide-react-native';
 import { useInventory } from '../context/inventory-context';
+import { useSettings } from '../context/settings-context';
+import { useAuth } from '../context/auth-context';
+import { useInventoryQuery } from '../context/inventory-query';
+import { SORT_OPTIONS, STATUS_FILTERS } from '../utils/inventory-query';
+import { getLocationName } from '../utils/locations';
+import { pickDrugMetadata } from '../utils/drug-metadata';
+import { summarizeValue, formatMoney } from '../utils/valuation';
 import DrugCard from '../components/drug-card';
+import DrugFormModal from '../components/drug-form-modal';
+import OptionSheet from '../components/option-sheet';
+
+// Sort orders as picker options
+const SORT_CHOICES = Object.entries(SORT_OPTIONS).map(([value, label]) => ({ value, label }));
 
 // ── Empty State Component ───────────────────────────────────────
 const EmptyState = () => (
@@ -34,123 +65,165 @@ const EmptyState = () => (
   </View>
 );
 
-// ── Add Drug Modal ──────────────────────────────────────────────
-const AddDrugModal = ({ visible, onClose }) => {
-  const { addDrug } = useInventory();
-
-  const [name, setName] = useState('');
-  const [quantity, setQuantity] = useState('');
-  const [expiryDate, setExpiryDate] = useState('');
-  const [errors, setErrors] = useState({});
-
-  const validate = () => {
-    const newErrors = {};
-    if (!name.trim()) newErrors.name = 'Drug name is required.';
-    const qty = parseInt(quantity, 10);
-    if (!quantity || isNaN(qty) || qty < 0) {
-      newErrors.quantity = 'Enter a valid quantity (0 or more).';
-    }
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!expiryDate || !dateRegex.test(expiryDate)) {
-      newErrors.expiryDate = 'Use format: YYYY-MM-DD (e.g. 2026-12-31)';
-    }
-    setErrors(newErrors);
-    return Object.keys(newErrors).length === 0;
-  };
+// ── No Matches Component ────────────────────────────────────────
+const NoMatches = ({ onClear }) => (
+  <View style={styles.emptyContainer}>
+    <PackageSearch size={64} color="#CBD5E0" strokeWidth={1.5} />
+    <Text style={styles.emptyTitle}>No Matching Drugs</Text>
+    <Text style={styles.emptySubtitle}>Nothing matches the current search and filters.</Text>
+    <TouchableOpacity onPress={onClear} hitSlop={8}>
+      <Text style={styles.clearFiltersText}>Clear search and filters</Text>
+    </TouchableOpacity>
+  </View>
+);
 
-  const handleSubmit = () => {
-    if (!validate()) return;
-    addDrug({ name, quantity, expiryDate });
-    handleClose();
-  };
+// ── Storage Problem Banner ──────────────────────────────────────
+// Shown when the stored inventory could not be read at all, or when
+// some records could not be upgraded to the current schema.
+const StorageBanner = ({ loadError, quarantine }) => {
+  if (loadError) {
+    return (
+      <View style={styles.storageBanner}>
+        <AlertOctagon size={16} color="#E53E3E" />
+        <Text style={styles.storageBannerText}>
+          Inventory could not be loaded: {loadError} Changes will not be saved.
+        </Text>
+      </View>
+    );
+  }
+  if (quarantine.length === 0) return null;
 
-  const handleClose = () => {
-    setName('');
-    setQuantity('');
-    setExpiryDate('');
-    setErrors({});
-    onClose();
+  const showDetails = () => {
+    Alert.alert(
+      'Records Set Aside',
+      quarantine
+        .map((item) => `• ${(item.record && item.record.name) || 'Unnamed'}: ${item.error}`)
+        .join('\n')
+    );
   };
 
   return (
-    <Modal visible={visible} animationType="slide" transparent onRequestClose={handleClose}>
-      <KeyboardAvoidingView
-        style={styles.modalBackdrop}
-        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
-      >
-        <View style={styles.modalSheet}>
-          <View style={styles.modalHeader}>
-            <Text style={styles.modalTitle}>Add New Drug</Text>
-            <TouchableOpacity onPress={handleClose} style={styles.modalCloseBtn}>
-              <X size={22} color="#718096" />
-            </TouchableOpacity>
-          </View>
+    <TouchableOpacity style={styles.storageBanner} onPress={showDetails} activeOpacity={0.8}>
+      <AlertOctagon size={16} color="#E53E3E" />
+      <Text style={styles.storageBannerText}>
+        {quarantine.length} stored record{quarantine.length !== 1 ? 's' : ''} could not be
+        upgraded and {quarantine.length !== 1 ? 'were' : 'was'} set aside. Tap for details.
+      </Text>
+    </TouchableOpacity>
+  );
+};
 
-          <ScrollView showsVerticalScrollIndicator={false}>
-            <View style={styles.fieldGroup}>
-              <Text style={styles.fieldLabel}>DRUG / PRODUCT NAME</Text>
-              <TextInput
-                style={[styles.input, errors.name && styles.inputError]}
-                placeholder="e.g., Amoxicillin 500mg"
-                placeholderTextColor="#A0AEC0"
-                value={name}
-                onChangeText={setName}
-                autoCapitalize="words"
-              />
-              {errors.name && <Text style={styles.errorText}>{errors.name}</Text>}
-            </View>
-
-            <View style={styles.fieldGroup}>
-              <Text style={styles.fieldLabel}>QUANTITY (UNITS)</Text>
-              <TextInput
-                style={[styles.input, errors.quantity && styles.inputError]}
-                placeholder="e.g., 100"
-                placeholderTextColor="#A0AEC0"
-                value={quantity}
-                onChangeText={setQuantity}
-                keyboardType="numeric"
-              />
-              {errors.quantity && <Text style={styles.errorText}>{errors.quantity}</Text>}
-            </View>
-
-            <View style={styles.fieldGroup}>
-              <Text style={styles.fieldLabel}>EXPIRY DATE</Text>
-              <TextInput
-                style={[styles.input, errors.expiryDate && styles.inputError]}
-                placeholder="YYYY-MM-DD (e.g., 2026-12-31)"
-                placeholderTextColor="#A0AEC0"
-                value={expiryDate}
-                onChangeText={setExpiryDate}
-                keyboardType="numeric"
-                maxLength={10}
-              />
-              {errors.expiryDate && <Text style={styles.errorText}>{errors.expiryDate}</Text>}
-            </View>
-
-            <TouchableOpacity style={styles.submitBtn} onPress={handleSubmit} activeOpacity={0.8}>
-              <CheckCircle size={18} color="#FFF" />
-              <Text style={styles.submitBtnText}>Add to Inventory</Text>
-            </TouchableOpacity>
-          </ScrollView>
-        </View>
-      </KeyboardAvoidingView>
-    </Modal>
+// ── Stock Value Strip ───────────────────────────────────────────
+// FIFO value of the stock in view and how much of it is in lots that
+// have expired or are close to it. Hidden until a costed delivery has
+// been received.
+const ValueStrip = ({ totals }) => {
+  if (totals.value <= 0) return null;
+  return (
+    <View style={styles.valueStrip}>
+      <Wallet size={14} color="#234E52" />
+      <Text style={styles.valueStripText}>
+        Stock value {formatMoney(totals.value)}
+        {totals.atRiskValue > 0 ? (
+          <Text style={styles.valueStripRisk}>
+            {' '}
+            · {formatMoney(totals.atRiskValue)} at risk of expiry
+          </Text>
+        ) : null}
+      </Text>
+    </View>
   );
 };
 
 // ── Main Dashboard Screen ───────────────────────────────────────
 export default function DashboardScreen() {
-  const { inventory, isLoading, criticalCount } = useInventory();
+  const router = useRouter();
+  const { gtin, lot, expiry } = useLocalSearchParams();
+  const {
+    inventory: allInventory,
+    lotValues,
+    isLoading,
+    loadError,
+    quarantine,
+  } = useInventory();
+  const { settings, updateSettings } = useSettings();
+  const { currentUser, can, lock } = useAuth();
   const [isModalVisible, setModalVisible] = useState(false);
+  const [isSortVisible, setSortVisible] = useState(false);
+  const [isLocationVisible, setLocationVisible] = useState(false);
+  const [prefill, setPrefill] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
 
+  // Sort and filters live in settings so they survive a restart.
+  const { dashboardSort: sort, dashboardFilters: filters, locations } = settings;
+
+  // A location removed since it was picked falls back to "All".
+  const locationId = locations.some((l) => l.id === settings.dashboardLocationId)
+    ? settings.dashboardLocationId
+    : null;
+  const locationChoices = [
+    { value: null, label: 'All locations' },
+    ...locations.map((l) => ({ value: l.id, label: l.name })),
+  ];
+
+  // Everything below — list, counts and badges — sees only the stock
+  // held at the selected location.
+  const {
+    inventory,
+    drugs: filteredInventory,
+    counts: filterCounts,
+  } = useInventoryQuery({ search: searchQuery, filters, sort, locationId });
+  const criticalCount = filterCounts.expired;
+  const lowStockCount = filterCounts['low-stock'];
+  const valueTotals = summarizeValue(inventory, lotValues, settings);
+
   const keyExtractor = useCallback((item) => item.id, []);
-  const renderItem = useCallback(({ item }) => <DrugCard drug={item} />, []);
-  const filteredInventory = useMemo(() => {
-    const q = searchQuery.trim().toLowerCase();
-    if (!q) return inventory;
-    return inventory.filter((d) => (d.name || '').toLowerCase().includes(q));
-  }, [inventory, searchQuery]);
+  const renderItem = useCallback(
+    ({ item }) => <DrugCard drug={item} locationId={locationId} />,
+    [locationId]
+  );
+
+  const toggleFilter = (key) => {
+    updateSettings({
+      dashboardFilters: filters.includes(key)
+        ? filters.filter((f) => f !== key)
+        : [...filters, key],
+    });
+  };
+
+  // Header badges jump straight to the matching filter.
+  const showOnly = (key) => {
+    setSearchQuery('');
+    updateSettings({ dashboardFilters: [key] });
+  };
+
+  const clearSearchAndFilters = () => {
+    setSearchQuery('');
+    updateSettings({ dashboardFilters: [] });
+  };
+
+  // ── Scan: Open the add form pre-filled from a scanned pack ───
+  // A known GTIN also fills in the drug's name and details, so saving
+  // adds a lot; one the formulary knows links the new drug to it.
+  useEffect(() => {
+    if (!gtin || isLoading || !can('add')) return;
+    const known = allInventory.find((d) => d.gtin === gtin);
+    setPrefill({
+      ...(known ? pickDrugMetadata(known) : {}),
+      name: known ? known.name : '',
+      formularyId: known ? known.formularyId : null,
+      gtin,
+      lotNumber: lot || '',
+      expiryDate: expiry || '',
+    });
+    setModalVisible(true);
+    router.setParams({ gtin: undefined, lot: undefined, expiry: undefined });
+  }, [gtin, lot, expiry, isLoading, allInventory, router, can]);
+
+  const closeModal = () => {
+    setModalVisible(false);
+    setPrefill(null);
+  };
 
   if (isLoading) {
     return (
@@ -170,20 +243,80 @@ export default function DashboardScreen() {
           <View>
             <Text style={styles.appTitle}>PharmaTrack</Text>
             <Text style={styles.appSubtitle}>
-              {inventory.length} drug{inventory.length !== 1 ? 's' : ''} tracked
+              {inventory.length} drug{inventory.length !== 1 ? 's' : ''}{' '}
+              {locationId ? `at ${getLocationName(locations, locationId)}` : 'tracked'}
             </Text>
+            {currentUser && <Text style={styles.appUser}>{currentUser.name}</Text>}
           </View>
 
-          {criticalCount > 0 && (
-            <View style={styles.criticalBadge}>
-              <ShieldAlert size={14} color="#E53E3E" />
-              <Text style={styles.criticalBadgeText}>
-                {criticalCount} Critical
-              </Text>
-            </View>
-          )}
+          <View style={styles.headerActions}>
+            {criticalCount > 0 && (
+              <TouchableOpacity style={styles.criticalBadge} onPress={() => showOnly('expired')}>
+                <ShieldAlert size={14} color="#E53E3E" />
+                <Text style={styles.criticalBadgeText}>
+                  {criticalCount} Critical
+                </Text>
+              </TouchableOpacity>
+            )}
+
+            {lowStockCount > 0 && (
+              <TouchableOpacity style={styles.lowStockBadge} onPress={() => showOnly('low-stock')}>
+                <PackageMinus size={14} color="#DD6B20" />
+                <Text style={styles.lowStockBadgeText}>{lowStockCount} Low</Text>
+              </TouchableOpacity>
+            )}
+
+            <TouchableOpacity
+              onPress={() => router.push('/reports')}
+              style={styles.headerIconBtn}
+              hitSlop={8}
+            >
+              <BarChart3 size={20} color="#234E52" />
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              onPress={() => router.push('/receipts')}
+              style={styles.headerIconBtn}
+              hitSlop={8}
+            >
+              <Truck size={20} color="#234E52" />
+            </TouchableOpacity>
+
+            {can('stocktake') && (
+              <TouchableOpacity
+                onPress={() => router.push('/stocktake')}
+                style={styles.headerIconBtn}
+                hitSlop={8}
+              >
+                <ClipboardCheck size={20} color="#234E52" />
+              </TouchableOpacity>
+            )}
+
+            <TouchableOpacity
+              onPress={() => router.push('/import-export')}
+              style={styles.headerIconBtn}
+              hitSlop={8}
+            >
+              <FileSpreadsheet size={20} color="#234E52" />
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              onPress={() => router.push('/settings')}
+              style={styles.headerIconBtn}
+              hitSlop={8}
+            >
+              <Settings size={20} color="#234E52" />
+            </TouchableOpacity>
+
+            <TouchableOpacity onPress={lock} style={styles.headerIconBtn} hitSlop={8}>
+              <Lock size={20} color="#234E52" />
+            </TouchableOpacity>
+          </View>
         </View>
 
+        <StorageBanner loadError={loadError} quarantine={quarantine} />
+        <ValueStrip totals={valueTotals} />
+
         {/* ── Search Bar ── */}
         <View style={styles.searchBar}>
           <TextInput
@@ -201,32 +334,112 @@ export default function DashboardScreen() {
           )}
         </View>
 
+        {/* ── Sort + Status Filter Chips ── */}
+        <ScrollView
+          horizontal
+          style={styles.chipBar}
+          contentContainerStyle={styles.chipBarContent}
+          showsHorizontalScrollIndicator={false}
+        >
+          {locations.length > 1 && (
+            <TouchableOpacity style={styles.sortChip} onPress={() => setLocationVisible(true)}>
+              <MapPin size={14} color="#234E52" />
+              <Text style={styles.sortChipText}>
+                {locationId ? getLocationName(locations, locationId) : 'All locations'}
+              </Text>
+            </TouchableOpacity>
+          )}
+
+          <TouchableOpacity style={styles.sortChip} onPress={() => setSortVisible(true)}>
+            <ArrowUpDown size={14} color="#234E52" />
+            <Text style={styles.sortChipText}>{SORT_OPTIONS[sort]}</Text>
+          </TouchableOpacity>
+
+          {Object.entries(STATUS_FILTERS).map(([key, filter]) => {
+            const isActive = filters.includes(key);
+            return (
+              <TouchableOpacity
+                key={key}
+                style={[
+                  styles.filterChip,
+                  isActive && { backgroundColor: filter.color, borderColor: filter.color },
+                ]}
+                onPress={() => toggleFilter(key)}
+              >
+                <Text style={[styles.filterChipText, isActive && styles.filterChipTextActive]}>
+                  {filter.label} · {filterCounts[key]}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </ScrollView>
+
         {/* ── Inventory FlatList ── */}
         <FlatList
           data={filteredInventory}
           keyExtractor={keyExtractor}
           renderItem={renderItem}
-          ListEmptyComponent={<EmptyState />}
+          ListEmptyComponent={
+            allInventory.length === 0 ? (
+              <EmptyState />
+            ) : (
+              <NoMatches onClear={clearSearchAndFilters} />
+            )
+          }
           contentContainerStyle={[
             styles.listContent,
-            inventory.length === 0 && styles.listContentEmpty,
+            filteredInventory.length === 0 && styles.listContentEmpty,
           ]}
           showsVerticalScrollIndicator={false}
         />
 
-        {/* ── Floating Action Button ── */}
-        <TouchableOpacity
-          style={styles.fab}
-          onPress={() => setModalVisible(true)}
-          activeOpacity={0.85}
-        >
-          <Plus size={28} color="#FFFFFF" strokeWidth={2.5} />
-        </TouchableOpacity>
+        {/* ── Floating Action Buttons ── */}
+        {can('add') && (
+          <>
+            <TouchableOpacity
+              style={styles.scanFab}
+              onPress={() => router.push('/scan')}
+              activeOpacity={0.85}
+            >
+              <ScanLine size={22} color="#319795" strokeWidth={2.5} />
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={styles.fab}
+              onPress={() => setModalVisible(true)}
+              activeOpacity={0.85}
+            >
+              <Plus size={28} color="#FFFFFF" strokeWidth={2.5} />
+            </TouchableOpacity>
+          </>
+        )}
 
         {/* ── Add Drug Modal ── */}
-        <AddDrugModal
+        <DrugFormModal
           visible={isModalVisible}
-          onClose={() => setModalVisible(false)}
+          onClose={closeModal}
+          initialValues={prefill}
+          locationId={locationId}
+        />
+
+        {/* ── Sort Order Picker ── */}
+        <OptionSheet
+          visible={isSortVisible}
+          title="Sort By"
+          options={SORT_CHOICES}
+          value={sort}
+          onChange={(key) => updateSettings({ dashboardSort: key })}
+          onClose={() => setSortVisible(false)}
+        />
+
+        {/* ── Location Picker ── */}
+        <OptionSheet
+          visible={isLocationVisible}
+          title="Location"
+          options={locationChoices}
+          value={locationId}
+          onChange={(id) => updateSettings({ dashboardLocationId: id })}
+          onClose={() => setLocationVisible(false)}
         />
       </View>
     </SafeAreaView>
@@ -278,6 +491,20 @@ const styles = StyleSheet.create({
     marginTop: 2,
     fontWeight: '500',
   },
+  appUser: {
+    fontSize: 12,
+    color: '#319795',
+    marginTop: 2,
+    fontWeight: '700',
+  },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  headerIconBtn: {
+    padding: 6,
+  },
   criticalBadge: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -294,6 +521,57 @@ const styles = StyleSheet.create({
     fontWeight: '700',
     color: '#E53E3E',
   },
+  storageBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFF5F5',
+    borderBottomWidth: 1,
+    borderBottomColor: '#FC8181',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    gap: 8,
+  },
+  storageBannerText: {
+    flex: 1,
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#C53030',
+  },
+  valueStrip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#E6FFFA',
+    borderBottomWidth: 1,
+    borderBottomColor: '#B2F5EA',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    gap: 8,
+  },
+  valueStripText: {
+    flex: 1,
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#234E52',
+  },
+  valueStripRisk: {
+    color: '#C05621',
+  },
+  lowStockBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFF4E5',
+    borderWidth: 1,
+    borderColor: '#F6AD55',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 20,
+    gap: 5,
+  },
+  lowStockBadgeText: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#DD6B20',
+  },
   listContent: {
     paddingTop: 16,
     paddingBottom: 100,
@@ -326,6 +604,55 @@ const styles = StyleSheet.create({
   listContentEmpty: {
     flexGrow: 1,
   },
+  chipBar: {
+    flexGrow: 0,
+    backgroundColor: '#FFFFFF',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E2E8F0',
+  },
+  chipBarContent: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    gap: 8,
+  },
+  sortChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#E6FFFA',
+    borderWidth: 1,
+    borderColor: '#B2F5EA',
+    borderRadius: 20,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    gap: 5,
+  },
+  sortChipText: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#234E52',
+  },
+  filterChip: {
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    backgroundColor: '#F7FAFC',
+    borderRadius: 20,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  filterChipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4A5568',
+  },
+  filterChipTextActive: {
+    color: '#FFFFFF',
+  },
+  clearFiltersText: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#319795',
+    marginTop: 4,
+  },
   emptyContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -362,77 +689,22 @@ const styles = StyleSheet.create({
     shadowRadius: 12,
     elevation: 10,
   },
-  modalBackdrop: {
-    flex: 1,
-    justifyContent: 'flex-end',
-    backgroundColor: 'rgba(0,0,0,0.45)',
-  },
-  modalSheet: {
+  scanFab: {
+    position: 'absolute',
+    bottom: 104,
+    right: 30,
+    width: 48,
+    height: 48,
+    borderRadius: 24,
     backgroundColor: '#FFFFFF',
-    borderTopLeftRadius: 24,
-    borderTopRightRadius: 24,
-    padding: 24,
-    paddingBottom: Platform.OS === 'ios' ? 40 : 24,
-    maxHeight: '85%',
-  },
-  modalHeader: {
-    flexDirection: 'row',
-    justifyContent: 'space-between',
-    alignItems: 'center',
-    marginBottom: 24,
-  },
-  modalTitle: {
-    fontSize: 20,
-    fontWeight: '800',
-    color: '#1A202C',
-  },
-  modalCloseBtn: {
-    padding: 4,
-  },
-  fieldGroup: {
-    marginBottom: 18,
-  },
-  fieldLabel: {
-    fontSize: 11,
-    fontWeight: '700',
-    color: '#A0AEC0',
-    letterSpacing: 1,
-    marginBottom: 8,
-  },
-  input: {
     borderWidth: 1.5,
-    borderColor: '#E2E8F0',
-    borderRadius: 10,
-    paddingHorizontal: 14,
-    paddingVertical: 13,
-    fontSize: 15,
-    color: '#1A202C',
-    backgroundColor: '#F7FAFC',
-  },
-  inputError: {
-    borderColor: '#FC8181',
-    backgroundColor: '#FFF5F5',
-  },
-  errorText: {
-    fontSize: 12,
-    color: '#E53E3E',
-    marginTop: 5,
-    fontWeight: '500',
-  },
-  submitBtn: {
-    flexDirection: 'row',
-    alignItems: 'center',
+    borderColor: '#B2F5EA',
     justifyContent: 'center',
-    backgroundColor: '#319795',
-    borderRadius: 12,
-    paddingVertical: 15,
-    marginTop: 8,
-    gap: 8,
-  },
-  submitBtnText: {
-    fontSize: 16,
-    fontWeight: '700',
-    color: '#FFFFFF',
-    letterSpacing: 0.3,
+    alignItems: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 3 },
+    shadowOpacity: 0.12,
+    shadowRadius: 6,
+    elevation: 5,
   },
 });
@@ -0,0 +1,501 @@
+// app/orders/[id].js
+// ─────────────────────────────────────────────────────────────
+// One purchase order. A draft's supplier, quantities and lines can
+// be changed before it is marked as ordered; any order can be
+// exported as a CSV to send on. An order that has been sent is
+// received through a goods-received note, which closes its lines as
+// they arrive in full; whatever is left can be given up on with
+// "Close order".
+// ─────────────────────────────────────────────────────────────
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  TextInput,
+  Alert,
+} from 'react-native';
+import { Stack, useLocalSearchParams, useRouter } from 'expo-router';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { format } from 'date-fns';
+import { Share2, Send, PackageCheck, X, ChevronRight } from 'lucide-react-native';
+import { useAuth } from '../../context/auth-context';
+import { usePurchasing } from '../../context/purchasing-context';
+import {
+  ORDER_STATUSES,
+  exportOrderCsv,
+  formatOrderQuantity,
+  getLineTotal,
+  getOpenQuantity,
+  getOrderTotal,
+} from '../../utils/purchasing';
+import { formatMoney } from '../../utils/valuation';
+import { BASE_UNITS, formatUnits, getBaseUnit, getPackSize } from '../../utils/drug-metadata';
+
+// ── Draft Line Component ────────────────────────────────────────
+// Quantity is typed in packs for drugs that come in packs.
+const DraftLine = ({ line, onChange, onRemove }) => {
+  const packSize = getPackSize(line);
+  const [text, setText] = useState('');
+
+  useEffect(() => {
+    setText(String(Math.ceil(line.quantity / packSize)));
+  }, [line.quantity, packSize]);
+
+  const commit = () => {
+    const count = parseInt(text, 10);
+    if (!/^\d+$/.test(text.trim()) || count < 1) {
+      setText(String(Math.ceil(line.quantity / packSize)));
+      Alert.alert('Invalid Quantity', 'Order at least 1 of every item, or remove it.');
+      return;
+    }
+    if (count * packSize !== line.quantity) onChange(count * packSize);
+  };
+
+  return (
+    <View style={styles.line}>
+      <View style={styles.lineBody}>
+        <Text style={styles.lineName}>{line.drugName}</Text>
+        <Text style={styles.meta}>
+          {formatOrderQuantity(line)}
+          {line.unitCost != null ? ` · est. ${formatMoney(getLineTotal(line))}` : ''}
+        </Text>
+      </View>
+      <TextInput
+        style={styles.qtyInput}
+        value={text}
+        onChangeText={setText}
+        onEndEditing={commit}
+        keyboardType="number-pad"
+        selectTextOnFocus
+      />
+      <Text style={styles.qtyUnit}>{packSize > 1 ? 'packs' : BASE_UNITS[getBaseUnit(line)]}</Text>
+      <TouchableOpacity onPress={onRemove} hitSlop={8}>
+        <X size={18} color="#A0AEC0" />
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+// ── Sent Line Component ─────────────────────────────────────────
+const SentLine = ({ line }) => {
+  const open = getOpenQuantity(line);
+  const unit = getBaseUnit(line);
+  return (
+    <View style={styles.line}>
+      <View style={styles.lineBody}>
+        <Text style={styles.lineName}>{line.drugName}</Text>
+        <Text style={styles.meta}>
+          {formatOrderQuantity(line)} ordered · {formatUnits(line.received, unit)} received
+        </Text>
+      </View>
+      <Text style={[styles.lineState, open === 0 && styles.lineStateDone]}>
+        {open > 0 ? `${formatUnits(open, unit)} to come` : 'Received'}
+      </Text>
+    </View>
+  );
+};
+
+// ── Purchase Order Screen ───────────────────────────────────────
+export default function OrderScreen() {
+  const { id } = useLocalSearchParams();
+  const router = useRouter();
+  const { can } = useAuth();
+  const { suppliers, orders, receipts, updateOrder, markOrdered, closeOrder, deleteOrder } =
+    usePurchasing();
+  const [isExporting, setExporting] = useState(false);
+  const order = orders.find((o) => o.id === id);
+
+  if (!order) {
+    return (
+      <View style={styles.container}>
+        <Text style={[styles.meta, styles.content]}>This order is no longer on record.</Text>
+      </View>
+    );
+  }
+
+  const canEdit = can('add');
+  const isDraft = order.status === 'draft';
+  const deliveries = receipts.filter((r) => r.orderId === order.id);
+
+  // Every action reports its own error the same way.
+  const run = (title, action) => {
+    try {
+      action();
+    } catch (error) {
+      Alert.alert(title, error.message.replace(/^\[\w+\]\s*/, ''));
+    }
+  };
+
+  const changeLine = (lineId, quantity) =>
+    run('Cannot Change Order', () =>
+      updateOrder(order.id, {
+        lines: order.lines.map((l) => (l.id === lineId ? { ...l, quantity } : l)),
+      })
+    );
+
+  const removeLine = (lineId) =>
+    run('Cannot Change Order', () =>
+      updateOrder(order.id, { lines: order.lines.filter((l) => l.id !== lineId) })
+    );
+
+  const handleMarkOrdered = () => run('Cannot Mark as Ordered', () => markOrdered(order.id));
+
+  const handleDelete = () => {
+    Alert.alert('Delete Draft', `Delete ${order.number}? Its items will be suggested again.`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: () =>
+          run('Cannot Delete', () => {
+            deleteOrder(order.id);
+            router.back();
+          }),
+      },
+    ]);
+  };
+
+  const handleClose = () => {
+    Alert.alert(
+      'Close Order',
+      `Stop waiting for the rest of ${order.number}? Items still to come will be suggested again.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Close Order', onPress: () => run('Cannot Close', () => closeOrder(order.id)) },
+      ]
+    );
+  };
+
+  // ── Export Handler ───────────────────────────────────────────
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const fileUri = `${FileSystem.cacheDirectory}purchase-order-${order.number}.csv`;
+      await FileSystem.writeAsStringAsync(fileUri, exportOrderCsv(order));
+      await Sharing.shareAsync(fileUri, {
+        mimeType: 'text/csv',
+        UTI: 'public.comma-separated-values-text',
+        dialogTitle: `Export ${order.number}`,
+      });
+    } catch (error) {
+      console.error('[Order] Failed to export order:', error);
+      Alert.alert('Export Failed', error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <>
+      <Stack.Screen
+        options={{
+          title: order.number,
+          headerRight: () =>
+            order.lines.length > 0 && (
+              <TouchableOpacity onPress={handleExport} disabled={isExporting} hitSlop={8}>
+                <Share2 size={20} color={isExporting ? '#A0AEC0' : '#234E52'} />
+              </TouchableOpacity>
+            ),
+        }}
+      />
+      <ScrollView
+        style={styles.container}
+        contentContainerStyle={styles.content}
+        keyboardShouldPersistTaps="handled"
+      >
+        <View style={styles.panel}>
+          <Text style={styles.title}>{order.supplierName || 'No supplier'}</Text>
+          <Text style={styles.meta}>
+            {ORDER_STATUSES[order.status]} · drafted{' '}
+            {format(new Date(order.createdAt), 'dd MMM yyyy')}
+            {order.createdBy ? ` by ${order.createdBy}` : ''}
+          </Text>
+          {!!order.orderedAt && (
+            <Text style={styles.meta}>
+              Ordered {format(new Date(order.orderedAt), 'dd MMM yyyy')}
+            </Text>
+          )}
+          {!!order.closedAt && (
+            <Text style={styles.meta}>
+              Closed {format(new Date(order.closedAt), 'dd MMM yyyy')}
+            </Text>
+          )}
+        </View>
+
+        {isDraft && canEdit && (
+          <>
+            <Text style={styles.sectionLabel}>SUPPLIER</Text>
+            <View style={styles.chipRow}>
+              {[{ id: null, name: 'None' }, ...suppliers].map((s) => (
+                <TouchableOpacity
+                  key={s.id || 'none'}
+                  style={[styles.chip, order.supplierId === s.id && styles.chipActive]}
+                  onPress={() =>
+                    run('Cannot Change Order', () => updateOrder(order.id, { supplierId: s.id }))
+                  }
+                  activeOpacity={0.8}
+                >
+                  <Text
+                    style={[styles.chipText, order.supplierId === s.id && styles.chipTextActive]}
+                  >
+                    {s.name}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </>
+        )}
+
+        <Text style={[styles.sectionLabel, styles.spaced]}>ITEMS</Text>
+        {order.lines.map((line) =>
+          isDraft && canEdit ? (
+            <DraftLine
+              key={line.id}
+              line={line}
+              onChange={(quantity) => changeLine(line.id, quantity)}
+              onRemove={() => removeLine(line.id)}
+            />
+          ) : (
+            <SentLine key={line.id} line={line} />
+          )
+        )}
+        {order.lines.length === 0 && <Text style={styles.meta}>No items on this order.</Text>}
+
+        <View style={styles.totalRow}>
+          <Text style={styles.totalLabel}>Estimated total</Text>
+          <Text style={styles.totalValue}>{formatMoney(getOrderTotal(order))}</Text>
+        </View>
+        <Text style={styles.hint}>Estimated at the cost of each item's last delivery.</Text>
+
+        {deliveries.length > 0 && (
+          <>
+            <Text style={[styles.sectionLabel, styles.spaced]}>DELIVERIES</Text>
+            {deliveries.map((receipt) => (
+              <TouchableOpacity
+                key={receipt.id}
+                style={styles.line}
+                onPress={() => router.push(`/receipts/${receipt.id}`)}
+                activeOpacity={0.8}
+              >
+                <View style={styles.lineBody}>
+                  <Text style={styles.lineName}>
+                    {format(new Date(receipt.receivedAt), 'dd MMM yyyy, HH:mm')}
+                  </Text>
+                  <Text style={styles.meta}>
+                    {receipt.lines.length} item{receipt.lines.length !== 1 ? 's' : ''}
+                    {receipt.invoiceNumber ? ` · Invoice ${receipt.invoiceNumber}` : ''}
+                  </Text>
+                </View>
+                <ChevronRight size={18} color="#CBD5E0" />
+              </TouchableOpacity>
+            ))}
+          </>
+        )}
+
+        {canEdit && isDraft && (
+          <>
+            <TouchableOpacity
+              style={[styles.submitBtn, order.lines.length === 0 && styles.submitBtnDisabled]}
+              onPress={handleMarkOrdered}
+              disabled={order.lines.length === 0}
+              activeOpacity={0.8}
+            >
+              <Send size={18} color="#FFF" />
+              <Text style={styles.submitBtnText}>Mark as Ordered</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.secondaryBtn} onPress={handleDelete}>
+              <Text style={styles.deleteText}>Delete Draft</Text>
+            </TouchableOpacity>
+          </>
+        )}
+
+        {canEdit && order.status === 'ordered' && (
+          <>
+            <TouchableOpacity
+              style={styles.submitBtn}
+              onPress={() =>
+                router.push({ pathname: '/receipts/new', params: { orderId: order.id } })
+              }
+              activeOpacity={0.8}
+            >
+              <PackageCheck size={18} color="#FFF" />
+              <Text style={styles.submitBtnText}>Receive Delivery</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.secondaryBtn} onPress={handleClose}>
+              <Text style={styles.secondaryText}>Close Order</Text>
+            </TouchableOpacity>
+          </>
+        )}
+      </ScrollView>
+    </>
+  );
+}
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F7FAFC',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  panel: {
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 20,
+    gap: 4,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '800',
+    color: '#1A202C',
+  },
+  sectionLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#A0AEC0',
+    letterSpacing: 1,
+    marginBottom: 10,
+  },
+  spaced: {
+    marginTop: 20,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    borderRadius: 20,
+    paddingHorizontal: 12,
+    paddingVertical: 7,
+    backgroundColor: '#FFFFFF',
+  },
+  chipActive: {
+    borderColor: '#319795',
+    backgroundColor: '#E6FFFA',
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4A5568',
+  },
+  chipTextActive: {
+    color: '#234E52',
+  },
+  line: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 8,
+    gap: 10,
+  },
+  lineBody: {
+    flex: 1,
+    gap: 3,
+  },
+  lineName: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#1A202C',
+  },
+  lineState: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#DD6B20',
+  },
+  lineStateDone: {
+    color: '#38A169',
+  },
+  meta: {
+    fontSize: 12,
+    color: '#718096',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#A0AEC0',
+  },
+  qtyInput: {
+    width: 56,
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    borderRadius: 8,
+    paddingVertical: 6,
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#1A202C',
+    textAlign: 'center',
+    backgroundColor: '#F7FAFC',
+  },
+  qtyUnit: {
+    fontSize: 12,
+    color: '#718096',
+  },
+  totalRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 16,
+    marginBottom: 4,
+  },
+  totalLabel: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#4A5568',
+  },
+  totalValue: {
+    fontSize: 17,
+    fontWeight: '800',
+    color: '#1A202C',
+  },
+  submitBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#319795',
+    borderRadius: 12,
+    paddingVertical: 15,
+    marginTop: 24,
+    gap: 8,
+  },
+  submitBtnDisabled: {
+    backgroundColor: '#A0AEC0',
+  },
+  submitBtnText: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#FFFFFF',
+    letterSpacing: 0.3,
+  },
+  secondaryBtn: {
+    alignItems: 'center',
+    paddingVertical: 14,
+    marginTop: 4,
+  },
+  secondaryText: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#4A5568',
+  },
+  deleteText: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#E53E3E',
+  },
+});
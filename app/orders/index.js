@@ -0,0 +1,156 @@
+// app/orders/index.js
+// ─────────────────────────────────────────────────────────────
+// Purchase orders: drafts waiting to be sent, orders waiting on a
+// delivery, then closed orders. New drafts come from the reorder
+// suggestions, which the header button opens.
+// ─────────────────────────────────────────────────────────────
+
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, FlatList } from 'react-native';
+import { Stack, useRouter } from 'expo-router';
+import { format } from 'date-fns';
+import { ClipboardList, ChevronRight } from 'lucide-react-native';
+import { usePurchasing } from '../../context/purchasing-context';
+import { ORDER_STATUSES, getOpenLines, getOrderTotal } from '../../utils/purchasing';
+import { formatMoney } from '../../utils/valuation';
+
+// Colours of each status pill
+const STATUS_COLORS = {
+  draft: '#718096',
+  ordered: '#DD6B20',
+  closed: '#38A169',
+};
+
+// Drafts first, then orders still open, then closed ones
+const STATUS_ORDER = ['draft', 'ordered', 'closed'];
+
+// ── Order Row Component ─────────────────────────────────────────
+const OrderRow = ({ order, onPress }) => {
+  const color = STATUS_COLORS[order.status];
+  const openCount = getOpenLines(order).length;
+  return (
+    <TouchableOpacity style={styles.row} onPress={onPress} activeOpacity={0.8}>
+      <View style={styles.rowBody}>
+        <Text style={styles.rowTitle}>
+          {order.number} · {order.supplierName || 'No supplier'}
+        </Text>
+        <Text style={styles.rowMeta}>
+          {format(new Date(order.orderedAt || order.createdAt), 'dd MMM yyyy')} ·{' '}
+          {order.lines.length} item{order.lines.length !== 1 ? 's' : ''} · est.{' '}
+          {formatMoney(getOrderTotal(order))}
+        </Text>
+        {order.status === 'ordered' && (
+          <Text style={styles.rowMeta}>
+            {openCount} line{openCount !== 1 ? 's' : ''} still to arrive
+          </Text>
+        )}
+      </View>
+      <View style={[styles.statusPill, { borderColor: color }]}>
+        <Text style={[styles.statusText, { color }]}>{ORDER_STATUSES[order.status]}</Text>
+      </View>
+      <ChevronRight size={18} color="#CBD5E0" />
+    </TouchableOpacity>
+  );
+};
+
+// ── Purchase Orders Screen ──────────────────────────────────────
+export default function OrdersScreen() {
+  const router = useRouter();
+  const { orders } = usePurchasing();
+  const sorted = [...orders].sort(
+    (a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status)
+  );
+
+  return (
+    <>
+      <Stack.Screen
+        options={{
+          headerRight: () => (
+            <TouchableOpacity onPress={() => router.push('/reorder')} hitSlop={8}>
+              <Text style={styles.headerLink}>Reorder</Text>
+            </TouchableOpacity>
+          ),
+        }}
+      />
+      <FlatList
+        style={styles.container}
+        contentContainerStyle={styles.content}
+        data={sorted}
+        keyExtractor={(order) => order.id}
+        ListEmptyComponent={
+          <View style={styles.empty}>
+            <ClipboardList size={40} color="#CBD5E0" strokeWidth={1.5} />
+            <Text style={styles.emptyText}>
+              Draft orders made from the reorder suggestions will be listed here.
+            </Text>
+          </View>
+        }
+        renderItem={({ item }) => (
+          <OrderRow order={item} onPress={() => router.push(`/orders/${item.id}`)} />
+        )}
+      />
+    </>
+  );
+}
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F7FAFC',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 8,
+    gap: 12,
+  },
+  rowBody: {
+    flex: 1,
+    gap: 3,
+  },
+  rowTitle: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#1A202C',
+  },
+  rowMeta: {
+    fontSize: 12,
+    color: '#718096',
+  },
+  statusPill: {
+    borderWidth: 1.5,
+    borderRadius: 10,
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+  },
+  statusText: {
+    fontSize: 11,
+    fontWeight: '800',
+  },
+  headerLink: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#319795',
+  },
+  empty: {
+    alignItems: 'center',
+    paddingVertical: 32,
+    paddingHorizontal: 24,
+    gap: 10,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#A0AEC0',
+    textAlign: 'center',
+  },
+});
@@ -0,0 +1,193 @@
+// app/receipts/[id].js
+// ─────────────────────────────────────────────────────────────
+// One goods-received note: supplier, invoice, who booked it in and
+// every line with its lot, expiry, quantity and cost. Read-only;
+// tap a line to open its drug.
+// ─────────────────────────────────────────────────────────────
+
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView } from 'react-native';
+import { Stack, useLocalSearchParams, useRouter } from 'expo-router';
+import { format } from 'date-fns';
+import { ChevronRight } from 'lucide-react-native';
+import { useInventory } from '../../context/inventory-context';
+import { useSettings } from '../../context/settings-context';
+import { usePurchasing } from '../../context/purchasing-context';
+import { getLineTotal, getReceiptTotal } from '../../utils/purchasing';
+import { formatMoney } from '../../utils/valuation';
+import { formatUnits, getBaseUnit } from '../../utils/drug-metadata';
+import { getLocationName } from '../../utils/locations';
+
+// ── Receipt Line Component ──────────────────────────────────────
+const LineRow = ({ line, drug, locationName, onPress }) => (
+  <TouchableOpacity style={styles.line} onPress={onPress} disabled={!drug} activeOpacity={0.8}>
+    <View style={styles.rowBody}>
+      <Text style={styles.lineName}>{line.drugName}</Text>
+      <Text style={styles.meta}>
+        {line.lotNumber ? `Lot ${line.lotNumber} · ` : ''}
+        Exp {format(new Date(line.expiryDate), 'dd MMM yyyy')}
+        {locationName ? ` · ${locationName}` : ''}
+      </Text>
+      <Text style={styles.meta}>
+        {drug ? formatUnits(line.quantity, getBaseUnit(drug)) : line.quantity}
+        {line.unitCost != null ? ` × ${formatMoney(line.unitCost)}` : ''}
+      </Text>
+    </View>
+    <Text style={styles.lineTotal}>{formatMoney(getLineTotal(line))}</Text>
+    {drug && <ChevronRight size={18} color="#CBD5E0" />}
+  </TouchableOpacity>
+);
+
+// ── Goods-Received Note Screen ──────────────────────────────────
+export default function ReceiptScreen() {
+  const { id } = useLocalSearchParams();
+  const router = useRouter();
+  const { inventory } = useInventory();
+  const { settings } = useSettings();
+  const { receipts } = usePurchasing();
+  const receipt = receipts.find((r) => r.id === id);
+
+  if (!receipt) {
+    return (
+      <View style={styles.container}>
+        <Text style={[styles.meta, styles.content]}>This delivery is no longer on record.</Text>
+      </View>
+    );
+  }
+
+  const showLocations = settings.locations.length > 1;
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Stack.Screen options={{ title: receipt.supplierName || 'Goods Received' }} />
+
+      <View style={styles.panel}>
+        <Text style={styles.title}>{receipt.supplierName || 'No supplier'}</Text>
+        <Text style={styles.meta}>
+          Received {format(new Date(receipt.receivedAt), 'dd MMM yyyy, HH:mm')}
+          {receipt.receivedBy ? ` by ${receipt.receivedBy}` : ''}
+        </Text>
+        {!!receipt.invoiceNumber && (
+          <Text style={styles.meta}>Invoice {receipt.invoiceNumber}</Text>
+        )}
+        {!!receipt.orderId && (
+          <TouchableOpacity onPress={() => router.push(`/orders/${receipt.orderId}`)} hitSlop={8}>
+            <Text style={styles.link}>Against order {receipt.orderNumber}</Text>
+          </TouchableOpacity>
+        )}
+        {!!receipt.note && <Text style={styles.note}>{receipt.note}</Text>}
+      </View>
+
+      <Text style={styles.sectionLabel}>ITEMS</Text>
+      {receipt.lines.map((line) => {
+        const drug = inventory.find((d) => d.id === line.drugId) || null;
+        return (
+          <LineRow
+            key={line.lotId}
+            line={line}
+            drug={drug}
+            locationName={
+              showLocations ? getLocationName(settings.locations, line.locationId) : null
+            }
+            onPress={() => router.push(`/drug/${line.drugId}`)}
+          />
+        );
+      })}
+
+      <View style={styles.totalRow}>
+        <Text style={styles.totalLabel}>Total</Text>
+        <Text style={styles.totalValue}>{formatMoney(getReceiptTotal(receipt))}</Text>
+      </View>
+    </ScrollView>
+  );
+}
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F7FAFC',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  panel: {
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 20,
+    gap: 4,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '800',
+    color: '#1A202C',
+  },
+  sectionLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#A0AEC0',
+    letterSpacing: 1,
+    marginBottom: 10,
+  },
+  line: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 8,
+    gap: 12,
+  },
+  rowBody: {
+    flex: 1,
+    gap: 3,
+  },
+  lineName: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#1A202C',
+  },
+  lineTotal: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#234E52',
+  },
+  meta: {
+    fontSize: 12,
+    color: '#718096',
+  },
+  link: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: '#319795',
+  },
+  note: {
+    fontSize: 13,
+    color: '#4A5568',
+    fontStyle: 'italic',
+    marginTop: 4,
+  },
+  totalRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 14,
+    paddingTop: 8,
+  },
+  totalLabel: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#4A5568',
+  },
+  totalValue: {
+    fontSize: 17,
+    fontWeight: '800',
+    color: '#1A202C',
+  },
+});
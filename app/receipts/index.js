@@ -0,0 +1,126 @@
+// app/receipts/index.js
+// ─────────────────────────────────────────────────────────────
+// Goods received: every delivery booked in, newest first, with its
+// supplier, invoice and cost. The header button starts a new
+// goods-received note for users who may add stock.
+// ─────────────────────────────────────────────────────────────
+
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, FlatList } from 'react-native';
+import { Stack, useRouter } from 'expo-router';
+import { format } from 'date-fns';
+import { Truck, ChevronRight } from 'lucide-react-native';
+import { useAuth } from '../../context/auth-context';
+import { usePurchasing } from '../../context/purchasing-context';
+import { getReceiptTotal } from '../../utils/purchasing';
+import { formatMoney } from '../../utils/valuation';
+
+// ── Receipt Row Component ───────────────────────────────────────
+const ReceiptRow = ({ receipt, onPress }) => (
+  <TouchableOpacity style={styles.row} onPress={onPress} activeOpacity={0.8}>
+    <View style={styles.rowBody}>
+      <Text style={styles.rowTitle}>{receipt.supplierName || 'No supplier'}</Text>
+      <Text style={styles.rowMeta}>
+        {format(new Date(receipt.receivedAt), 'dd MMM yyyy, HH:mm')}
+        {receipt.invoiceNumber ? ` · Invoice ${receipt.invoiceNumber}` : ''}
+      </Text>
+      <Text style={styles.rowMeta}>
+        {receipt.lines.length} item{receipt.lines.length !== 1 ? 's' : ''} ·{' '}
+        {formatMoney(getReceiptTotal(receipt))}
+      </Text>
+    </View>
+    <ChevronRight size={18} color="#CBD5E0" />
+  </TouchableOpacity>
+);
+
+// ── Goods Received Screen ───────────────────────────────────────
+export default function ReceiptsScreen() {
+  const router = useRouter();
+  const { can } = useAuth();
+  const { receipts } = usePurchasing();
+
+  return (
+    <>
+      <Stack.Screen
+        options={{
+          headerRight: can('add')
+            ? () => (
+                <TouchableOpacity onPress={() => router.push('/receipts/new')} hitSlop={8}>
+                  <Text style={styles.addText}>Receive</Text>
+                </TouchableOpacity>
+              )
+            : undefined,
+        }}
+      />
+      <FlatList
+        style={styles.container}
+        contentContainerStyle={styles.content}
+        data={receipts}
+        keyExtractor={(receipt) => receipt.id}
+        ListEmptyComponent={
+          <View style={styles.empty}>
+            <Truck size={40} color="#CBD5E0" strokeWidth={1.5} />
+            <Text style={styles.emptyText}>
+              Deliveries booked in with a goods-received note will be listed here.
+            </Text>
+          </View>
+        }
+        renderItem={({ item }) => (
+          <ReceiptRow receipt={item} onPress={() => router.push(`/receipts/${item.id}`)} />
+        )}
+      />
+    </>
+  );
+}
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F7FAFC',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 8,
+    gap: 12,
+  },
+  rowBody: {
+    flex: 1,
+    gap: 3,
+  },
+  rowTitle: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#1A202C',
+  },
+  rowMeta: {
+    fontSize: 12,
+    color: '#718096',
+  },
+  addText: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#319795',
+  },
+  empty: {
+    alignItems: 'center',
+    paddingVertical: 32,
+    paddingHorizontal: 24,
+    gap: 10,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#A0AEC0',
+    textAlign: 'center',
+  },
+});
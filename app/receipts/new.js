@@ -0,0 +1,395 @@
+// app/receipts/new.js
+// ─────────────────────────────────────────────────────────────
+// A new goods-received note: pick the supplier, enter the invoice
+// number, then add a line per item delivered (see
+// receipt-line-sheet.js). "Receive" books every line into stock in
+// one go, with its cost, and opens the saved note. Opened for a
+// purchase order (`?orderId=`), the note starts from the order's
+// supplier and open lines; each still needs its lot and expiry, and
+// lines that did not arrive can be removed — they stay open.
+// ─────────────────────────────────────────────────────────────
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  TextInput,
+  Alert,
+} from 'react-native';
+import { Stack, useLocalSearchParams, useRouter } from 'expo-router';
+import { CheckCircle, Plus, X } from 'lucide-react-native';
+import { useAuth } from '../../context/auth-context';
+import { useInventory } from '../../context/inventory-context';
+import { useFormulary } from '../../context/formulary-context';
+import { usePurchasing } from '../../context/purchasing-context';
+import { formatUnits, toBaseUnits } from '../../utils/drug-metadata';
+import {
+  getOpenLines,
+  getOpenQuantity,
+  parseCost,
+  validateReceiptLine,
+} from '../../utils/purchasing';
+import { formatMoney } from '../../utils/valuation';
+import { DEFAULT_LOCATION_ID } from '../../utils/locations';
+import ReceiptLineSheet, { fromDrug, fromName } from '../../components/receipt-line-sheet';
+
+// ── Helper: Unique key for a line while the note is open ───────
+const createLineKey = () => `line_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+
+// ── Helper: What a line costs, as entered ──────────────────────
+const getEnteredTotal = (line) => parseInt(line.quantity, 10) * (parseCost(line.unitCost) || 0);
+
+// ── Helper: "3 packs (90 tablets)" or "40 tablets" ─────────────
+const describeQuantity = ({ product, quantity, inPacks }) => {
+  const count = parseInt(quantity, 10);
+  const units = formatUnits(
+    toBaseUnits(count, { inPacks, packSize: product.packSize }),
+    product.baseUnit
+  );
+  return inPacks ? `${count} pack${count !== 1 ? 's' : ''} (${units})` : units;
+};
+
+// ── Helper: Is a line ready to receive? ────────────────────────
+const isLineComplete = (line) => Object.keys(validateReceiptLine(line)).length === 0;
+
+// ── Helper: A form line for what is still to come on an order ──
+// Whole packs are entered as packs, at the last known cost.
+const fromOrderLine = (orderLine, drug, entry) => {
+  const product = drug ? fromDrug(drug, entry) : fromName(orderLine.drugName);
+  const open = getOpenQuantity(orderLine);
+  const inPacks = product.packSize > 1 && open % product.packSize === 0;
+  const cost =
+    orderLine.unitCost == null ? null : orderLine.unitCost * (inPacks ? product.packSize : 1);
+  return {
+    key: createLineKey(),
+    orderLineId: orderLine.id,
+    product,
+    quantity: String(inPacks ? open / product.packSize : open),
+    inPacks,
+    lotNumber: '',
+    expiryDate: '',
+    unitCost: cost == null ? '' : String(Math.round(cost * 10000) / 10000),
+    locationId: DEFAULT_LOCATION_ID,
+  };
+};
+
+// ── Helper: The receiveDelivery line for a form line ───────────
+const toDeliveryLine = ({ product, key, ...line }) => ({ ...product.fields, ...line });
+
+// ── New Goods-Received Note Screen ──────────────────────────────
+export default function NewReceiptScreen() {
+  const router = useRouter();
+  const { orderId } = useLocalSearchParams();
+  const { can } = useAuth();
+  const { inventory } = useInventory();
+  const { getEntry } = useFormulary();
+  const { suppliers, orders, receiveDelivery } = usePurchasing();
+  const order = orderId ? orders.find((o) => o.id === orderId) || null : null;
+  const [supplierId, setSupplierId] = useState(order ? order.supplierId : null);
+  const [invoiceNumber, setInvoiceNumber] = useState('');
+  const [note, setNote] = useState('');
+  const [lines, setLines] = useState(() =>
+    order
+      ? getOpenLines(order).map((orderLine) => {
+          const drug = inventory.find((d) => d.id === orderLine.drugId);
+          return fromOrderLine(orderLine, drug, drug ? getEntry(drug.formularyId) : null);
+        })
+      : []
+  );
+  // undefined: sheet closed · null: adding · line: editing
+  const [editing, setEditing] = useState(undefined);
+
+  if (!can('add')) {
+    return (
+      <View style={styles.container}>
+        <Text style={[styles.hint, styles.content]}>Your role does not allow receiving stock.</Text>
+      </View>
+    );
+  }
+
+  const saveLine = (line) => {
+    setLines((prev) =>
+      editing
+        ? prev.map((l) => (l.key === editing.key ? { ...line, key: l.key } : l))
+        : [...prev, { ...line, key: createLineKey() }]
+    );
+    setEditing(undefined);
+  };
+
+  const removeLine = (key) => setLines((prev) => prev.filter((l) => l.key !== key));
+
+  const total = lines.reduce((sum, line) => sum + getEnteredTotal(line), 0);
+  const isReady = lines.length > 0 && lines.every(isLineComplete);
+
+  const handleReceive = () => {
+    try {
+      const id = receiveDelivery({
+        supplierId,
+        invoiceNumber,
+        note,
+        orderId: order ? order.id : null,
+        lines: lines.map(toDeliveryLine),
+      });
+      router.replace(`/receipts/${id}`);
+    } catch (error) {
+      Alert.alert('Cannot Receive', error.message.replace(/^\[\w+\]\s*/, ''));
+    }
+  };
+
+  return (
+    <>
+      {order && <Stack.Screen options={{ title: `Receive ${order.number}` }} />}
+      <ScrollView
+        style={styles.container}
+        contentContainerStyle={styles.content}
+        keyboardShouldPersistTaps="handled"
+      >
+        <Text style={styles.sectionLabel}>SUPPLIER</Text>
+        <View style={styles.chipRow}>
+          {[{ id: null, name: 'None' }, ...suppliers].map((s) => (
+            <TouchableOpacity
+              key={s.id || 'none'}
+              style={[styles.chip, supplierId === s.id && styles.chipActive]}
+              onPress={() => setSupplierId(s.id)}
+              activeOpacity={0.8}
+            >
+              <Text style={[styles.chipText, supplierId === s.id && styles.chipTextActive]}>
+                {s.name}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        {suppliers.length === 0 && (
+          <Text style={styles.hint}>Suppliers are added under Settings → Suppliers.</Text>
+        )}
+
+        <Text style={[styles.sectionLabel, styles.spaced]}>INVOICE NUMBER (OPTIONAL)</Text>
+        <TextInput
+          style={styles.input}
+          value={invoiceNumber}
+          onChangeText={setInvoiceNumber}
+          placeholder="e.g., INV-20418"
+          placeholderTextColor="#A0AEC0"
+          autoCapitalize="characters"
+        />
+
+        <Text style={[styles.sectionLabel, styles.spaced]}>ITEMS</Text>
+        {lines.map((line) => (
+          <TouchableOpacity
+            key={line.key}
+            style={styles.line}
+            onPress={() => setEditing(line)}
+            activeOpacity={0.8}
+          >
+            <View style={styles.lineBody}>
+              <Text style={styles.lineName}>{line.product.label}</Text>
+              <Text style={styles.meta}>
+                {describeQuantity(line)} at {formatMoney(parseCost(line.unitCost))}
+                {line.inPacks ? ' a pack' : ''}
+              </Text>
+              {isLineComplete(line) ? (
+                <Text style={styles.meta}>
+                  {line.lotNumber ? `Lot ${line.lotNumber} · ` : ''}Exp {line.expiryDate}
+                </Text>
+              ) : (
+                <Text style={styles.incomplete}>Tap to enter the lot and expiry</Text>
+              )}
+            </View>
+            <Text style={styles.lineTotal}>{formatMoney(getEnteredTotal(line))}</Text>
+            <TouchableOpacity onPress={() => removeLine(line.key)} hitSlop={8}>
+              <X size={18} color="#A0AEC0" />
+            </TouchableOpacity>
+          </TouchableOpacity>
+        ))}
+
+        <TouchableOpacity style={styles.addLineBtn} onPress={() => setEditing(null)}>
+          <Plus size={16} color="#319795" />
+          <Text style={styles.addLineText}>Add item</Text>
+        </TouchableOpacity>
+
+        <Text style={[styles.sectionLabel, styles.spaced]}>NOTE (OPTIONAL)</Text>
+        <TextInput
+          style={styles.input}
+          value={note}
+          onChangeText={setNote}
+          placeholder="e.g., One carton damaged, refused"
+          placeholderTextColor="#A0AEC0"
+        />
+
+        <View style={styles.totalRow}>
+          <Text style={styles.totalLabel}>Total</Text>
+          <Text style={styles.totalValue}>{formatMoney(total)}</Text>
+        </View>
+
+        <TouchableOpacity
+          style={[styles.submitBtn, !isReady && styles.submitBtnDisabled]}
+          onPress={handleReceive}
+          disabled={!isReady}
+          activeOpacity={0.8}
+        >
+          <CheckCircle size={18} color="#FFF" />
+          <Text style={styles.submitBtnText}>
+            Receive {lines.length} item{lines.length !== 1 ? 's' : ''}
+          </Text>
+        </TouchableOpacity>
+      </ScrollView>
+
+      <ReceiptLineSheet
+        line={editing || null}
+        visible={editing !== undefined}
+        onSave={saveLine}
+        onClose={() => setEditing(undefined)}
+      />
+    </>
+  );
+}
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F7FAFC',
+  },
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  sectionLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#A0AEC0',
+    letterSpacing: 1,
+    marginBottom: 10,
+  },
+  spaced: {
+    marginTop: 24,
+  },
+  hint: {
+    fontSize: 13,
+    color: '#718096',
+    marginTop: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    borderRadius: 20,
+    paddingHorizontal: 12,
+    paddingVertical: 7,
+    backgroundColor: '#FFFFFF',
+  },
+  chipActive: {
+    borderColor: '#319795',
+    backgroundColor: '#E6FFFA',
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4A5568',
+  },
+  chipTextActive: {
+    color: '#234E52',
+  },
+  input: {
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    borderRadius: 10,
+    paddingHorizontal: 14,
+    paddingVertical: 13,
+    fontSize: 15,
+    color: '#1A202C',
+    backgroundColor: '#FFFFFF',
+  },
+  line: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 8,
+    gap: 12,
+  },
+  lineBody: {
+    flex: 1,
+    gap: 3,
+  },
+  lineName: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#1A202C',
+  },
+  lineTotal: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#234E52',
+  },
+  meta: {
+    fontSize: 12,
+    color: '#718096',
+  },
+  incomplete: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#DD6B20',
+  },
+  addLineBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1.5,
+    borderColor: '#319795',
+    borderStyle: 'dashed',
+    borderRadius: 12,
+    paddingVertical: 12,
+    gap: 6,
+  },
+  addLineText: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#319795',
+  },
+  totalRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 24,
+    marginBottom: 16,
+  },
+  totalLabel: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#4A5568',
+  },
+  totalValue: {
+    fontSize: 17,
+    fontWeight: '800',
+    color: '#1A202C',
+  },
+  submitBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#319795',
+    borderRadius: 12,
+    paddingVertical: 15,
+    gap: 8,
+  },
+  submitBtnDisabled: {
+    backgroundColor: '#A0AEC0',
+  },
+  submitBtnText: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#FFFFFF',
+    letterSpacing: 0.3,
+  },
+});
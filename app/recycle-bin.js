@@ -0,0 +1,190 @@
+// app/recycle-bin.js
+// ─────────────────────────────────────────────────────────────
+// Drugs that have been deleted, newest first. Each can be put
+// back in the inventory with its stock, or purged for good.
+// Anything left longer than the retention period in Settings is
+// purged automatically (see utils/recycle-bin.js).
+// ─────────────────────────────────────────────────────────────
+
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, FlatList, Alert } from 'react-native';
+import { Stack } from 'expo-router';
+import { format } from 'date-fns';
+import { RotateCcw, Trash2 } from 'lucide-react-native';
+import { useInventory } from '../context/inventory-context';
+import { useSettings } from '../context/settings-context';
+import { getDaysUntilPurge } from '../utils/recycle-bin';
+
+// ── Bin Row Component ───────────────────────────────────────────
+const BinRow = ({ entry, retentionDays, onRestore, onPurge }) => {
+  const daysLeft = getDaysUntilPurge(entry, retentionDays);
+  return (
+    <View style={styles.row}>
+      <View style={styles.rowBody}>
+        <Text style={styles.drugName} numberOfLines={1}>
+          {entry.drug.name}
+        </Text>
+        <Text style={styles.meta}>
+          {entry.drug.quantity} unit{entry.drug.quantity !== 1 ? 's' : ''} ·{' '}
+          {entry.drug.lots.length} lot{entry.drug.lots.length !== 1 ? 's' : ''} · Deleted{' '}
+          {format(new Date(entry.deletedAt), 'dd MMM yyyy, HH:mm')}
+          {entry.deletedBy ? ` by ${entry.deletedBy}` : ''}
+        </Text>
+        <Text style={styles.purgeHint}>
+          {daysLeft === 0 ? 'Purged today' : `Purged in ${daysLeft}d`}
+        </Text>
+      </View>
+      <TouchableOpacity style={styles.restoreBtn} onPress={onRestore} activeOpacity={0.8}>
+        <RotateCcw size={14} color="#FFFFFF" />
+        <Text style={styles.restoreBtnText}>Restore</Text>
+      </TouchableOpacity>
+      <TouchableOpacity onPress={onPurge} hitSlop={8}>
+        <Trash2 size={18} color="#E53E3E" />
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+// ── Recycle Bin Screen ──────────────────────────────────────────
+export default function RecycleBinScreen() {
+  const { recycleBin, restoreDrug, purgeDrug } = useInventory();
+  const { settings } = useSettings();
+
+  const confirmPurge = (entry) => {
+    Alert.alert(
+      'Delete Permanently',
+      `"${entry.drug.name}" will be gone for good. Its history stays in the ledger.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: () => purgeDrug(entry.drug.id) },
+      ]
+    );
+  };
+
+  const confirmEmpty = () => {
+    Alert.alert(
+      'Empty Recycle Bin',
+      `Permanently delete ${recycleBin.length} drug${recycleBin.length !== 1 ? 's' : ''}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Empty', style: 'destructive', onPress: () => purgeDrug() },
+      ]
+    );
+  };
+
+  return (
+    <>
+      <Stack.Screen
+        options={{
+          headerRight: () =>
+            recycleBin.length > 0 ? (
+              <TouchableOpacity onPress={confirmEmpty} hitSlop={8}>
+                <Text style={styles.emptyBinText}>Empty</Text>
+              </TouchableOpacity>
+            ) : null,
+        }}
+      />
+      <FlatList
+        style={styles.container}
+        contentContainerStyle={styles.content}
+        data={recycleBin}
+        keyExtractor={(entry) => entry.drug.id}
+        ListHeaderComponent={
+          <Text style={styles.intro}>
+            Deleted drugs are kept for {settings.recycleBinDays} days. Restoring one puts its
+            lots back with the stock they had when deleted.
+          </Text>
+        }
+        renderItem={({ item }) => (
+          <BinRow
+            entry={item}
+            retentionDays={settings.recycleBinDays}
+            onRestore={() => restoreDrug(item.drug.id)}
+            onPurge={() => confirmPurge(item)}
+          />
+        )}
+        ListEmptyComponent={
+          <View style={styles.empty}>
+            <Trash2 size={48} color="#CBD5E0" strokeWidth={1.5} />
+            <Text style={styles.emptyText}>The recycle bin is empty.</Text>
+          </View>
+        }
+      />
+    </>
+  );
+}
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F7FAFC',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  intro: {
+    fontSize: 13,
+    color: '#718096',
+    lineHeight: 19,
+    marginBottom: 14,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 8,
+    gap: 12,
+  },
+  rowBody: {
+    flex: 1,
+    gap: 3,
+  },
+  drugName: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#1A202C',
+  },
+  meta: {
+    fontSize: 12,
+    color: '#718096',
+  },
+  purgeHint: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#DD6B20',
+  },
+  restoreBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#319795',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 7,
+    gap: 5,
+  },
+  restoreBtnText: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#FFFFFF',
+  },
+  emptyBinText: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#E53E3E',
+  },
+  empty: {
+    alignItems: 'center',
+    paddingVertical: 60,
+    gap: 12,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#A0AEC0',
+  },
+});
@@ -0,0 +1,234 @@
+// app/register/[id].js
+// ─────────────────────────────────────────────────────────────
+// One drug's controlled-drug register: the numbered entries with
+// their running balance, newest first, under a banner that flags
+// any discrepancy with the stock held. Read-only; the header button
+// exports the register as a CSV report. A deleted drug's register
+// stays readable here.
+// ─────────────────────────────────────────────────────────────
+
+import React, { useMemo, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, FlatList, Alert } from 'react-native';
+import { Stack, useLocalSearchParams } from 'expo-router';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { format } from 'date-fns';
+import { Share2, ShieldCheck, AlertTriangle } from 'lucide-react-native';
+import { useInventory } from '../../context/inventory-context';
+import { DISPENSE_REASONS } from '../../utils/ledger';
+import {
+  getDrugRegister,
+  checkRegister,
+  hasDiscrepancy,
+  describeCheck,
+  getEntryLabel,
+  exportRegisterCsv,
+} from '../../utils/cd-register';
+
+// ── Register Entry Component ────────────────────────────────────
+const EntryRow = ({ entry }) => {
+  const isIn = entry.quantity > 0;
+  return (
+    <View style={styles.entry}>
+      <Text style={styles.entryNumber}>{entry.number}</Text>
+      <View style={styles.entryBody}>
+        <View style={styles.entryTop}>
+          <Text style={styles.entryType}>{getEntryLabel(entry)}</Text>
+          <Text style={[styles.entryQuantity, { color: isIn ? '#38A169' : '#E53E3E' }]}>
+            {isIn ? '+' : ''}
+            {entry.quantity}
+          </Text>
+        </View>
+        <Text style={styles.meta}>
+          {format(new Date(entry.timestamp), 'dd MMM yyyy, HH:mm')}
+          {entry.lotNumber ? ` · Lot ${entry.lotNumber}` : ''}
+          {` · Balance ${entry.balance}`}
+        </Text>
+        {!!entry.reason && (
+          <Text style={styles.meta}>
+            {DISPENSE_REASONS[entry.reason] || entry.reason}
+            {entry.recipient ? ` · ${entry.recipient}` : ''}
+          </Text>
+        )}
+        {!!entry.userName && (
+          <Text style={styles.meta}>
+            By {entry.userName}
+            {entry.witnessName ? ` · Witness ${entry.witnessName}` : ''}
+          </Text>
+        )}
+        {!!entry.note && <Text style={styles.note}>{entry.note}</Text>}
+      </View>
+    </View>
+  );
+};
+
+// ── Drug Register Screen ────────────────────────────────────────
+export default function DrugRegisterScreen() {
+  const { id } = useLocalSearchParams();
+  const { inventory, cdRegister } = useInventory();
+  const [isExporting, setExporting] = useState(false);
+
+  const entries = useMemo(() => getDrugRegister(cdRegister, id), [cdRegister, id]);
+  const drug = inventory.find((d) => d.id === id) || null;
+  // A deleted drug holds no stock; its name lives on in the entries.
+  const subject = drug || {
+    name: entries.length > 0 ? entries[0].drugName : 'Unknown drug',
+    quantity: 0,
+  };
+  const check = checkRegister(entries, subject.quantity);
+  const isOff = hasDiscrepancy(check);
+
+  // ── Export Handler ───────────────────────────────────────────
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const slug = subject.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+      const fileUri = `${FileSystem.cacheDirectory}cd-register-${slug}-${format(
+        new Date(),
+        'yyyy-MM-dd'
+      )}.csv`;
+      await FileSystem.writeAsStringAsync(fileUri, exportRegisterCsv(subject, entries));
+      await Sharing.shareAsync(fileUri, {
+        mimeType: 'text/csv',
+        UTI: 'public.comma-separated-values-text',
+        dialogTitle: 'Export CD Register',
+      });
+    } catch (error) {
+      console.error('[Register] Failed to export register:', error);
+      Alert.alert('Export Failed', error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <>
+      <Stack.Screen
+        options={{
+          title: subject.name,
+          headerRight: () =>
+            entries.length > 0 && (
+              <TouchableOpacity onPress={handleExport} disabled={isExporting} hitSlop={8}>
+                <Share2 size={20} color={isExporting ? '#A0AEC0' : '#234E52'} />
+              </TouchableOpacity>
+            ),
+        }}
+      />
+      <FlatList
+        style={styles.container}
+        contentContainerStyle={styles.content}
+        data={[...entries].reverse()}
+        keyExtractor={(entry) => entry.id}
+        ListHeaderComponent={
+          <View style={[styles.banner, isOff && styles.bannerAlert]}>
+            {isOff ? (
+              <AlertTriangle size={20} color="#E53E3E" />
+            ) : (
+              <ShieldCheck size={20} color="#553C9A" />
+            )}
+            <View style={styles.bannerBody}>
+              <Text style={styles.bannerTitle}>
+                {isOff ? 'Register does not reconcile' : 'Register reconciles'}
+              </Text>
+              <Text style={styles.meta}>{describeCheck(check)}</Text>
+              {check.unwitnessed > 0 && (
+                <Text style={styles.meta}>
+                  {check.unwitnessed} outgoing entr{check.unwitnessed !== 1 ? 'ies' : 'y'} without
+                  a witness
+                </Text>
+              )}
+            </View>
+          </View>
+        }
+        renderItem={({ item }) => <EntryRow entry={item} />}
+        ListEmptyComponent={<Text style={styles.emptyText}>No register entries yet.</Text>}
+      />
+    </>
+  );
+}
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F7FAFC',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FAF5FF',
+    borderWidth: 1,
+    borderColor: '#D6BCFA',
+    borderRadius: 14,
+    padding: 14,
+    marginBottom: 16,
+    gap: 12,
+  },
+  bannerAlert: {
+    backgroundColor: '#FFF5F5',
+    borderColor: '#FC8181',
+  },
+  bannerBody: {
+    flex: 1,
+    gap: 2,
+  },
+  bannerTitle: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#1A202C',
+  },
+  entry: {
+    flexDirection: 'row',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    padding: 12,
+    marginBottom: 8,
+    gap: 12,
+  },
+  entryNumber: {
+    width: 32,
+    fontSize: 15,
+    fontWeight: '800',
+    color: '#553C9A',
+    textAlign: 'center',
+  },
+  entryBody: {
+    flex: 1,
+    gap: 2,
+  },
+  entryTop: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  entryType: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#1A202C',
+  },
+  entryQuantity: {
+    fontSize: 14,
+    fontWeight: '800',
+  },
+  meta: {
+    fontSize: 12,
+    color: '#718096',
+  },
+  note: {
+    fontSize: 12,
+    color: '#4A5568',
+    fontStyle: 'italic',
+    marginTop: 2,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#A0AEC0',
+    textAlign: 'center',
+    paddingVertical: 40,
+  },
+});
@@ -0,0 +1,162 @@
+// app/register/index.js
+// ─────────────────────────────────────────────────────────────
+// CD register home: every controlled drug with its register
+// balance checked against the stock held. Drugs whose register
+// does not reconcile are listed first.
+// ─────────────────────────────────────────────────────────────
+
+import React, { useMemo } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, FlatList } from 'react-native';
+import { useRouter } from 'expo-router';
+import { ShieldCheck, ChevronRight } from 'lucide-react-native';
+import { useInventory } from '../../context/inventory-context';
+import {
+  getDrugRegister,
+  checkRegister,
+  hasDiscrepancy,
+  describeCheck,
+} from '../../utils/cd-register';
+
+// ── Register Row Component ──────────────────────────────────────
+const RegisterRow = ({ row, onPress }) => {
+  const isOff = hasDiscrepancy(row.check);
+  return (
+    <TouchableOpacity style={styles.row} onPress={onPress} activeOpacity={0.8}>
+      <ShieldCheck size={20} color={isOff ? '#E53E3E' : '#553C9A'} />
+      <View style={styles.rowBody}>
+        <Text style={styles.drugName} numberOfLines={1}>
+          {row.drug.name}
+        </Text>
+        <Text style={styles.meta}>{describeCheck(row.check)}</Text>
+        <Text style={styles.meta}>
+          {row.entryCount} entr{row.entryCount !== 1 ? 'ies' : 'y'}
+          {row.check.unwitnessed > 0 ? ` · ${row.check.unwitnessed} unwitnessed` : ''}
+        </Text>
+      </View>
+      <View style={[styles.statusPill, isOff ? styles.statusOff : styles.statusOk]}>
+        <Text style={[styles.statusText, { color: isOff ? '#E53E3E' : '#38A169' }]}>
+          {isOff ? 'Check' : 'OK'}
+        </Text>
+      </View>
+      <ChevronRight size={18} color="#CBD5E0" />
+    </TouchableOpacity>
+  );
+};
+
+// ── Register Home Screen ────────────────────────────────────────
+export default function RegisterHomeScreen() {
+  const router = useRouter();
+  const { inventory, cdRegister } = useInventory();
+
+  const rows = useMemo(
+    () =>
+      inventory
+        .filter((drug) => drug.controlled)
+        .map((drug) => {
+          const entries = getDrugRegister(cdRegister, drug.id);
+          return { drug, entryCount: entries.length, check: checkRegister(entries, drug.quantity) };
+        })
+        .sort(
+          (a, b) =>
+            hasDiscrepancy(b.check) - hasDiscrepancy(a.check) ||
+            a.drug.name.localeCompare(b.drug.name)
+        ),
+    [inventory, cdRegister]
+  );
+
+  return (
+    <FlatList
+      style={styles.container}
+      contentContainerStyle={styles.content}
+      data={rows}
+      keyExtractor={(row) => row.drug.id}
+      ListHeaderComponent={
+        <Text style={styles.intro}>
+          Every stock change of a controlled drug is entered here with a running balance. Entries
+          cannot be edited; tap a drug to see or export its register.
+        </Text>
+      }
+      renderItem={({ item }) => (
+        <RegisterRow row={item} onPress={() => router.push(`/register/${item.drug.id}`)} />
+      )}
+      ListEmptyComponent={
+        <View style={styles.empty}>
+          <ShieldCheck size={48} color="#CBD5E0" strokeWidth={1.5} />
+          <Text style={styles.emptyText}>No controlled drugs yet.</Text>
+          <Text style={styles.emptyHint}>Flag a drug as controlled from its edit form.</Text>
+        </View>
+      }
+    />
+  );
+}
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F7FAFC',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  intro: {
+    fontSize: 13,
+    color: '#718096',
+    lineHeight: 19,
+    marginBottom: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    padding: 12,
+    marginBottom: 8,
+    gap: 12,
+  },
+  rowBody: {
+    flex: 1,
+    gap: 2,
+  },
+  drugName: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#1A202C',
+  },
+  meta: {
+    fontSize: 12,
+    color: '#718096',
+  },
+  statusPill: {
+    borderWidth: 1.5,
+    borderRadius: 10,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+  },
+  statusOk: {
+    borderColor: '#9AE6B4',
+  },
+  statusOff: {
+    borderColor: '#FC8181',
+  },
+  statusText: {
+    fontSize: 12,
+    fontWeight: '800',
+  },
+  empty: {
+    alignItems: 'center',
+    paddingVertical: 60,
+    gap: 10,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#A0AEC0',
+  },
+  emptyHint: {
+    fontSize: 12,
+    color: '#A0AEC0',
+  },
+});
@@ -0,0 +1,236 @@
+// app/reorder.js
+// ─────────────────────────────────────────────────────────────
+// Reorder suggestions: every drug below its reorder level with how
+// much to order to get back to its target stock (see
+// utils/reorder.js), grouped by the supplier that delivered it
+// last. Each group — or all of them at once — can be turned into
+// draft purchase orders, edited and sent from the Orders screen.
+// ─────────────────────────────────────────────────────────────
+
+import React, { useMemo } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView, Alert } from 'react-native';
+import { Stack, useRouter } from 'expo-router';
+import { ShoppingCart, FilePlus } from 'lucide-react-native';
+import { useInventory } from '../context/inventory-context';
+import { useSettings } from '../context/settings-context';
+import { useAuth } from '../context/auth-context';
+import { usePurchasing } from '../context/purchasing-context';
+import { getReorderSuggestions, groupBySupplier } from '../utils/reorder';
+import { formatOrderQuantity, getSupplierName } from '../utils/purchasing';
+import { formatDailyUse } from '../utils/consumption';
+import { formatUnits, getBaseUnit } from '../utils/drug-metadata';
+
+// ── Suggestion Row Component ────────────────────────────────────
+const SuggestionRow = ({ suggestion, forecast, onPress }) => {
+  const { drug, usableUnits, reorderLevel, targetStock, onOrder, suggestedUnits } = suggestion;
+  const unit = getBaseUnit(drug);
+  return (
+    <TouchableOpacity style={styles.row} onPress={onPress} activeOpacity={0.8}>
+      <View style={styles.rowBody}>
+        <Text style={styles.drugName} numberOfLines={1}>
+          {drug.name}
+        </Text>
+        <Text style={styles.meta}>
+          {formatUnits(usableUnits, unit)} in date · reorder below {reorderLevel}
+        </Text>
+        <Text style={styles.meta}>
+          {forecast && forecast.averageDailyUse != null
+            ? formatDailyUse(forecast.averageDailyUse)
+            : 'No recent use'}{' '}
+          · target {targetStock}
+          {onOrder > 0 ? ` · ${onOrder} on order` : ''}
+        </Text>
+      </View>
+      <Text style={[styles.suggested, suggestedUnits === 0 && styles.covered]}>
+        {suggestedUnits > 0 ? formatOrderQuantity(drug, suggestedUnits) : 'On order'}
+      </Text>
+    </TouchableOpacity>
+  );
+};
+
+// ── Reorder Screen ──────────────────────────────────────────────
+export default function ReorderScreen() {
+  const router = useRouter();
+  const { inventory, ledger, forecasts } = useInventory();
+  const { settings } = useSettings();
+  const { can } = useAuth();
+  const { suppliers, orders, createDraftOrders } = usePurchasing();
+  const canOrder = can('add');
+
+  const suggestions = useMemo(
+    () => getReorderSuggestions(inventory, ledger, forecasts, orders, settings),
+    [inventory, ledger, forecasts, orders, settings]
+  );
+  const groups = groupBySupplier(suggestions);
+  const toOrderCount = suggestions.filter((s) => s.suggestedUnits > 0).length;
+
+  const handleDraft = (group) => {
+    try {
+      const ids = createDraftOrders(group);
+      router.push(ids.length === 1 ? `/orders/${ids[0]}` : '/orders');
+    } catch (error) {
+      Alert.alert('Cannot Draft Order', error.message.replace(/^\[\w+\]\s*/, ''));
+    }
+  };
+
+  return (
+    <>
+      <Stack.Screen
+        options={{
+          headerRight: () => (
+            <TouchableOpacity onPress={() => router.push('/orders')} hitSlop={8}>
+              <Text style={styles.headerLink}>Orders</Text>
+            </TouchableOpacity>
+          ),
+        }}
+      />
+      <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+        <Text style={styles.intro}>
+          Suggested quantities bring each drug back to its reorder level plus{' '}
+          {settings.reorderCoverDays} days of recent use, less in-date stock and anything already
+          on order, in whole packs.
+        </Text>
+
+        {canOrder && toOrderCount > 0 && groups.length > 1 && (
+          <TouchableOpacity
+            style={styles.draftAllBtn}
+            onPress={() => handleDraft(suggestions)}
+            activeOpacity={0.8}
+          >
+            <FilePlus size={18} color="#FFF" />
+            <Text style={styles.draftAllText}>Draft orders for all {toOrderCount} items</Text>
+          </TouchableOpacity>
+        )}
+
+        {groups.map((group) => {
+          const count = group.suggestions.filter((s) => s.suggestedUnits > 0).length;
+          return (
+            <View key={group.supplierId || 'none'} style={styles.group}>
+              <View style={styles.groupHeader}>
+                <Text style={styles.groupTitle}>
+                  {getSupplierName(suppliers, group.supplierId)}
+                </Text>
+                {canOrder && count > 0 && (
+                  <TouchableOpacity onPress={() => handleDraft(group.suggestions)} hitSlop={8}>
+                    <Text style={styles.headerLink}>Draft order</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+              {group.suggestions.map((suggestion) => (
+                <SuggestionRow
+                  key={suggestion.drug.id}
+                  suggestion={suggestion}
+                  forecast={forecasts[suggestion.drug.id]}
+                  onPress={() => router.push(`/drug/${suggestion.drug.id}`)}
+                />
+              ))}
+            </View>
+          );
+        })}
+
+        {groups.length === 0 && (
+          <View style={styles.empty}>
+            <ShoppingCart size={48} color="#CBD5E0" strokeWidth={1.5} />
+            <Text style={styles.emptyText}>Nothing is below its reorder level.</Text>
+          </View>
+        )}
+      </ScrollView>
+    </>
+  );
+}
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F7FAFC',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  intro: {
+    fontSize: 13,
+    color: '#718096',
+    lineHeight: 19,
+    marginBottom: 12,
+  },
+  headerLink: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#319795',
+  },
+  draftAllBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#319795',
+    borderRadius: 12,
+    paddingVertical: 13,
+    marginBottom: 16,
+    gap: 8,
+  },
+  draftAllText: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#FFFFFF',
+  },
+  group: {
+    marginBottom: 16,
+  },
+  groupHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  groupTitle: {
+    fontSize: 13,
+    fontWeight: '800',
+    color: '#4A5568',
+    letterSpacing: 0.5,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    padding: 12,
+    marginBottom: 8,
+    gap: 12,
+  },
+  rowBody: {
+    flex: 1,
+    gap: 2,
+  },
+  drugName: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#1A202C',
+  },
+  meta: {
+    fontSize: 12,
+    color: '#718096',
+  },
+  suggested: {
+    maxWidth: 130,
+    textAlign: 'right',
+    fontSize: 13,
+    fontWeight: '800',
+    color: '#234E52',
+  },
+  covered: {
+    color: '#A0AEC0',
+  },
+  empty: {
+    alignItems: 'center',
+    paddingVertical: 48,
+    gap: 10,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#A0AEC0',
+  },
+});
@@ -0,0 +1,202 @@
+// app/reports.js
+// ─────────────────────────────────────────────────────────────
+// Urgency report: every drug ranked by how soon it needs action —
+// projected stock-out, expired stock still on the shelf, or lots
+// that will expire before they are used at the current rate.
+// Forecasts come from dispense history (see utils/consumption.js).
+// Links to reorder suggestions, and to the controlled-drug register
+// when any drug is flagged.
+// ─────────────────────────────────────────────────────────────
+
+import React, { useMemo } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, FlatList } from 'react-native';
+import { useRouter } from 'expo-router';
+import { ChevronRight, BarChart3, ShieldCheck, ShoppingCart } from 'lucide-react-native';
+import { useInventory } from '../context/inventory-context';
+import { useSettings } from '../context/settings-context';
+import { CONSUMPTION_WINDOW_DAYS, formatDailyUse, rankByUrgency } from '../utils/consumption';
+import { countLowStock } from '../utils/stock-status';
+
+// ── Helper: Colour for an urgency value (days) ─────────────────
+const getUrgencyColor = (urgencyDays, warningDays) => {
+  if (urgencyDays == null) return '#A0AEC0';
+  if (urgencyDays <= 7) return '#E53E3E';
+  if (urgencyDays <= warningDays) return '#DD6B20';
+  return '#38A169';
+};
+
+// ── Helper: Urgency value → short label ────────────────────────
+const formatUrgency = (urgencyDays) => {
+  if (urgencyDays == null) return '—';
+  if (urgencyDays < 0) return 'Now';
+  return urgencyDays === 0 ? 'Today' : `${urgencyDays}d`;
+};
+
+// ── Report Row Component ────────────────────────────────────────
+const ReportRow = ({ row, warningDays, onPress }) => {
+  const color = getUrgencyColor(row.urgencyDays, warningDays);
+  const { averageDailyUse } = row.forecast;
+  return (
+    <TouchableOpacity style={styles.row} onPress={onPress} activeOpacity={0.8}>
+      <View style={[styles.urgencyPill, { borderColor: color }]}>
+        <Text style={[styles.urgencyText, { color }]}>{formatUrgency(row.urgencyDays)}</Text>
+      </View>
+      <View style={styles.rowBody}>
+        <Text style={styles.drugName} numberOfLines={1}>
+          {row.drug.name}
+        </Text>
+        <Text style={styles.meta}>
+          {row.drug.quantity} on hand ·{' '}
+          {averageDailyUse != null ? formatDailyUse(averageDailyUse) : 'no recent use'}
+        </Text>
+        {row.reasons.length > 0 && <Text style={styles.reasons}>{row.reasons.join(' · ')}</Text>}
+      </View>
+      <ChevronRight size={18} color="#CBD5E0" />
+    </TouchableOpacity>
+  );
+};
+
+// ── Reports Screen ──────────────────────────────────────────────
+export default function ReportsScreen() {
+  const router = useRouter();
+  const { inventory, forecasts } = useInventory();
+  const hasControlled = inventory.some((drug) => drug.controlled);
+  const { settings } = useSettings();
+
+  const lowStockCount = countLowStock(inventory, settings);
+
+  const rows = useMemo(
+    () => rankByUrgency(inventory, forecasts, settings),
+    [inventory, forecasts, settings]
+  );
+
+  return (
+    <FlatList
+      style={styles.container}
+      contentContainerStyle={styles.content}
+      data={rows}
+      keyExtractor={(row) => row.drug.id}
+      ListHeaderComponent={
+        <>
+          <TouchableOpacity
+            style={[styles.row, !hasControlled && styles.lastLinkRow]}
+            onPress={() => router.push('/reorder')}
+            activeOpacity={0.8}
+          >
+            <ShoppingCart size={20} color="#234E52" />
+            <View style={styles.rowBody}>
+              <Text style={styles.drugName}>Reorder suggestions</Text>
+              <Text style={styles.meta}>
+                {lowStockCount > 0
+                  ? `${lowStockCount} drug${lowStockCount !== 1 ? 's' : ''} below reorder level`
+                  : 'Nothing below its reorder level'}
+              </Text>
+            </View>
+            <ChevronRight size={18} color="#CBD5E0" />
+          </TouchableOpacity>
+          {hasControlled && (
+            <TouchableOpacity
+              style={[styles.row, styles.lastLinkRow]}
+              onPress={() => router.push('/register')}
+              activeOpacity={0.8}
+            >
+              <ShieldCheck size={20} color="#553C9A" />
+              <View style={styles.rowBody}>
+                <Text style={styles.drugName}>Controlled drug register</Text>
+                <Text style={styles.meta}>Running balances and discrepancies</Text>
+              </View>
+              <ChevronRight size={18} color="#CBD5E0" />
+            </TouchableOpacity>
+          )}
+          <Text style={styles.intro}>
+            Ranked by days until action is needed. Usage is averaged over dispenses in the last{' '}
+            {CONSUMPTION_WINDOW_DAYS} days.
+          </Text>
+        </>
+      }
+      renderItem={({ item }) => (
+        <ReportRow
+          row={item}
+          warningDays={settings.expiryWarningDays}
+          onPress={() => router.push(`/drug/${item.drug.id}`)}
+        />
+      )}
+      ListEmptyComponent={
+        <View style={styles.empty}>
+          <BarChart3 size={48} color="#CBD5E0" strokeWidth={1.5} />
+          <Text style={styles.emptyText}>Nothing to report yet.</Text>
+        </View>
+      }
+    />
+  );
+}
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F7FAFC',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  intro: {
+    fontSize: 13,
+    color: '#718096',
+    lineHeight: 19,
+    marginBottom: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    padding: 12,
+    marginBottom: 8,
+    gap: 12,
+  },
+  lastLinkRow: {
+    marginBottom: 16,
+  },
+  urgencyPill: {
+    width: 54,
+    borderWidth: 1.5,
+    borderRadius: 10,
+    paddingVertical: 8,
+    alignItems: 'center',
+  },
+  urgencyText: {
+    fontSize: 14,
+    fontWeight: '800',
+  },
+  rowBody: {
+    flex: 1,
+    gap: 2,
+  },
+  drugName: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#1A202C',
+  },
+  meta: {
+    fontSize: 12,
+    color: '#718096',
+  },
+  reasons: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#4A5568',
+  },
+  empty: {
+    alignItems: 'center',
+    paddingVertical: 60,
+    gap: 10,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#A0AEC0',
+  },
+});
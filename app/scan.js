@@ -0,0 +1,320 @@
+// app/scan.js
+// ─────────────────────────────────────────────────────────────
+// Scans the GS1 DataMatrix on a pharmaceutical pack and hands the
+// GTIN, lot and expiry back to the dashboard, which opens the add
+// form pre-filled. Codes can also be typed or pasted, either raw
+// or in the bracketed "(01)…(17)…(10)…" form.
+// ─────────────────────────────────────────────────────────────
+
+import React, { useState, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+} from 'react-native';
+import { useRouter } from 'expo-router';
+import { CameraView, useCameraPermissions } from 'expo-camera';
+import { CheckCircle, Camera, RotateCcw } from 'lucide-react-native';
+import { useInventory } from '../context/inventory-context';
+import { parseGs1 } from '../utils/gs1';
+
+// Symbologies that carry GS1 element strings on medicine packs
+const BARCODE_TYPES = ['datamatrix', 'code128', 'qr'];
+
+// ── Helper: Parse, insisting on the fields the add form needs ──
+const readPack = (raw) => {
+  const parsed = parseGs1(raw);
+  if (!parsed.gtin) throw new Error('This code has no GTIN (01), so it is not a product code.');
+  return parsed;
+};
+
+// ── ResultRow Component ─────────────────────────────────────────
+const ResultRow = ({ label, value }) =>
+  value ? (
+    <View style={styles.resultRow}>
+      <Text style={styles.resultLabel}>{label}</Text>
+      <Text style={styles.resultValue}>{value}</Text>
+    </View>
+  ) : null;
+
+// ── Scan Screen ─────────────────────────────────────────────────
+export default function ScanScreen() {
+  const router = useRouter();
+  const { inventory } = useInventory();
+  const [permission, requestPermission] = useCameraPermissions();
+  const [manualCode, setManualCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  // The camera fires repeatedly for the same code; only take the first.
+  const lockedRef = useRef(false);
+
+  const handleCode = (raw) => {
+    try {
+      setResult(readPack(raw));
+      setError(null);
+    } catch (err) {
+      setResult(null);
+      setError(err.message);
+    }
+  };
+
+  const handleBarcodeScanned = ({ data }) => {
+    if (lockedRef.current) return;
+    lockedRef.current = true;
+    handleCode(data);
+  };
+
+  const handleRescan = () => {
+    lockedRef.current = false;
+    setResult(null);
+    setError(null);
+  };
+
+  const handleUse = () => {
+    router.navigate({
+      pathname: '/',
+      params: {
+        gtin: result.gtin,
+        lot: result.lotNumber || '',
+        expiry: result.expiryDate || '',
+      },
+    });
+  };
+
+  const knownDrug = result ? inventory.find((d) => d.gtin === result.gtin) : null;
+  const isScanning = !result && !error;
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      {/* ── Camera ── */}
+      <View style={styles.cameraFrame}>
+        {permission?.granted ? (
+          <CameraView
+            style={StyleSheet.absoluteFill}
+            facing="back"
+            barcodeScannerSettings={{ barcodeTypes: BARCODE_TYPES }}
+            onBarcodeScanned={isScanning ? handleBarcodeScanned : undefined}
+          />
+        ) : (
+          <View style={styles.cameraPlaceholder}>
+            <Camera size={40} color="#A0AEC0" strokeWidth={1.5} />
+            <Text style={styles.placeholderText}>
+              {permission && !permission.canAskAgain
+                ? 'Camera access is turned off for PharmaTrack. Enable it in system settings, or type the code below.'
+                : 'Allow camera access to scan pack barcodes.'}
+            </Text>
+            {(!permission || permission.canAskAgain) && (
+              <TouchableOpacity style={styles.secondaryBtn} onPress={requestPermission}>
+                <Text style={styles.secondaryBtnText}>Allow Camera</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+      </View>
+
+      {/* ── Result ── */}
+      {error && (
+        <View style={styles.errorBox}>
+          <Text style={styles.errorTitle}>Could not read this code</Text>
+          <Text style={styles.errorBody}>{error}</Text>
+        </View>
+      )}
+
+      {result && (
+        <View style={styles.resultCard}>
+          <Text style={styles.resultTitle}>
+            {knownDrug ? knownDrug.name : 'New product'}
+          </Text>
+          <ResultRow label="GTIN" value={result.gtin} />
+          <ResultRow label="Lot" value={result.lotNumber} />
+          <ResultRow label="Expiry" value={result.expiryDate} />
+          <ResultRow label="Serial" value={result.serial} />
+          {knownDrug && (
+            <Text style={styles.fieldHint}>Already in inventory — this will be added as a lot.</Text>
+          )}
+
+          <TouchableOpacity style={styles.submitBtn} onPress={handleUse} activeOpacity={0.8}>
+            <CheckCircle size={18} color="#FFF" />
+            <Text style={styles.submitBtnText}>Use This Pack</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {!isScanning && (
+        <TouchableOpacity style={styles.rescanBtn} onPress={handleRescan}>
+          <RotateCcw size={16} color="#319795" />
+          <Text style={styles.rescanBtnText}>Scan Again</Text>
+        </TouchableOpacity>
+      )}
+
+      {/* ── Manual Entry ── */}
+      <Text style={styles.sectionLabel}>OR TYPE / PASTE THE CODE</Text>
+      <TextInput
+        style={styles.input}
+        placeholder="(01)09501101530003(17)271231(10)AB123"
+        placeholderTextColor="#A0AEC0"
+        value={manualCode}
+        onChangeText={setManualCode}
+        autoCapitalize="characters"
+        autoCorrect={false}
+      />
+      <TouchableOpacity
+        style={styles.secondaryBtn}
+        onPress={() => {
+          lockedRef.current = true;
+          handleCode(manualCode);
+        }}
+      >
+        <Text style={styles.secondaryBtnText}>Read Code</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+}
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F7FAFC',
+  },
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  cameraFrame: {
+    height: 280,
+    borderRadius: 16,
+    overflow: 'hidden',
+    backgroundColor: '#1A202C',
+    marginBottom: 16,
+  },
+  cameraPlaceholder: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 24,
+    backgroundColor: '#EDF2F7',
+    gap: 12,
+  },
+  placeholderText: {
+    fontSize: 14,
+    color: '#718096',
+    textAlign: 'center',
+    lineHeight: 20,
+  },
+  errorBox: {
+    backgroundColor: '#FFF5F5',
+    borderLeftWidth: 4,
+    borderLeftColor: '#E53E3E',
+    borderRadius: 10,
+    padding: 14,
+    marginBottom: 12,
+  },
+  errorTitle: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#C53030',
+    marginBottom: 4,
+  },
+  errorBody: {
+    fontSize: 13,
+    color: '#742A2A',
+  },
+  resultCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+  },
+  resultTitle: {
+    fontSize: 17,
+    fontWeight: '800',
+    color: '#1A202C',
+    marginBottom: 10,
+  },
+  resultRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 4,
+  },
+  resultLabel: {
+    fontSize: 13,
+    color: '#718096',
+  },
+  resultValue: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#2D3748',
+  },
+  fieldHint: {
+    fontSize: 12,
+    color: '#A0AEC0',
+    marginTop: 8,
+  },
+  sectionLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#A0AEC0',
+    letterSpacing: 1,
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    borderRadius: 10,
+    paddingHorizontal: 14,
+    paddingVertical: 13,
+    fontSize: 15,
+    color: '#1A202C',
+    backgroundColor: '#FFFFFF',
+    marginBottom: 10,
+  },
+  secondaryBtn: {
+    alignItems: 'center',
+    borderWidth: 1.5,
+    borderColor: '#319795',
+    borderRadius: 12,
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+  },
+  secondaryBtnText: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#319795',
+  },
+  rescanBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+    paddingVertical: 8,
+    marginBottom: 4,
+  },
+  rescanBtnText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#319795',
+  },
+  submitBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#319795',
+    borderRadius: 12,
+    paddingVertical: 15,
+    marginTop: 14,
+    gap: 8,
+  },
+  submitBtnText: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#FFFFFF',
+    letterSpacing: 0.3,
+  },
+});
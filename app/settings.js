@@ -0,0 +1,605 @@
+// app/settings.js
+// ─────────────────────────────────────────────────────────────
+// Global defaults for the low-stock and expiry-warning rules,
+// when to send expiry / low-stock notifications, how long deleted
+// drugs stay in the recycle bin, when the app locks itself, the
+// optional sync server, and the storage locations stock can be kept
+// in. Individual drugs can override the thresholds from their edit
+// form. Only users who may manage settings see anything but their
+// own account.
+// ─────────────────────────────────────────────────────────────
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+  Switch,
+  Alert,
+} from 'react-native';
+import { useRouter } from 'expo-router';
+import {
+  CheckCircle,
+  MapPin,
+  Plus,
+  Trash2,
+  ChevronRight,
+  RefreshCw,
+  Lock,
+  Users,
+  UserCircle,
+  BookOpen,
+  Truck,
+} from 'lucide-react-native';
+import { format } from 'date-fns';
+import { useSettings } from '../context/settings-context';
+import { useInventory } from '../context/inventory-context';
+import { useAuth } from '../context/auth-context';
+import { useFormulary } from '../context/formulary-context';
+import { usePurchasing } from '../context/purchasing-context';
+import { getRoleLabel } from '../utils/users';
+import {
+  validateThreshold,
+  validateLocationName,
+  validateSyncUrl,
+} from '../utils/validation';
+import {
+  DEFAULT_LOCATION_ID,
+  createLocationId,
+  getQuantityByLocation,
+} from '../utils/locations';
+
+// The numeric settings shown on this screen, in display order
+const THRESHOLD_FIELDS = [
+  {
+    key: 'lowStockThreshold',
+    label: 'LOW STOCK BELOW (UNITS)',
+    hint: 'A drug is flagged "Low Stock" when its total quantity drops below this.',
+  },
+  {
+    key: 'expiryWarningDays',
+    label: 'EXPIRY WARNING WINDOW (DAYS)',
+    hint: 'A drug is flagged "Expiring Soon" this many days before its earliest lot expires.',
+  },
+  {
+    key: 'reorderCoverDays',
+    label: 'ORDER ENOUGH FOR (DAYS)',
+    hint: 'Reorder suggestions cover this many days of recent use on top of the reorder level.',
+    min: 1,
+  },
+  {
+    key: 'digestHour',
+    label: 'LOW-STOCK DIGEST HOUR (0–23)',
+    hint: 'When the daily low-stock notification is sent, e.g. 8 for 08:00.',
+    max: 23,
+  },
+  {
+    key: 'recycleBinDays',
+    label: 'KEEP DELETED DRUGS FOR (DAYS)',
+    hint: 'Deleted drugs can be restored from the recycle bin until then.',
+    min: 1,
+  },
+  {
+    key: 'autoLockMinutes',
+    label: 'LOCK AFTER INACTIVITY (MINUTES)',
+    hint: 'The PIN screen comes back after this long without a touch.',
+    min: 1,
+  },
+];
+
+// ── Account Panel ───────────────────────────────────────────────
+// Who is signed in, with a way to hand the tablet over.
+const AccountPanel = ({ user, canManage, onLock, onOpenUsers }) => (
+  <>
+    <Text style={styles.sectionLabel}>ACCOUNT</Text>
+    <View style={styles.locationRow}>
+      <UserCircle size={18} color="#319795" />
+      <View style={styles.switchBody}>
+        <Text style={styles.locationName}>{user.name}</Text>
+        <Text style={styles.locationMeta}>{getRoleLabel(user.role)}</Text>
+      </View>
+      <TouchableOpacity style={styles.lockBtn} onPress={onLock} activeOpacity={0.8}>
+        <Lock size={14} color="#319795" />
+        <Text style={styles.lockBtnText}>Lock</Text>
+      </TouchableOpacity>
+    </View>
+    {canManage && (
+      <TouchableOpacity style={styles.locationRow} onPress={onOpenUsers} activeOpacity={0.8}>
+        <Users size={16} color="#718096" />
+        <View style={styles.switchBody}>
+          <Text style={styles.locationName}>Users</Text>
+          <Text style={styles.locationMeta}>Add people, set roles and reset PINs</Text>
+        </View>
+        <ChevronRight size={18} color="#CBD5E0" />
+      </TouchableOpacity>
+    )}
+  </>
+);
+
+// ── Settings Screen ─────────────────────────────────────────────
+export default function SettingsScreen() {
+  const router = useRouter();
+  const { settings, updateSettings } = useSettings();
+  const { inventory, recycleBin, syncStatus, syncNow } = useInventory();
+  const { currentUser, can, lock } = useAuth();
+  const { formulary } = useFormulary();
+  const { suppliers } = usePurchasing();
+  const canManage = can('manage');
+
+  const [values, setValues] = useState({});
+  const [notificationsEnabled, setNotificationsEnabled] = useState(true);
+  const [syncUrl, setSyncUrl] = useState('');
+  const [errors, setErrors] = useState({});
+  const [newLocation, setNewLocation] = useState('');
+  const [locationError, setLocationError] = useState(null);
+
+  // Units currently held at each location, across every drug
+  const unitsByLocation = inventory.reduce((totals, drug) => {
+    Object.entries(getQuantityByLocation(drug)).forEach(([locationId, units]) => {
+      totals[locationId] = (totals[locationId] || 0) + units;
+    });
+    return totals;
+  }, {});
+
+  useEffect(() => {
+    setValues(
+      THRESHOLD_FIELDS.reduce((acc, field) => {
+        acc[field.key] = String(settings[field.key]);
+        return acc;
+      }, {})
+    );
+    setNotificationsEnabled(settings.notificationsEnabled);
+    setSyncUrl(settings.syncUrl);
+  }, [settings]);
+
+  const validate = () => {
+    const newErrors = {};
+    THRESHOLD_FIELDS.forEach((field) => {
+      const error = validateThreshold(values[field.key], { required: true });
+      if (error) {
+        newErrors[field.key] = error;
+      } else if (field.max != null && parseInt(values[field.key], 10) > field.max) {
+        newErrors[field.key] = `Enter a number from 0 to ${field.max}.`;
+      } else if (field.min != null && parseInt(values[field.key], 10) < field.min) {
+        newErrors[field.key] = `Enter a number of at least ${field.min}.`;
+      }
+    });
+    const syncUrlError = validateSyncUrl(syncUrl);
+    if (syncUrlError) newErrors.syncUrl = syncUrlError;
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSave = () => {
+    if (!validate()) return;
+    updateSettings(
+      THRESHOLD_FIELDS.reduce(
+        (acc, field) => {
+          acc[field.key] = parseInt(values[field.key], 10);
+          return acc;
+        },
+        { notificationsEnabled, syncUrl: syncUrl.trim() }
+      )
+    );
+    router.back();
+  };
+
+  // Locations are saved straight away, separately from the form above.
+  const handleAddLocation = () => {
+    const error = validateLocationName(newLocation, settings.locations);
+    setLocationError(error);
+    if (error) return;
+    updateSettings({
+      locations: [...settings.locations, { id: createLocationId(), name: newLocation.trim() }],
+    });
+    setNewLocation('');
+  };
+
+  // Only an empty location can go, so no stock is left nowhere.
+  const handleRemoveLocation = (location) => {
+    const units = unitsByLocation[location.id] || 0;
+    if (units > 0) {
+      Alert.alert(
+        'Location Not Empty',
+        `${location.name} still holds ${units} unit${units !== 1 ? 's' : ''}. ` +
+          'Transfer the stock elsewhere before removing it.'
+      );
+      return;
+    }
+    Alert.alert('Remove Location', `Remove "${location.name}"?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Remove',
+        style: 'destructive',
+        onPress: () =>
+          updateSettings({ locations: settings.locations.filter((l) => l.id !== location.id) }),
+      },
+    ]);
+  };
+
+  // Locked: the lock screen is on top, so there is nothing to show.
+  if (!currentUser) return null;
+
+  const accountPanel = (
+    <AccountPanel
+      user={currentUser}
+      canManage={canManage}
+      onLock={lock}
+      onOpenUsers={() => router.push('/users')}
+    />
+  );
+
+  if (!canManage) {
+    return (
+      <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+        {accountPanel}
+        <Text style={[styles.note, styles.roleNote]}>
+          Settings can only be changed by a pharmacist.
+        </Text>
+      </ScrollView>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      {accountPanel}
+
+      <Text style={[styles.sectionLabel, styles.locationsLabel]}>GLOBAL DEFAULTS</Text>
+
+      <View style={styles.switchRow}>
+        <View style={styles.switchBody}>
+          <Text style={styles.switchTitle}>Expiry & low-stock notifications</Text>
+          <Text style={styles.fieldHint}>
+            Alerts when a lot enters its warning window or expires, plus a daily low-stock digest.
+          </Text>
+        </View>
+        <Switch
+          value={notificationsEnabled}
+          onValueChange={setNotificationsEnabled}
+          trackColor={{ true: '#319795' }}
+        />
+      </View>
+
+      {THRESHOLD_FIELDS.map((field) => (
+        <View key={field.key} style={styles.fieldGroup}>
+          <Text style={styles.fieldLabel}>{field.label}</Text>
+          <TextInput
+            style={[styles.input, errors[field.key] && styles.inputError]}
+            value={values[field.key]}
+            onChangeText={(text) => setValues((prev) => ({ ...prev, [field.key]: text }))}
+            keyboardType="numeric"
+          />
+          {errors[field.key] ? (
+            <Text style={styles.errorText}>{errors[field.key]}</Text>
+          ) : (
+            <Text style={styles.fieldHint}>{field.hint}</Text>
+          )}
+        </View>
+      ))}
+
+      <View style={styles.fieldGroup}>
+        <Text style={styles.fieldLabel}>SYNC SERVER (OPTIONAL)</Text>
+        <TextInput
+          style={[styles.input, errors.syncUrl && styles.inputError]}
+          value={syncUrl}
+          onChangeText={setSyncUrl}
+          placeholder="e.g., http://192.168.1.20:4000"
+          placeholderTextColor="#A0AEC0"
+          autoCapitalize="none"
+          autoCorrect={false}
+          keyboardType="url"
+        />
+        {errors.syncUrl ? (
+          <Text style={styles.errorText}>{errors.syncUrl}</Text>
+        ) : (
+          <Text style={styles.fieldHint}>
+            Devices using the same server share one inventory. Leave blank to keep this device
+            on its own.
+          </Text>
+        )}
+        {syncStatus.isEnabled && (
+          <View style={styles.syncRow}>
+            <View style={styles.switchBody}>
+              <Text style={[styles.syncStatus, syncStatus.error && styles.syncStatusError]}>
+                {syncStatus.error
+                  ? `Offline — ${syncStatus.error}`
+                  : syncStatus.lastSyncedAt
+                  ? `Synced ${format(new Date(syncStatus.lastSyncedAt), 'dd MMM, HH:mm')}`
+                  : 'Not synced yet'}
+              </Text>
+              <Text style={styles.locationMeta}>
+                {syncStatus.pendingCount} change{syncStatus.pendingCount !== 1 ? 's' : ''} waiting
+                to upload
+                {syncStatus.conflicts.length > 0 &&
+                  ` · ${syncStatus.conflicts.length} conflict(s) resolved`}
+              </Text>
+            </View>
+            <TouchableOpacity
+              onPress={syncNow}
+              disabled={syncStatus.isSyncing}
+              hitSlop={8}
+            >
+              <RefreshCw size={18} color={syncStatus.isSyncing ? '#A0AEC0' : '#319795'} />
+            </TouchableOpacity>
+          </View>
+        )}
+        {syncStatus.conflicts.slice(0, 3).map((conflict) => (
+          <Text key={conflict.opId + conflict.message} style={styles.fieldHint}>
+            • {conflict.message}
+          </Text>
+        ))}
+      </View>
+
+      <Text style={styles.note}>
+        To set a different reorder level or warning window for one drug, open it with the pencil
+        icon on its card.
+      </Text>
+
+      <TouchableOpacity style={styles.submitBtn} onPress={handleSave} activeOpacity={0.8}>
+        <CheckCircle size={18} color="#FFF" />
+        <Text style={styles.submitBtnText}>Save Settings</Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity
+        style={[styles.locationRow, styles.binRow]}
+        onPress={() => router.push('/recycle-bin')}
+        activeOpacity={0.8}
+      >
+        <Trash2 size={16} color="#718096" />
+        <View style={styles.switchBody}>
+          <Text style={styles.locationName}>Recycle bin</Text>
+          <Text style={styles.locationMeta}>
+            {recycleBin.length} deleted drug{recycleBin.length !== 1 ? 's' : ''}
+          </Text>
+        </View>
+        <ChevronRight size={18} color="#CBD5E0" />
+      </TouchableOpacity>
+
+      <TouchableOpacity
+        style={[styles.locationRow, styles.formularyRow]}
+        onPress={() => router.push('/formulary')}
+        activeOpacity={0.8}
+      >
+        <BookOpen size={16} color="#718096" />
+        <View style={styles.switchBody}>
+          <Text style={styles.locationName}>Formulary</Text>
+          <Text style={styles.locationMeta}>
+            {formulary.length} entr{formulary.length !== 1 ? 'ies' : 'y'}
+          </Text>
+        </View>
+        <ChevronRight size={18} color="#CBD5E0" />
+      </TouchableOpacity>
+
+      {canManage && (
+        <TouchableOpacity
+          style={[styles.locationRow, styles.formularyRow]}
+          onPress={() => router.push('/suppliers')}
+          activeOpacity={0.8}
+        >
+          <Truck size={16} color="#718096" />
+          <View style={styles.switchBody}>
+            <Text style={styles.locationName}>Suppliers</Text>
+            <Text style={styles.locationMeta}>
+              {suppliers.length} supplier{suppliers.length !== 1 ? 's' : ''}
+            </Text>
+          </View>
+          <ChevronRight size={18} color="#CBD5E0" />
+        </TouchableOpacity>
+      )}
+
+      <Text style={[styles.sectionLabel, styles.locationsLabel]}>LOCATIONS</Text>
+      {settings.locations.map((location) => (
+        <View key={location.id} style={styles.locationRow}>
+          <MapPin size={16} color="#319795" />
+          <View style={styles.switchBody}>
+            <Text style={styles.locationName}>{location.name}</Text>
+            <Text style={styles.locationMeta}>
+              {unitsByLocation[location.id] || 0} units in stock
+            </Text>
+          </View>
+          {location.id !== DEFAULT_LOCATION_ID && (
+            <TouchableOpacity onPress={() => handleRemoveLocation(location)} hitSlop={8}>
+              <Trash2 size={16} color="#A0AEC0" />
+            </TouchableOpacity>
+          )}
+        </View>
+      ))}
+
+      <View style={styles.addLocationRow}>
+        <TextInput
+          style={[styles.input, styles.addLocationInput, locationError && styles.inputError]}
+          placeholder="e.g., Vaccine Fridge"
+          placeholderTextColor="#A0AEC0"
+          value={newLocation}
+          onChangeText={setNewLocation}
+          onSubmitEditing={handleAddLocation}
+          returnKeyType="done"
+        />
+        <TouchableOpacity style={styles.addLocationBtn} onPress={handleAddLocation}>
+          <Plus size={20} color="#FFF" />
+        </TouchableOpacity>
+      </View>
+      {locationError ? (
+        <Text style={styles.errorText}>{locationError}</Text>
+      ) : (
+        <Text style={styles.fieldHint}>
+          Stock received before locations were added is kept in the main pharmacy.
+        </Text>
+      )}
+    </ScrollView>
+  );
+}
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F7FAFC',
+  },
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  sectionLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#A0AEC0',
+    letterSpacing: 1,
+    marginBottom: 16,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 22,
+    gap: 12,
+  },
+  switchBody: {
+    flex: 1,
+  },
+  switchTitle: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#1A202C',
+  },
+  fieldGroup: {
+    marginBottom: 18,
+  },
+  fieldLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#4A5568',
+    letterSpacing: 1,
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    borderRadius: 10,
+    paddingHorizontal: 14,
+    paddingVertical: 13,
+    fontSize: 15,
+    color: '#1A202C',
+    backgroundColor: '#FFFFFF',
+  },
+  inputError: {
+    borderColor: '#FC8181',
+    backgroundColor: '#FFF5F5',
+  },
+  errorText: {
+    fontSize: 12,
+    color: '#E53E3E',
+    marginTop: 5,
+    fontWeight: '500',
+  },
+  fieldHint: {
+    fontSize: 12,
+    color: '#A0AEC0',
+    marginTop: 5,
+  },
+  note: {
+    fontSize: 13,
+    color: '#718096',
+    lineHeight: 19,
+    marginBottom: 8,
+  },
+  syncRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+    gap: 12,
+  },
+  syncStatus: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#319795',
+  },
+  syncStatusError: {
+    color: '#DD6B20',
+  },
+  locationsLabel: {
+    marginTop: 32,
+  },
+  lockBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1.5,
+    borderColor: '#319795',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    gap: 5,
+  },
+  lockBtnText: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#319795',
+  },
+  roleNote: {
+    marginTop: 12,
+  },
+  binRow: {
+    marginTop: 20,
+    marginBottom: 0,
+  },
+  formularyRow: {
+    marginTop: 8,
+    marginBottom: 0,
+  },
+  locationRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 8,
+    gap: 12,
+  },
+  locationName: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#1A202C',
+  },
+  locationMeta: {
+    fontSize: 12,
+    color: '#718096',
+    marginTop: 2,
+  },
+  addLocationRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+    gap: 8,
+  },
+  addLocationInput: {
+    flex: 1,
+  },
+  addLocationBtn: {
+    width: 48,
+    height: 48,
+    borderRadius: 10,
+    backgroundColor: '#319795',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  submitBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#319795',
+    borderRadius: 12,
+    paddingVertical: 15,
+    marginTop: 8,
+    gap: 8,
+  },
+  submitBtnText: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#FFFFFF',
+    letterSpacing: 0.3,
+  },
+});
@@ -0,0 +1,552 @@
+// app/stocktake/[id].js
+// ─────────────────────────────────────────────────────────────
+// One stocktake. While in progress: enter the counted quantity of
+// each lot and see the variance against the system quantity live,
+// then complete it with a reason to post the adjustments (and a
+// witness, if a controlled drug was counted short). Once
+// completed: the saved, read-only variance report.
+// ─────────────────────────────────────────────────────────────
+
+import React, { useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  FlatList,
+  TextInput,
+  Modal,
+  KeyboardAvoidingView,
+  Platform,
+  Alert,
+} from 'react-native';
+import { Stack, useLocalSearchParams, useRouter } from 'expo-router';
+import { format } from 'date-fns';
+import { X, CheckCircle, ClipboardX } from 'lucide-react-native';
+import { useInventory } from '../../context/inventory-context';
+import { useStocktake } from '../../context/stocktake-context';
+import { useAuth } from '../../context/auth-context';
+import { describeScope, summariseStocktake, withSystemQuantities } from '../../utils/stocktake';
+import { getWitnesses } from '../../utils/users';
+import WitnessField from '../../components/witness-field';
+
+// ── Helper: Colour for a variance (short, over, matched) ───────
+const getVarianceColor = (variance) => {
+  if (variance == null || variance === 0) return '#A0AEC0';
+  return variance < 0 ? '#E53E3E' : '#3182CE';
+};
+
+// ── Helper: Signed variance text ("+3", "-2", "0") ─────────────
+const formatVariance = (variance) => {
+  if (variance == null) return '—';
+  return variance > 0 ? `+${variance}` : String(variance);
+};
+
+// ── Count Line Component ────────────────────────────────────────
+const CountLine = ({ line, editable, onChangeCount }) => {
+  const color = getVarianceColor(line.variance);
+  const isMatched = !editable && line.variance === 0;
+  return (
+    <View style={[styles.line, isMatched && styles.lineMatched]}>
+      <View style={styles.lineBody}>
+        <Text style={styles.lineName} numberOfLines={1}>
+          {line.drugName}
+        </Text>
+        <Text style={styles.lineMeta}>
+          {line.lotNumber ? `Lot ${line.lotNumber}` : 'No lot #'} · Exp{' '}
+          {format(new Date(line.expiryDate), 'dd MMM yyyy')}
+          {line.locationName ? ` · ${line.locationName}` : ''}
+        </Text>
+        <Text style={styles.lineMeta}>
+          System: {line.expected == null ? 'removed' : line.expected}
+        </Text>
+      </View>
+
+      {editable ? (
+        <TextInput
+          style={styles.countInput}
+          value={line.counted == null ? '' : String(line.counted)}
+          onChangeText={onChangeCount}
+          placeholder="Count"
+          placeholderTextColor="#A0AEC0"
+          keyboardType="number-pad"
+          maxLength={6}
+        />
+      ) : (
+        <Text style={styles.countValue}>{line.counted == null ? '—' : line.counted}</Text>
+      )}
+
+      <View style={[styles.variancePill, { borderColor: color }]}>
+        <Text style={[styles.varianceText, { color }]}>{formatVariance(line.variance)}</Text>
+      </View>
+    </View>
+  );
+};
+
+// ── Summary Strip Component ─────────────────────────────────────
+const SummaryStrip = ({ summary }) => (
+  <View style={styles.summaryStrip}>
+    <View style={styles.summaryItem}>
+      <Text style={styles.summaryValue}>
+        {summary.counted}/{summary.total}
+      </Text>
+      <Text style={styles.summaryLabel}>Counted</Text>
+    </View>
+    <View style={styles.summaryItem}>
+      <Text style={styles.summaryValue}>{summary.withVariance}</Text>
+      <Text style={styles.summaryLabel}>Variances</Text>
+    </View>
+    <View style={styles.summaryItem}>
+      <Text style={[styles.summaryValue, { color: '#E53E3E' }]}>-{summary.unitsShort}</Text>
+      <Text style={styles.summaryLabel}>Short</Text>
+    </View>
+    <View style={styles.summaryItem}>
+      <Text style={[styles.summaryValue, { color: '#3182CE' }]}>+{summary.unitsOver}</Text>
+      <Text style={styles.summaryLabel}>Over</Text>
+    </View>
+  </View>
+);
+
+// ── Stocktake Screen ────────────────────────────────────────────
+export default function StocktakeScreen() {
+  const router = useRouter();
+  const { id } = useLocalSearchParams();
+  const { inventory } = useInventory();
+  const { stocktakes, recordCount, discardStocktake, completeStocktake } = useStocktake();
+  const { users, currentUser, verifyWitness, can } = useAuth();
+  const [isReviewVisible, setReviewVisible] = useState(false);
+  const [reason, setReason] = useState('');
+  const [reasonError, setReasonError] = useState(null);
+  const [witnessId, setWitnessId] = useState(null);
+  const [witnessPin, setWitnessPin] = useState('');
+  const [witnessError, setWitnessError] = useState(null);
+
+  const stocktake = stocktakes.find((s) => s.id === id);
+  const isCompleted = stocktake ? stocktake.status === 'completed' : false;
+  // Anyone may read a stocktake; only those who run them may count.
+  const canCount = !isCompleted && can('stocktake');
+  const countedBy = stocktake && (isCompleted ? stocktake.completedBy : stocktake.startedBy);
+
+  // In progress the system side is live; a report keeps what it froze.
+  const lines = useMemo(() => {
+    if (!stocktake) return [];
+    return isCompleted ? stocktake.lines : withSystemQuantities(stocktake.lines, inventory);
+  }, [stocktake, isCompleted, inventory]);
+  const summary = useMemo(() => summariseStocktake(lines), [lines]);
+
+  // Controlled stock counted short leaves the shelf, so it is witnessed.
+  const needsWitness = lines.some(
+    (line) =>
+      line.variance < 0 && inventory.some((drug) => drug.id === line.drugId && drug.controlled)
+  );
+
+  if (!stocktake) {
+    return (
+      <View style={styles.centered}>
+        <Stack.Screen options={{ title: 'Stocktake' }} />
+        <ClipboardX size={56} color="#CBD5E0" strokeWidth={1.5} />
+        <Text style={styles.notFoundText}>This stocktake no longer exists.</Text>
+      </View>
+    );
+  }
+
+  const handleChangeCount = (lotId, text) => {
+    const digits = text.replace(/[^0-9]/g, '');
+    recordCount(stocktake.id, lotId, digits === '' ? null : parseInt(digits, 10));
+  };
+
+  const handleDiscard = () => {
+    Alert.alert('Discard Stocktake', 'Throw away every count entered so far?', [
+      { text: 'Keep Counting', style: 'cancel' },
+      {
+        text: 'Discard',
+        style: 'destructive',
+        onPress: () => {
+          router.back();
+          discardStocktake(stocktake.id);
+        },
+      },
+    ]);
+  };
+
+  const handleComplete = async () => {
+    if (!reason.trim()) {
+      setReasonError('A reason is required for the adjustments.');
+      return;
+    }
+    let witness = null;
+    if (needsWitness) {
+      if (!witnessId || !witnessPin) {
+        setWitnessError('A controlled drug was counted short; a witness must enter their PIN.');
+        return;
+      }
+      witness = await verifyWitness(witnessId, witnessPin);
+      if (!witness) {
+        setWitnessPin('');
+        setWitnessError('Incorrect PIN for the witness.');
+        return;
+      }
+    }
+    try {
+      completeStocktake(stocktake.id, reason, witness);
+      setReviewVisible(false);
+    } catch (error) {
+      setWitnessError(error.message.replace(/^\[\w+\]\s*/, ''));
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <Stack.Screen options={{ title: isCompleted ? 'Stocktake Report' : 'Stocktake' }} />
+
+      <View style={styles.header}>
+        <Text style={styles.scopeText}>{describeScope(stocktake.scope)}</Text>
+        <Text style={styles.headerMeta}>
+          {isCompleted
+            ? `Completed ${format(new Date(stocktake.completedAt), 'dd MMM yyyy, HH:mm')}`
+            : `Started ${format(new Date(stocktake.startedAt), 'dd MMM yyyy, HH:mm')}`}
+          {countedBy ? ` by ${countedBy}` : ''}
+        </Text>
+        {isCompleted && !!stocktake.reason && (
+          <Text style={styles.reasonText}>Reason: {stocktake.reason}</Text>
+        )}
+        <SummaryStrip summary={summary} />
+      </View>
+
+      <FlatList
+        data={lines}
+        keyExtractor={(line) => line.lotId}
+        renderItem={({ item }) => (
+          <CountLine
+            line={item}
+            editable={canCount}
+            onChangeCount={(text) => handleChangeCount(item.lotId, text)}
+          />
+        )}
+        contentContainerStyle={styles.listContent}
+        keyboardShouldPersistTaps="handled"
+      />
+
+      {canCount && (
+        <View style={styles.footer}>
+          <TouchableOpacity style={styles.discardBtn} onPress={handleDiscard}>
+            <Text style={styles.discardBtnText}>Discard</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.submitBtn, summary.counted === 0 && styles.submitBtnDisabled]}
+            onPress={() => setReviewVisible(true)}
+            disabled={summary.counted === 0}
+            activeOpacity={0.8}
+          >
+            <CheckCircle size={18} color="#FFF" />
+            <Text style={styles.submitBtnText}>Review & Complete</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {/* ── Review Sheet ── */}
+      <Modal
+        visible={isReviewVisible}
+        animationType="slide"
+        transparent
+        onRequestClose={() => setReviewVisible(false)}
+      >
+        <KeyboardAvoidingView
+          style={styles.modalBackdrop}
+          behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        >
+          <View style={styles.modalSheet}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>Complete Stocktake</Text>
+              <TouchableOpacity onPress={() => setReviewVisible(false)} style={styles.modalCloseBtn}>
+                <X size={22} color="#718096" />
+              </TouchableOpacity>
+            </View>
+
+            <SummaryStrip summary={summary} />
+            <Text style={styles.reviewText}>
+              {summary.withVariance > 0
+                ? `${summary.withVariance} lot${summary.withVariance !== 1 ? 's' : ''} will be adjusted to the counted quantity.`
+                : 'Every counted lot matches the system — no adjustments will be made.'}
+              {summary.counted < summary.total &&
+                ` ${summary.total - summary.counted} uncounted lot(s) will be left unchanged.`}
+            </Text>
+
+            <Text style={styles.fieldLabel}>REASON FOR ADJUSTMENTS</Text>
+            <TextInput
+              style={[styles.input, reasonError && styles.inputError]}
+              placeholder="e.g., Monthly stocktake — October"
+              placeholderTextColor="#A0AEC0"
+              value={reason}
+              onChangeText={(text) => {
+                setReason(text);
+                setReasonError(null);
+              }}
+            />
+            {reasonError && <Text style={styles.errorText}>{reasonError}</Text>}
+
+            {needsWitness && (
+              <View style={styles.witnessGroup}>
+                <Text style={styles.fieldLabel}>WITNESS</Text>
+                <WitnessField
+                  witnesses={getWitnesses(users, currentUser)}
+                  witnessId={witnessId}
+                  pin={witnessPin}
+                  onSelect={setWitnessId}
+                  onChangePin={(pin) => {
+                    setWitnessPin(pin);
+                    setWitnessError(null);
+                  }}
+                  hasError={!!witnessError}
+                />
+                {witnessError && <Text style={styles.errorText}>{witnessError}</Text>}
+              </View>
+            )}
+
+            <TouchableOpacity style={styles.confirmBtn} onPress={handleComplete} activeOpacity={0.8}>
+              <CheckCircle size={18} color="#FFF" />
+              <Text style={styles.submitBtnText}>Post Adjustments & Save Report</Text>
+            </TouchableOpacity>
+          </View>
+        </KeyboardAvoidingView>
+      </Modal>
+    </View>
+  );
+}
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F7FAFC',
+  },
+  centered: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#F7FAFC',
+    gap: 10,
+  },
+  notFoundText: {
+    fontSize: 14,
+    color: '#A0AEC0',
+  },
+  header: {
+    backgroundColor: '#FFFFFF',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E2E8F0',
+    padding: 16,
+    gap: 4,
+  },
+  scopeText: {
+    fontSize: 17,
+    fontWeight: '800',
+    color: '#1A202C',
+  },
+  headerMeta: {
+    fontSize: 12,
+    color: '#718096',
+  },
+  reasonText: {
+    fontSize: 13,
+    color: '#4A5568',
+    fontStyle: 'italic',
+  },
+  summaryStrip: {
+    flexDirection: 'row',
+    marginTop: 12,
+    gap: 8,
+  },
+  summaryItem: {
+    flex: 1,
+    alignItems: 'center',
+    backgroundColor: '#F7FAFC',
+    borderRadius: 10,
+    paddingVertical: 8,
+  },
+  summaryValue: {
+    fontSize: 16,
+    fontWeight: '800',
+    color: '#2D3748',
+  },
+  summaryLabel: {
+    fontSize: 10,
+    fontWeight: '700',
+    color: '#A0AEC0',
+    letterSpacing: 0.5,
+    marginTop: 2,
+  },
+  listContent: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  line: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+    gap: 10,
+  },
+  lineMatched: {
+    opacity: 0.6,
+  },
+  lineBody: {
+    flex: 1,
+    gap: 2,
+  },
+  lineName: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#1A202C',
+  },
+  lineMeta: {
+    fontSize: 12,
+    color: '#718096',
+  },
+  countInput: {
+    width: 72,
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    borderRadius: 10,
+    paddingHorizontal: 10,
+    paddingVertical: 10,
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#1A202C',
+    backgroundColor: '#F7FAFC',
+    textAlign: 'center',
+  },
+  countValue: {
+    width: 48,
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#2D3748',
+    textAlign: 'center',
+  },
+  variancePill: {
+    width: 52,
+    borderWidth: 1.5,
+    borderRadius: 10,
+    paddingVertical: 6,
+    alignItems: 'center',
+  },
+  varianceText: {
+    fontSize: 14,
+    fontWeight: '800',
+  },
+  footer: {
+    flexDirection: 'row',
+    padding: 16,
+    gap: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#E2E8F0',
+    backgroundColor: '#FFFFFF',
+  },
+  discardBtn: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1.5,
+    borderColor: '#E53E3E',
+    borderRadius: 12,
+    paddingHorizontal: 18,
+  },
+  discardBtnText: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#E53E3E',
+  },
+  submitBtn: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#319795',
+    borderRadius: 12,
+    paddingVertical: 14,
+    gap: 8,
+  },
+  submitBtnDisabled: {
+    backgroundColor: '#A0AEC0',
+  },
+  submitBtnText: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#FFFFFF',
+    letterSpacing: 0.3,
+  },
+  modalBackdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.45)',
+  },
+  modalSheet: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    padding: 24,
+    paddingBottom: Platform.OS === 'ios' ? 40 : 24,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: '800',
+    color: '#1A202C',
+  },
+  modalCloseBtn: {
+    padding: 4,
+  },
+  reviewText: {
+    fontSize: 14,
+    color: '#4A5568',
+    lineHeight: 20,
+    marginVertical: 16,
+  },
+  fieldLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#A0AEC0',
+    letterSpacing: 1,
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    borderRadius: 10,
+    paddingHorizontal: 14,
+    paddingVertical: 13,
+    fontSize: 15,
+    color: '#1A202C',
+    backgroundColor: '#F7FAFC',
+  },
+  inputError: {
+    borderColor: '#FC8181',
+    backgroundColor: '#FFF5F5',
+  },
+  errorText: {
+    fontSize: 12,
+    color: '#E53E3E',
+    marginTop: 5,
+    fontWeight: '500',
+  },
+  witnessGroup: {
+    marginTop: 18,
+  },
+  confirmBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#319795',
+    borderRadius: 12,
+    paddingVertical: 15,
+    marginTop: 18,
+    gap: 8,
+  },
+});
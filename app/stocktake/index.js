@@ -0,0 +1,245 @@
+// app/stocktake/index.js
+// ─────────────────────────────────────────────────────────────
+// Stocktake home: resume the count in progress, start a new one
+// over everything or a filtered subset, and browse the saved
+// reports of finished stocktakes.
+// ─────────────────────────────────────────────────────────────
+
+import React, { useMemo, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView } from 'react-native';
+import { useRouter } from 'expo-router';
+import { format } from 'date-fns';
+import { ClipboardList, ChevronRight, Play } from 'lucide-react-native';
+import { useInventory } from '../../context/inventory-context';
+import { useSettings } from '../../context/settings-context';
+import { useStocktake } from '../../context/stocktake-context';
+import { STATUS_FILTERS, countByFilter, queryInventory } from '../../utils/inventory-query';
+import { describeScope, summariseStocktake } from '../../utils/stocktake';
+
+// ── Stocktake Home Screen ───────────────────────────────────────
+export default function StocktakeHomeScreen() {
+  const router = useRouter();
+  const { inventory } = useInventory();
+  const { settings } = useSettings();
+  const { stocktakes, activeStocktake, startStocktake } = useStocktake();
+  const [filters, setFilters] = useState([]);
+
+  const filterCounts = useMemo(() => countByFilter(inventory, settings), [inventory, settings]);
+  const inScope = useMemo(
+    () => queryInventory(inventory, { filters }, settings).length,
+    [inventory, filters, settings]
+  );
+  const reports = stocktakes.filter((s) => s.status === 'completed');
+
+  const toggleFilter = (key) => {
+    setFilters((prev) => (prev.includes(key) ? prev.filter((f) => f !== key) : [...prev, key]));
+  };
+
+  const handleStart = () => {
+    const id = startStocktake(filters);
+    router.push(`/stocktake/${id}`);
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      {activeStocktake ? (
+        <>
+          <Text style={styles.sectionLabel}>IN PROGRESS</Text>
+          <TouchableOpacity
+            style={styles.activeCard}
+            onPress={() => router.push(`/stocktake/${activeStocktake.id}`)}
+            activeOpacity={0.8}
+          >
+            <View style={styles.rowBody}>
+              <Text style={styles.rowTitle}>{describeScope(activeStocktake.scope)}</Text>
+              <Text style={styles.rowMeta}>
+                Started {format(new Date(activeStocktake.startedAt), 'dd MMM yyyy, HH:mm')} ·{' '}
+                {activeStocktake.lines.filter((line) => line.counted != null).length}/
+                {activeStocktake.lines.length} counted
+              </Text>
+            </View>
+            <ChevronRight size={18} color="#319795" />
+          </TouchableOpacity>
+        </>
+      ) : (
+        <>
+          <Text style={styles.sectionLabel}>NEW STOCKTAKE</Text>
+          <Text style={styles.hint}>
+            Count everything, or pick statuses to count only those items.
+          </Text>
+          <View style={styles.chipRow}>
+            {Object.entries(STATUS_FILTERS).map(([key, filter]) => {
+              const isActive = filters.includes(key);
+              return (
+                <TouchableOpacity
+                  key={key}
+                  style={[
+                    styles.filterChip,
+                    isActive && { backgroundColor: filter.color, borderColor: filter.color },
+                  ]}
+                  onPress={() => toggleFilter(key)}
+                >
+                  <Text style={[styles.filterChipText, isActive && styles.filterChipTextActive]}>
+                    {filter.label} · {filterCounts[key]}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          <TouchableOpacity
+            style={[styles.submitBtn, inScope === 0 && styles.submitBtnDisabled]}
+            onPress={handleStart}
+            disabled={inScope === 0}
+            activeOpacity={0.8}
+          >
+            <Play size={18} color="#FFF" />
+            <Text style={styles.submitBtnText}>Start: {describeScope(filters)}</Text>
+          </TouchableOpacity>
+        </>
+      )}
+
+      <Text style={[styles.sectionLabel, styles.reportsLabel]}>REPORTS</Text>
+      {reports.length === 0 ? (
+        <View style={styles.empty}>
+          <ClipboardList size={40} color="#CBD5E0" strokeWidth={1.5} />
+          <Text style={styles.emptyText}>Finished stocktakes will be listed here.</Text>
+        </View>
+      ) : (
+        reports.map((report) => {
+          const summary = summariseStocktake(report.lines);
+          return (
+            <TouchableOpacity
+              key={report.id}
+              style={styles.reportRow}
+              onPress={() => router.push(`/stocktake/${report.id}`)}
+              activeOpacity={0.8}
+            >
+              <View style={styles.rowBody}>
+                <Text style={styles.rowTitle}>
+                  {format(new Date(report.completedAt), 'dd MMM yyyy')} ·{' '}
+                  {describeScope(report.scope)}
+                </Text>
+                <Text style={styles.rowMeta}>
+                  {summary.counted} counted · {summary.withVariance} with variance · net{' '}
+                  {summary.netVariance > 0 ? '+' : ''}
+                  {summary.netVariance}
+                </Text>
+              </View>
+              <ChevronRight size={18} color="#CBD5E0" />
+            </TouchableOpacity>
+          );
+        })
+      )}
+    </ScrollView>
+  );
+}
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F7FAFC',
+  },
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  sectionLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#A0AEC0',
+    letterSpacing: 1,
+    marginBottom: 10,
+  },
+  reportsLabel: {
+    marginTop: 28,
+  },
+  hint: {
+    fontSize: 13,
+    color: '#718096',
+    marginBottom: 12,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16,
+  },
+  filterChip: {
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 20,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  filterChipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4A5568',
+  },
+  filterChipTextActive: {
+    color: '#FFFFFF',
+  },
+  activeCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#E6FFFA',
+    borderWidth: 1.5,
+    borderColor: '#319795',
+    borderRadius: 14,
+    padding: 16,
+    gap: 12,
+  },
+  reportRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 8,
+    gap: 12,
+  },
+  rowBody: {
+    flex: 1,
+    gap: 3,
+  },
+  rowTitle: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#1A202C',
+  },
+  rowMeta: {
+    fontSize: 12,
+    color: '#718096',
+  },
+  submitBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#319795',
+    borderRadius: 12,
+    paddingVertical: 15,
+    gap: 8,
+  },
+  submitBtnDisabled: {
+    backgroundColor: '#A0AEC0',
+  },
+  submitBtnText: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#FFFFFF',
+    letterSpacing: 0.3,
+  },
+  empty: {
+    alignItems: 'center',
+    paddingVertical: 32,
+    gap: 10,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#A0AEC0',
+  },
+});
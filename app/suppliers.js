@@ -0,0 +1,135 @@
+// app/suppliers.js
+// ─────────────────────────────────────────────────────────────
+// The suppliers deliveries come from. Tap one to edit its contact
+// details or remove it. Only reachable by users who may manage
+// settings.
+// ─────────────────────────────────────────────────────────────
+
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, FlatList } from 'react-native';
+import { Stack } from 'expo-router';
+import { Truck, ChevronRight } from 'lucide-react-native';
+import { useAuth } from '../context/auth-context';
+import { usePurchasing } from '../context/purchasing-context';
+import SupplierSheet from '../components/supplier-sheet';
+
+// ── Supplier Row Component ──────────────────────────────────────
+const SupplierRow = ({ supplier, receiptCount, onPress }) => (
+  <TouchableOpacity style={styles.row} onPress={onPress} activeOpacity={0.8}>
+    <Truck size={20} color="#319795" />
+    <View style={styles.rowBody}>
+      <Text style={styles.supplierName}>{supplier.name}</Text>
+      {!!(supplier.contact || supplier.phone || supplier.email) && (
+        <Text style={styles.meta}>
+          {[supplier.contact, supplier.phone, supplier.email].filter(Boolean).join(' · ')}
+        </Text>
+      )}
+      <Text style={styles.meta}>
+        {receiptCount} deliver{receiptCount !== 1 ? 'ies' : 'y'} received
+      </Text>
+    </View>
+    <ChevronRight size={18} color="#CBD5E0" />
+  </TouchableOpacity>
+);
+
+// ── Suppliers Screen ────────────────────────────────────────────
+export default function SuppliersScreen() {
+  const { can } = useAuth();
+  const { suppliers, receipts } = usePurchasing();
+  // undefined: sheet closed · null: adding · supplier: editing
+  const [editing, setEditing] = useState(undefined);
+
+  if (!can('manage')) {
+    return (
+      <View style={styles.container}>
+        <Text style={[styles.intro, styles.content]}>Only a pharmacist can manage suppliers.</Text>
+      </View>
+    );
+  }
+
+  return (
+    <>
+      <Stack.Screen
+        options={{
+          headerRight: () => (
+            <TouchableOpacity onPress={() => setEditing(null)} hitSlop={8}>
+              <Text style={styles.addText}>Add</Text>
+            </TouchableOpacity>
+          ),
+        }}
+      />
+      <FlatList
+        style={styles.container}
+        contentContainerStyle={styles.content}
+        data={suppliers}
+        keyExtractor={(supplier) => supplier.id}
+        ListHeaderComponent={
+          <Text style={styles.intro}>
+            {suppliers.length === 0
+              ? 'Add the suppliers you buy from, then pick one when receiving a delivery.'
+              : 'Pick a supplier when receiving a delivery to keep a record of who sent it.'}
+          </Text>
+        }
+        renderItem={({ item }) => (
+          <SupplierRow
+            supplier={item}
+            receiptCount={receipts.filter((r) => r.supplierId === item.id).length}
+            onPress={() => setEditing(item)}
+          />
+        )}
+      />
+      <SupplierSheet
+        supplier={editing || null}
+        visible={editing !== undefined}
+        onClose={() => setEditing(undefined)}
+      />
+    </>
+  );
+}
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F7FAFC',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  intro: {
+    fontSize: 13,
+    color: '#718096',
+    lineHeight: 19,
+    marginBottom: 14,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 8,
+    gap: 12,
+  },
+  rowBody: {
+    flex: 1,
+    gap: 3,
+  },
+  supplierName: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#1A202C',
+  },
+  meta: {
+    fontSize: 12,
+    color: '#718096',
+  },
+  addText: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#319795',
+  },
+});
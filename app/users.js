@@ -0,0 +1,133 @@
+// app/users.js
+// ─────────────────────────────────────────────────────────────
+// Everyone who can unlock this device, with their role. Tap a
+// user to rename them, change their role or reset their PIN.
+// Only reachable by users who may manage others.
+// ─────────────────────────────────────────────────────────────
+
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, FlatList } from 'react-native';
+import { Stack } from 'expo-router';
+import { UserCircle, ChevronRight } from 'lucide-react-native';
+import { useAuth } from '../context/auth-context';
+import { getRoleLabel } from '../utils/users';
+import UserSheet from '../components/user-sheet';
+
+// ── User Row Component ──────────────────────────────────────────
+const UserRow = ({ user, isCurrent, onPress }) => (
+  <TouchableOpacity style={styles.row} onPress={onPress} activeOpacity={0.8}>
+    <UserCircle size={22} color="#319795" />
+    <View style={styles.rowBody}>
+      <Text style={styles.userName}>
+        {user.name}
+        {isCurrent && <Text style={styles.youText}> (you)</Text>}
+      </Text>
+      <Text style={styles.meta}>{getRoleLabel(user.role)}</Text>
+    </View>
+    <ChevronRight size={18} color="#CBD5E0" />
+  </TouchableOpacity>
+);
+
+// ── Users Screen ────────────────────────────────────────────────
+export default function UsersScreen() {
+  const { users, currentUser, can } = useAuth();
+  // undefined: sheet closed · null: adding · user: editing
+  const [editing, setEditing] = useState(undefined);
+
+  if (!can('manage')) {
+    return (
+      <View style={styles.container}>
+        <Text style={[styles.intro, styles.content]}>Only a pharmacist can manage users.</Text>
+      </View>
+    );
+  }
+
+  return (
+    <>
+      <Stack.Screen
+        options={{
+          headerRight: () => (
+            <TouchableOpacity onPress={() => setEditing(null)} hitSlop={8}>
+              <Text style={styles.addText}>Add</Text>
+            </TouchableOpacity>
+          ),
+        }}
+      />
+      <FlatList
+        style={styles.container}
+        contentContainerStyle={styles.content}
+        data={users}
+        keyExtractor={(user) => user.id}
+        ListHeaderComponent={
+          <Text style={styles.intro}>
+            Each person unlocks the app with their own PIN, and every stock movement records who
+            made it.
+          </Text>
+        }
+        renderItem={({ item }) => (
+          <UserRow
+            user={item}
+            isCurrent={currentUser && item.id === currentUser.id}
+            onPress={() => setEditing(item)}
+          />
+        )}
+      />
+      <UserSheet
+        user={editing || null}
+        visible={editing !== undefined}
+        onClose={() => setEditing(undefined)}
+      />
+    </>
+  );
+}
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F7FAFC',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  intro: {
+    fontSize: 13,
+    color: '#718096',
+    lineHeight: 19,
+    marginBottom: 14,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 8,
+    gap: 12,
+  },
+  rowBody: {
+    flex: 1,
+    gap: 3,
+  },
+  userName: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#1A202C',
+  },
+  youText: {
+    fontWeight: '500',
+    color: '#718096',
+  },
+  meta: {
+    fontSize: 12,
+    color: '#718096',
+  },
+  addText: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#319795',
+  },
+});
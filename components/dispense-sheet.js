@@ -0,0 +1,305 @@
+// components/dispense-sheet.js
+// ─────────────────────────────────────────────────────────────
+// Bottom sheet for dispensing any quantity of a drug, with a
+// reason and an optional patient / recipient reference.
+// Refuses quantities above the available stock, and offers a
+// short undo once done. With a
+// `locationId`, `drug` is the location-scoped view and only
+// stock held there is dispensed. Users whose role may not dispense
+// expired stock are only given in-date lots.
+// ─────────────────────────────────────────────────────────────
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+  KeyboardAvoidingView,
+  ScrollView,
+  Platform,
+  Alert,
+} from 'react-native';
+import { X, MinusCircle } from 'lucide-react-native';
+import { useInventory } from '../context/inventory-context';
+import { useSettings } from '../context/settings-context';
+import { useUndo } from '../context/undo-context';
+import { useAuth } from '../context/auth-context';
+import { DISPENSE_REASONS } from '../utils/ledger';
+import { getLocationName } from '../utils/locations';
+import { BASE_UNITS, getBaseUnit, formatUnits } from '../utils/drug-metadata';
+import { validateTakeQuantity } from '../utils/validation';
+
+// ── DispenseSheet Component ─────────────────────────────────────
+const DispenseSheet = ({ drug, locationId = null, isExpired, visible, onClose }) => {
+  const { dispenseDrug, undoDispense } = useInventory();
+  const { settings } = useSettings();
+  const { offerUndo } = useUndo();
+  const { can } = useAuth();
+  const mayUseExpired = can('dispenseExpired');
+  const unit = getBaseUnit(drug);
+
+  const [quantity, setQuantity] = useState('1');
+  const [reason, setReason] = useState('patient');
+  const [recipient, setRecipient] = useState('');
+  const [errors, setErrors] = useState({});
+
+  const validate = () => {
+    const newErrors = {};
+    const quantityError = validateTakeQuantity(quantity);
+    if (quantityError) {
+      newErrors.quantity = quantityError;
+    } else if (parseInt(quantity, 10) > drug.quantity) {
+      newErrors.quantity = `Only ${formatUnits(drug.quantity, unit)} available.`;
+    }
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleClose = () => {
+    setQuantity('1');
+    setReason('patient');
+    setRecipient('');
+    setErrors({});
+    onClose();
+  };
+
+  const dispense = () => {
+    try {
+      const movements = dispenseDrug(drug.id, { quantity, reason, recipient, locationId });
+      offerUndo(`Dispensed ${formatUnits(parseInt(quantity, 10), unit)} of ${drug.name}`, () =>
+        undoDispense(movements)
+      );
+      handleClose();
+    } catch (error) {
+      setErrors({ quantity: error.message.replace(/^\[\w+\]\s*/, '') });
+    }
+  };
+
+  const handleSubmit = () => {
+    if (!validate()) return;
+
+    if (isExpired && mayUseExpired) {
+      Alert.alert(
+        '⚠️ Expired Drug',
+        `${drug.name} has expired. Are you sure you want to dispense it?`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          {
+            text: 'Dispense Anyway',
+            style: 'destructive',
+            onPress: dispense,
+          },
+        ]
+      );
+      return;
+    }
+    dispense();
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={handleClose}>
+      <KeyboardAvoidingView
+        style={styles.backdrop}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <View style={styles.sheet}>
+          <View style={styles.header}>
+            <View style={styles.titleBlock}>
+              <Text style={styles.title}>Dispense</Text>
+              <Text style={styles.subtitle} numberOfLines={1}>
+                {drug.name} · {formatUnits(drug.quantity, unit)} available
+                {locationId && ` at ${getLocationName(settings.locations, locationId)}`}
+              </Text>
+            </View>
+            <TouchableOpacity onPress={handleClose} style={styles.closeBtn}>
+              <X size={22} color="#718096" />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+            <View style={styles.fieldGroup}>
+              <Text style={styles.fieldLabel}>
+                QUANTITY ({BASE_UNITS[unit].toUpperCase()})
+              </Text>
+              <TextInput
+                style={[styles.input, errors.quantity && styles.inputError]}
+                placeholder="e.g., 30"
+                placeholderTextColor="#A0AEC0"
+                value={quantity}
+                onChangeText={setQuantity}
+                keyboardType="numeric"
+                selectTextOnFocus
+              />
+              {errors.quantity ? (
+                <Text style={styles.errorText}>{errors.quantity}</Text>
+              ) : (
+                isExpired &&
+                !mayUseExpired && (
+                  <Text style={styles.hintText}>
+                    Expired lots are skipped — only in-date stock is dispensed.
+                  </Text>
+                )
+              )}
+            </View>
+
+            <View style={styles.fieldGroup}>
+              <Text style={styles.fieldLabel}>REASON</Text>
+              <View style={styles.chipRow}>
+                {Object.entries(DISPENSE_REASONS).map(([key, label]) => (
+                  <TouchableOpacity
+                    key={key}
+                    style={[styles.chip, reason === key && styles.chipActive]}
+                    onPress={() => setReason(key)}
+                    activeOpacity={0.8}
+                  >
+                    <Text style={[styles.chipText, reason === key && styles.chipTextActive]}>
+                      {label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+
+            <View style={styles.fieldGroup}>
+              <Text style={styles.fieldLabel}>PATIENT / RECIPIENT (OPTIONAL)</Text>
+              <TextInput
+                style={styles.input}
+                placeholder={reason === 'ward-transfer' ? 'e.g., Ward 3' : 'e.g., MRN 004512'}
+                placeholderTextColor="#A0AEC0"
+                value={recipient}
+                onChangeText={setRecipient}
+              />
+            </View>
+
+            <TouchableOpacity style={styles.submitBtn} onPress={handleSubmit} activeOpacity={0.8}>
+              <MinusCircle size={18} color="#FFF" />
+              <Text style={styles.submitBtnText}>Dispense</Text>
+            </TouchableOpacity>
+          </ScrollView>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.45)',
+  },
+  sheet: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    padding: 24,
+    paddingBottom: Platform.OS === 'ios' ? 40 : 24,
+    maxHeight: '85%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 24,
+  },
+  titleBlock: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '800',
+    color: '#1A202C',
+  },
+  subtitle: {
+    fontSize: 13,
+    color: '#718096',
+    marginTop: 2,
+    fontWeight: '500',
+  },
+  closeBtn: {
+    padding: 4,
+  },
+  fieldGroup: {
+    marginBottom: 18,
+  },
+  fieldLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#A0AEC0',
+    letterSpacing: 1,
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    borderRadius: 10,
+    paddingHorizontal: 14,
+    paddingVertical: 13,
+    fontSize: 15,
+    color: '#1A202C',
+    backgroundColor: '#F7FAFC',
+  },
+  inputError: {
+    borderColor: '#FC8181',
+    backgroundColor: '#FFF5F5',
+  },
+  errorText: {
+    fontSize: 12,
+    color: '#E53E3E',
+    marginTop: 5,
+    fontWeight: '500',
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#DD6B20',
+    marginTop: 5,
+    fontWeight: '500',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    borderRadius: 20,
+    paddingHorizontal: 12,
+    paddingVertical: 7,
+    backgroundColor: '#F7FAFC',
+  },
+  chipActive: {
+    borderColor: '#319795',
+    backgroundColor: '#E6FFFA',
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4A5568',
+  },
+  chipTextActive: {
+    color: '#234E52',
+  },
+  submitBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#319795',
+    borderRadius: 12,
+    paddingVertical: 15,
+    marginTop: 8,
+    gap: 8,
+  },
+  submitBtnText: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#FFFFFF',
+    letterSpacing: 0.3,
+  },
+});
+
+export default DispenseSheet;
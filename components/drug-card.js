@@ -2,16 +2,47 @@
 // ─────────────────────────────────────────────────────────────
 // The core UI component. Acts as the "Decision Support System"
 // by visually flagging expiry status and low stock levels.
+// Tapping the card opens the drug's detail screen. Given a
+// `locationId`, `drug` is expected to be scoped to that location
+// (see utils/locations.js) and dispensing draws only from there.
 // ─────────────────────────────────────────────────────────────
 
-import React from 'react';
+import React, { useState } from 'react';
 import { View, Text, StyleSheet, TouchableOpacity, Alert } from 'react-native';
-import { differenceInDays, format } from 'date-fns';
-import { Pill, Trash2, MinusCircle, AlertTriangle, Clock } from 'lucide-react-native';
+import { useRouter } from 'expo-router';
+import { format } from 'date-fns';
+import {
+  Pill,
+  Trash2,
+  MinusCircle,
+  AlertTriangle,
+  Clock,
+  History,
+  Pencil,
+  TrendingDown,
+  ShieldCheck,
+} from 'lucide-react-native';
 import { useInventory } from '../context/inventory-context';
+import { useSettings } from '../context/settings-context';
+import { useUndo } from '../context/undo-context';
+import { useAuth } from '../context/auth-context';
+import { getDrugStatus, getDaysUntilExpiry, getExpiryStatus } from '../utils/stock-status';
+import { formatDailyUse } from '../utils/consumption';
+import { getLocationName } from '../utils/locations';
+import {
+  BASE_UNITS,
+  getBaseUnit,
+  formatPacks,
+  formatProductDetails,
+} from '../utils/drug-metadata';
+import DrugHistoryModal from './drug-history-modal';
+import DispenseSheet from './dispense-sheet';
+import ControlledDispenseSheet from './controlled-dispense-sheet';
+import DrugFormModal from './drug-form-modal';
+import WitnessSheet from './witness-sheet';
 
 // ── Status Theming ─────────────────────────────────────────────
-const STATUS_THEME = {
+export const STATUS_THEME = {
   critical: {
     background: '#FFE5E5',
     border: '#E53E3E',
@@ -35,15 +66,8 @@ const STATUS_THEME = {
   },
 };
 
-// ── Helper: Determine status based on days until expiry ────────
-const getExpiryStatus = (daysUntilExpiry) => {
-  if (daysUntilExpiry < 0) return 'critical';
-  if (daysUntilExpiry <= 30) return 'warning';
-  return 'safe';
-};
-
 // ── Helper: Human-readable expiry text ─────────────────────────
-const getExpiryLabel = (daysUntilExpiry, expiryDate) => {
+export const getExpiryLabel = (daysUntilExpiry, expiryDate) => {
   const formattedDate = format(new Date(expiryDate), 'dd MMM yyyy');
   if (daysUntilExpiry < 0) {
     return `Expired ${Math.abs(daysUntilExpiry)}d ago · ${formattedDate}`;
@@ -53,56 +77,58 @@ const getExpiryLabel = (daysUntilExpiry, expiryDate) => {
 };
 
 // ── DrugCard Component ──────────────────────────────────────────
-const DrugCard = ({ drug }) => {
-  const { dispenseDrug, deleteDrug } = useInventory();
-
-  const daysUntilExpiry = differenceInDays(new Date(drug.expiryDate), new Date());
-  const status = getExpiryStatus(daysUntilExpiry);
-  const theme = STATUS_THEME[status];
-
-  const isLowStock = drug.quantity < 5;
-  const isOutOfStock = drug.quantity === 0;
+const DrugCard = ({ drug, locationId = null }) => {
+  const router = useRouter();
+  const { deleteDrug, restoreDrug, forecasts } = useInventory();
+  const { offerUndo } = useUndo();
+  const { can } = useAuth();
+  const forecast = forecasts[drug.id];
+  const [isHistoryVisible, setHistoryVisible] = useState(false);
+  const [isDispenseVisible, setDispenseVisible] = useState(false);
+  const [isEditVisible, setEditVisible] = useState(false);
+  const [witnessRequest, setWitnessRequest] = useState(null);
+  const DispenseFlow = drug.controlled ? ControlledDispenseSheet : DispenseSheet;
 
-  // ── Dispense Handler ─────────────────────────────────────────
-  const handleDispense = () => {
-    if (isOutOfStock) return;
+  const { settings } = useSettings();
+  // Name each lot's location when showing every location combined.
+  const showLotLocations = locationId == null && settings.locations.length > 1;
 
-    if (status === 'critical') {
-      Alert.alert(
-        '⚠️ Expired Drug',
-        `${drug.name} has expired. Are you sure you want to dispense it?`,
-        [
-          { text: 'Cancel', style: 'cancel' },
-          {
-            text: 'Dispense Anyway',
-            style: 'destructive',
-            onPress: () => dispenseDrug(drug.id),
-          },
-        ]
-      );
-      return;
-    }
-    dispenseDrug(drug.id);
-  };
+  // Thresholds come from the drug's own overrides or the global settings.
+  const { daysUntilExpiry, warningDays, expiryStatus: status, isLowStock, isOutOfStock } =
+    getDrugStatus(drug, settings);
+  const theme = STATUS_THEME[status];
+  const productDetails = formatProductDetails(drug);
+  const packs = formatPacks(drug);
 
   // ── Delete Handler ───────────────────────────────────────────
+  // Controlled stock leaving the shelf is confirmed by a witness.
   const handleDelete = () => {
-    Alert.alert(
-      'Remove Drug',
-      `Remove "${drug.name}" from inventory permanently?`,
-      [
-        { text: 'Cancel', style: 'cancel' },
-        {
-          text: 'Remove',
-          style: 'destructive',
-          onPress: () => deleteDrug(drug.id),
-        },
-      ]
-    );
+    const remove = (witness = null) => {
+      deleteDrug(drug.id, '', witness);
+      offerUndo(`${drug.name} moved to the recycle bin`, () => restoreDrug(drug.id));
+    };
+    const message = `Move "${drug.name}" to the recycle bin?`;
+    if (drug.controlled && drug.quantity > 0) {
+      setWitnessRequest({
+        title: 'Remove Drug',
+        message,
+        confirmLabel: 'Remove with Witness',
+        onWitnessed: remove,
+      });
+      return;
+    }
+    Alert.alert('Remove Drug', message, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Remove', style: 'destructive', onPress: () => remove() },
+    ]);
   };
 
   return (
-    <View style={[styles.card, { backgroundColor: theme.background, borderColor: theme.border }]}>
+    <TouchableOpacity
+      style={[styles.card, { backgroundColor: theme.background, borderColor: theme.border }]}
+      onPress={() => router.push(`/drug/${drug.id}`)}
+      activeOpacity={0.85}
+    >
       {/* ── Top Row: Icon, Name, Status Badge ── */}
       <View style={styles.headerRow}>
         <View style={styles.iconWrapper}>
@@ -113,26 +139,64 @@ const DrugCard = ({ drug }) => {
           <Text style={styles.drugName} numberOfLines={1}>
             {drug.name}
           </Text>
-          {theme.label && (
-            <View style={[styles.statusBadge, { backgroundColor: theme.labelBg }]}>
-              <AlertTriangle size={10} color="#FFF" />
-              <Text style={styles.statusBadgeText}>{theme.label}</Text>
+          {!!productDetails && (
+            <Text style={styles.productDetails} numberOfLines={1}>
+              {productDetails}
+            </Text>
+          )}
+          {(theme.label || drug.controlled) && (
+            <View style={styles.badgeRow}>
+              {theme.label && (
+                <View style={[styles.statusBadge, { backgroundColor: theme.labelBg }]}>
+                  <AlertTriangle size={10} color="#FFF" />
+                  <Text style={styles.statusBadgeText}>{theme.label}</Text>
+                </View>
+              )}
+              {drug.controlled && (
+                <View style={[styles.statusBadge, styles.controlledBadge]}>
+                  <ShieldCheck size={10} color="#FFF" />
+                  <Text style={styles.statusBadgeText}>CONTROLLED</Text>
+                </View>
+              )}
             </View>
           )}
         </View>
 
-        <TouchableOpacity onPress={handleDelete} style={styles.deleteBtn} hitSlop={8}>
-          <Trash2 size={16} color="#A0AEC0" />
+        {can('edit') && (
+          <TouchableOpacity
+            onPress={() => setEditVisible(true)}
+            style={styles.deleteBtn}
+            hitSlop={8}
+          >
+            <Pencil size={16} color="#A0AEC0" />
+          </TouchableOpacity>
+        )}
+
+        <TouchableOpacity
+          onPress={() => setHistoryVisible(true)}
+          style={styles.deleteBtn}
+          hitSlop={8}
+        >
+          <History size={16} color="#A0AEC0" />
         </TouchableOpacity>
+
+        {can('delete') && (
+          <TouchableOpacity onPress={handleDelete} style={styles.deleteBtn} hitSlop={8}>
+            <Trash2 size={16} color="#A0AEC0" />
+          </TouchableOpacity>
+        )}
       </View>
 
       {/* ── Middle Row: Quantity & Expiry Info ── */}
       <View style={styles.infoRow}>
         <View style={styles.infoBlock}>
-          <Text style={styles.infoLabel}>QUANTITY</Text>
+          <Text style={styles.infoLabel}>
+            {drug.lots.length > 1 ? 'TOTAL QUANTITY' : 'QUANTITY'}
+          </Text>
           <View style={styles.quantityRow}>
             <Text style={[styles.quantityValue, isLowStock && styles.lowStockText]}>
               {drug.quantity}
+              <Text style={styles.quantityUnit}> {BASE_UNITS[getBaseUnit(drug)]}</Text>
             </Text>
             {isLowStock && (
               <View style={styles.lowStockBadge}>
@@ -140,6 +204,7 @@ const DrugCard = ({ drug }) => {
               </View>
             )}
           </View>
+          {!!packs && <Text style={styles.packText}>{packs}</Text>}
         </View>
 
         <View style={styles.infoBlock}>
@@ -153,19 +218,98 @@ const DrugCard = ({ drug }) => {
         </View>
       </View>
 
+      {/* ── Consumption Forecast (from dispense history) ── */}
+      {forecast && forecast.averageDailyUse != null && (
+        <View style={styles.forecastBlock}>
+          <View style={styles.forecastRow}>
+            <TrendingDown size={12} color="#718096" />
+            <Text style={styles.forecastText}>
+              Uses ~{formatDailyUse(forecast.averageDailyUse)}
+              {!isOutOfStock &&
+                ` · lasts ${forecast.daysOfSupply}d (until ${format(
+                  new Date(forecast.stockOutDate),
+                  'dd MMM'
+                )})`}
+            </Text>
+          </View>
+          {forecast.unusedUnits > 0 && (
+            <Text style={styles.forecastWarning}>
+              {forecast.unusedUnits} unit{forecast.unusedUnits !== 1 ? 's' : ''} will expire
+              before use at this rate
+            </Text>
+          )}
+        </View>
+      )}
+
+      {/* ── Lot Breakdown (soonest expiry first) ── */}
+      {drug.lots.length > 1 && (
+        <View style={styles.lotList}>
+          <Text style={styles.infoLabel}>LOTS ({drug.lots.length})</Text>
+          {drug.lots.map((lot) => {
+            const lotDays = getDaysUntilExpiry(lot.expiryDate);
+            const lotTheme = STATUS_THEME[getExpiryStatus(lotDays, warningDays)];
+            const isEmpty = lot.quantity === 0;
+            return (
+              <View key={lot.id} style={styles.lotRow}>
+                <Text style={[styles.lotNumber, isEmpty && styles.lotEmptyText]} numberOfLines={1}>
+                  {lot.lotNumber || 'No lot #'}
+                  {showLotLocations && (
+                    <Text style={styles.lotLocation}>
+                      {' '}
+                      · {getLocationName(settings.locations, lot.locationId)}
+                    </Text>
+                  )}
+                </Text>
+                <Text style={[styles.lotQuantity, isEmpty && styles.lotEmptyText]}>
+                  {lot.quantity}
+                </Text>
+                <Text
+                  style={[styles.lotExpiry, { color: isEmpty ? '#A0AEC0' : lotTheme.icon }]}
+                >
+                  {format(new Date(lot.expiryDate), 'dd MMM yyyy')}
+                </Text>
+              </View>
+            );
+          })}
+        </View>
+      )}
+
       {/* ── Bottom Row: Dispense Button ── */}
-      <TouchableOpacity
-        style={[styles.dispenseBtn, isOutOfStock && styles.dispenseBtnDisabled]}
-        onPress={handleDispense}
-        disabled={isOutOfStock}
-        activeOpacity={0.7}
-      >
-        <MinusCircle size={16} color={isOutOfStock ? '#A0AEC0' : '#FFFFFF'} />
-        <Text style={[styles.dispenseBtnText, isOutOfStock && styles.dispenseBtnTextDisabled]}>
-          {isOutOfStock ? 'Out of Stock' : 'Dispense Unit'}
-        </Text>
-      </TouchableOpacity>
-    </View>
+      {can('dispense') && (
+        <TouchableOpacity
+          style={[styles.dispenseBtn, isOutOfStock && styles.dispenseBtnDisabled]}
+          onPress={() => setDispenseVisible(true)}
+          disabled={isOutOfStock}
+          activeOpacity={0.7}
+        >
+          <MinusCircle size={16} color={isOutOfStock ? '#A0AEC0' : '#FFFFFF'} />
+          <Text style={[styles.dispenseBtnText, isOutOfStock && styles.dispenseBtnTextDisabled]}>
+            {isOutOfStock ? 'Out of Stock' : 'Dispense'}
+          </Text>
+        </TouchableOpacity>
+      )}
+
+      {/* ── Dispense Sheet (witnessed for controlled drugs) ── */}
+      <DispenseFlow
+        drug={drug}
+        locationId={locationId}
+        isExpired={status === 'critical'}
+        visible={isDispenseVisible}
+        onClose={() => setDispenseVisible(false)}
+      />
+
+      {/* ── Edit Form ── */}
+      <DrugFormModal drug={drug} visible={isEditVisible} onClose={() => setEditVisible(false)} />
+
+      {/* ── Stock Movement History ── */}
+      <DrugHistoryModal
+        drug={drug}
+        visible={isHistoryVisible}
+        onClose={() => setHistoryVisible(false)}
+      />
+
+      <WitnessSheet request={witnessRequest} onClose={() => setWitnessRequest(null)} />
+    </TouchableOpacity>
   );
 };
 
@@ -207,6 +351,14 @@ const styles = StyleSheet.create({
     color: '#1A202C',
     letterSpacing: 0.2,
   },
+  productDetails: {
+    fontSize: 12,
+    color: '#718096',
+  },
+  badgeRow: {
+    flexDirection: 'row',
+    gap: 4,
+  },
   statusBadge: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -216,6 +368,9 @@ const styles = StyleSheet.create({
     borderRadius: 4,
     gap: 3,
   },
+  controlledBadge: {
+    backgroundColor: '#553C9A',
+  },
   statusBadgeText: {
     color: '#FFF',
     fontSize: 9,
@@ -251,6 +406,16 @@ const styles = StyleSheet.create({
     color: '#2D3748',
     lineHeight: 34,
   },
+  quantityUnit: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#718096',
+  },
+  packText: {
+    fontSize: 12,
+    color: '#718096',
+    marginTop: 2,
+  },
   lowStockText: {
     color: '#E53E3E',
     fontWeight: '900',
@@ -277,6 +442,66 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     flexShrink: 1,
   },
+  forecastBlock: {
+    marginTop: -6,
+    marginBottom: 14,
+    gap: 4,
+  },
+  forecastRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 5,
+  },
+  forecastText: {
+    fontSize: 12,
+    fontWeight: '500',
+    color: '#718096',
+    flexShrink: 1,
+  },
+  forecastWarning: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: '#DD6B20',
+  },
+  lotList: {
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(0,0,0,0.06)',
+    paddingTop: 10,
+    marginBottom: 14,
+    gap: 6,
+  },
+  lotRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  lotNumber: {
+    flex: 1,
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#4A5568',
+  },
+  lotLocation: {
+    fontWeight: '400',
+    color: '#718096',
+  },
+  lotQuantity: {
+    width: 48,
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#2D3748',
+    textAlign: 'right',
+  },
+  lotExpiry: {
+    width: 86,
+    fontSize: 12,
+    fontWeight: '600',
+    textAlign: 'right',
+  },
+  lotEmptyText: {
+    color: '#A0AEC0',
+    textDecorationLine: 'line-through',
+  },
   dispenseBtn: {
     flexDirection: 'row',
     alignItems: 'center',
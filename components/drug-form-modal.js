@@ -0,0 +1,899 @@
+// components/drug-form-modal.js
+// ─────────────────────────────────────────────────────────────
+// Bottom sheet form for adding a new drug (or a new lot of an
+// existing one) and for editing an existing drug record.
+// Pass `drug` to open it in edit mode, pre-filled, or
+// `initialValues` (e.g. from a barcode scan) to pre-fill an add.
+// New stock is put away at `locationId` unless another is picked.
+// Flagging a drug as controlled puts it in the CD register, and
+// lowering a controlled drug's stock here needs a witness.
+// The name is built from generic name, strength and dosage form;
+// stock can be entered in packs and is stored in base units.
+// Typing a name suggests formulary entries; picking one fills in
+// and links the drug to it (its details are then edited there).
+// ─────────────────────────────────────────────────────────────
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+  Switch,
+} from 'react-native';
+import { X, CheckCircle, BookOpen } from 'lucide-react-native';
+import { useInventory } from '../context/inventory-context';
+import { useSettings } from '../context/settings-context';
+import { useFormulary } from '../context/formulary-context';
+import { useAuth } from '../context/auth-context';
+import {
+  validateName,
+  validateLotFields,
+  validateDrugFields,
+  validateThreshold,
+  validateGtin,
+  validatePackSize,
+  toDateInput,
+} from '../utils/validation';
+import { DEFAULT_LOCATION_ID, getLocationName } from '../utils/locations';
+import {
+  DOSAGE_FORMS,
+  BASE_UNITS,
+  DEFAULT_BASE_UNIT,
+  formatDrugName,
+  formatProductDetails,
+  formatUnits,
+  parseDrugName,
+} from '../utils/drug-metadata';
+import { findEntryByGtin, getEntryName, searchFormulary } from '../utils/formulary';
+import { getWitnesses } from '../utils/users';
+import WitnessField from './witness-field';
+
+// ── Helper: Threshold value → form text (null → blank) ─────────
+const toThresholdInput = (value) => (value == null ? '' : String(value));
+
+// ── Helper: Metadata form fields from a record or a scan ───────
+// Falls back to reading them out of the name if there are none.
+const toMetadataInput = (source) => {
+  const fields = source.genericName ? source : parseDrugName(source.name);
+  return {
+    genericName: fields.genericName || '',
+    brandName: source.brandName || '',
+    strength: fields.strength || '',
+    dosageForm: fields.dosageForm || null,
+    baseUnit: source.baseUnit || (fields.dosageForm ? DOSAGE_FORMS[fields.dosageForm].unit : null),
+    packSize: source.packSize > 1 ? String(source.packSize) : '',
+  };
+};
+
+// ── Helper: Form state for a drug being edited ─────────────────
+const toEditableLots = (drug) =>
+  drug.lots.map((lot) => ({
+    id: lot.id,
+    lotNumber: lot.lotNumber,
+    locationId: lot.locationId,
+    quantity: String(lot.quantity),
+    expiryDate: toDateInput(lot.expiryDate),
+  }));
+
+// ── DrugFormModal Component ─────────────────────────────────────
+const DrugFormModal = ({
+  visible,
+  onClose,
+  drug = null,
+  initialValues = null,
+  locationId = null,
+}) => {
+  const { addDrug, updateDrug } = useInventory();
+  const { settings } = useSettings();
+  const { formulary, getEntry } = useFormulary();
+  const { users, currentUser, verifyWitness } = useAuth();
+  const witnesses = getWitnesses(users, currentUser);
+  const isEditing = drug !== null;
+  const hasLocations = settings.locations.length > 1;
+
+  const [formularyEntry, setFormularyEntry] = useState(null);
+  const [genericName, setGenericName] = useState('');
+  const [brandName, setBrandName] = useState('');
+  const [strength, setStrength] = useState('');
+  const [dosageForm, setDosageForm] = useState(null);
+  const [baseUnit, setBaseUnit] = useState(null);
+  const [packSize, setPackSize] = useState('');
+  const [quantity, setQuantity] = useState('');
+  const [inPacks, setInPacks] = useState(false);
+  const [expiryDate, setExpiryDate] = useState('');
+  const [lotNumber, setLotNumber] = useState('');
+  const [gtin, setGtin] = useState('');
+  const [controlled, setControlled] = useState(false);
+  const [location, setLocation] = useState(DEFAULT_LOCATION_ID);
+  const [lots, setLots] = useState([]);
+  const [reorderLevel, setReorderLevel] = useState('');
+  const [expiryWarningDays, setExpiryWarningDays] = useState('');
+  const [note, setNote] = useState('');
+  const [witnessId, setWitnessId] = useState(null);
+  const [witnessPin, setWitnessPin] = useState('');
+  const [errors, setErrors] = useState({});
+
+  // Pre-fill from the drug every time the edit form opens.
+  useEffect(() => {
+    if (visible && isEditing) {
+      setFormularyEntry(getEntry(drug.formularyId));
+      setMetadata(toMetadataInput(drug));
+      setGtin(drug.gtin || '');
+      setControlled(drug.controlled === true);
+      setLots(toEditableLots(drug));
+      setReorderLevel(toThresholdInput(drug.reorderLevel));
+      setExpiryWarningDays(toThresholdInput(drug.expiryWarningDays));
+    }
+  }, [visible, isEditing, drug, getEntry]);
+
+  // New stock goes to the location being viewed, if there is one.
+  useEffect(() => {
+    if (visible && !isEditing) setLocation(locationId || DEFAULT_LOCATION_ID);
+  }, [visible, isEditing, locationId]);
+
+  // Pre-fill a new entry from whatever the caller already knows. A
+  // scanned GTIN the formulary knows links the new stock to its entry.
+  useEffect(() => {
+    if (visible && !isEditing && initialValues) {
+      const entry =
+        getEntry(initialValues.formularyId) || findEntryByGtin(formulary, initialValues.gtin);
+      if (entry) pickEntry(entry);
+      else setMetadata(toMetadataInput(initialValues));
+      setGtin(initialValues.gtin || '');
+      setLotNumber(initialValues.lotNumber || '');
+      setExpiryDate(initialValues.expiryDate || '');
+    }
+  }, [visible, isEditing, initialValues, formulary, getEntry]);
+
+  const setMetadata = (fields) => {
+    setGenericName(fields.genericName);
+    setBrandName(fields.brandName);
+    setStrength(fields.strength);
+    setDosageForm(fields.dosageForm);
+    setBaseUnit(fields.baseUnit);
+    setPackSize(fields.packSize);
+  };
+
+  // ── Formulary: Link to an entry, taking its details ──────────
+  const pickEntry = (entry) => {
+    setFormularyEntry(entry);
+    setMetadata(toMetadataInput(entry));
+    setControlled(entry.controlled);
+  };
+
+  // Unlinking keeps the details, now editable here.
+  const unlinkEntry = () => setFormularyEntry(null);
+
+  const suggestions =
+    !formularyEntry && genericName.trim().length >= 2
+      ? searchFormulary(formulary, genericName)
+      : [];
+
+  // Picking a form also picks the unit it is usually counted in.
+  const pickDosageForm = (form) => {
+    setDosageForm(form);
+    setBaseUnit(DOSAGE_FORMS[form].unit);
+  };
+
+  const unit = baseUnit || DEFAULT_BASE_UNIT;
+  const packCount = parseInt(packSize, 10) > 1 ? parseInt(packSize, 10) : 1;
+  const displayName = formatDrugName({ genericName, strength, dosageForm });
+  const metadata = { genericName, brandName, strength, dosageForm, baseUnit: unit, packSize };
+
+  // Counting a controlled drug's lot down takes stock off the shelf.
+  const needsWitness =
+    isEditing &&
+    (drug.controlled || controlled) &&
+    lots.some((lot) => {
+      const saved = drug.lots.find((l) => l.id === lot.id);
+      return saved && parseInt(lot.quantity, 10) < saved.quantity;
+    });
+
+  const validate = () => {
+    let newErrors = {};
+    if (isEditing) {
+      const nameError = validateName(genericName);
+      if (nameError) newErrors.genericName = nameError;
+      const reorderError = validateThreshold(reorderLevel);
+      if (reorderError) newErrors.reorderLevel = reorderError;
+      const warningError = validateThreshold(expiryWarningDays);
+      if (warningError) newErrors.expiryWarningDays = warningError;
+      lots.forEach((lot) => {
+        const lotErrors = validateLotFields(lot);
+        Object.entries(lotErrors).forEach(([field, message]) => {
+          newErrors[`${lot.id}.${field}`] = message;
+        });
+      });
+    } else {
+      const { name: nameError, ...lotErrors } = validateDrugFields({
+        name: genericName,
+        quantity,
+        expiryDate,
+      });
+      newErrors = nameError ? { ...lotErrors, genericName: nameError } : lotErrors;
+    }
+    const packSizeError = validatePackSize(packSize);
+    if (packSizeError) newErrors.packSize = packSizeError;
+    const gtinError = validateGtin(gtin);
+    if (gtinError) newErrors.gtin = gtinError;
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const updateLotField = (lotId, field, value) => {
+    setLots((prev) => prev.map((lot) => (lot.id === lotId ? { ...lot, [field]: value } : lot)));
+  };
+
+  const handleSubmit = async () => {
+    if (!validate()) return;
+    if (isEditing) {
+      let witness = null;
+      if (needsWitness) {
+        if (!witnessId || !witnessPin) {
+          setErrors({ witness: 'Lowering controlled stock needs a witness and their PIN.' });
+          return;
+        }
+        witness = await verifyWitness(witnessId, witnessPin);
+        if (!witness) {
+          setWitnessPin('');
+          setErrors({ witness: 'Incorrect PIN for the witness.' });
+          return;
+        }
+      }
+      try {
+        updateDrug(
+          drug.id,
+          { ...metadata, formularyEntry, gtin, controlled, lots, reorderLevel, expiryWarningDays },
+          note,
+          witness
+        );
+      } catch (error) {
+        setErrors({ witness: error.message.replace(/^\[\w+\]\s*/, '') });
+        return;
+      }
+    } else {
+      addDrug({
+        ...metadata,
+        formularyEntry,
+        quantity,
+        inPacks: inPacks && packCount > 1,
+        expiryDate,
+        lotNumber,
+        gtin,
+        controlled,
+        locationId: location,
+      });
+    }
+    handleClose();
+  };
+
+  const handleClose = () => {
+    setFormularyEntry(null);
+    setMetadata(toMetadataInput({ name: '' }));
+    setQuantity('');
+    setInPacks(false);
+    setExpiryDate('');
+    setLotNumber('');
+    setGtin('');
+    setControlled(false);
+    setLots([]);
+    setReorderLevel('');
+    setExpiryWarningDays('');
+    setNote('');
+    setWitnessId(null);
+    setWitnessPin('');
+    setErrors({});
+    onClose();
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={handleClose}>
+      <KeyboardAvoidingView
+        style={styles.modalBackdrop}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <View style={styles.modalSheet}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>{isEditing ? 'Edit Drug' : 'Add New Drug'}</Text>
+            <TouchableOpacity onPress={handleClose} style={styles.modalCloseBtn}>
+              <X size={22} color="#718096" />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView showsVerticalScrollIndicator={false}>
+            {formularyEntry ? (
+              <View style={styles.fieldGroup}>
+                <Text style={styles.fieldLabel}>FORMULARY ENTRY</Text>
+                <View style={styles.linkedCard}>
+                  <BookOpen size={18} color="#319795" />
+                  <View style={styles.suggestionBody}>
+                    <Text style={styles.linkedName}>{getEntryName(formularyEntry)}</Text>
+                    <Text style={styles.suggestionMeta}>
+                      {[formatProductDetails(formularyEntry), `counted in ${BASE_UNITS[unit]}`]
+                        .filter(Boolean)
+                        .join(' · ')}
+                    </Text>
+                  </View>
+                  <TouchableOpacity onPress={unlinkEntry} style={styles.modalCloseBtn}>
+                    <X size={18} color="#718096" />
+                  </TouchableOpacity>
+                </View>
+                <Text style={styles.fieldHint}>
+                  Name, strength, form, pack size and the controlled flag come from the
+                  formulary. Remove the link to edit them here.
+                </Text>
+              </View>
+            ) : (
+              <>
+                <View style={styles.fieldGroup}>
+                  <Text style={styles.fieldLabel}>GENERIC NAME</Text>
+                  <TextInput
+                    style={[styles.input, errors.genericName && styles.inputError]}
+                    placeholder="e.g., Amoxicillin"
+                    placeholderTextColor="#A0AEC0"
+                    value={genericName}
+                    onChangeText={setGenericName}
+                    autoCapitalize="words"
+                  />
+                  {errors.genericName && <Text style={styles.errorText}>{errors.genericName}</Text>}
+                  {suggestions.length > 0 && (
+                    <View style={styles.suggestionList}>
+                      {suggestions.map((entry) => (
+                        <TouchableOpacity
+                          key={entry.id}
+                          style={styles.suggestionRow}
+                          onPress={() => pickEntry(entry)}
+                          activeOpacity={0.7}
+                        >
+                          <BookOpen size={14} color="#319795" />
+                          <View style={styles.suggestionBody}>
+                            <Text style={styles.suggestionName}>{getEntryName(entry)}</Text>
+                            {!!formatProductDetails(entry) && (
+                              <Text style={styles.suggestionMeta}>
+                                {formatProductDetails(entry)}
+                              </Text>
+                            )}
+                          </View>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  )}
+                </View>
+
+                <View style={styles.fieldRow}>
+                  <View style={[styles.fieldGroup, styles.fieldRowItem]}>
+                    <Text style={styles.fieldLabel}>STRENGTH</Text>
+                    <TextInput
+                      style={styles.input}
+                      placeholder="e.g., 500 mg"
+                      placeholderTextColor="#A0AEC0"
+                      value={strength}
+                      onChangeText={setStrength}
+                      autoCapitalize="none"
+                    />
+                  </View>
+
+                  <View style={[styles.fieldGroup, styles.fieldRowItem]}>
+                    <Text style={styles.fieldLabel}>BRAND (OPTIONAL)</Text>
+                    <TextInput
+                      style={styles.input}
+                      placeholder="e.g., Amoxil"
+                      placeholderTextColor="#A0AEC0"
+                      value={brandName}
+                      onChangeText={setBrandName}
+                      autoCapitalize="words"
+                    />
+                  </View>
+                </View>
+
+                <View style={styles.fieldGroup}>
+                  <Text style={styles.fieldLabel}>DOSAGE FORM</Text>
+                  <View style={styles.chipRow}>
+                    {Object.entries(DOSAGE_FORMS).map(([key, form]) => (
+                      <TouchableOpacity
+                        key={key}
+                        style={[styles.chip, dosageForm === key && styles.chipActive]}
+                        onPress={() => pickDosageForm(key)}
+                        activeOpacity={0.8}
+                      >
+                        <Text
+                          style={[styles.chipText, dosageForm === key && styles.chipTextActive]}
+                        >
+                          {form.label}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                  {!!displayName && (
+                    <Text style={styles.fieldHint}>
+                      Listed as “{displayName}”.
+                      {!isEditing &&
+                        ' An existing drug with the same GTIN, or the same name and strength,' +
+                          ' receives this as a new lot.'}
+                    </Text>
+                  )}
+                </View>
+
+                <View style={styles.fieldGroup}>
+                  <Text style={styles.fieldLabel}>COUNTED IN</Text>
+                  <View style={styles.chipRow}>
+                    {Object.keys(BASE_UNITS).map((key) => (
+                      <TouchableOpacity
+                        key={key}
+                        style={[styles.chip, unit === key && styles.chipActive]}
+                        onPress={() => setBaseUnit(key)}
+                        activeOpacity={0.8}
+                      >
+                        <Text style={[styles.chipText, unit === key && styles.chipTextActive]}>
+                          {BASE_UNITS[key]}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                  {isEditing && (
+                    <Text style={styles.fieldHint}>
+                      Stock already held is not converted when the unit or pack size changes.
+                    </Text>
+                  )}
+                </View>
+
+                <View style={styles.fieldGroup}>
+                  <Text style={styles.fieldLabel}>
+                    PACK SIZE ({BASE_UNITS[unit].toUpperCase()})
+                  </Text>
+                  <TextInput
+                    style={[styles.input, errors.packSize && styles.inputError]}
+                    placeholder="e.g., 30 (blank if sold loose)"
+                    placeholderTextColor="#A0AEC0"
+                    value={packSize}
+                    onChangeText={setPackSize}
+                    keyboardType="numeric"
+                  />
+                  {errors.packSize && <Text style={styles.errorText}>{errors.packSize}</Text>}
+                </View>
+              </>
+            )}
+
+            <View style={styles.fieldGroup}>
+              <Text style={styles.fieldLabel}>GTIN (OPTIONAL)</Text>
+              <TextInput
+                style={[styles.input, errors.gtin && styles.inputError]}
+                placeholder="From the pack barcode, e.g. 09501101530003"
+                placeholderTextColor="#A0AEC0"
+                value={gtin}
+                onChangeText={setGtin}
+                keyboardType="numeric"
+                maxLength={14}
+              />
+              {errors.gtin && <Text style={styles.errorText}>{errors.gtin}</Text>}
+            </View>
+
+            {!formularyEntry && (
+              <View style={styles.switchRow}>
+                <View style={styles.switchBody}>
+                  <Text style={styles.switchTitle}>Controlled drug</Text>
+                  <Text style={styles.fieldHint}>
+                    Kept in the CD register; stock leaves only in front of a witness.
+                    {!isEditing && ' Ignored if the drug is already stocked.'}
+                  </Text>
+                </View>
+                <Switch
+                  value={controlled}
+                  onValueChange={setControlled}
+                  trackColor={{ true: '#319795' }}
+                />
+              </View>
+            )}
+
+            {isEditing ? (
+              lots.map((lot, index) => (
+                <View key={lot.id} style={styles.lotGroup}>
+                  <Text style={styles.lotGroupTitle}>
+                    LOT {index + 1}
+                    {hasLocations && ` · ${getLocationName(settings.locations, lot.locationId)}`}
+                  </Text>
+
+                  <View style={styles.fieldGroup}>
+                    <Text style={styles.fieldLabel}>LOT / BATCH NUMBER</Text>
+                    <TextInput
+                      style={styles.input}
+                      placeholder="e.g., AMX2407B"
+                      placeholderTextColor="#A0AEC0"
+                      value={lot.lotNumber}
+                      onChangeText={(value) => updateLotField(lot.id, 'lotNumber', value)}
+                      autoCapitalize="characters"
+                    />
+                  </View>
+
+                  <View style={styles.fieldRow}>
+                    <View style={[styles.fieldGroup, styles.fieldRowItem]}>
+                      <Text style={styles.fieldLabel}>
+                        QUANTITY ({BASE_UNITS[unit].toUpperCase()})
+                      </Text>
+                      <TextInput
+                        style={[styles.input, errors[`${lot.id}.quantity`] && styles.inputError]}
+                        placeholderTextColor="#A0AEC0"
+                        value={lot.quantity}
+                        onChangeText={(value) => updateLotField(lot.id, 'quantity', value)}
+                        keyboardType="numeric"
+                      />
+                      {errors[`${lot.id}.quantity`] && (
+                        <Text style={styles.errorText}>{errors[`${lot.id}.quantity`]}</Text>
+                      )}
+                    </View>
+
+                    <View style={[styles.fieldGroup, styles.fieldRowItem]}>
+                      <Text style={styles.fieldLabel}>EXPIRY DATE</Text>
+                      <TextInput
+                        style={[styles.input, errors[`${lot.id}.expiryDate`] && styles.inputError]}
+                        placeholder="YYYY-MM-DD"
+                        placeholderTextColor="#A0AEC0"
+                        value={lot.expiryDate}
+                        onChangeText={(value) => updateLotField(lot.id, 'expiryDate', value)}
+                        keyboardType="numeric"
+                        maxLength={10}
+                      />
+                      {errors[`${lot.id}.expiryDate`] && (
+                        <Text style={styles.errorText}>{errors[`${lot.id}.expiryDate`]}</Text>
+                      )}
+                    </View>
+                  </View>
+                </View>
+              ))
+            ) : (
+              <>
+                <View style={styles.fieldGroup}>
+                  <Text style={styles.fieldLabel}>LOT / BATCH NUMBER (OPTIONAL)</Text>
+                  <TextInput
+                    style={styles.input}
+                    placeholder="e.g., AMX2407B"
+                    placeholderTextColor="#A0AEC0"
+                    value={lotNumber}
+                    onChangeText={setLotNumber}
+                    autoCapitalize="characters"
+                  />
+                </View>
+
+                <View style={styles.fieldGroup}>
+                  <Text style={styles.fieldLabel}>QUANTITY RECEIVED</Text>
+                  {packCount > 1 && (
+                    <View style={[styles.chipRow, styles.unitToggle]}>
+                      {[false, true].map((packs) => (
+                        <TouchableOpacity
+                          key={String(packs)}
+                          style={[styles.chip, inPacks === packs && styles.chipActive]}
+                          onPress={() => setInPacks(packs)}
+                          activeOpacity={0.8}
+                        >
+                          <Text
+                            style={[styles.chipText, inPacks === packs && styles.chipTextActive]}
+                          >
+                            {packs ? `Packs of ${packCount}` : BASE_UNITS[unit]}
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  )}
+                  <TextInput
+                    style={[styles.input, errors.quantity && styles.inputError]}
+                    placeholder="e.g., 100"
+                    placeholderTextColor="#A0AEC0"
+                    value={quantity}
+                    onChangeText={setQuantity}
+                    keyboardType="numeric"
+                  />
+                  {errors.quantity && <Text style={styles.errorText}>{errors.quantity}</Text>}
+                  {inPacks && packCount > 1 && /^\d+$/.test(quantity.trim()) && (
+                    <Text style={styles.fieldHint}>
+                      = {formatUnits(parseInt(quantity, 10) * packCount, unit)}
+                    </Text>
+                  )}
+                </View>
+
+                <View style={styles.fieldGroup}>
+                  <Text style={styles.fieldLabel}>EXPIRY DATE</Text>
+                  <TextInput
+                    style={[styles.input, errors.expiryDate && styles.inputError]}
+                    placeholder="YYYY-MM-DD (e.g., 2026-12-31)"
+                    placeholderTextColor="#A0AEC0"
+                    value={expiryDate}
+                    onChangeText={setExpiryDate}
+                    keyboardType="numeric"
+                    maxLength={10}
+                  />
+                  {errors.expiryDate && <Text style={styles.errorText}>{errors.expiryDate}</Text>}
+                </View>
+
+                {hasLocations && (
+                  <View style={styles.fieldGroup}>
+                    <Text style={styles.fieldLabel}>LOCATION</Text>
+                    <View style={styles.chipRow}>
+                      {settings.locations.map((l) => (
+                        <TouchableOpacity
+                          key={l.id}
+                          style={[styles.chip, location === l.id && styles.chipActive]}
+                          onPress={() => setLocation(l.id)}
+                          activeOpacity={0.8}
+                        >
+                          <Text
+                            style={[styles.chipText, location === l.id && styles.chipTextActive]}
+                          >
+                            {l.name}
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  </View>
+                )}
+              </>
+            )}
+
+            {isEditing && (
+              <View style={styles.fieldRow}>
+                <View style={[styles.fieldGroup, styles.fieldRowItem]}>
+                  <Text style={styles.fieldLabel}>REORDER LEVEL</Text>
+                  <TextInput
+                    style={[styles.input, errors.reorderLevel && styles.inputError]}
+                    placeholder={`Default: ${settings.lowStockThreshold}`}
+                    placeholderTextColor="#A0AEC0"
+                    value={reorderLevel}
+                    onChangeText={setReorderLevel}
+                    keyboardType="numeric"
+                  />
+                  {errors.reorderLevel && (
+                    <Text style={styles.errorText}>{errors.reorderLevel}</Text>
+                  )}
+                </View>
+
+                <View style={[styles.fieldGroup, styles.fieldRowItem]}>
+                  <Text style={styles.fieldLabel}>WARN DAYS</Text>
+                  <TextInput
+                    style={[styles.input, errors.expiryWarningDays && styles.inputError]}
+                    placeholder={`Default: ${settings.expiryWarningDays}`}
+                    placeholderTextColor="#A0AEC0"
+                    value={expiryWarningDays}
+                    onChangeText={setExpiryWarningDays}
+                    keyboardType="numeric"
+                  />
+                  {errors.expiryWarningDays && (
+                    <Text style={styles.errorText}>{errors.expiryWarningDays}</Text>
+                  )}
+                </View>
+              </View>
+            )}
+
+            {isEditing && (
+              <View style={styles.fieldGroup}>
+                <Text style={styles.fieldLabel}>REASON FOR CHANGE (OPTIONAL)</Text>
+                <TextInput
+                  style={styles.input}
+                  placeholder="e.g., Recount, typo in expiry"
+                  placeholderTextColor="#A0AEC0"
+                  value={note}
+                  onChangeText={setNote}
+                />
+              </View>
+            )}
+
+            {(needsWitness || errors.witness) && (
+              <View style={styles.fieldGroup}>
+                <Text style={styles.fieldLabel}>WITNESS</Text>
+                <WitnessField
+                  witnesses={witnesses}
+                  witnessId={witnessId}
+                  pin={witnessPin}
+                  onSelect={setWitnessId}
+                  onChangePin={setWitnessPin}
+                  hasError={!!errors.witness}
+                />
+                {errors.witness && <Text style={styles.errorText}>{errors.witness}</Text>}
+              </View>
+            )}
+
+            <TouchableOpacity style={styles.submitBtn} onPress={handleSubmit} activeOpacity={0.8}>
+              <CheckCircle size={18} color="#FFF" />
+              <Text style={styles.submitBtnText}>
+                {isEditing ? 'Save Changes' : 'Add to Inventory'}
+              </Text>
+            </TouchableOpacity>
+          </ScrollView>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  modalBackdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.45)',
+  },
+  modalSheet: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    padding: 24,
+    paddingBottom: Platform.OS === 'ios' ? 40 : 24,
+    maxHeight: '85%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 24,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: '800',
+    color: '#1A202C',
+  },
+  modalCloseBtn: {
+    padding: 4,
+  },
+  fieldGroup: {
+    marginBottom: 18,
+  },
+  fieldRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  fieldRowItem: {
+    flex: 1,
+  },
+  fieldLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#A0AEC0',
+    letterSpacing: 1,
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    borderRadius: 10,
+    paddingHorizontal: 14,
+    paddingVertical: 13,
+    fontSize: 15,
+    color: '#1A202C',
+    backgroundColor: '#F7FAFC',
+  },
+  inputError: {
+    borderColor: '#FC8181',
+    backgroundColor: '#FFF5F5',
+  },
+  errorText: {
+    fontSize: 12,
+    color: '#E53E3E',
+    marginTop: 5,
+    fontWeight: '500',
+  },
+  fieldHint: {
+    fontSize: 12,
+    color: '#A0AEC0',
+    marginTop: 5,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 18,
+    gap: 12,
+  },
+  switchBody: {
+    flex: 1,
+  },
+  switchTitle: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#1A202C',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    borderRadius: 20,
+    paddingHorizontal: 12,
+    paddingVertical: 7,
+    backgroundColor: '#F7FAFC',
+  },
+  chipActive: {
+    borderColor: '#319795',
+    backgroundColor: '#E6FFFA',
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4A5568',
+  },
+  chipTextActive: {
+    color: '#234E52',
+  },
+  suggestionList: {
+    marginTop: 6,
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    borderRadius: 10,
+    overflow: 'hidden',
+  },
+  suggestionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#EDF2F7',
+  },
+  suggestionBody: {
+    flex: 1,
+  },
+  suggestionName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1A202C',
+  },
+  suggestionMeta: {
+    fontSize: 12,
+    color: '#718096',
+    marginTop: 2,
+  },
+  linkedCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    borderWidth: 1.5,
+    borderColor: '#319795',
+    borderRadius: 10,
+    padding: 12,
+    backgroundColor: '#E6FFFA',
+  },
+  linkedName: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#234E52',
+  },
+  unitToggle: {
+    marginBottom: 8,
+  },
+  lotGroup: {
+    borderTopWidth: 1,
+    borderTopColor: '#EDF2F7',
+    paddingTop: 14,
+  },
+  lotGroupTitle: {
+    fontSize: 12,
+    fontWeight: '800',
+    color: '#234E52',
+    letterSpacing: 1,
+    marginBottom: 12,
+  },
+  submitBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#319795',
+    borderRadius: 12,
+    paddingVertical: 15,
+    marginTop: 8,
+    gap: 8,
+  },
+  submitBtnText: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#FFFFFF',
+    letterSpacing: 0.3,
+  },
+});
+
+export default DrugFormModal;
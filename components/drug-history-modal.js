@@ -0,0 +1,292 @@
+// components/drug-history-modal.js
+// ─────────────────────────────────────────────────────────────
+// Bottom sheet listing every stock movement recorded for one
+// drug, newest first. Expired lots that still hold stock can be
+// written off from here.
+// ─────────────────────────────────────────────────────────────
+
+import React, { useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  FlatList,
+  Alert,
+  Platform,
+} from 'react-native';
+import { format } from 'date-fns';
+import { X, History, Ban } from 'lucide-react-native';
+import { useInventory } from '../context/inventory-context';
+import { useAuth } from '../context/auth-context';
+import { useSettings } from '../context/settings-context';
+import {
+  MOVEMENT_TYPES,
+  DISPENSE_REASONS,
+  EDITABLE_FIELDS,
+  getDrugHistory,
+} from '../utils/ledger';
+import { getLocationName } from '../utils/locations';
+import { DOSAGE_FORMS } from '../utils/drug-metadata';
+import WitnessSheet from './witness-sheet';
+
+// ── Helper: Display an edited value (dates shown as dates) ─────
+const formatChangeValue = (field, value) => {
+  if (value == null || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (field === 'dosageForm' && DOSAGE_FORMS[value]) return DOSAGE_FORMS[value].label;
+  return field === 'expiryDate' ? format(new Date(value), 'dd MMM yyyy') : String(value);
+};
+
+// ── Single Ledger Row ──────────────────────────────────────────
+export const MovementRow = ({ movement }) => {
+  const { settings } = useSettings();
+  const type = MOVEMENT_TYPES[movement.type] || { label: movement.type, color: '#718096' };
+  const sign = movement.delta > 0 ? '+' : '';
+
+  return (
+    <View style={styles.row}>
+      <View style={[styles.typeDot, { backgroundColor: type.color }]} />
+      <View style={styles.rowBody}>
+        <View style={styles.rowTop}>
+          <Text style={[styles.typeLabel, { color: type.color }]}>{type.label}</Text>
+          <Text style={styles.delta}>
+            {sign}
+            {movement.delta}
+          </Text>
+        </View>
+        <Text style={styles.meta}>
+          {format(new Date(movement.timestamp), 'dd MMM yyyy, HH:mm')}
+          {movement.lotNumber ? ` · Lot ${movement.lotNumber}` : ''}
+          {` · Balance ${movement.balance}`}
+        </Text>
+        {!!movement.userName && (
+          <Text style={styles.meta}>
+            By {movement.userName}
+            {movement.witnessName ? ` · Witness ${movement.witnessName}` : ''}
+          </Text>
+        )}
+        {movement.type === 'transfer' && (
+          <Text style={styles.meta}>
+            {getLocationName(settings.locations, movement.fromLocationId)} →{' '}
+            {getLocationName(settings.locations, movement.toLocationId)}
+          </Text>
+        )}
+        {!!movement.reason && (
+          <Text style={styles.meta}>
+            {DISPENSE_REASONS[movement.reason] || movement.reason}
+            {movement.recipient ? ` · ${movement.recipient}` : ''}
+          </Text>
+        )}
+        {(movement.changes || []).map((change, index) => (
+          <Text key={index} style={styles.meta}>
+            {EDITABLE_FIELDS[change.field] || change.field}:{' '}
+            {formatChangeValue(change.field, change.from)} →{' '}
+            {formatChangeValue(change.field, change.to)}
+          </Text>
+        ))}
+        {!!movement.note && <Text style={styles.note}>{movement.note}</Text>}
+      </View>
+    </View>
+  );
+};
+
+// ── Helper: Lots past their expiry that still hold stock ───────
+export const getExpiredLots = (drug, now = new Date()) =>
+  drug.lots.filter((lot) => lot.quantity > 0 && new Date(lot.expiryDate) < now);
+
+// ── Helper: Confirm, then write off an expired lot ─────────────
+// A controlled drug's lot is confirmed with a witness instead:
+// `requestWitness` opens a WitnessSheet with the request.
+export const confirmWriteOff = (drug, lot, writeOffLot, requestWitness) => {
+  const title = 'Write Off Lot';
+  const message = `Write off ${lot.quantity} expired unit${lot.quantity !== 1 ? 's' : ''} of ${
+    lot.lotNumber ? `lot ${lot.lotNumber}` : drug.name
+  }?`;
+  if (drug.controlled) {
+    requestWitness({
+      title,
+      message,
+      confirmLabel: 'Write Off with Witness',
+      onWitnessed: (witness) => writeOffLot(drug.id, lot.id, 'Expired stock', witness),
+    });
+    return;
+  }
+  Alert.alert(title, message, [
+    { text: 'Cancel', style: 'cancel' },
+    {
+      text: 'Write Off',
+      style: 'destructive',
+      onPress: () => writeOffLot(drug.id, lot.id, 'Expired stock'),
+    },
+  ]);
+};
+
+// ── DrugHistoryModal Component ──────────────────────────────────
+const DrugHistoryModal = ({ drug, visible, onClose }) => {
+  const { ledger, writeOffLot } = useInventory();
+  const { can } = useAuth();
+  const [witnessRequest, setWitnessRequest] = useState(null);
+
+  const history = useMemo(() => getDrugHistory(ledger, drug.id), [ledger, drug.id]);
+  const expiredLots = getExpiredLots(drug);
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <View style={styles.header}>
+            <View style={styles.titleBlock}>
+              <Text style={styles.title}>Stock History</Text>
+              <Text style={styles.subtitle} numberOfLines={1}>
+                {drug.name}
+              </Text>
+            </View>
+            <TouchableOpacity onPress={onClose} style={styles.closeBtn}>
+              <X size={22} color="#718096" />
+            </TouchableOpacity>
+          </View>
+
+          {can('delete') &&
+            expiredLots.map((lot) => (
+              <TouchableOpacity
+                key={lot.id}
+                style={styles.writeOffBtn}
+                onPress={() => confirmWriteOff(drug, lot, writeOffLot, setWitnessRequest)}
+                activeOpacity={0.8}
+              >
+                <Ban size={16} color="#DD6B20" />
+                <Text style={styles.writeOffText}>
+                  Write off expired {lot.lotNumber ? `lot ${lot.lotNumber}` : 'lot'}{' '}
+                  ({lot.quantity})
+                </Text>
+              </TouchableOpacity>
+            ))}
+
+          <FlatList
+            data={history}
+            keyExtractor={(item) => item.id}
+            renderItem={({ item }) => <MovementRow movement={item} />}
+            ListEmptyComponent={
+              <View style={styles.empty}>
+                <History size={40} color="#CBD5E0" strokeWidth={1.5} />
+                <Text style={styles.emptyText}>No movements recorded yet.</Text>
+              </View>
+            }
+            showsVerticalScrollIndicator={false}
+          />
+        </View>
+      </View>
+      <WitnessSheet request={witnessRequest} onClose={() => setWitnessRequest(null)} />
+    </Modal>
+  );
+};
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.45)',
+  },
+  sheet: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    padding: 24,
+    paddingBottom: Platform.OS === 'ios' ? 40 : 24,
+    maxHeight: '85%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  titleBlock: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '800',
+    color: '#1A202C',
+  },
+  subtitle: {
+    fontSize: 13,
+    color: '#718096',
+    marginTop: 2,
+    fontWeight: '500',
+  },
+  closeBtn: {
+    padding: 4,
+  },
+  writeOffBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFF4E5',
+    borderWidth: 1,
+    borderColor: '#DD6B20',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    marginBottom: 10,
+    gap: 8,
+  },
+  writeOffText: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#DD6B20',
+  },
+  row: {
+    flexDirection: 'row',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#EDF2F7',
+    gap: 12,
+  },
+  typeDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginTop: 6,
+  },
+  rowBody: {
+    flex: 1,
+    gap: 3,
+  },
+  rowTop: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  typeLabel: {
+    fontSize: 14,
+    fontWeight: '700',
+  },
+  delta: {
+    fontSize: 15,
+    fontWeight: '800',
+    color: '#2D3748',
+  },
+  meta: {
+    fontSize: 12,
+    color: '#718096',
+  },
+  note: {
+    fontSize: 12,
+    color: '#4A5568',
+    fontStyle: 'italic',
+  },
+  empty: {
+    alignItems: 'center',
+    paddingVertical: 40,
+    gap: 10,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#A0AEC0',
+  },
+});
+
+export default DrugHistoryModal;
@@ -0,0 +1,449 @@
+// components/formulary-entry-sheet.js
+// ─────────────────────────────────────────────────────────────
+// Bottom sheet for adding a formulary entry or editing one: name,
+// strength, form, pack size, controlled flag, default thresholds and
+// GTINs. Saving an edit updates the drugs linked to the entry;
+// removing it leaves them as they are, but unlinked.
+// ─────────────────────────────────────────────────────────────
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+  KeyboardAvoidingView,
+  ScrollView,
+  Platform,
+  Alert,
+  Switch,
+} from 'react-native';
+import { X, CheckCircle, Trash2 } from 'lucide-react-native';
+import { useFormulary } from '../context/formulary-context';
+import { BASE_UNITS, DOSAGE_FORMS, formatDrugName } from '../utils/drug-metadata';
+import { getEntryName, validateFormularyEntry } from '../utils/formulary';
+
+// ── Helper: Form fields from an entry (blank when adding) ──────
+const toFormFields = (entry) => ({
+  genericName: entry ? entry.genericName || '' : '',
+  brandName: entry ? entry.brandName || '' : '',
+  strength: entry ? entry.strength || '' : '',
+  dosageForm: entry ? entry.dosageForm : null,
+  baseUnit: entry ? entry.baseUnit : null,
+  packSize: entry && entry.packSize > 1 ? String(entry.packSize) : '',
+  controlled: entry ? entry.controlled : false,
+  reorderLevel: entry && entry.reorderLevel != null ? String(entry.reorderLevel) : '',
+  expiryWarningDays:
+    entry && entry.expiryWarningDays != null ? String(entry.expiryWarningDays) : '',
+  gtins: entry ? entry.gtins.join(', ') : '',
+});
+
+// ── FormularyEntrySheet Component ───────────────────────────────
+// `entry` is null when adding.
+const FormularyEntrySheet = ({ entry, visible, linkedCount = 0, onClose }) => {
+  const { addEntry, updateEntry, removeEntry } = useFormulary();
+  const isEdit = !!entry;
+
+  const [fields, setFields] = useState(toFormFields(null));
+  const [errors, setErrors] = useState({});
+
+  // Start from the entry being edited each time the sheet opens.
+  useEffect(() => {
+    if (!visible) return;
+    setFields(toFormFields(entry));
+    setErrors({});
+  }, [visible, entry]);
+
+  const setField = (key) => (value) => setFields((prev) => ({ ...prev, [key]: value }));
+
+  // Picking a form also picks the unit it is usually counted in.
+  const pickDosageForm = (key) => {
+    const next = fields.dosageForm === key ? null : key;
+    setFields((prev) => ({
+      ...prev,
+      dosageForm: next,
+      baseUnit: next ? DOSAGE_FORMS[next].unit : prev.baseUnit,
+    }));
+  };
+
+  const unit = fields.baseUnit || 'unit';
+  const displayName = formatDrugName(fields);
+
+  const handleSave = () => {
+    const newErrors = validateFormularyEntry(fields);
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+    try {
+      if (isEdit) updateEntry(entry.id, fields);
+      else addEntry(fields);
+      onClose();
+    } catch (error) {
+      setErrors({ genericName: error.message.replace(/^\[\w+\]\s*/, '') });
+    }
+  };
+
+  const handleRemove = () => {
+    Alert.alert(
+      'Remove Entry',
+      linkedCount > 0
+        ? `Remove ${getEntryName(entry)}? The ${linkedCount} drug${
+            linkedCount !== 1 ? 's' : ''
+          } linked to it keep their details but are no longer linked.`
+        : `Remove ${getEntryName(entry)} from the formulary?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: () => {
+            try {
+              removeEntry(entry.id);
+              onClose();
+            } catch (error) {
+              Alert.alert('Cannot Remove', error.message.replace(/^\[\w+\]\s*/, ''));
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <KeyboardAvoidingView
+        style={styles.backdrop}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <View style={styles.sheet}>
+          <View style={styles.header}>
+            <Text style={styles.title}>{isEdit ? 'Edit Entry' : 'Add Entry'}</Text>
+            <TouchableOpacity onPress={onClose} style={styles.closeBtn}>
+              <X size={22} color="#718096" />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+            <View style={styles.fieldGroup}>
+              <Text style={styles.fieldLabel}>GENERIC NAME</Text>
+              <TextInput
+                style={[styles.input, errors.genericName && styles.inputError]}
+                value={fields.genericName}
+                onChangeText={setField('genericName')}
+                placeholder="e.g., Amoxicillin"
+                placeholderTextColor="#A0AEC0"
+                autoCapitalize="words"
+              />
+              {errors.genericName && <Text style={styles.errorText}>{errors.genericName}</Text>}
+            </View>
+
+            <View style={styles.fieldRow}>
+              <View style={[styles.fieldGroup, styles.fieldRowItem]}>
+                <Text style={styles.fieldLabel}>STRENGTH</Text>
+                <TextInput
+                  style={styles.input}
+                  value={fields.strength}
+                  onChangeText={setField('strength')}
+                  placeholder="e.g., 500 mg"
+                  placeholderTextColor="#A0AEC0"
+                  autoCapitalize="none"
+                />
+              </View>
+
+              <View style={[styles.fieldGroup, styles.fieldRowItem]}>
+                <Text style={styles.fieldLabel}>BRAND (OPTIONAL)</Text>
+                <TextInput
+                  style={styles.input}
+                  value={fields.brandName}
+                  onChangeText={setField('brandName')}
+                  placeholder="e.g., Amoxil"
+                  placeholderTextColor="#A0AEC0"
+                  autoCapitalize="words"
+                />
+              </View>
+            </View>
+
+            <View style={styles.fieldGroup}>
+              <Text style={styles.fieldLabel}>DOSAGE FORM</Text>
+              <View style={styles.chipRow}>
+                {Object.entries(DOSAGE_FORMS).map(([key, form]) => (
+                  <TouchableOpacity
+                    key={key}
+                    style={[styles.chip, fields.dosageForm === key && styles.chipActive]}
+                    onPress={() => pickDosageForm(key)}
+                    activeOpacity={0.8}
+                  >
+                    <Text
+                      style={[styles.chipText, fields.dosageForm === key && styles.chipTextActive]}
+                    >
+                      {form.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              {!!displayName && (
+                <Text style={styles.fieldHint}>
+                  Drugs linked to it are listed as “{displayName}”.
+                </Text>
+              )}
+            </View>
+
+            <View style={styles.fieldGroup}>
+              <Text style={styles.fieldLabel}>COUNTED IN</Text>
+              <View style={styles.chipRow}>
+                {Object.keys(BASE_UNITS).map((key) => (
+                  <TouchableOpacity
+                    key={key}
+                    style={[styles.chip, unit === key && styles.chipActive]}
+                    onPress={() => setField('baseUnit')(key)}
+                    activeOpacity={0.8}
+                  >
+                    <Text style={[styles.chipText, unit === key && styles.chipTextActive]}>
+                      {BASE_UNITS[key]}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+
+            <View style={styles.fieldGroup}>
+              <Text style={styles.fieldLabel}>PACK SIZE ({BASE_UNITS[unit].toUpperCase()})</Text>
+              <TextInput
+                style={[styles.input, errors.packSize && styles.inputError]}
+                value={fields.packSize}
+                onChangeText={setField('packSize')}
+                placeholder="e.g., 30 (blank if sold loose)"
+                placeholderTextColor="#A0AEC0"
+                keyboardType="numeric"
+              />
+              {errors.packSize && <Text style={styles.errorText}>{errors.packSize}</Text>}
+            </View>
+
+            <View style={styles.switchRow}>
+              <View style={styles.switchBody}>
+                <Text style={styles.switchTitle}>Controlled drug</Text>
+                <Text style={styles.fieldHint}>
+                  Drugs linked to it are kept in the CD register.
+                </Text>
+              </View>
+              <Switch
+                value={fields.controlled}
+                onValueChange={setField('controlled')}
+                trackColor={{ true: '#319795' }}
+              />
+            </View>
+
+            <View style={styles.fieldRow}>
+              <View style={[styles.fieldGroup, styles.fieldRowItem]}>
+                <Text style={styles.fieldLabel}>REORDER LEVEL</Text>
+                <TextInput
+                  style={[styles.input, errors.reorderLevel && styles.inputError]}
+                  value={fields.reorderLevel}
+                  onChangeText={setField('reorderLevel')}
+                  placeholder="Global default"
+                  placeholderTextColor="#A0AEC0"
+                  keyboardType="numeric"
+                />
+                {errors.reorderLevel && (
+                  <Text style={styles.errorText}>{errors.reorderLevel}</Text>
+                )}
+              </View>
+
+              <View style={[styles.fieldGroup, styles.fieldRowItem]}>
+                <Text style={styles.fieldLabel}>EXPIRY WARNING (DAYS)</Text>
+                <TextInput
+                  style={[styles.input, errors.expiryWarningDays && styles.inputError]}
+                  value={fields.expiryWarningDays}
+                  onChangeText={setField('expiryWarningDays')}
+                  placeholder="Global default"
+                  placeholderTextColor="#A0AEC0"
+                  keyboardType="numeric"
+                />
+                {errors.expiryWarningDays && (
+                  <Text style={styles.errorText}>{errors.expiryWarningDays}</Text>
+                )}
+              </View>
+            </View>
+
+            <View style={styles.fieldGroup}>
+              <Text style={styles.fieldLabel}>GTINS (OPTIONAL)</Text>
+              <TextInput
+                style={[styles.input, errors.gtins && styles.inputError]}
+                value={fields.gtins}
+                onChangeText={setField('gtins')}
+                placeholder="Separate several with commas"
+                placeholderTextColor="#A0AEC0"
+                keyboardType="numbers-and-punctuation"
+              />
+              {errors.gtins ? (
+                <Text style={styles.errorText}>{errors.gtins}</Text>
+              ) : (
+                <Text style={styles.fieldHint}>
+                  Scanning one of these when adding stock picks this entry. Thresholds apply to
+                  drugs added from it from now on.
+                </Text>
+              )}
+            </View>
+
+            <TouchableOpacity style={styles.submitBtn} onPress={handleSave} activeOpacity={0.8}>
+              <CheckCircle size={18} color="#FFF" />
+              <Text style={styles.submitBtnText}>{isEdit ? 'Save Changes' : 'Add Entry'}</Text>
+            </TouchableOpacity>
+
+            {isEdit && (
+              <TouchableOpacity style={styles.removeBtn} onPress={handleRemove}>
+                <Trash2 size={16} color="#E53E3E" />
+                <Text style={styles.removeBtnText}>Remove Entry</Text>
+              </TouchableOpacity>
+            )}
+          </ScrollView>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.45)',
+  },
+  sheet: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    padding: 24,
+    paddingBottom: Platform.OS === 'ios' ? 40 : 24,
+    maxHeight: '85%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 24,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '800',
+    color: '#1A202C',
+  },
+  closeBtn: {
+    padding: 4,
+  },
+  fieldGroup: {
+    marginBottom: 18,
+  },
+  fieldRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  fieldRowItem: {
+    flex: 1,
+  },
+  fieldLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#A0AEC0',
+    letterSpacing: 1,
+    marginBottom: 8,
+  },
+  fieldHint: {
+    fontSize: 12,
+    color: '#718096',
+    marginTop: 8,
+    lineHeight: 17,
+  },
+  input: {
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    borderRadius: 10,
+    paddingHorizontal: 14,
+    paddingVertical: 13,
+    fontSize: 15,
+    color: '#1A202C',
+    backgroundColor: '#F7FAFC',
+  },
+  inputError: {
+    borderColor: '#FC8181',
+    backgroundColor: '#FFF5F5',
+  },
+  errorText: {
+    fontSize: 12,
+    color: '#E53E3E',
+    marginTop: 5,
+    fontWeight: '500',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    borderRadius: 20,
+    paddingHorizontal: 12,
+    paddingVertical: 7,
+    backgroundColor: '#F7FAFC',
+  },
+  chipActive: {
+    borderColor: '#319795',
+    backgroundColor: '#E6FFFA',
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4A5568',
+  },
+  chipTextActive: {
+    color: '#234E52',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 18,
+    gap: 12,
+  },
+  switchBody: {
+    flex: 1,
+  },
+  switchTitle: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#1A202C',
+  },
+  submitBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#319795',
+    borderRadius: 12,
+    paddingVertical: 15,
+    marginTop: 8,
+    gap: 8,
+  },
+  submitBtnText: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#FFFFFF',
+    letterSpacing: 0.3,
+  },
+  removeBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    marginTop: 4,
+    gap: 6,
+  },
+  removeBtnText: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#E53E3E',
+  },
+});
+
+export default FormularyEntrySheet;
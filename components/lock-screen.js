@@ -0,0 +1,346 @@
+// components/lock-screen.js
+// ─────────────────────────────────────────────────────────────
+// Full-screen PIN lock shown in front of the whole app while no
+// one is signed in. Pick your name, enter your PIN. On a device
+// with no users yet it asks for the first (pharmacist) account
+// instead. If the stored users cannot be read, it says so and
+// offers neither. AuthProvider, which renders it once, counts the
+// wrong PINs and passes `lockedUntil` while unlocking is paused.
+// ─────────────────────────────────────────────────────────────
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+  KeyboardAvoidingView,
+  ScrollView,
+  Platform,
+} from 'react-native';
+import { Lock, UserCircle } from 'lucide-react-native';
+import { getRoleLabel } from '../utils/users';
+import { validateUserName, validatePin } from '../utils/validation';
+
+// ── Helper: "45 seconds" / "8 minutes" left of a pause ──────────
+const formatWait = (ms) =>
+  ms < 60 * 1000 ? `${Math.ceil(ms / 1000)} seconds` : `${Math.ceil(ms / (60 * 1000))} minutes`;
+
+// ── First Account Form ──────────────────────────────────────────
+const SetupForm = ({ onCreate }) => {
+  const [name, setName] = useState('');
+  const [pin, setPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [errors, setErrors] = useState({});
+
+  const handleCreate = () => {
+    const newErrors = {};
+    const nameError = validateUserName(name, []);
+    if (nameError) newErrors.name = nameError;
+    const pinError = validatePin(pin);
+    if (pinError) newErrors.pin = pinError;
+    else if (pin !== confirmPin) newErrors.confirmPin = 'PINs do not match.';
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length === 0) onCreate({ name, pin });
+  };
+
+  return (
+    <>
+      <Text style={styles.title}>Welcome to PharmaTrack</Text>
+      <Text style={styles.subtitle}>
+        Create the first account. It is a pharmacist account and can add everyone else from
+        Settings → Users.
+      </Text>
+
+      <View style={styles.fieldGroup}>
+        <Text style={styles.fieldLabel}>YOUR NAME</Text>
+        <TextInput
+          style={[styles.input, errors.name && styles.inputError]}
+          value={name}
+          onChangeText={setName}
+          placeholder="e.g., A. Mensah"
+          placeholderTextColor="#A0AEC0"
+        />
+        {errors.name && <Text style={styles.errorText}>{errors.name}</Text>}
+      </View>
+
+      <View style={styles.fieldGroup}>
+        <Text style={styles.fieldLabel}>PIN (4–6 DIGITS)</Text>
+        <TextInput
+          style={[styles.input, errors.pin && styles.inputError]}
+          value={pin}
+          onChangeText={setPin}
+          keyboardType="number-pad"
+          secureTextEntry
+          maxLength={6}
+        />
+        {errors.pin && <Text style={styles.errorText}>{errors.pin}</Text>}
+      </View>
+
+      <View style={styles.fieldGroup}>
+        <Text style={styles.fieldLabel}>CONFIRM PIN</Text>
+        <TextInput
+          style={[styles.input, errors.confirmPin && styles.inputError]}
+          value={confirmPin}
+          onChangeText={setConfirmPin}
+          keyboardType="number-pad"
+          secureTextEntry
+          maxLength={6}
+        />
+        {errors.confirmPin && <Text style={styles.errorText}>{errors.confirmPin}</Text>}
+      </View>
+
+      <TouchableOpacity style={styles.submitBtn} onPress={handleCreate} activeOpacity={0.8}>
+        <Text style={styles.submitBtnText}>Create Account</Text>
+      </TouchableOpacity>
+    </>
+  );
+};
+
+// ── PIN Entry ───────────────────────────────────────────────────
+const UnlockForm = ({ users, lockedUntil, onUnlock }) => {
+  const [userId, setUserId] = useState(users.length === 1 ? users[0].id : null);
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const pausedUntil = lockedUntil && lockedUntil > now ? lockedUntil : null;
+
+  // Lift the pause once it has run out.
+  useEffect(() => {
+    if (!pausedUntil) return undefined;
+    const timer = setTimeout(() => {
+      setNow(Date.now());
+      setError(null);
+    }, pausedUntil - Date.now());
+    return () => clearTimeout(timer);
+  }, [pausedUntil]);
+
+  const handleUnlock = async () => {
+    if (!userId || pausedUntil) return;
+    if (await onUnlock(userId, pin)) return;
+    setPin('');
+    setNow(Date.now());
+    setError('Wrong PIN.');
+  };
+
+  const message = pausedUntil
+    ? `Too many wrong PINs. Try again in ${formatWait(pausedUntil - now)}.`
+    : error;
+
+  return (
+    <>
+      <Text style={styles.title}>Who is using PharmaTrack?</Text>
+      <View style={styles.userList}>
+        {users.map((user) => {
+          const selected = user.id === userId;
+          return (
+            <TouchableOpacity
+              key={user.id}
+              style={[styles.userRow, selected && styles.userRowActive]}
+              onPress={() => {
+                setUserId(user.id);
+                setPin('');
+                if (!pausedUntil) setError(null);
+              }}
+              activeOpacity={0.8}
+            >
+              <UserCircle size={22} color={selected ? '#319795' : '#A0AEC0'} />
+              <View style={styles.userBody}>
+                <Text style={[styles.userName, selected && styles.userNameActive]}>
+                  {user.name}
+                </Text>
+                <Text style={styles.userRole}>{getRoleLabel(user.role)}</Text>
+              </View>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      {userId && (
+        <View style={styles.fieldGroup}>
+          <Text style={styles.fieldLabel}>PIN</Text>
+          <TextInput
+            style={[styles.input, styles.pinInput, message && styles.inputError]}
+            value={pin}
+            onChangeText={setPin}
+            onSubmitEditing={handleUnlock}
+            keyboardType="number-pad"
+            secureTextEntry
+            maxLength={6}
+            autoFocus
+            editable={!pausedUntil}
+          />
+          {message && <Text style={styles.errorText}>{message}</Text>}
+        </View>
+      )}
+
+      <TouchableOpacity
+        style={[styles.submitBtn, (!userId || pausedUntil) && styles.submitBtnDisabled]}
+        onPress={handleUnlock}
+        disabled={!userId || !!pausedUntil}
+        activeOpacity={0.8}
+      >
+        <Lock size={18} color="#FFFFFF" />
+        <Text style={styles.submitBtnText}>Unlock</Text>
+      </TouchableOpacity>
+    </>
+  );
+};
+
+// ── LockScreen Component ────────────────────────────────────────
+// A Modal, so it also covers any sheet that was open when it locked.
+const LockScreen = ({ users, isLoading, loadError, lockedUntil, onUnlock, onCreateFirstUser }) => (
+  <Modal visible animationType="fade" onRequestClose={() => {}}>
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      {!isLoading && (
+        <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+          <View style={styles.logo}>
+            <Lock size={28} color="#319795" />
+          </View>
+          {loadError ? (
+            <>
+              <Text style={styles.title}>Users Could Not Be Loaded</Text>
+              <Text style={styles.subtitle}>{loadError}</Text>
+            </>
+          ) : users.length === 0 ? (
+            <SetupForm onCreate={onCreateFirstUser} />
+          ) : (
+            <UnlockForm users={users} lockedUntil={lockedUntil} onUnlock={onUnlock} />
+          )}
+        </ScrollView>
+      )}
+    </KeyboardAvoidingView>
+  </Modal>
+);
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F7FAFC',
+  },
+  content: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: 24,
+  },
+  logo: {
+    alignSelf: 'center',
+    width: 64,
+    height: 64,
+    borderRadius: 32,
+    backgroundColor: '#E6FFFA',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: 20,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: '800',
+    color: '#234E52',
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#718096',
+    textAlign: 'center',
+    lineHeight: 20,
+    marginBottom: 24,
+  },
+  userList: {
+    gap: 8,
+    marginVertical: 16,
+  },
+  userRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    borderRadius: 12,
+    padding: 14,
+    gap: 12,
+  },
+  userRowActive: {
+    borderColor: '#319795',
+    backgroundColor: '#E6FFFA',
+  },
+  userBody: {
+    flex: 1,
+  },
+  userName: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#1A202C',
+  },
+  userNameActive: {
+    color: '#234E52',
+  },
+  userRole: {
+    fontSize: 12,
+    color: '#718096',
+    marginTop: 2,
+  },
+  fieldGroup: {
+    marginBottom: 18,
+  },
+  fieldLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#A0AEC0',
+    letterSpacing: 1,
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    borderRadius: 10,
+    paddingHorizontal: 14,
+    paddingVertical: 13,
+    fontSize: 15,
+    color: '#1A202C',
+    backgroundColor: '#FFFFFF',
+  },
+  pinInput: {
+    fontSize: 22,
+    letterSpacing: 8,
+    textAlign: 'center',
+  },
+  inputError: {
+    borderColor: '#FC8181',
+    backgroundColor: '#FFF5F5',
+  },
+  errorText: {
+    fontSize: 12,
+    color: '#E53E3E',
+    marginTop: 5,
+    fontWeight: '500',
+  },
+  submitBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#319795',
+    borderRadius: 12,
+    paddingVertical: 15,
+    marginTop: 8,
+    gap: 8,
+  },
+  submitBtnDisabled: {
+    backgroundColor: '#A0AEC0',
+  },
+  submitBtnText: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#FFFFFF',
+    letterSpacing: 0.3,
+  },
+});
+
+export default LockScreen;
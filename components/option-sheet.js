@@ -0,0 +1,94 @@
+// components/option-sheet.js
+// ─────────────────────────────────────────────────────────────
+// Bottom sheet for picking one value from a short list, e.g. the
+// dashboard's sort order or location. `options` is
+// `[{ value, label }]`; the current `value` is ticked.
+// ─────────────────────────────────────────────────────────────
+
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Modal, Platform } from 'react-native';
+import { X, Check } from 'lucide-react-native';
+
+// ── OptionSheet Component ───────────────────────────────────────
+const OptionSheet = ({ visible, title, options, value, onChange, onClose }) => (
+  <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+    <View style={styles.modalBackdrop}>
+      <View style={styles.modalSheet}>
+        <View style={styles.modalHeader}>
+          <Text style={styles.modalTitle}>{title}</Text>
+          <TouchableOpacity onPress={onClose} style={styles.modalCloseBtn}>
+            <X size={22} color="#718096" />
+          </TouchableOpacity>
+        </View>
+
+        {options.map((option) => {
+          const isSelected = option.value === value;
+          return (
+            <TouchableOpacity
+              key={String(option.value)}
+              style={styles.option}
+              onPress={() => {
+                onChange(option.value);
+                onClose();
+              }}
+            >
+              <Text style={[styles.optionText, isSelected && styles.optionTextSelected]}>
+                {option.label}
+              </Text>
+              {isSelected && <Check size={18} color="#319795" />}
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </View>
+  </Modal>
+);
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  modalBackdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.45)',
+  },
+  modalSheet: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    padding: 24,
+    paddingBottom: Platform.OS === 'ios' ? 40 : 24,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: '800',
+    color: '#1A202C',
+  },
+  modalCloseBtn: {
+    padding: 4,
+  },
+  option: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 14,
+    borderBottomWidth: 1,
+    borderBottomColor: '#EDF2F7',
+  },
+  optionText: {
+    fontSize: 15,
+    color: '#4A5568',
+    fontWeight: '500',
+  },
+  optionTextSelected: {
+    color: '#319795',
+    fontWeight: '700',
+  },
+});
+
+export default OptionSheet;
@@ -0,0 +1,502 @@
+// components/receipt-line-sheet.js
+// ─────────────────────────────────────────────────────────────
+// Bottom sheet for one line of a goods-received note: which drug
+// (a formulary entry, a drug already stocked, or a new name), how
+// many in units or packs, lot, expiry, cost and where it is put
+// away. Nothing is posted here — the line is handed back to the
+// note, which receives every line at once.
+// ─────────────────────────────────────────────────────────────
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+  KeyboardAvoidingView,
+  ScrollView,
+  Platform,
+} from 'react-native';
+import { X, CheckCircle, BookOpen, Package, Plus } from 'lucide-react-native';
+import { useInventory } from '../context/inventory-context';
+import { useSettings } from '../context/settings-context';
+import { useFormulary } from '../context/formulary-context';
+import {
+  BASE_UNITS,
+  formatProductDetails,
+  formatUnits,
+  getBaseUnit,
+  getPackSize,
+  getSearchKey,
+  parseDrugName,
+  pickDrugMetadata,
+  toDrugMetadata,
+  toSearchKey,
+} from '../utils/drug-metadata';
+import { getEntryName, searchFormulary } from '../utils/formulary';
+import { validateReceiptLine } from '../utils/purchasing';
+import { DEFAULT_LOCATION_ID } from '../utils/locations';
+
+// ── Helper: A product a line can be for ────────────────────────
+// `fields` are what addDrug needs to find or create the drug. A
+// note received against a purchase order builds its lines' products
+// with fromDrug / fromName too.
+const fromEntry = (entry) => ({
+  key: `entry:${entry.id}`,
+  label: getEntryName(entry),
+  details: formatProductDetails(entry),
+  packSize: getPackSize(entry),
+  baseUnit: getBaseUnit(entry),
+  fields: { formularyEntry: entry },
+});
+
+export const fromDrug = (drug, entry) => ({
+  key: `drug:${drug.id}`,
+  label: drug.name,
+  details: formatProductDetails(drug),
+  packSize: getPackSize(drug),
+  baseUnit: getBaseUnit(drug),
+  fields: { name: drug.name, ...pickDrugMetadata(drug), gtin: drug.gtin, formularyEntry: entry },
+});
+
+export const fromName = (name) => {
+  const metadata = toDrugMetadata(parseDrugName(name));
+  return {
+    key: `name:${name}`,
+    label: name,
+    details: 'New drug',
+    packSize: 1,
+    baseUnit: metadata.baseUnit,
+    fields: { name },
+  };
+};
+
+// ── Helper: Products matching what has been typed ──────────────
+// Drugs already stocked come first; formulary entries none of them
+// is linked to follow.
+const searchProducts = (query, inventory, formulary, getEntry) => {
+  const q = toSearchKey(query);
+  if (q.length < 2) return [];
+  const drugs = inventory
+    .filter((drug) => getSearchKey(drug).includes(q))
+    .slice(0, 4)
+    .map((drug) => fromDrug(drug, getEntry(drug.formularyId)));
+  const stocked = new Set(inventory.map((drug) => drug.formularyId).filter(Boolean));
+  const entries = searchFormulary(formulary, query)
+    .filter((entry) => !stocked.has(entry.id))
+    .slice(0, 4)
+    .map(fromEntry);
+  return [...drugs, ...entries];
+};
+
+// ── Helper: Blank line for the sheet's form ────────────────────
+const emptyLine = (locationId) => ({
+  product: null,
+  quantity: '',
+  inPacks: false,
+  lotNumber: '',
+  expiryDate: '',
+  unitCost: '',
+  locationId,
+});
+
+// ── ReceiptLineSheet Component ──────────────────────────────────
+// `line` is null when adding; `onSave` gets the finished line.
+const ReceiptLineSheet = ({ line, visible, onSave, onClose }) => {
+  const { inventory } = useInventory();
+  const { settings } = useSettings();
+  const { formulary, getEntry } = useFormulary();
+  const [fields, setFields] = useState(emptyLine(DEFAULT_LOCATION_ID));
+  const [query, setQuery] = useState('');
+  const [errors, setErrors] = useState({});
+  const hasLocations = settings.locations.length > 1;
+
+  // Start from the line being edited each time the sheet opens.
+  useEffect(() => {
+    if (!visible) return;
+    setFields(line || emptyLine(DEFAULT_LOCATION_ID));
+    setQuery('');
+    setErrors({});
+  }, [visible, line]);
+
+  const setField = (key) => (value) => setFields((prev) => ({ ...prev, [key]: value }));
+
+  const pickProduct = (product) => {
+    setFields((prev) => ({
+      ...prev,
+      product,
+      inPacks: product && product.packSize > 1 ? prev.inPacks : false,
+    }));
+    setQuery('');
+  };
+
+  const { product } = fields;
+  const suggestions = product ? [] : searchProducts(query, inventory, formulary, getEntry);
+  const typed = query.trim();
+  const packSize = product ? product.packSize : 1;
+  const unit = product ? product.baseUnit : 'unit';
+  const per = fields.inPacks ? 'PACK' : unit.toUpperCase();
+
+  const handleSave = () => {
+    const newErrors = validateReceiptLine(fields);
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+    onSave({ ...fields, quantity: fields.quantity.trim(), unitCost: fields.unitCost.trim() });
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <KeyboardAvoidingView
+        style={styles.backdrop}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <View style={styles.sheet}>
+          <View style={styles.header}>
+            <Text style={styles.title}>{line ? 'Edit Item' : 'Add Item'}</Text>
+            <TouchableOpacity onPress={onClose} style={styles.closeBtn}>
+              <X size={22} color="#718096" />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+            <View style={styles.fieldGroup}>
+              <Text style={styles.fieldLabel}>DRUG</Text>
+              {product ? (
+                <View style={styles.productCard}>
+                  <Package size={18} color="#319795" />
+                  <View style={styles.productBody}>
+                    <Text style={styles.productName}>{product.label}</Text>
+                    {!!product.details && (
+                      <Text style={styles.productMeta}>{product.details}</Text>
+                    )}
+                  </View>
+                  <TouchableOpacity onPress={() => pickProduct(null)} style={styles.closeBtn}>
+                    <X size={18} color="#718096" />
+                  </TouchableOpacity>
+                </View>
+              ) : (
+                <>
+                  <TextInput
+                    style={[styles.input, errors.product && styles.inputError]}
+                    placeholder="Search stock and formulary, e.g. Amoxicillin"
+                    placeholderTextColor="#A0AEC0"
+                    value={query}
+                    onChangeText={setQuery}
+                    autoCapitalize="words"
+                  />
+                  {(suggestions.length > 0 || typed.length >= 2) && (
+                    <View style={styles.suggestionList}>
+                      {suggestions.map((option) => (
+                        <TouchableOpacity
+                          key={option.key}
+                          style={styles.suggestionRow}
+                          onPress={() => pickProduct(option)}
+                          activeOpacity={0.7}
+                        >
+                          {option.key.startsWith('entry:') ? (
+                            <BookOpen size={14} color="#319795" />
+                          ) : (
+                            <Package size={14} color="#319795" />
+                          )}
+                          <View style={styles.productBody}>
+                            <Text style={styles.suggestionName}>{option.label}</Text>
+                            {!!option.details && (
+                              <Text style={styles.productMeta}>{option.details}</Text>
+                            )}
+                          </View>
+                        </TouchableOpacity>
+                      ))}
+                      {typed.length >= 2 && (
+                        <TouchableOpacity
+                          style={styles.suggestionRow}
+                          onPress={() => pickProduct(fromName(typed))}
+                          activeOpacity={0.7}
+                        >
+                          <Plus size={14} color="#718096" />
+                          <Text style={styles.suggestionName}>Add “{typed}” as a new drug</Text>
+                        </TouchableOpacity>
+                      )}
+                    </View>
+                  )}
+                  {errors.product && <Text style={styles.errorText}>{errors.product}</Text>}
+                </>
+              )}
+            </View>
+
+            <View style={styles.fieldGroup}>
+              <Text style={styles.fieldLabel}>QUANTITY RECEIVED</Text>
+              {packSize > 1 && (
+                <View style={[styles.chipRow, styles.unitToggle]}>
+                  {[false, true].map((packs) => (
+                    <TouchableOpacity
+                      key={String(packs)}
+                      style={[styles.chip, fields.inPacks === packs && styles.chipActive]}
+                      onPress={() => setField('inPacks')(packs)}
+                      activeOpacity={0.8}
+                    >
+                      <Text
+                        style={[styles.chipText, fields.inPacks === packs && styles.chipTextActive]}
+                      >
+                        {packs ? `Packs of ${packSize}` : BASE_UNITS[unit]}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              )}
+              <TextInput
+                style={[styles.input, errors.quantity && styles.inputError]}
+                placeholder="e.g., 100"
+                placeholderTextColor="#A0AEC0"
+                value={fields.quantity}
+                onChangeText={setField('quantity')}
+                keyboardType="numeric"
+              />
+              {errors.quantity && <Text style={styles.errorText}>{errors.quantity}</Text>}
+              {fields.inPacks && /^\d+$/.test(fields.quantity.trim()) && (
+                <Text style={styles.fieldHint}>
+                  = {formatUnits(parseInt(fields.quantity, 10) * packSize, unit)}
+                </Text>
+              )}
+            </View>
+
+            <View style={styles.fieldRow}>
+              <View style={[styles.fieldGroup, styles.fieldRowItem]}>
+                <Text style={styles.fieldLabel}>LOT NUMBER</Text>
+                <TextInput
+                  style={styles.input}
+                  placeholder="e.g., B2024-117"
+                  placeholderTextColor="#A0AEC0"
+                  value={fields.lotNumber}
+                  onChangeText={setField('lotNumber')}
+                  autoCapitalize="characters"
+                />
+              </View>
+
+              <View style={[styles.fieldGroup, styles.fieldRowItem]}>
+                <Text style={styles.fieldLabel}>EXPIRY DATE</Text>
+                <TextInput
+                  style={[styles.input, errors.expiryDate && styles.inputError]}
+                  placeholder="YYYY-MM-DD"
+                  placeholderTextColor="#A0AEC0"
+                  value={fields.expiryDate}
+                  onChangeText={setField('expiryDate')}
+                  keyboardType="numeric"
+                  maxLength={10}
+                />
+                {errors.expiryDate && <Text style={styles.errorText}>{errors.expiryDate}</Text>}
+              </View>
+            </View>
+
+            <View style={styles.fieldGroup}>
+              <Text style={styles.fieldLabel}>COST PER {per}</Text>
+              <TextInput
+                style={[styles.input, errors.unitCost && styles.inputError]}
+                placeholder="e.g., 12.50"
+                placeholderTextColor="#A0AEC0"
+                value={fields.unitCost}
+                onChangeText={setField('unitCost')}
+                keyboardType="decimal-pad"
+              />
+              {errors.unitCost && <Text style={styles.errorText}>{errors.unitCost}</Text>}
+            </View>
+
+            {hasLocations && (
+              <View style={styles.fieldGroup}>
+                <Text style={styles.fieldLabel}>LOCATION</Text>
+                <View style={styles.chipRow}>
+                  {settings.locations.map((l) => (
+                    <TouchableOpacity
+                      key={l.id}
+                      style={[styles.chip, fields.locationId === l.id && styles.chipActive]}
+                      onPress={() => setField('locationId')(l.id)}
+                      activeOpacity={0.8}
+                    >
+                      <Text
+                        style={[
+                          styles.chipText,
+                          fields.locationId === l.id && styles.chipTextActive,
+                        ]}
+                      >
+                        {l.name}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+            )}
+
+            <TouchableOpacity style={styles.submitBtn} onPress={handleSave} activeOpacity={0.8}>
+              <CheckCircle size={18} color="#FFF" />
+              <Text style={styles.submitBtnText}>{line ? 'Update Item' : 'Add Item'}</Text>
+            </TouchableOpacity>
+          </ScrollView>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.45)',
+  },
+  sheet: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    padding: 24,
+    paddingBottom: Platform.OS === 'ios' ? 40 : 24,
+    maxHeight: '85%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 24,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '800',
+    color: '#1A202C',
+  },
+  closeBtn: {
+    padding: 4,
+  },
+  fieldGroup: {
+    marginBottom: 18,
+  },
+  fieldRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  fieldRowItem: {
+    flex: 1,
+  },
+  fieldLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#A0AEC0',
+    letterSpacing: 1,
+    marginBottom: 8,
+  },
+  fieldHint: {
+    fontSize: 12,
+    color: '#A0AEC0',
+    marginTop: 5,
+  },
+  input: {
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    borderRadius: 10,
+    paddingHorizontal: 14,
+    paddingVertical: 13,
+    fontSize: 15,
+    color: '#1A202C',
+    backgroundColor: '#F7FAFC',
+  },
+  inputError: {
+    borderColor: '#FC8181',
+    backgroundColor: '#FFF5F5',
+  },
+  errorText: {
+    fontSize: 12,
+    color: '#E53E3E',
+    marginTop: 5,
+    fontWeight: '500',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    borderRadius: 20,
+    paddingHorizontal: 12,
+    paddingVertical: 7,
+    backgroundColor: '#F7FAFC',
+  },
+  chipActive: {
+    borderColor: '#319795',
+    backgroundColor: '#E6FFFA',
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4A5568',
+  },
+  chipTextActive: {
+    color: '#234E52',
+  },
+  unitToggle: {
+    marginBottom: 8,
+  },
+  suggestionList: {
+    marginTop: 6,
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    borderRadius: 10,
+    overflow: 'hidden',
+  },
+  suggestionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#EDF2F7',
+  },
+  suggestionName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1A202C',
+  },
+  productCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    borderWidth: 1.5,
+    borderColor: '#319795',
+    borderRadius: 10,
+    padding: 12,
+    backgroundColor: '#E6FFFA',
+  },
+  productBody: {
+    flex: 1,
+  },
+  productName: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#234E52',
+  },
+  productMeta: {
+    fontSize: 12,
+    color: '#718096',
+    marginTop: 2,
+  },
+  submitBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#319795',
+    borderRadius: 12,
+    paddingVertical: 15,
+    marginTop: 8,
+    gap: 8,
+  },
+  submitBtnText: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#FFFFFF',
+    letterSpacing: 0.3,
+  },
+});
+
+export default ReceiptLineSheet;
@@ -0,0 +1,246 @@
+// components/supplier-sheet.js
+// ─────────────────────────────────────────────────────────────
+// Bottom sheet for adding a supplier or editing one: name and
+// contact details. When editing, the supplier can be removed from
+// here; deliveries already received from it keep its name.
+// ─────────────────────────────────────────────────────────────
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+  KeyboardAvoidingView,
+  ScrollView,
+  Platform,
+  Alert,
+} from 'react-native';
+import { X, CheckCircle, Trash2 } from 'lucide-react-native';
+import { usePurchasing } from '../context/purchasing-context';
+import { validateSupplierName } from '../utils/validation';
+
+// The contact fields, in form order
+const CONTACT_FIELDS = [
+  { key: 'contact', label: 'CONTACT PERSON', placeholder: 'e.g., A. Mensah' },
+  { key: 'phone', label: 'PHONE', placeholder: 'e.g., +233 20 000 0000', keyboard: 'phone-pad' },
+  {
+    key: 'email',
+    label: 'EMAIL',
+    placeholder: 'e.g., orders@supplier.com',
+    keyboard: 'email-address',
+  },
+];
+
+// ── SupplierSheet Component ─────────────────────────────────────
+// `supplier` is null when adding.
+const SupplierSheet = ({ supplier, visible, onClose }) => {
+  const { suppliers, addSupplier, updateSupplier, removeSupplier } = usePurchasing();
+  const isEdit = !!supplier;
+
+  const [fields, setFields] = useState({ name: '', contact: '', phone: '', email: '' });
+  const [errors, setErrors] = useState({});
+
+  // Start from the supplier being edited each time the sheet opens.
+  useEffect(() => {
+    if (!visible) return;
+    setFields({
+      name: supplier ? supplier.name : '',
+      contact: supplier ? supplier.contact : '',
+      phone: supplier ? supplier.phone : '',
+      email: supplier ? supplier.email : '',
+    });
+    setErrors({});
+  }, [visible, supplier]);
+
+  const setField = (key) => (value) => setFields((prev) => ({ ...prev, [key]: value }));
+
+  const handleSave = () => {
+    const nameError = validateSupplierName(fields.name, suppliers, supplier ? supplier.id : null);
+    setErrors(nameError ? { name: nameError } : {});
+    if (nameError) return;
+    try {
+      if (isEdit) updateSupplier(supplier.id, fields);
+      else addSupplier(fields);
+      onClose();
+    } catch (error) {
+      setErrors({ name: error.message.replace(/^\[\w+\]\s*/, '') });
+    }
+  };
+
+  const handleRemove = () => {
+    Alert.alert(
+      'Remove Supplier',
+      `Remove ${supplier.name}? Deliveries already received from them keep their name.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: () => {
+            try {
+              removeSupplier(supplier.id);
+              onClose();
+            } catch (error) {
+              Alert.alert('Cannot Remove', error.message.replace(/^\[\w+\]\s*/, ''));
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <KeyboardAvoidingView
+        style={styles.backdrop}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <View style={styles.sheet}>
+          <View style={styles.header}>
+            <Text style={styles.title}>{isEdit ? 'Edit Supplier' : 'Add Supplier'}</Text>
+            <TouchableOpacity onPress={onClose} style={styles.closeBtn}>
+              <X size={22} color="#718096" />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+            <View style={styles.fieldGroup}>
+              <Text style={styles.fieldLabel}>NAME</Text>
+              <TextInput
+                style={[styles.input, errors.name && styles.inputError]}
+                value={fields.name}
+                onChangeText={setField('name')}
+                placeholder="e.g., Medical Stores Ltd"
+                placeholderTextColor="#A0AEC0"
+                autoCapitalize="words"
+              />
+              {errors.name && <Text style={styles.errorText}>{errors.name}</Text>}
+            </View>
+
+            {CONTACT_FIELDS.map(({ key, label, placeholder, keyboard }) => (
+              <View key={key} style={styles.fieldGroup}>
+                <Text style={styles.fieldLabel}>{label} (OPTIONAL)</Text>
+                <TextInput
+                  style={styles.input}
+                  value={fields[key]}
+                  onChangeText={setField(key)}
+                  placeholder={placeholder}
+                  placeholderTextColor="#A0AEC0"
+                  keyboardType={keyboard || 'default'}
+                  autoCapitalize={key === 'contact' ? 'words' : 'none'}
+                />
+              </View>
+            ))}
+
+            <TouchableOpacity style={styles.submitBtn} onPress={handleSave} activeOpacity={0.8}>
+              <CheckCircle size={18} color="#FFF" />
+              <Text style={styles.submitBtnText}>{isEdit ? 'Save Changes' : 'Add Supplier'}</Text>
+            </TouchableOpacity>
+
+            {isEdit && (
+              <TouchableOpacity style={styles.removeBtn} onPress={handleRemove}>
+                <Trash2 size={16} color="#E53E3E" />
+                <Text style={styles.removeBtnText}>Remove Supplier</Text>
+              </TouchableOpacity>
+            )}
+          </ScrollView>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.45)',
+  },
+  sheet: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    padding: 24,
+    paddingBottom: Platform.OS === 'ios' ? 40 : 24,
+    maxHeight: '85%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 24,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '800',
+    color: '#1A202C',
+  },
+  closeBtn: {
+    padding: 4,
+  },
+  fieldGroup: {
+    marginBottom: 18,
+  },
+  fieldLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#A0AEC0',
+    letterSpacing: 1,
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    borderRadius: 10,
+    paddingHorizontal: 14,
+    paddingVertical: 13,
+    fontSize: 15,
+    color: '#1A202C',
+    backgroundColor: '#F7FAFC',
+  },
+  inputError: {
+    borderColor: '#FC8181',
+    backgroundColor: '#FFF5F5',
+  },
+  errorText: {
+    fontSize: 12,
+    color: '#E53E3E',
+    marginTop: 5,
+    fontWeight: '500',
+  },
+  submitBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#319795',
+    borderRadius: 12,
+    paddingVertical: 15,
+    marginTop: 8,
+    gap: 8,
+  },
+  submitBtnText: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#FFFFFF',
+    letterSpacing: 0.3,
+  },
+  removeBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    marginTop: 4,
+    gap: 6,
+  },
+  removeBtnText: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#E53E3E',
+  },
+});
+
+export default SupplierSheet;
@@ -0,0 +1,296 @@
+// components/transfer-sheet.js
+// ─────────────────────────────────────────────────────────────
+// Bottom sheet for moving stock of one lot to another storage
+// location (e.g. from the main pharmacy to a ward cupboard).
+// The drug's total is unchanged; the ledger records the move.
+// Controlled stock leaves its location in front of a witness.
+// ─────────────────────────────────────────────────────────────
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+  KeyboardAvoidingView,
+  ScrollView,
+  Platform,
+} from 'react-native';
+import { X, ArrowRightLeft } from 'lucide-react-native';
+import { useInventory } from '../context/inventory-context';
+import { useSettings } from '../context/settings-context';
+import { useAuth } from '../context/auth-context';
+import { getLocationName } from '../utils/locations';
+import { getWitnesses } from '../utils/users';
+import WitnessField from './witness-field';
+
+// ── TransferSheet Component ─────────────────────────────────────
+const TransferSheet = ({ drug, lot, visible, onClose }) => {
+  const { transferStock } = useInventory();
+  const { settings } = useSettings();
+  const { users, currentUser, verifyWitness } = useAuth();
+  const witnesses = getWitnesses(users, currentUser);
+
+  const [toLocationId, setToLocationId] = useState(null);
+  const [quantity, setQuantity] = useState('');
+  const [note, setNote] = useState('');
+  const [witnessId, setWitnessId] = useState(null);
+  const [witnessPin, setWitnessPin] = useState('');
+  const [errors, setErrors] = useState({});
+
+  const destinations = lot ? settings.locations.filter((l) => l.id !== lot.locationId) : [];
+
+  // Default to moving the whole lot to the first other location.
+  useEffect(() => {
+    if (visible && lot) {
+      const first = settings.locations.find((l) => l.id !== lot.locationId);
+      setQuantity(String(lot.quantity));
+      setToLocationId(first ? first.id : null);
+    }
+  }, [visible, lot, settings.locations]);
+
+  const handleClose = () => {
+    setToLocationId(null);
+    setQuantity('');
+    setNote('');
+    setWitnessId(null);
+    setWitnessPin('');
+    setErrors({});
+    onClose();
+  };
+
+  const handleSubmit = async () => {
+    if (!toLocationId) {
+      setErrors({ location: 'Choose where the stock is going.' });
+      return;
+    }
+    let witness = null;
+    if (drug.controlled) {
+      if (!witnessId || !witnessPin) {
+        setErrors({ witness: 'The witness must be chosen and enter their PIN.' });
+        return;
+      }
+      witness = await verifyWitness(witnessId, witnessPin);
+      if (!witness) {
+        setWitnessPin('');
+        setErrors({ witness: 'Incorrect PIN for the witness.' });
+        return;
+      }
+    }
+    try {
+      transferStock(drug.id, { lotId: lot.id, toLocationId, quantity }, note, witness);
+      handleClose();
+    } catch (error) {
+      setErrors({ quantity: error.message.replace(/^\[\w+\]\s*/, '') });
+    }
+  };
+
+  if (!lot) return null;
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={handleClose}>
+      <KeyboardAvoidingView
+        style={styles.backdrop}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <View style={styles.sheet}>
+          <View style={styles.header}>
+            <View style={styles.titleBlock}>
+              <Text style={styles.title}>Transfer Stock</Text>
+              <Text style={styles.subtitle} numberOfLines={1}>
+                {drug.name} · {lot.lotNumber ? `Lot ${lot.lotNumber}` : 'No lot #'} ·{' '}
+                {lot.quantity} at {getLocationName(settings.locations, lot.locationId)}
+              </Text>
+            </View>
+            <TouchableOpacity onPress={handleClose} style={styles.closeBtn}>
+              <X size={22} color="#718096" />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+            <View style={styles.fieldGroup}>
+              <Text style={styles.fieldLabel}>MOVE TO</Text>
+              <View style={styles.chipRow}>
+                {destinations.map((l) => (
+                  <TouchableOpacity
+                    key={l.id}
+                    style={[styles.chip, toLocationId === l.id && styles.chipActive]}
+                    onPress={() => setToLocationId(l.id)}
+                    activeOpacity={0.8}
+                  >
+                    <Text style={[styles.chipText, toLocationId === l.id && styles.chipTextActive]}>
+                      {l.name}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              {errors.location && <Text style={styles.errorText}>{errors.location}</Text>}
+            </View>
+
+            <View style={styles.fieldGroup}>
+              <Text style={styles.fieldLabel}>QUANTITY (UNITS)</Text>
+              <TextInput
+                style={[styles.input, errors.quantity && styles.inputError]}
+                placeholder="e.g., 20"
+                placeholderTextColor="#A0AEC0"
+                value={quantity}
+                onChangeText={setQuantity}
+                keyboardType="numeric"
+                selectTextOnFocus
+              />
+              {errors.quantity && <Text style={styles.errorText}>{errors.quantity}</Text>}
+            </View>
+
+            <View style={styles.fieldGroup}>
+              <Text style={styles.fieldLabel}>NOTE (OPTIONAL)</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="e.g., Weekly ward top-up"
+                placeholderTextColor="#A0AEC0"
+                value={note}
+                onChangeText={setNote}
+              />
+            </View>
+
+            {drug.controlled && (
+              <View style={styles.fieldGroup}>
+                <Text style={styles.fieldLabel}>WITNESS</Text>
+                <WitnessField
+                  witnesses={witnesses}
+                  witnessId={witnessId}
+                  pin={witnessPin}
+                  onSelect={setWitnessId}
+                  onChangePin={setWitnessPin}
+                  hasError={!!errors.witness}
+                />
+                {errors.witness && <Text style={styles.errorText}>{errors.witness}</Text>}
+              </View>
+            )}
+
+            <TouchableOpacity style={styles.submitBtn} onPress={handleSubmit} activeOpacity={0.8}>
+              <ArrowRightLeft size={18} color="#FFF" />
+              <Text style={styles.submitBtnText}>
+                {drug.controlled ? 'Transfer with Witness' : 'Transfer'}
+              </Text>
+            </TouchableOpacity>
+          </ScrollView>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.45)',
+  },
+  sheet: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    padding: 24,
+    paddingBottom: Platform.OS === 'ios' ? 40 : 24,
+    maxHeight: '85%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 24,
+  },
+  titleBlock: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '800',
+    color: '#1A202C',
+  },
+  subtitle: {
+    fontSize: 13,
+    color: '#718096',
+    marginTop: 2,
+    fontWeight: '500',
+  },
+  closeBtn: {
+    padding: 4,
+  },
+  fieldGroup: {
+    marginBottom: 18,
+  },
+  fieldLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#A0AEC0',
+    letterSpacing: 1,
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    borderRadius: 10,
+    paddingHorizontal: 14,
+    paddingVertical: 13,
+    fontSize: 15,
+    color: '#1A202C',
+    backgroundColor: '#F7FAFC',
+  },
+  inputError: {
+    borderColor: '#FC8181',
+    backgroundColor: '#FFF5F5',
+  },
+  errorText: {
+    fontSize: 12,
+    color: '#E53E3E',
+    marginTop: 5,
+    fontWeight: '500',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    borderRadius: 20,
+    paddingHorizontal: 12,
+    paddingVertical: 7,
+    backgroundColor: '#F7FAFC',
+  },
+  chipActive: {
+    borderColor: '#319795',
+    backgroundColor: '#E6FFFA',
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4A5568',
+  },
+  chipTextActive: {
+    color: '#234E52',
+  },
+  submitBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#319795',
+    borderRadius: 12,
+    paddingVertical: 15,
+    marginTop: 8,
+    gap: 8,
+  },
+  submitBtnText: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#FFFFFF',
+    letterSpacing: 0.3,
+  },
+});
+
+export default TransferSheet;
@@ -0,0 +1,65 @@
+// components/undo-snackbar.js
+// ─────────────────────────────────────────────────────────────
+// The bar pinned to the bottom of the screen after a dispense or
+// delete, with an UNDO button. Rendered once by UndoProvider;
+// hidden whenever `message` is null.
+// ─────────────────────────────────────────────────────────────
+
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Platform } from 'react-native';
+import { X } from 'lucide-react-native';
+
+// ── UndoSnackbar Component ──────────────────────────────────────
+const UndoSnackbar = ({ message, onUndo, onDismiss }) => {
+  if (!message) return null;
+
+  return (
+    <View style={styles.snackbar}>
+      <Text style={styles.message} numberOfLines={2}>
+        {message}
+      </Text>
+      <TouchableOpacity onPress={onUndo} hitSlop={8}>
+        <Text style={styles.undoText}>UNDO</Text>
+      </TouchableOpacity>
+      <TouchableOpacity onPress={onDismiss} hitSlop={8}>
+        <X size={18} color="#A0AEC0" />
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  snackbar: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    bottom: Platform.OS === 'ios' ? 40 : 24,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1A202C',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    gap: 14,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.25,
+    shadowRadius: 10,
+    elevation: 12,
+  },
+  message: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#FFFFFF',
+  },
+  undoText: {
+    fontSize: 14,
+    fontWeight: '800',
+    color: '#81E6D9',
+    letterSpacing: 0.5,
+  },
+});
+
+export default UndoSnackbar;
@@ -0,0 +1,297 @@
+// components/user-sheet.js
+// ─────────────────────────────────────────────────────────────
+// Bottom sheet for adding a user or editing one: name, role and
+// PIN. When editing, a blank PIN keeps the current one, and the
+// user can be removed from here.
+// ─────────────────────────────────────────────────────────────
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+  KeyboardAvoidingView,
+  ScrollView,
+  Platform,
+  Alert,
+} from 'react-native';
+import { X, CheckCircle, Trash2 } from 'lucide-react-native';
+import { useAuth } from '../context/auth-context';
+import { ROLES, PERMISSIONS } from '../utils/users';
+import { validateUserName, validatePin } from '../utils/validation';
+
+// ── UserSheet Component ─────────────────────────────────────────
+// `user` is null when adding.
+const UserSheet = ({ user, visible, onClose }) => {
+  const { users, addUser, updateUser, removeUser } = useAuth();
+  const isEdit = !!user;
+
+  const [name, setName] = useState('');
+  const [role, setRole] = useState('nurse');
+  const [pin, setPin] = useState('');
+  const [errors, setErrors] = useState({});
+
+  // Start from the user being edited each time the sheet opens.
+  useEffect(() => {
+    if (!visible) return;
+    setName(user ? user.name : '');
+    setRole(user ? user.role : 'nurse');
+    setPin('');
+    setErrors({});
+  }, [visible, user]);
+
+  const validate = () => {
+    const newErrors = {};
+    const nameError = validateUserName(name, users, user ? user.id : null);
+    if (nameError) newErrors.name = nameError;
+    // Editing with the PIN left blank keeps the old one.
+    const pinError = isEdit && pin === '' ? null : validatePin(pin);
+    if (pinError) newErrors.pin = pinError;
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSave = async () => {
+    if (!validate()) return;
+    try {
+      if (isEdit) await updateUser(user.id, { name, role, pin });
+      else await addUser({ name, role, pin });
+      onClose();
+    } catch (error) {
+      setErrors({ role: error.message.replace(/^\[\w+\]\s*/, '') });
+    }
+  };
+
+  const handleRemove = () => {
+    Alert.alert(
+      'Remove User',
+      `Remove ${user.name}? Their name stays on everything they recorded.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: () => {
+            try {
+              removeUser(user.id);
+              onClose();
+            } catch (error) {
+              Alert.alert('Cannot Remove', error.message.replace(/^\[\w+\]\s*/, ''));
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <KeyboardAvoidingView
+        style={styles.backdrop}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <View style={styles.sheet}>
+          <View style={styles.header}>
+            <Text style={styles.title}>{isEdit ? 'Edit User' : 'Add User'}</Text>
+            <TouchableOpacity onPress={onClose} style={styles.closeBtn}>
+              <X size={22} color="#718096" />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+            <View style={styles.fieldGroup}>
+              <Text style={styles.fieldLabel}>NAME</Text>
+              <TextInput
+                style={[styles.input, errors.name && styles.inputError]}
+                value={name}
+                onChangeText={setName}
+                placeholder="e.g., J. Okafor"
+                placeholderTextColor="#A0AEC0"
+              />
+              {errors.name && <Text style={styles.errorText}>{errors.name}</Text>}
+            </View>
+
+            <View style={styles.fieldGroup}>
+              <Text style={styles.fieldLabel}>ROLE</Text>
+              <View style={styles.chipRow}>
+                {Object.entries(ROLES).map(([key, { label }]) => (
+                  <TouchableOpacity
+                    key={key}
+                    style={[styles.chip, role === key && styles.chipActive]}
+                    onPress={() => setRole(key)}
+                    activeOpacity={0.8}
+                  >
+                    <Text style={[styles.chipText, role === key && styles.chipTextActive]}>
+                      {label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <Text style={styles.fieldHint}>
+                {ROLES[role].permissions.length === 0
+                  ? 'Can look but not change anything.'
+                  : `Can: ${ROLES[role].permissions
+                      .map((permission) => PERMISSIONS[permission].toLowerCase())
+                      .join('; ')}.`}
+              </Text>
+              {errors.role && <Text style={styles.errorText}>{errors.role}</Text>}
+            </View>
+
+            <View style={styles.fieldGroup}>
+              <Text style={styles.fieldLabel}>
+                {isEdit ? 'NEW PIN (LEAVE BLANK TO KEEP)' : 'PIN (4–6 DIGITS)'}
+              </Text>
+              <TextInput
+                style={[styles.input, errors.pin && styles.inputError]}
+                value={pin}
+                onChangeText={setPin}
+                keyboardType="number-pad"
+                secureTextEntry
+                maxLength={6}
+              />
+              {errors.pin && <Text style={styles.errorText}>{errors.pin}</Text>}
+            </View>
+
+            <TouchableOpacity style={styles.submitBtn} onPress={handleSave} activeOpacity={0.8}>
+              <CheckCircle size={18} color="#FFF" />
+              <Text style={styles.submitBtnText}>{isEdit ? 'Save Changes' : 'Add User'}</Text>
+            </TouchableOpacity>
+
+            {isEdit && (
+              <TouchableOpacity style={styles.removeBtn} onPress={handleRemove}>
+                <Trash2 size={16} color="#E53E3E" />
+                <Text style={styles.removeBtnText}>Remove User</Text>
+              </TouchableOpacity>
+            )}
+          </ScrollView>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.45)',
+  },
+  sheet: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    padding: 24,
+    paddingBottom: Platform.OS === 'ios' ? 40 : 24,
+    maxHeight: '85%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 24,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '800',
+    color: '#1A202C',
+  },
+  closeBtn: {
+    padding: 4,
+  },
+  fieldGroup: {
+    marginBottom: 18,
+  },
+  fieldLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#A0AEC0',
+    letterSpacing: 1,
+    marginBottom: 8,
+  },
+  fieldHint: {
+    fontSize: 12,
+    color: '#718096',
+    marginTop: 8,
+    lineHeight: 17,
+  },
+  input: {
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    borderRadius: 10,
+    paddingHorizontal: 14,
+    paddingVertical: 13,
+    fontSize: 15,
+    color: '#1A202C',
+    backgroundColor: '#F7FAFC',
+  },
+  inputError: {
+    borderColor: '#FC8181',
+    backgroundColor: '#FFF5F5',
+  },
+  errorText: {
+    fontSize: 12,
+    color: '#E53E3E',
+    marginTop: 5,
+    fontWeight: '500',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    borderRadius: 20,
+    paddingHorizontal: 12,
+    paddingVertical: 7,
+    backgroundColor: '#F7FAFC',
+  },
+  chipActive: {
+    borderColor: '#319795',
+    backgroundColor: '#E6FFFA',
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4A5568',
+  },
+  chipTextActive: {
+    color: '#234E52',
+  },
+  submitBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#319795',
+    borderRadius: 12,
+    paddingVertical: 15,
+    marginTop: 8,
+    gap: 8,
+  },
+  submitBtnText: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#FFFFFF',
+    letterSpacing: 0.3,
+  },
+  removeBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    marginTop: 4,
+    gap: 6,
+  },
+  removeBtnText: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#E53E3E',
+  },
+});
+
+export default UserSheet;
@@ -0,0 +1,107 @@
+// components/witness-field.js
+// ─────────────────────────────────────────────────────────────
+// Picks the second user who witnesses controlled-drug stock
+// leaving the shelf: a chip for each user who may witness (see
+// getWitnesses), then that user's PIN. The parent holds the state
+// and checks the PIN with verifyWitness when it submits.
+// ─────────────────────────────────────────────────────────────
+
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, TextInput } from 'react-native';
+
+// ── WitnessField Component ──────────────────────────────────────
+const WitnessField = ({ witnesses, witnessId, pin, onSelect, onChangePin, hasError }) => {
+  if (witnesses.length === 0) {
+    return (
+      <Text style={styles.emptyText}>
+        No one else on this device can witness. A pharmacist can add users under Settings →
+        Users.
+      </Text>
+    );
+  }
+
+  return (
+    <>
+      <View style={styles.chipRow}>
+        {witnesses.map((user) => (
+          <TouchableOpacity
+            key={user.id}
+            style={[styles.chip, witnessId === user.id && styles.chipActive]}
+            onPress={() => {
+              onSelect(user.id);
+              onChangePin('');
+            }}
+            activeOpacity={0.8}
+          >
+            <Text style={[styles.chipText, witnessId === user.id && styles.chipTextActive]}>
+              {user.name}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      {witnessId && (
+        <TextInput
+          style={[styles.input, hasError && styles.inputError]}
+          placeholder="Witness PIN"
+          placeholderTextColor="#A0AEC0"
+          value={pin}
+          onChangeText={onChangePin}
+          keyboardType="number-pad"
+          secureTextEntry
+          maxLength={6}
+        />
+      )}
+    </>
+  );
+};
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  input: {
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    borderRadius: 10,
+    paddingHorizontal: 14,
+    paddingVertical: 13,
+    fontSize: 15,
+    color: '#1A202C',
+    backgroundColor: '#F7FAFC',
+    marginTop: 10,
+  },
+  inputError: {
+    borderColor: '#FC8181',
+    backgroundColor: '#FFF5F5',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    borderWidth: 1.5,
+    borderColor: '#E2E8F0',
+    borderRadius: 20,
+    paddingHorizontal: 12,
+    paddingVertical: 7,
+    backgroundColor: '#F7FAFC',
+  },
+  chipActive: {
+    borderColor: '#319795',
+    backgroundColor: '#E6FFFA',
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4A5568',
+  },
+  chipTextActive: {
+    color: '#234E52',
+  },
+  emptyText: {
+    fontSize: 13,
+    color: '#718096',
+    lineHeight: 19,
+  },
+});
+
+export default WitnessField;
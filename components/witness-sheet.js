@@ -0,0 +1,179 @@
+// components/witness-sheet.js
+// ─────────────────────────────────────────────────────────────
+// Confirms an action that takes controlled-drug stock off the
+// shelf (a write-off, a removal) with a witness, in place of the
+// usual confirmation alert. Shown while `request` is set:
+//
+//   { title, message, confirmLabel, onWitnessed(witness) }
+//
+// `onWitnessed` runs once the witness's PIN checks out; if it
+// throws, the message is shown and the sheet stays open.
+// ─────────────────────────────────────────────────────────────
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { X, ShieldCheck } from 'lucide-react-native';
+import { useAuth } from '../context/auth-context';
+import { getWitnesses } from '../utils/users';
+import WitnessField from './witness-field';
+
+// ── WitnessSheet Component ──────────────────────────────────────
+const WitnessSheet = ({ request, onClose }) => {
+  const { users, currentUser, verifyWitness } = useAuth();
+  const witnesses = getWitnesses(users, currentUser);
+
+  const [witnessId, setWitnessId] = useState(null);
+  const [witnessPin, setWitnessPin] = useState('');
+  const [witnessError, setWitnessError] = useState(null);
+
+  const handleClose = () => {
+    setWitnessId(null);
+    setWitnessPin('');
+    setWitnessError(null);
+    onClose();
+  };
+
+  const handleConfirm = async () => {
+    if (!witnessId) {
+      setWitnessError('Choose who is witnessing.');
+      return;
+    }
+    if (!witnessPin) {
+      setWitnessError('The witness must enter their PIN.');
+      return;
+    }
+    const witness = await verifyWitness(witnessId, witnessPin);
+    if (!witness) {
+      setWitnessPin('');
+      setWitnessError('Incorrect PIN for the witness.');
+      return;
+    }
+    try {
+      request.onWitnessed(witness);
+      handleClose();
+    } catch (error) {
+      setWitnessError(error.message.replace(/^\[\w+\]\s*/, ''));
+    }
+  };
+
+  return (
+    <Modal visible={!!request} animationType="slide" transparent onRequestClose={handleClose}>
+      <KeyboardAvoidingView
+        style={styles.backdrop}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        {request && (
+          <View style={styles.sheet}>
+            <View style={styles.header}>
+              <Text style={styles.title}>{request.title}</Text>
+              <TouchableOpacity onPress={handleClose} style={styles.closeBtn}>
+                <X size={22} color="#718096" />
+              </TouchableOpacity>
+            </View>
+            <Text style={styles.message}>{request.message}</Text>
+
+            <Text style={styles.fieldLabel}>WITNESS</Text>
+            <WitnessField
+              witnesses={witnesses}
+              witnessId={witnessId}
+              pin={witnessPin}
+              onSelect={setWitnessId}
+              onChangePin={setWitnessPin}
+              hasError={!!witnessError}
+            />
+            {witnessError && <Text style={styles.errorText}>{witnessError}</Text>}
+
+            <TouchableOpacity
+              style={[styles.submitBtn, witnesses.length === 0 && styles.submitBtnDisabled]}
+              onPress={handleConfirm}
+              disabled={witnesses.length === 0}
+              activeOpacity={0.8}
+            >
+              <ShieldCheck size={18} color="#FFF" />
+              <Text style={styles.submitBtnText}>{request.confirmLabel}</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.45)',
+  },
+  sheet: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    padding: 24,
+    paddingBottom: Platform.OS === 'ios' ? 40 : 24,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  title: {
+    flex: 1,
+    fontSize: 20,
+    fontWeight: '800',
+    color: '#1A202C',
+  },
+  closeBtn: {
+    padding: 4,
+  },
+  message: {
+    fontSize: 14,
+    color: '#4A5568',
+    lineHeight: 20,
+    marginBottom: 20,
+  },
+  fieldLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#A0AEC0',
+    letterSpacing: 1,
+    marginBottom: 8,
+  },
+  errorText: {
+    fontSize: 12,
+    color: '#E53E3E',
+    marginTop: 5,
+    fontWeight: '500',
+  },
+  submitBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#E53E3E',
+    borderRadius: 12,
+    paddingVertical: 15,
+    marginTop: 24,
+    gap: 8,
+  },
+  submitBtnDisabled: {
+    backgroundColor: '#A0AEC0',
+  },
+  submitBtnText: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#FFFFFF',
+    letterSpacing: 0.3,
+  },
+});
+
+export default WitnessSheet;
@@ -0,0 +1,311 @@
+// context/auth-context.js
+// ─────────────────────────────────────────────────────────────
+// Who is using the tablet. Holds the local user profiles and the
+// signed-in user, and keeps the lock screen in front of the app
+// until someone enters their PIN. The app locks itself again after
+// the `autoLockMinutes` setting passes without a touch, including
+// while it is in the background. Too many wrong PINs pause unlocking
+// (see getLockoutMs); the count is kept in SecureStore, so closing
+// the app does not reset it. Profiles are encrypted at rest (see
+// utils/encrypted-storage.js). Must sit inside SettingsProvider and
+// outside InventoryProvider, which stamps actions with the user.
+// ─────────────────────────────────────────────────────────────
+
+import React, {
+  createContext,
+  useState,
+  useEffect,
+  useCallback,
+  useContext,
+  useRef,
+} from 'react';
+import { View, StyleSheet, AppState } from 'react-native';
+import * as SecureStore from 'expo-secure-store';
+import { useSettings } from './settings-context';
+import {
+  ADMIN_ROLE,
+  createUser,
+  withPin,
+  verifyPin,
+  needsRehash,
+  hasPermission,
+  hasAdmin,
+  toActor,
+  getLockoutMs,
+} from '../utils/users';
+import { getEncryptedItem, setEncryptedItem } from '../utils/encrypted-storage';
+import LockScreen from '../components/lock-screen';
+
+// The key used to store user profiles (with PIN hashes), encrypted
+const USERS_KEY = '@pharmatrack_users';
+
+// The SecureStore key holding wrong PINs in a row and the pause
+const PIN_LOCK_KEY = 'pharmatrack_pin_lock';
+
+// No wrong PINs, no pause
+const NO_PIN_LOCK = { failures: 0, lockedUntil: null };
+
+// Create the context object. Components will consume this.
+export const AuthContext = createContext(null);
+
+// ─── Provider Component ───────────────────────────────────────
+export const AuthProvider = ({ children }) => {
+  const { settings } = useSettings();
+  const [users, setUsers] = useState([]);
+  const [currentUserId, setCurrentUserId] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [pinLock, setPinLock] = useState(NO_PIN_LOCK);
+
+  // The latest pinLock, for PIN checks that overlap
+  const pinLockRef = useRef(NO_PIN_LOCK);
+
+  // A removed user is signed out at once.
+  const currentUser = users.find((user) => user.id === currentUserId) || null;
+
+  // When the signed-in user last touched the screen
+  const lastActivityRef = useRef(Date.now());
+  const lockTimerRef = useRef(null);
+  const lockAfterMs = settings.autoLockMinutes * 60 * 1000;
+
+  // ── LOAD: Hydrate user profiles on app mount ────────────────
+  useEffect(() => {
+    const loadUsers = async () => {
+      try {
+        const storedLock = await SecureStore.getItemAsync(PIN_LOCK_KEY);
+        if (storedLock !== null) {
+          pinLockRef.current = JSON.parse(storedLock);
+          setPinLock(pinLockRef.current);
+        }
+        const stored = await getEncryptedItem(USERS_KEY);
+        if (stored !== null) setUsers(JSON.parse(stored));
+      } catch (error) {
+        // Saving stays off, so the stored users are not overwritten
+        // by a new first account.
+        console.error('[AuthContext] Failed to load users:', error);
+        setLoadError(error.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadUsers();
+  }, []);
+
+  // ── SAVE: Persist user profiles whenever they change ────────
+  useEffect(() => {
+    if (isLoading || loadError) return;
+
+    const saveUsers = async () => {
+      try {
+        await setEncryptedItem(USERS_KEY, JSON.stringify(users));
+      } catch (error) {
+        console.error('[AuthContext] Failed to save users:', error);
+      }
+    };
+    saveUsers();
+  }, [users, isLoading, loadError]);
+
+  // ── LOCK: Signs the current user out ────────────────────────
+  const lock = useCallback(() => {
+    clearTimeout(lockTimerRef.current);
+    setCurrentUserId(null);
+  }, []);
+
+  // ── ACTIVITY: Restarts the inactivity countdown ─────────────
+  // Called on every touch, so it only touches refs.
+  const recordActivity = useCallback(() => {
+    lastActivityRef.current = Date.now();
+    clearTimeout(lockTimerRef.current);
+    lockTimerRef.current = setTimeout(lock, lockAfterMs);
+  }, [lock, lockAfterMs]);
+
+  // Start counting when someone signs in (or the timeout changes).
+  useEffect(() => {
+    if (!currentUserId) return undefined;
+    recordActivity();
+    return () => clearTimeout(lockTimerRef.current);
+  }, [currentUserId, recordActivity]);
+
+  // Timers do not run in the background, so check on the way back.
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active' && Date.now() - lastActivityRef.current >= lockAfterMs) lock();
+    });
+    return () => subscription.remove();
+  }, [lock, lockAfterMs]);
+
+  // ── Internal: Re-hash a verified PIN stored the old way ─────
+  // Runs after the check, so nobody waits on it.
+  const upgradePin = useCallback((user, pin) => {
+    if (!needsRehash(user)) return;
+    withPin(user, pin)
+      .then((upgraded) => setUsers((prev) => prev.map((u) => (u.id === user.id ? upgraded : u))))
+      .catch((error) => console.error('[AuthContext] Failed to upgrade PIN hash:', error));
+  }, []);
+
+  // ── Internal: Record a PIN attempt and any pause it earns ───
+  const recordPinAttempt = useCallback((succeeded) => {
+    if (succeeded && pinLockRef.current.failures === 0) return;
+    const failures = succeeded ? 0 : pinLockRef.current.failures + 1;
+    const lockoutMs = getLockoutMs(failures);
+    const next = { failures, lockedUntil: lockoutMs > 0 ? Date.now() + lockoutMs : null };
+    pinLockRef.current = next;
+    setPinLock(next);
+    SecureStore.setItemAsync(PIN_LOCK_KEY, JSON.stringify(next)).catch((error) =>
+      console.error('[AuthContext] Failed to save PIN attempts:', error)
+    );
+  }, []);
+
+  // ── UNLOCK: Signs a user in if the PIN matches ──────────────
+  // Resolves to true on success. While unlocking is paused every
+  // PIN is refused unchecked.
+  const unlock = useCallback(
+    async (userId, pin) => {
+      const { lockedUntil } = pinLockRef.current;
+      if (lockedUntil && lockedUntil > Date.now()) return false;
+      const user = users.find((u) => u.id === userId);
+      if (!user) return false;
+      const matches = await verifyPin(user, pin);
+      recordPinAttempt(matches);
+      if (!matches) return false;
+      setCurrentUserId(user.id);
+      upgradePin(user, pin);
+      return true;
+    },
+    [users, upgradePin, recordPinAttempt]
+  );
+
+  // ── WITNESS: Confirms a second user for a controlled drug ───
+  // Checks the witness's PIN without signing them in. Resolves to
+  // `{ userId, userName }`, or null if they cannot witness.
+  const verifyWitness = useCallback(
+    async (userId, pin) => {
+      const user = users.find((u) => u.id === userId);
+      if (!user || user.id === currentUserId || !hasPermission(user, 'witness')) return null;
+      if (!(await verifyPin(user, pin))) return null;
+      upgradePin(user, pin);
+      return toActor(user);
+    },
+    [users, currentUserId, upgradePin]
+  );
+
+  // ── Internal: Throw unless the current user may manage users ──
+  // The screens hide these actions already; this is the backstop.
+  const requireManage = useCallback(
+    (action) => {
+      if (!hasPermission(currentUser, 'manage')) {
+        throw new Error(`[${action}] Your role does not allow this.`);
+      }
+    },
+    [currentUser]
+  );
+
+  // ── ADD: Creates a user; the very first one is signed in ────
+  // The first user always gets the admin role, and needs nobody's
+  // permission because there is nobody yet to give it.
+  const addUser = useCallback(
+    async ({ name, role, pin }) => {
+      const isFirst = users.length === 0;
+      if (!isFirst) requireManage('addUser');
+      const user = await createUser({ name, role: isFirst ? ADMIN_ROLE : role, pin });
+      setUsers((prev) => [...prev, user]);
+      if (isFirst) setCurrentUserId(user.id);
+      return user;
+    },
+    [users, requireManage]
+  );
+
+  // ── UPDATE: Renames a user, changes their role or PIN ───────
+  // A blank `pin` keeps the current one. Throws if nobody would be
+  // left able to manage users.
+  const updateUser = useCallback(
+    async (id, { name, role, pin = '' }) => {
+      requireManage('updateUser');
+      const before = users.find((user) => user.id === id);
+      if (!before) return;
+      const renamed = { ...before, name: name.trim(), role };
+      const after = pin ? await withPin(renamed, pin) : renamed;
+      const next = users.map((user) => (user.id === id ? after : user));
+      if (!hasAdmin(next)) {
+        throw new Error(`[updateUser] At least one user must keep the ${ADMIN_ROLE} role.`);
+      }
+      setUsers(next);
+    },
+    [users, requireManage]
+  );
+
+  // ── REMOVE: Deletes a user profile ──────────────────────────
+  // Their name stays on everything they recorded.
+  const removeUser = useCallback(
+    (id) => {
+      requireManage('removeUser');
+      if (id === currentUserId) {
+        throw new Error('[removeUser] You cannot remove yourself while signed in.');
+      }
+      const next = users.filter((user) => user.id !== id);
+      if (!hasAdmin(next)) {
+        throw new Error(`[removeUser] At least one user must keep the ${ADMIN_ROLE} role.`);
+      }
+      setUsers(next);
+    },
+    [users, currentUserId, requireManage]
+  );
+
+  // ── CAN: May the signed-in user do this? ────────────────────
+  const can = useCallback((permission) => hasPermission(currentUser, permission), [currentUser]);
+
+  const contextValue = {
+    users,
+    currentUser,
+    isLoading,
+    can,
+    lock,
+    unlock,
+    verifyWitness,
+    addUser,
+    updateUser,
+    removeUser,
+  };
+
+  // Every touch anywhere counts as activity; returning false lets
+  // the touch carry on to whatever was pressed.
+  return (
+    <AuthContext.Provider value={contextValue}>
+      <View
+        style={styles.root}
+        onStartShouldSetResponderCapture={() => {
+          if (currentUserId) recordActivity();
+          return false;
+        }}
+      >
+        {children}
+        {!currentUser && (
+          <LockScreen
+            users={users}
+            isLoading={isLoading}
+            loadError={loadError}
+            lockedUntil={pinLock.lockedUntil}
+            onUnlock={unlock}
+            onCreateFirstUser={({ name, pin }) => addUser({ name, role: ADMIN_ROLE, pin })}
+          />
+        )}
+      </View>
+    </AuthContext.Provider>
+  );
+};
+
+// ── Custom hook for clean consumption ──────────────────────────
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('[useAuth] must be used within an <AuthProvider>');
+  }
+  return context;
+};
+
+// ── Styles ─────────────────────────────────────────────────────
+const styles = StyleSheet.create({
+  root: {
+    flex: 1,
+  },
+});
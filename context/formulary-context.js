@@ -0,0 +1,133 @@
+// context/formulary-context.js
+// ─────────────────────────────────────────────────────────────
+// The local formulary (see utils/formulary.js). Seeded from the
+// bundled data/formulary.json the first time the app runs, then
+// persisted to AsyncStorage. The InventoryProvider, which this
+// provider must wrap, reads linked drugs' details from it and
+// follows every edit. Only users who may manage settings can
+// change it.
+// ─────────────────────────────────────────────────────────────
+
+import React, { createContext, useState, useEffect, useCallback, useContext } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useAuth } from './auth-context';
+import { hasPermission } from '../utils/users';
+import { findEntry, seedFormulary, toFormularyEntry } from '../utils/formulary';
+import formularySeed from '../data/formulary.json';
+
+// The key used to store the formulary in AsyncStorage
+const FORMULARY_KEY = '@pharmatrack_formulary';
+
+// Create the context object. Components will consume this.
+export const FormularyContext = createContext(null);
+
+// ─── Provider Component ───────────────────────────────────────
+export const FormularyProvider = ({ children }) => {
+  const { currentUser } = useAuth();
+  const [formulary, setFormulary] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+
+  // ── LOAD: Hydrate the formulary, seeding it on first run ────
+  useEffect(() => {
+    const loadFormulary = async () => {
+      try {
+        const stored = await AsyncStorage.getItem(FORMULARY_KEY);
+        setFormulary(stored !== null ? JSON.parse(stored) : seedFormulary(formularySeed));
+      } catch (error) {
+        // Saving stays off while `loadError` is set, so the stored
+        // formulary is not overwritten with an empty one.
+        console.error('[FormularyContext] Failed to load formulary:', error);
+        setLoadError(error.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadFormulary();
+  }, []);
+
+  // ── SAVE: Persist the formulary whenever it changes ─────────
+  useEffect(() => {
+    if (isLoading || loadError) return;
+
+    const saveFormulary = async () => {
+      try {
+        await AsyncStorage.setItem(FORMULARY_KEY, JSON.stringify(formulary));
+      } catch (error) {
+        console.error('[FormularyContext] Failed to save formulary:', error);
+      }
+    };
+    saveFormulary();
+  }, [formulary, isLoading, loadError]);
+
+  // ── Helper: Refuse changes the current user may not make ────
+  const requireManage = useCallback(
+    (action) => {
+      if (!hasPermission(currentUser, 'manage')) {
+        throw new Error(`[${action}] Your role does not allow this.`);
+      }
+    },
+    [currentUser]
+  );
+
+  // ── ADD: Creates an entry from form input ───────────────────
+  // Returns the new entry.
+  const addEntry = useCallback(
+    (fields) => {
+      requireManage('addEntry');
+      const entry = toFormularyEntry(fields);
+      setFormulary((prev) => [...prev, entry]);
+      return entry;
+    },
+    [requireManage]
+  );
+
+  // ── UPDATE: Replaces an entry ───────────────────────────────
+  // Drugs linked to it take its new details.
+  const updateEntry = useCallback(
+    (id, fields) => {
+      requireManage('updateEntry');
+      const entry = toFormularyEntry(fields, id);
+      setFormulary((prev) => prev.map((e) => (e.id === id ? entry : e)));
+    },
+    [requireManage]
+  );
+
+  // ── REMOVE: Deletes an entry ────────────────────────────────
+  // Drugs linked to it keep their details but are unlinked.
+  const removeEntry = useCallback(
+    (id) => {
+      requireManage('removeEntry');
+      setFormulary((prev) => prev.filter((e) => e.id !== id));
+    },
+    [requireManage]
+  );
+
+  // ── Helper: Look up an entry by id ──────────────────────────
+  const getEntry = useCallback((id) => findEntry(formulary, id), [formulary]);
+
+  const contextValue = {
+    formulary,
+    isLoading,
+    loadError,
+    addEntry,
+    updateEntry,
+    removeEntry,
+    getEntry,
+  };
+
+  return (
+    <FormularyContext.Provider value={contextValue}>
+      {children}
+    </FormularyContext.Provider>
+  );
+};
+
+// ── Custom hook for clean consumption ──────────────────────────
+export const useFormulary = () => {
+  const context = useContext(FormularyContext);
+  if (!context) {
+    throw new Error('[useFormulary] must be used within a <FormularyProvider>');
+  }
+  return context;
+};
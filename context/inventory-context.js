@@ -1,96 +1,1093 @@
 // context/inventory-context.js
 // ─────────────────────────────────────────────────────────────
 // Global state manager for PharmaTrack.
-// Handles all CRUD operations and persists data to AsyncStorage.
+// Handles all CRUD operations. Drugs and ledger movements are kept
+// in a row store (SQLite by default, see utils/inventory-store.js)
+// that writes only what changed and answers the dashboard's
+// queries; the smaller lists stay in AsyncStorage. All of it is
+// encrypted at rest (see utils/encrypted-storage.js).
+// Every action is checked against the signed-in user's role and
+// its ledger movements are stamped with who made it. Stock changes
+// of controlled drugs are also entered in the CD register.
+// With a sync server configured, changes are also shared with
+// other devices (see inventory-sync.js). Drugs linked to a formulary
+// entry are stored by reference and given its details as they are
+// read (see utils/formulary.js), so the formulary loads first.
 // ─────────────────────────────────────────────────────────────
 
-import React, { createContext, useState, useEffect, useCallback, useContext } from 'react';
+import React, {
+  createContext,
+  useState,
+  useEffect,
+  useCallback,
+  useContext,
+  useMemo,
+  useRef,
+} from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  createLot,
+  addLotToDrug,
+  dispenseFromLots,
+  withDerivedTotals,
+} from '../utils/lots';
+import { movementsForChange, diffDrugFields, createEditMovement } from '../utils/ledger';
+import {
+  SCHEMA_VERSION,
+  migratePayload,
+  migrateRecord,
+  migrateRecords,
+} from '../utils/schema-migrations';
+import { planRestore } from '../utils/backup';
+import { useSettings } from './settings-context';
+import { useAuth } from './auth-context';
+import { useFormulary } from './formulary-context';
+import { planNotifications, syncNotifications } from '../utils/notification-schedule';
+import { createExpoNotifier } from '../utils/expo-notifier';
+import { parseThreshold, validateTakeQuantity } from '../utils/validation';
+import { normalizeGtin } from '../utils/gs1';
+import {
+  formatDrugName,
+  getPackSize,
+  isSameProduct,
+  parseDrugName,
+  toBaseUnits,
+  toDrugMetadata,
+} from '../utils/drug-metadata';
+import {
+  findEntry,
+  isOutOfDate,
+  resolveDrug,
+  resolveDrugs,
+  toLinkedFields,
+  toStoredDrug,
+} from '../utils/formulary';
+import { forecastInventory } from '../utils/consumption';
+import { valueInventoryLots } from '../utils/valuation';
+import { DEFAULT_LOCATION_ID, transferLot } from '../utils/locations';
+import { hasPermission, toActor } from '../utils/users';
+import { createBinEntry, withoutExpiredEntries } from '../utils/recycle-bin';
+import { createRegisterEntries } from '../utils/cd-register';
+import { getEncryptedItem, setEncryptedItem } from '../utils/encrypted-storage';
+import { diffRecords, toSavedMap } from '../utils/inventory-store';
+import { openSqliteStore } from '../utils/sqlite-store';
+import { useInventorySync } from './inventory-sync';
 
-// The key used to store our inventory array in AsyncStorage
+// Before the row store, the versioned inventory payload and the
+// ledger were whole values under these keys (see importLegacyData)
 const STORAGE_KEY = '@pharmatrack_inventory';
+const LEDGER_KEY = '@pharmatrack_ledger';
+
+// Records that could not be migrated are kept here, untouched
+const QUARANTINE_KEY = '@pharmatrack_quarantine';
+
+// Deleted drugs wait here until restored or purged
+const RECYCLE_BIN_KEY = '@pharmatrack_recycle_bin';
+
+// The append-only controlled-drug register (see utils/cd-register.js)
+const CD_REGISTER_KEY = '@pharmatrack_cd_register';
+
+// ── Helper: Is the drug controlled in any of these inventories? ─
+// A change counts if the drug is controlled before or after it, so
+// deleting one (or clearing the flag) is still registered.
+const isControlledIn = (inventories, drugId) =>
+  inventories.some((list) => list.some((drug) => drug.id === drugId && drug.controlled));
+
+// ── Helper: Drug a delivery belongs to — GTIN first, then name ─
+// A drug linked to the same formulary entry wins outright. A product
+// match (see isSameProduct) only counts if the drug has no GTIN yet
+// or the same one, so another manufacturer's pack is not merged into it.
+const findExistingDrug = (inventory, candidate) => {
+  const { gtin, formularyId } = candidate;
+  if (formularyId) {
+    const linked = inventory.find((drug) => drug.formularyId === formularyId);
+    if (linked) return linked;
+  }
+  if (gtin) {
+    const byGtin = inventory.find((drug) => drug.gtin === gtin);
+    if (byGtin) return byGtin;
+  }
+  return inventory.find(
+    (drug) => isSameProduct(drug, candidate) && (!gtin || !drug.gtin)
+  );
+};
+
+// ── Helper: Name and metadata for a drug being added or edited ─
+// Given a generic name, the display name is built from the fields;
+// given only a name (CSV import, old callers), the fields are read
+// out of it the way the schema migration does.
+const toDrugIdentity = ({ name = '', genericName, ...fields }) => {
+  if (String(genericName || '').trim()) {
+    const metadata = toDrugMetadata({ genericName, ...fields });
+    return { name: formatDrugName(metadata), ...metadata };
+  }
+  const parsed = parseDrugName(name);
+  return {
+    name: name.trim(),
+    ...toDrugMetadata({
+      ...fields,
+      genericName: parsed.genericName,
+      strength: fields.strength || parsed.strength,
+      dosageForm: fields.dosageForm || parsed.dosageForm,
+    }),
+  };
+};
+
+// ── Helper: Put one delivery on the shelf ─────────────────────
+// Returns `{ inventory, movements }` for a commit. Metadata
+// (genericName, brandName, strength, dosageForm, baseUnit, packSize)
+// is optional; see toDrugIdentity. Given a `formularyEntry`, the drug
+// links to it and takes its details, controlled flag and default
+// thresholds instead. With `inPacks`, `quantity` counts packs of the
+// delivery's pack size (or the drug's, if none is given) and is
+// stored in base units. A `cost` for what `quantity` counts is
+// recorded on the receive movements per base unit.
+const receiveLine = (
+  current,
+  {
+    quantity,
+    inPacks = false,
+    expiryDate,
+    lotNumber,
+    gtin: rawGtin = null,
+    locationId = DEFAULT_LOCATION_ID,
+    controlled = false,
+    formularyEntry = null,
+    ...fields
+  },
+  details,
+  cost = null
+) => {
+  const gtin = normalizeGtin(rawGtin);
+  const identity = formularyEntry
+    ? toLinkedFields(formularyEntry)
+    : { formularyId: null, ...toDrugIdentity(fields) };
+  const existing = findExistingDrug(current, { ...identity, gtin });
+  const packSize = identity.packSize > 1 || !existing ? identity.packSize : getPackSize(existing);
+  const lot = createLot({
+    lotNumber,
+    quantity: toBaseUnits(parseInt(quantity, 10), { inPacks, packSize }),
+    expiryDate,
+    locationId,
+  });
+  const movementDetails =
+    cost == null ? details : { ...details, unitCost: inPacks ? cost / packSize : cost };
+
+  if (existing) {
+    // A drug first added by hand picks up the GTIN on its first scan.
+    const after = addLotToDrug(gtin && !existing.gtin ? { ...existing, gtin } : existing, lot);
+    return {
+      inventory: current.map((drug) => (drug.id === existing.id ? after : drug)),
+      movements: movementsForChange('receive', existing, after, movementDetails),
+    };
+  }
+  const newDrug = withDerivedTotals({
+    id: `drug_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    ...identity,
+    gtin,
+    controlled: formularyEntry ? formularyEntry.controlled : controlled === true,
+    lots: [lot],
+    reorderLevel: formularyEntry ? formularyEntry.reorderLevel : null,
+    expiryWarningDays: formularyEntry ? formularyEntry.expiryWarningDays : null,
+    addedAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  });
+  return {
+    inventory: [newDrug, ...current],
+    movements: movementsForChange('receive', null, newDrug, movementDetails),
+  };
+};
+
+// ── Helper: Set aside records the migrations could not upgrade ──
+// They are kept verbatim so they can be recovered by hand later,
+// and saved before the originals are dropped from the store.
+const addToQuarantine = async (quarantined, fromVersion) => {
+  if (quarantined.length === 0) return;
+  console.warn(
+    `[InventoryContext] ${quarantined.length} record(s) from schema v${fromVersion} ` +
+      'could not be migrated and were quarantined.'
+  );
+  const stored = await getEncryptedItem(QUARANTINE_KEY);
+  const previous = stored !== null ? JSON.parse(stored) : [];
+  await setEncryptedItem(QUARANTINE_KEY, JSON.stringify([...previous, ...quarantined]));
+};
+
+// ── Helper: Move pre-store data into the row store, once ───────
+// Migrates the old payload on the way in and drops the old keys
+// afterwards.
+const importLegacyData = async (store) => {
+  if ((await store.getMeta('legacyImported')) !== null) return;
+  const [storedData, storedLedger] = await Promise.all([
+    getEncryptedItem(STORAGE_KEY),
+    getEncryptedItem(LEDGER_KEY),
+  ]);
+  const { drugs, quarantined, fromVersion } =
+    storedData !== null ? migratePayload(storedData) : { drugs: [], quarantined: [] };
+  await addToQuarantine(quarantined, fromVersion);
+
+  // Stock recorded before the ledger existed gets an opening
+  // balance so quantities stay derivable from the ledger.
+  const movements =
+    storedLedger !== null
+      ? JSON.parse(storedLedger)
+      : drugs.flatMap((drug) =>
+          movementsForChange('adjust', null, drug, { note: 'Opening balance' })
+        );
+
+  await store.writeChanges({
+    drugs: { upserts: drugs, deletes: [] },
+    movements: { upserts: movements, deletes: [] },
+    version: SCHEMA_VERSION,
+  });
+  await store.setMeta('legacyImported', new Date().toISOString());
+  await AsyncStorage.multiRemove([STORAGE_KEY, LEDGER_KEY]);
+};
+
+// Wait this long after the last change before rescheduling, so a
+// burst of edits (e.g. a CSV import) reschedules only once.
+const NOTIFICATION_SYNC_DELAY_MS = 1000;
 
 // Create the context object. Components will consume this.
 export const InventoryContext = createContext(null);
 
 // ─── Provider Component ───────────────────────────────────────
-export const InventoryProvider = ({ children }) => {
+// `notifier` can be swapped for a fake (see notification-schedule.js)
+// and `store` for an in-memory one (see utils/memory-store.js).
+export const InventoryProvider = ({ children, notifier: notifierProp, store: storeProp }) => {
+  const { settings, isLoading: isSettingsLoading } = useSettings();
+  const { currentUser, users } = useAuth();
+  const {
+    formulary,
+    isLoading: isFormularyLoading,
+    loadError: formularyError,
+  } = useFormulary();
   const [inventory, setInventory] = useState([]);
+  const [ledger, setLedger] = useState([]);
+  const [quarantine, setQuarantine] = useState([]);
+  const [recycleBin, setRecycleBin] = useState([]);
+  const [cdRegister, setCdRegister] = useState([]);
+  const [loadError, setLoadError] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
 
-  // ── LOAD: Hydrate state from AsyncStorage on app mount ──────
+  // Bumped after every write, so store queries know to re-run.
+  const [storeVersion, setStoreVersion] = useState(0);
+  const [statusCounts, setStatusCounts] = useState({});
+
+  const storeRef = useRef(null);
+  if (!storeRef.current) storeRef.current = storeProp || openSqliteStore();
+
+  // What the store holds (id → record), to diff each change against
+  const savedDrugsRef = useRef(new Map());
+  const savedMovementsRef = useRef(new Map());
+
+  // Writes run one after another; queries wait for them.
+  const writeQueueRef = useRef(Promise.resolve());
+
+  // Mirrors `inventory` synchronously so each action can compute its
+  // ledger movements from the true current state, even when several
+  // actions fire before React re-renders (e.g. rapid dispense taps).
+  const inventoryRef = useRef([]);
+
+  // Mirrors `ledger`, so sync merges into every movement already
+  // committed, rendered or not.
+  const ledgerRef = useRef([]);
+
+  // Mirrors `recycleBin` synchronously, like `inventoryRef`, so a
+  // delete followed at once by its undo finds the entry.
+  const recycleBinRef = useRef([]);
+
+  // Mirrors `cdRegister` so entries are numbered from the true last one.
+  const cdRegisterRef = useRef([]);
+
+  // The signed-in user, read by actions at the moment they run.
+  const userRef = useRef(null);
+  userRef.current = currentUser;
+  const usersRef = useRef([]);
+  usersRef.current = users;
+
+  // The formulary, read when drugs are resolved or written.
+  const formularyRef = useRef([]);
+  formularyRef.current = formulary;
+
+  // ── Internal: Throw unless the current user may `permission` ──
+  // Screens hide what a role cannot do; this is the backstop.
+  const requirePermission = useCallback((action, permission) => {
+    if (!hasPermission(userRef.current, permission)) {
+      throw new Error(`[${action}] Your role does not allow this.`);
+    }
+  }, []);
+
+  // ── Internal: Throw unless `witness` may witness for the user ──
+  // `witness` is what verifyWitness resolved to, after checking the
+  // PIN; it must still name another user on this device with the
+  // `witness` permission. Returns the fields stamped on movements.
+  const requireWitness = useCallback((action, witness) => {
+    const user = witness ? usersRef.current.find((u) => u.id === witness.userId) : null;
+    const isOtherUser = !!user && !!userRef.current && user.id !== userRef.current.id;
+    if (!isOtherUser || !hasPermission(user, 'witness')) {
+      throw new Error(`[${action}] A controlled drug needs a second user as witness.`);
+    }
+    return { witnessId: user.id, witnessName: user.name };
+  }, []);
+
+  // ── LOAD: Hydrate state from the store once the formulary is in ──
   useEffect(() => {
+    if (isFormularyLoading) return;
+
     const loadInventory = async () => {
       try {
-        const storedData = await AsyncStorage.getItem(STORAGE_KEY);
-        if (storedData !== null) {
-          setInventory(JSON.parse(storedData));
+        // Linked drugs are stored without their details, which
+        // cannot be filled in without the formulary.
+        if (formularyError) {
+          throw new Error(`The formulary could not be loaded: ${formularyError}`);
         }
+        const store = storeRef.current;
+        await store.init();
+        await importLegacyData(store);
+        const [stored, loadedLedger, storedBin, storedRegister] = await Promise.all([
+          store.loadDrugs(),
+          store.loadMovements(),
+          getEncryptedItem(RECYCLE_BIN_KEY),
+          getEncryptedItem(CD_REGISTER_KEY),
+        ]);
+
+        // Rows from an older schema are upgraded and written back;
+        // any that cannot be are quarantined and taken out of the store,
+        // as are linked drugs whose formulary entry has gone missing.
+        const rowVersion = stored.version != null ? stored.version : SCHEMA_VERSION;
+        const { drugs: migrated, quarantined } = migrateRecords(stored.records, rowVersion);
+        const { drugs: loadedInventory, unresolved } = resolveDrugs(
+          migrated,
+          formularyRef.current
+        );
+        const setAside = [
+          ...quarantined,
+          ...unresolved.map((record) => ({
+            record,
+            fromVersion: rowVersion,
+            error: `Formulary entry not found: ${record.formularyId}`,
+            quarantinedAt: new Date().toISOString(),
+          })),
+        ];
+        if (rowVersion < SCHEMA_VERSION || setAside.length > 0) {
+          await addToQuarantine(setAside, rowVersion);
+          await store.writeChanges({
+            drugs: {
+              upserts: loadedInventory,
+              deletes: setAside.map((entry) => entry.record.id),
+            },
+            version: SCHEMA_VERSION,
+            toRecord: (drug) => toStoredDrug(drug, formularyRef.current),
+          });
+        }
+        savedDrugsRef.current = toSavedMap(loadedInventory);
+        savedMovementsRef.current = toSavedMap(loadedLedger);
+
+        const storedQuarantine = await getEncryptedItem(QUARANTINE_KEY);
+        const allQuarantined = storedQuarantine !== null ? JSON.parse(storedQuarantine) : [];
+
+        // Binned records are migrated too, so a restore puts back a
+        // current-schema record. Any that cannot be are dropped — they
+        // were deleted anyway.
+        const loadedBin = [];
+        if (storedBin !== null) {
+          const { version, entries } = JSON.parse(storedBin);
+          entries.forEach((entry) => {
+            try {
+              loadedBin.push({ ...entry, drug: migrateRecord(entry.drug, version) });
+            } catch (error) {
+              console.warn('[InventoryContext] Dropped unreadable recycle bin entry:', error);
+            }
+          });
+        }
+
+        const loadedRegister = storedRegister !== null ? JSON.parse(storedRegister) : [];
+
+        inventoryRef.current = loadedInventory;
+        recycleBinRef.current = loadedBin;
+        cdRegisterRef.current = loadedRegister;
+        setInventory(loadedInventory);
+        ledgerRef.current = loadedLedger;
+        setLedger(loadedLedger);
+        setQuarantine(allQuarantined);
+        setRecycleBin(loadedBin);
+        setCdRegister(loadedRegister);
       } catch (error) {
+        // Leave stored data untouched: saving is disabled while
+        // `loadError` is set so nothing is overwritten with [].
         console.error('[InventoryContext] Failed to load inventory:', error);
+        setLoadError(error.message);
       } finally {
         setIsLoading(false);
       }
     };
     loadInventory();
-  }, []);
+  }, [isFormularyLoading, formularyError]);
 
-  // ── SAVE: Persist state to AsyncStorage on every inventory change ──
+  // ── SAVE: Write changed drugs and new movements to the store ──
+  // Only the rows that differ from what was last written are sent.
+  // The diff runs in the queue, against what earlier writes actually
+  // stored: if a write fails, its rows are sent again with the next.
+  // Linked drugs are written without their entry's details.
   useEffect(() => {
-    if (isLoading) return;
+    if (isLoading || loadError) return;
 
-    const saveInventory = async () => {
+    const writeDiff = async () => {
+      const drugs = diffRecords(savedDrugsRef.current, inventory);
+      const movements = diffRecords(savedMovementsRef.current, ledger);
+      const isUnchanged = [drugs, movements].every(
+        (changes) => changes.upserts.length === 0 && changes.deletes.length === 0
+      );
+      if (isUnchanged) return;
+      await storeRef.current.writeChanges({
+        drugs,
+        movements,
+        toRecord: (drug) => toStoredDrug(drug, formularyRef.current),
+      });
+      savedDrugsRef.current = toSavedMap(inventory);
+      savedMovementsRef.current = toSavedMap(ledger);
+      setStoreVersion((prev) => prev + 1);
+    };
+    writeQueueRef.current = writeQueueRef.current
+      .then(writeDiff)
+      .catch((error) => console.error('[InventoryContext] Failed to save inventory:', error));
+  }, [inventory, ledger, isLoading, loadError]);
+
+  // ── SAVE: Persist records set aside by migrations or restores ──
+  useEffect(() => {
+    if (isLoading || loadError) return;
+
+    const saveQuarantine = async () => {
+      try {
+        await setEncryptedItem(QUARANTINE_KEY, JSON.stringify(quarantine));
+      } catch (error) {
+        console.error('[InventoryContext] Failed to save quarantine:', error);
+      }
+    };
+    saveQuarantine();
+  }, [quarantine, isLoading, loadError]);
+
+  // ── SAVE: Persist the recycle bin ───────────────────────────
+  useEffect(() => {
+    if (isLoading || loadError) return;
+
+    const saveRecycleBin = async () => {
       try {
-        await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(inventory));
+        await setEncryptedItem(
+          RECYCLE_BIN_KEY,
+          JSON.stringify({ version: SCHEMA_VERSION, entries: recycleBin })
+        );
       } catch (error) {
-        console.error('[InventoryContext] Failed to save inventory:', error);
+        console.error('[InventoryContext] Failed to save recycle bin:', error);
       }
     };
-    saveInventory();
-  }, [inventory, isLoading]);
-
-  // ── ADD: Creates a new drug entry with a unique ID ──────────
-  const addDrug = useCallback(({ name, quantity, expiryDate }) => {
-    const newDrug = {
-      id: `drug_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      name: name.trim(),
-      quantity: parseInt(quantity, 10),
-      expiryDate: new Date(expiryDate).toISOString(),
-      addedAt: new Date().toISOString(),
+    saveRecycleBin();
+  }, [recycleBin, isLoading, loadError]);
+
+  // ── SAVE: Persist the controlled-drug register ─────────────
+  useEffect(() => {
+    if (isLoading || loadError) return;
+
+    const saveRegister = async () => {
+      try {
+        await setEncryptedItem(CD_REGISTER_KEY, JSON.stringify(cdRegister));
+      } catch (error) {
+        console.error('[InventoryContext] Failed to save CD register:', error);
+      }
     };
-    setInventory((prev) => [newDrug, ...prev]);
+    saveRegister();
+  }, [cdRegister, isLoading, loadError]);
+
+  // ── PURGE: Drop bin entries older than the retention setting ──
+  // Runs once both stores are loaded, and again if the setting changes.
+  useEffect(() => {
+    if (isLoading || isSettingsLoading) return;
+    const kept = withoutExpiredEntries(recycleBinRef.current, settings.recycleBinDays);
+    if (kept.length === recycleBinRef.current.length) return;
+    recycleBinRef.current = kept;
+    setRecycleBin(kept);
+  }, [isLoading, isSettingsLoading, settings.recycleBinDays]);
+
+  // ── NOTIFY: Reschedule expiry / low-stock alerts on change ──
+  const notifierRef = useRef(notifierProp || null);
+  useEffect(() => {
+    if (isLoading || loadError) return undefined;
+
+    const timer = setTimeout(() => {
+      if (!notifierRef.current) notifierRef.current = createExpoNotifier();
+      syncNotifications(notifierRef.current, planNotifications(inventory, settings)).catch(
+        (error) => console.error('[InventoryContext] Failed to schedule notifications:', error)
+      );
+    }, NOTIFICATION_SYNC_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [inventory, settings, isLoading, loadError]);
+
+  // ── Internal: Enter controlled-drug movements in the register ──
+  // Controlled before or after the change counts (see isControlledIn).
+  const registerMovements = useCallback((previous, next, movements) => {
+    const isControlled = (drugId) => isControlledIn([previous, next], drugId);
+    const entries = createRegisterEntries(cdRegisterRef.current, movements, next, isControlled);
+    if (entries.length === 0) return;
+    cdRegisterRef.current = [...cdRegisterRef.current, ...entries];
+    setCdRegister(cdRegisterRef.current);
   }, []);
 
-  // ── DISPENSE: Decrements quantity by 1, prevents going below 0 ──
-  const dispenseDrug = useCallback((id) => {
-    setInventory((prev) =>
-      prev.map((drug) =>
-        drug.id === id
-          ? { ...drug, quantity: Math.max(0, drug.quantity - 1) }
-          : drug
-      )
-    );
+  // ── Internal: Replace the ledger ─────────────────────────────
+  const commitLedger = useCallback((next) => {
+    ledgerRef.current = next;
+    setLedger(next);
   }, []);
 
-  // ── DELETE: Removes a drug entry entirely by its ID ─────────
-  const deleteDrug = useCallback((id) => {
-    setInventory((prev) => prev.filter((drug) => drug.id !== id));
+  // ── Internal: Give linked drugs their entry's details ────────
+  const resolveAll = useCallback(
+    (drugs) => drugs.map((drug) => resolveDrug(drug, formularyRef.current)),
+    []
+  );
+
+  // ── SYNC: Share changes with other devices, if configured ───
+  // Remote changes arrive already merged with any local ones. Their
+  // linked drugs show this device's entries, without a movement: the
+  // other device may have edited its own copy of the entry.
+  const applyRemote = useCallback(
+    ({ inventory: merged, ledger: nextLedger, incoming }) => {
+      const next = resolveAll(merged);
+      registerMovements(inventoryRef.current, next, incoming);
+      inventoryRef.current = next;
+      setInventory(next);
+      commitLedger(nextLedger);
+    },
+    [resolveAll, registerMovements, commitLedger]
+  );
+  const { syncStatus, recordChange, syncNow } = useInventorySync({
+    syncUrl: settings.syncUrl,
+    isReady: !isLoading && !isSettingsLoading && !loadError,
+    inventoryRef,
+    ledgerRef,
+    applyRemote,
+  });
+
+  // ── Internal: Apply a change and append its ledger movements ──
+  // `producer` receives the current inventory and returns the next
+  // inventory plus the movements describing what happened, which are
+  // also returned to the caller (e.g. so a dispense can be undone).
+  // Each movement is stamped with the signed-in user. Stock leaving a
+  // controlled drug needs a `witness` (see requireWitness), stamped
+  // on those movements; without one nothing is committed and the
+  // error names `action`. The producer may also return `history`:
+  // movements recorded earlier (e.g. in a backup), appended ahead of
+  // the new ones as they are — not stamped, witnessed or registered —
+  // and `register`, the CD register entries that recorded them. Drugs
+  // coming back from the bin or a backup take their entry's details.
+  const commitChange = useCallback(
+    (producer, { action = 'commitChange', witness = null } = {}) => {
+      const previous = inventoryRef.current;
+      const produced = producer(previous);
+      const next = resolveAll(produced.inventory);
+      const history = produced.history || [];
+      const register = produced.register || [];
+      const actor = toActor(userRef.current);
+      const isWitnessed = (movement) =>
+        movement.delta < 0 && isControlledIn([previous, next], movement.drugId);
+      const witnessed = produced.movements.some(isWitnessed)
+        ? requireWitness(action, witness)
+        : null;
+      const movements = produced.movements.map((movement) => ({
+        ...movement,
+        ...actor,
+        ...(isWitnessed(movement) ? witnessed : {}),
+      }));
+      inventoryRef.current = next;
+      setInventory(next);
+      if (history.length + movements.length > 0) {
+        commitLedger([...ledgerRef.current, ...history, ...movements]);
+      }
+      if (register.length > 0) {
+        cdRegisterRef.current = [...cdRegisterRef.current, ...register];
+        setCdRegister(cdRegisterRef.current);
+      }
+      registerMovements(previous, next, movements);
+      recordChange(previous, next, [...history, ...movements]);
+      return movements;
+    },
+    [resolveAll, recordChange, registerMovements, requireWitness, commitLedger]
+  );
+
+  // ── Internal: Replace the recycle bin ────────────────────────
+  const commitBin = useCallback((next) => {
+    recycleBinRef.current = next;
+    setRecycleBin(next);
   }, []);
 
-  // ── Derived data: count of critical (expired) items ─────────
-  const criticalCount = inventory.filter((drug) => {
-    const now = new Date();
-    const expiry = new Date(drug.expiryDate);
-    return expiry < now;
-  }).length;
+  // ── Internal: Transform one drug and record it as `type` ─────
+  // `options` are passed on to commitChange.
+  const changeDrug = useCallback(
+    (id, type, transform, details, options) =>
+      commitChange((current) => {
+        const before = current.find((drug) => drug.id === id);
+        if (!before) return { inventory: current, movements: [] };
+        const after = transform(before);
+        return {
+          inventory: current.map((drug) => (drug.id === id ? after : drug)),
+          movements: movementsForChange(type, before, after, details),
+        };
+      }, options),
+    [commitChange]
+  );
+
+  // ── ADD: Receives a lot, creating the drug if it is new ──────
+  // A delivery of a drug we already stock (same product) becomes a
+  // new lot on the existing record instead of a duplicate card. See
+  // receiveLine for the fields.
+  const addDrug = useCallback(
+    (fields, note = '') => {
+      requirePermission('addDrug', 'add');
+      commitChange((current) => receiveLine(current, fields, { note }));
+    },
+    [commitChange, requirePermission]
+  );
+
+  // ── RECEIVE GOODS: Posts every line of a goods-received note ─
+  // Each line is received as by addDrug, plus a `unitCost` for
+  // whatever `quantity` counts (a pack when `inPacks`). `details`
+  // (`note`, `supplierId`, `receiptId`) is stamped on every receive
+  // movement, with the line's cost per base unit. All lines land in
+  // one change; returns the movements posted.
+  const receiveGoods = useCallback(
+    (lines, details = {}) => {
+      requirePermission('receiveGoods', 'add');
+      if (lines.length === 0) throw new Error('[receiveGoods] Add at least one item.');
+      return commitChange((current) =>
+        lines.reduce(
+          (produced, { unitCost, ...line }) => {
+            const next = receiveLine(produced.inventory, line, details, unitCost);
+            return {
+              inventory: next.inventory,
+              movements: [...produced.movements, ...next.movements],
+            };
+          },
+          { inventory: current, movements: [] }
+        )
+      );
+    },
+    [commitChange, requirePermission]
+  );
+
+  // ── DISPENSE: Takes stock from the soonest-expiring lots ────
+  // Refuses to go past the available stock rather than clamping,
+  // so the caller can tell the user exactly what is left. With a
+  // `locationId` only the lots kept there are drawn from, and users
+  // who may not dispense expired stock only draw from in-date lots.
+  // A controlled drug needs a named recipient and a `witness` (a
+  // second user, `{ userId, userName }`, already verified by PIN;
+  // see requireWitness).
+  // Returns the movements posted, which `undoDispense` can reverse.
+  const dispenseDrug = useCallback(
+    (
+      id,
+      { quantity = 1, reason = 'patient', recipient = '', locationId = null, witness = null } = {}
+    ) => {
+      requirePermission('dispenseDrug', 'dispense');
+      const drug = inventoryRef.current.find((d) => d.id === id);
+      if (!drug) throw new Error('[dispenseDrug] Drug not found.');
+      if (drug.controlled) {
+        requireWitness('dispenseDrug', witness);
+        if (!recipient.trim()) {
+          throw new Error('[dispenseDrug] A controlled drug needs a patient or recipient.');
+        }
+      }
+      if (validateTakeQuantity(quantity)) {
+        throw new Error('[dispenseDrug] Quantity must be a whole number of at least 1.');
+      }
+      const amount = parseInt(quantity, 10);
+      const now = new Date();
+      const mayUseExpired = hasPermission(userRef.current, 'dispenseExpired');
+      const isHere = (lot) =>
+        (locationId == null || lot.locationId === locationId) &&
+        (mayUseExpired || new Date(lot.expiryDate) >= now);
+      const available = drug.lots.filter(isHere).reduce((sum, lot) => sum + lot.quantity, 0);
+      if (amount > available) {
+        throw new Error(
+          `[dispenseDrug] Only ${available} ${mayUseExpired ? '' : 'in-date '}unit(s) of ` +
+            `${drug.name} available.`
+        );
+      }
+
+      return changeDrug(
+        id,
+        'dispense',
+        (d) => {
+          const taken = dispenseFromLots(d.lots.filter(isHere), amount);
+          return withDerivedTotals({
+            ...d,
+            lots: d.lots.map((lot) => taken.find((t) => t.id === lot.id) || lot),
+          });
+        },
+        { reason, recipient: recipient.trim() },
+        { action: 'dispenseDrug', witness }
+      );
+    },
+    [changeDrug, requirePermission, requireWitness]
+  );
+
+  // ── UNDO DISPENSE: Puts dispensed units back on their lots ──
+  // `movements` is what `dispenseDrug` returned. The reversal is a
+  // new `undo-dispense` movement per lot rather than an edit to the
+  // ledger, which stays append-only. A witnessed controlled-drug
+  // dispense is final; it is corrected by an adjustment instead.
+  const undoDispense = useCallback(
+    (movements) => {
+      requirePermission('undoDispense', 'dispense');
+      if (movements.some((m) => m.witnessId)) {
+        throw new Error('[undoDispense] A witnessed controlled-drug dispense cannot be undone.');
+      }
+      const drugId = movements.length > 0 ? movements[0].drugId : null;
+      changeDrug(
+        drugId,
+        'undo-dispense',
+        (drug) =>
+          withDerivedTotals({
+            ...drug,
+            lots: drug.lots.map((lot) => {
+              const taken = movements
+                .filter((m) => m.lotId === lot.id)
+                .reduce((sum, m) => sum - m.delta, 0);
+              return taken ? { ...lot, quantity: lot.quantity + taken } : lot;
+            }),
+          }),
+        { note: 'Undone', reverses: movements.map((m) => m.id) }
+      );
+    },
+    [changeDrug, requirePermission]
+  );
+
+  // ── RECONCILE: Sets many lots to counted quantities at once ──
+  // Used by stocktakes. `counts` is `[{ drugId, lotId, counted }]`;
+  // each lot whose count differs gets an adjust movement carrying
+  // `note` and `details` (e.g. the stocktake id). Returns the system
+  // quantity each lot had just before, keyed by lot id. Lowering a
+  // controlled drug's lot needs a `witness`, here and in every action
+  // below that takes one.
+  const reconcileCounts = useCallback(
+    (counts, note = '', details = {}, witness = null) => {
+      requirePermission('reconcileCounts', 'stocktake');
+      const expected = {};
+      commitChange((current) => {
+        const movements = [];
+        const next = current.map((before) => {
+          const drugCounts = counts.filter((count) => count.drugId === before.id);
+          if (drugCounts.length === 0) return before;
+
+          const after = withDerivedTotals({
+            ...before,
+            lots: before.lots.map((lot) => {
+              const count = drugCounts.find((c) => c.lotId === lot.id);
+              if (!count) return lot;
+              expected[lot.id] = lot.quantity;
+              return { ...lot, quantity: Math.max(0, count.counted) };
+            }),
+          });
+          movements.push(...movementsForChange('adjust', before, after, { note, ...details }));
+          return after;
+        });
+        return { inventory: next, movements };
+      }, { action: 'reconcileCounts', witness });
+      return expected;
+    },
+    [commitChange, requirePermission]
+  );
+
+  // ── WRITE-OFF: Removes all remaining stock of one lot ───────
+  // Used for expired or damaged batches that must leave the shelf.
+  const writeOffLot = useCallback(
+    (id, lotId, note = '', witness = null) => {
+      requirePermission('writeOffLot', 'delete');
+      changeDrug(
+        id,
+        'write-off',
+        (drug) =>
+          withDerivedTotals({
+            ...drug,
+            lots: drug.lots.map((lot) => (lot.id === lotId ? { ...lot, quantity: 0 } : lot)),
+          }),
+        { note },
+        { action: 'writeOffLot', witness }
+      );
+    },
+    [changeDrug, requirePermission]
+  );
+
+  // ── TRANSFER: Moves stock of one lot to another location ────
+  // Posts a pair of transfer movements (out of the source lot, into
+  // the destination lot) so the drug's total is unchanged. Throws
+  // with a readable message if the move is not possible.
+  const transferStock = useCallback(
+    (id, { lotId, toLocationId, quantity }, note = '', witness = null) => {
+      requirePermission('transferStock', 'edit');
+      const drug = inventoryRef.current.find((d) => d.id === id);
+      if (!drug) throw new Error('[transferStock] Drug not found.');
+      const source = drug.lots.find((lot) => lot.id === lotId);
+      // Validate up front so the caller sees the error, not the producer.
+      transferLot(drug, { lotId, toLocationId, quantity: parseInt(quantity, 10) });
+
+      changeDrug(
+        id,
+        'transfer',
+        (d) => transferLot(d, { lotId, toLocationId, quantity: parseInt(quantity, 10) }),
+        { note, fromLocationId: source.locationId, toLocationId },
+        { action: 'transferStock', witness }
+      );
+    },
+    [changeDrug, requirePermission]
+  );
+
+  // ── UPDATE: Edits name, thresholds and lot details in place ─
+  // Metadata fields left out keep their values; the name is rebuilt
+  // from them (see toDrugIdentity). Pass the drug's `formularyEntry`
+  // to keep it linked (its details then win); without one the drug
+  // is unlinked. Keeps `id` and `addedAt`. Quantity differences are posted as
+  // adjustments; every other changed field is listed on an `edit`
+  // movement so the ledger shows exactly what was corrected.
+  const updateDrug = useCallback(
+    (
+      id,
+      {
+        gtin,
+        controlled,
+        lots,
+        reorderLevel,
+        expiryWarningDays,
+        formularyEntry = null,
+        ...fields
+      },
+      note = '',
+      witness = null
+    ) => {
+      requirePermission('updateDrug', 'edit');
+      commitChange((current) => {
+        const before = current.find((drug) => drug.id === id);
+        if (!before) return { inventory: current, movements: [] };
+
+        const after = withDerivedTotals({
+          ...before,
+          ...(formularyEntry
+            ? toLinkedFields(formularyEntry)
+            : { formularyId: null, ...toDrugIdentity({ ...before, ...fields }) }),
+          gtin: normalizeGtin(gtin),
+          controlled: formularyEntry ? formularyEntry.controlled : controlled === true,
+          reorderLevel: parseThreshold(reorderLevel),
+          expiryWarningDays: parseThreshold(expiryWarningDays),
+          lots: before.lots.map((lot) => {
+            const edited = lots.find((l) => l.id === lot.id);
+            if (!edited) return lot;
+            return {
+              ...lot,
+              lotNumber: (edited.lotNumber || '').trim(),
+              quantity: parseInt(edited.quantity, 10),
+              expiryDate: new Date(edited.expiryDate).toISOString(),
+            };
+          }),
+          updatedAt: new Date().toISOString(),
+        });
+
+        const changes = diffDrugFields(before, after);
+        const movements = movementsForChange('adjust', before, after, { note });
+        if (changes.length > 0) movements.push(createEditMovement(after, changes, note));
+
+        return {
+          inventory: current.map((drug) => (drug.id === id ? after : drug)),
+          movements,
+        };
+      }, { action: 'updateDrug', witness });
+    },
+    [commitChange, requirePermission]
+  );
+
+  // ── FORMULARY: Follow edits to the entries drugs link to ────
+  // Runs whenever the formulary changes. Drugs of an edited entry
+  // take its new details; those of a removed entry keep theirs but
+  // are unlinked. Each drug whose details changed gets an `edit`
+  // movement listing them. Who may edit the formulary is checked
+  // by the FormularyProvider.
+  const seenFormularyRef = useRef(null);
+  useEffect(() => {
+    if (isLoading || loadError) return;
+    const seen = seenFormularyRef.current;
+    seenFormularyRef.current = formulary;
+    if (!seen || seen === formulary) return;
+
+    // Links to entries this device never had are left alone.
+    const isRemoved = (id) => !!findEntry(seen, id) && !findEntry(formulary, id);
+    const isAffected = (drug) => {
+      const entry = findEntry(formulary, drug.formularyId);
+      return entry ? isOutOfDate(drug, entry) : isRemoved(drug.formularyId);
+    };
+    if (!inventoryRef.current.some(isAffected)) return;
+
+    commitChange((current) => {
+      const movements = [];
+      const next = current.map((before) => {
+        if (!isAffected(before)) return before;
+        const entry = findEntry(formulary, before.formularyId);
+        const after = {
+          ...before,
+          ...(entry ? toLinkedFields(entry) : { formularyId: null }),
+          updatedAt: new Date().toISOString(),
+        };
+        const changes = diffDrugFields(before, after);
+        if (changes.length > 0) {
+          const note = entry ? 'Formulary entry updated' : 'Formulary entry removed';
+          movements.push(createEditMovement(after, changes, note));
+        }
+        return after;
+      });
+      return { inventory: next, movements };
+    });
+  }, [formulary, isLoading, loadError, commitChange]);
+
+  // ── DELETE: Moves a drug to the recycle bin ─────────────────
+  // Its stock leaves the inventory (posted as delete movements) but
+  // the record is kept so `restoreDrug` can bring it back.
+  const deleteDrug = useCallback(
+    (id, note = '', witness = null) => {
+      requirePermission('deleteDrug', 'delete');
+      const drug = inventoryRef.current.find((d) => d.id === id);
+      if (!drug) return;
+      commitChange(
+        (current) => ({
+          inventory: current.filter((d) => d.id !== id),
+          movements: movementsForChange('delete', drug, null, { note }),
+        }),
+        { action: 'deleteDrug', witness }
+      );
+      commitBin([
+        createBinEntry(drug, toActor(userRef.current).userName),
+        ...recycleBinRef.current,
+      ]);
+    },
+    [commitChange, commitBin, requirePermission]
+  );
+
+  // ── RESTORE: Returns a drug from the recycle bin ────────────
+  // Its lots come back with the quantities they had when deleted.
+  const restoreDrug = useCallback(
+    (id, note = 'Restored from recycle bin') => {
+      requirePermission('restoreDrug', 'delete');
+      const entry = recycleBinRef.current.find((e) => e.drug.id === id);
+      if (!entry || inventoryRef.current.some((d) => d.id === id)) return;
+      const drug = { ...entry.drug, updatedAt: new Date().toISOString() };
+      commitBin(recycleBinRef.current.filter((e) => e !== entry));
+      commitChange((current) => ({
+        inventory: [drug, ...current],
+        movements: movementsForChange('restore', null, drug, { note }),
+      }));
+    },
+    [commitChange, commitBin, requirePermission]
+  );
+
+  // ── PURGE: Permanently removes drugs from the recycle bin ───
+  // With no `id`, empties the whole bin.
+  const purgeDrug = useCallback(
+    (id = null) => {
+      requirePermission('purgeDrug', 'delete');
+      commitBin(id == null ? [] : recycleBinRef.current.filter((e) => e.drug.id !== id));
+    },
+    [commitBin, requirePermission]
+  );
+
+  // ── RESTORE: Loads a verified backup, replacing or merging ──
+  // `restored` is the output of `readBackup`. "replace" swaps in the
+  // backup's inventory; "merge" overwrites matching ids and keeps the
+  // rest. The ledger keeps every movement: the backup's history is
+  // appended and `restore` movements make up the difference (see
+  // planRestore), so lowering controlled stock needs a `witness`.
+  // The CD register likewise only gains entries.
+  const restoreBackup = useCallback(
+    (restored, mode, witness = null) => {
+      requirePermission('restoreBackup', 'manage');
+      const current = (previous) => ({
+        inventory: previous,
+        ledger: ledgerRef.current,
+        cdRegister: cdRegisterRef.current,
+      });
+      commitChange((previous) => planRestore(current(previous), restored, mode), {
+        action: 'restoreBackup',
+        witness,
+      });
+      if (restored.quarantined.length > 0) {
+        setQuarantine((prev) => [...prev, ...restored.quarantined]);
+      }
+    },
+    [commitChange, requirePermission]
+  );
+
+  // ── QUERY: Drugs matching a dashboard query, from the store ──
+  // `query` is `{ search, filters, sort }` (see inventory-query.js).
+  // Resolves to drug ids in order, once pending writes are in.
+  const queryDrugIds = useCallback(
+    (query) =>
+      writeQueueRef.current.then(() => storeRef.current.queryDrugIds(query, settings)),
+    [settings]
+  );
+
+  // ── QUERY: Number of drugs under each status filter ─────────
+  const countByStatus = useCallback(
+    () => writeQueueRef.current.then(() => storeRef.current.countByStatus(settings)),
+    [settings]
+  );
+
+  // ── Derived data: status counts, refreshed after each write ──
+  useEffect(() => {
+    if (isLoading || loadError) return undefined;
+    let isCurrent = true;
+    countByStatus()
+      .then((counts) => isCurrent && setStatusCounts(counts))
+      .catch((error) => console.error('[InventoryContext] Failed to count drugs:', error));
+    return () => {
+      isCurrent = false;
+    };
+  }, [storeVersion, countByStatus, isLoading, loadError]);
+
+  // Expired (earliest lot with stock) and below reorder level,
+  // across every location; the dashboard recounts for just one.
+  const criticalCount = statusCounts.expired || 0;
+  const lowStockCount = statusCounts['low-stock'] || 0;
+
+  // ── Derived data: consumption forecast per drug id ──────────
+  const forecasts = useMemo(() => forecastInventory(inventory, ledger), [inventory, ledger]);
+
+  // ── Derived data: FIFO value of every lot, by lot id ────────
+  const lotValues = useMemo(() => valueInventoryLots(inventory, ledger), [inventory, ledger]);
 
   const contextValue = {
     inventory,
+    ledger,
+    quarantine,
+    recycleBin,
+    cdRegister,
+    loadError,
     isLoading,
     criticalCount,
+    lowStockCount,
+    statusCounts,
+    storeVersion,
+    queryDrugIds,
+    countByStatus,
+    forecasts,
+    lotValues,
+    syncStatus,
+    syncNow,
     addDrug,
+    receiveGoods,
     dispenseDrug,
+    undoDispense,
+    reconcileCounts,
+    writeOffLot,
+    transferStock,
+    updateDrug,
     deleteDrug,
+    restoreDrug,
+    purgeDrug,
+    restoreBackup,
   };
 
   return (
@@ -0,0 +1,76 @@
+// context/inventory-query.js
+// ─────────────────────────────────────────────────────────────
+// The dashboard's list and status counts. Across all locations
+// they come from the store's indexed queries, re-run after every
+// write. For one location, where a drug's stock and expiry depend
+// on which of its lots are kept there, they are worked out in
+// memory from the location-scoped inventory instead.
+// ─────────────────────────────────────────────────────────────
+
+import { useState, useEffect, useMemo } from 'react';
+import { useInventory } from './inventory-context';
+import { useSettings } from './settings-context';
+import { STATUS_FILTERS, countByFilter, queryInventory } from '../utils/inventory-query';
+import { scopeInventoryToLocation } from '../utils/locations';
+
+// ── Helper: A count for every filter chip, zero if unknown ─────
+const withEveryFilter = (counts) =>
+  Object.keys(STATUS_FILTERS).reduce((all, key) => {
+    all[key] = counts[key] || 0;
+    return all;
+  }, {});
+
+// ─── Hook ─────────────────────────────────────────────────────
+// Returns `{ inventory, drugs, counts }`: the drugs in view (scoped
+// to `locationId` if given), those matching the query in order, and
+// the number under each status filter.
+export const useInventoryQuery = ({ search = '', filters = [], sort, locationId = null }) => {
+  const {
+    inventory: allInventory,
+    isLoading,
+    loadError,
+    storeVersion,
+    statusCounts,
+    queryDrugIds,
+  } = useInventory();
+  const { settings } = useSettings();
+  const [ids, setIds] = useState(null);
+
+  // ── STORE: Re-run the query after each write ────────────────
+  useEffect(() => {
+    if (locationId || isLoading || loadError) return undefined;
+    let isCurrent = true;
+    queryDrugIds({ search, filters, sort })
+      .then((result) => isCurrent && setIds(result))
+      .catch((error) => console.error('[useInventoryQuery] Failed to query drugs:', error));
+    return () => {
+      isCurrent = false;
+    };
+  }, [locationId, search, filters, sort, storeVersion, queryDrugIds, isLoading, loadError]);
+
+  const scoped = useMemo(
+    () => (locationId ? scopeInventoryToLocation(allInventory, locationId) : null),
+    [allInventory, locationId]
+  );
+
+  return useMemo(() => {
+    if (scoped) {
+      return {
+        inventory: scoped,
+        drugs: queryInventory(scoped, { search, filters, sort }, settings),
+        counts: countByFilter(scoped, settings),
+      };
+    }
+    // The store gives the order; the records come from state, so a
+    // card never shows stock older than what is on screen elsewhere.
+    // Until the first answer arrives, the list is worked out here.
+    const byId = new Map(allInventory.map((drug) => [drug.id, drug]));
+    return {
+      inventory: allInventory,
+      drugs: ids
+        ? ids.map((id) => byId.get(id)).filter(Boolean)
+        : queryInventory(allInventory, { search, filters, sort }, settings),
+      counts: withEveryFilter(statusCounts),
+    };
+  }, [scoped, allInventory, ids, statusCounts, search, filters, sort, settings]);
+};
@@ -0,0 +1,192 @@
+// context/inventory-sync.js
+// ─────────────────────────────────────────────────────────────
+// The optional sync layer used by InventoryProvider. When a sync
+// server URL is set, every local change is queued as operations
+// (see utils/sync.js) and persisted, so nothing is lost offline.
+// The queue is pushed and remote changes pulled shortly after each
+// change and on a timer; while the server cannot be reached the
+// operations simply wait. With no URL, sync is off and nothing is
+// recorded. The queue holds movements (with patient references), so
+// it is stored encrypted like the inventory.
+// ─────────────────────────────────────────────────────────────
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createDeviceId, operationsForChange } from '../utils/sync';
+import { createSyncClient, joinServer, syncRound } from '../utils/sync-client';
+import { getEncryptedItem, setEncryptedItem } from '../utils/encrypted-storage';
+
+// Queue, cursor and last-synced base inventory for this device
+const SYNC_KEY = '@pharmatrack_sync';
+
+// Sync this long after the last local change (batches bursts)
+const SYNC_AFTER_CHANGE_MS = 2000;
+
+// …and at least this often while the app is open, to pull
+const SYNC_INTERVAL_MS = 30000;
+
+// Keep only the most recent conflicts for display
+const MAX_CONFLICTS = 20;
+
+// ── Helper: Fresh sync state for joining `serverUrl` ───────────
+// `needsSeed` makes the first sync adopt what the server already has
+// and upload only what this device holds differently (joinServer).
+const createSyncState = (serverUrl, deviceId = createDeviceId()) => ({
+  serverUrl,
+  deviceId,
+  cursor: 0,
+  base: [],
+  pending: [],
+  needsSeed: true,
+});
+
+// ─── Hook ─────────────────────────────────────────────────────
+// `applyRemote({ inventory, ledger, incoming })` must install the
+// merged inventory and ledger; `incoming` are the ledger movements
+// that came from the server (see syncRound). `ledgerRef` must be
+// current as soon as the ledger changes, not only after a render.
+export const useInventorySync = ({ syncUrl, isReady, inventoryRef, ledgerRef, applyRemote }) => {
+  const [status, setStatus] = useState({
+    isSyncing: false,
+    lastSyncedAt: null,
+    error: null,
+    pendingCount: 0,
+    conflicts: [],
+  });
+  const [isStateLoaded, setStateLoaded] = useState(false);
+  const [changeCount, setChangeCount] = useState(0);
+
+  // null while sync is off
+  const stateRef = useRef(null);
+  const storedRef = useRef(null);
+  const isSyncingRef = useRef(false);
+  // Set if the stored queue could not be read; it is then left as is.
+  const loadFailedRef = useRef(false);
+  const serverUrl = (syncUrl || '').trim();
+  const isEnabled = serverUrl !== '';
+
+  // ── Internal: Persist the sync state and refresh the count ──
+  const persist = useCallback(() => {
+    const state = stateRef.current;
+    setStatus((prev) => ({ ...prev, pendingCount: state ? state.pending.length : 0 }));
+    if (loadFailedRef.current) return;
+    const write = state
+      ? setEncryptedItem(SYNC_KEY, JSON.stringify(state))
+      : AsyncStorage.removeItem(SYNC_KEY);
+    write.catch((error) => console.error('[InventorySync] Failed to save sync state:', error));
+  }, []);
+
+  // ── LOAD: Read the stored queue once on mount ───────────────
+  useEffect(() => {
+    getEncryptedItem(SYNC_KEY)
+      .then((stored) => {
+        storedRef.current = stored !== null ? JSON.parse(stored) : null;
+      })
+      .catch((error) => {
+        loadFailedRef.current = true;
+        console.error('[InventorySync] Failed to load sync state:', error);
+      })
+      .finally(() => setStateLoaded(true));
+  }, []);
+
+  // ── SETUP: Start, resume or stop syncing as the URL changes ──
+  // A different server is a fresh start (the device keeps its id).
+  useEffect(() => {
+    if (!isStateLoaded) return;
+    const current = stateRef.current || storedRef.current;
+    storedRef.current = null;
+    if (!isEnabled) {
+      stateRef.current = null;
+    } else if (current && current.serverUrl === serverUrl) {
+      stateRef.current = current;
+    } else {
+      stateRef.current = createSyncState(serverUrl, current ? current.deviceId : undefined);
+    }
+    persist();
+  }, [isStateLoaded, isEnabled, serverUrl, persist]);
+
+  // ── RECORD: Queue the operations for a committed change ─────
+  // Called by InventoryProvider with the inventory before and after.
+  const recordChange = useCallback(
+    (prev, next, movements) => {
+      const state = stateRef.current;
+      // Before the first sync the seed captures everything anyway.
+      if (!state || state.needsSeed) return;
+      const ops = operationsForChange(prev, next, movements, { deviceId: state.deviceId });
+      if (ops.length === 0) return;
+      state.pending = [...state.pending, ...ops];
+      persist();
+      setChangeCount((count) => count + 1);
+    },
+    [persist]
+  );
+
+  // ── Internal: Show the latest conflicts a sync resolved ─────
+  const reportConflicts = useCallback((conflicts) => {
+    if (conflicts.length === 0) return;
+    setStatus((prev) => ({
+      ...prev,
+      conflicts: [...conflicts, ...prev.conflicts].slice(0, MAX_CONFLICTS),
+    }));
+    console.warn('[InventorySync] Resolved conflicts:', conflicts);
+  }, []);
+
+  // ── SYNC: Push the queue, pull and merge remote changes ─────
+  const syncNow = useCallback(async () => {
+    if (!isReady || !stateRef.current || isSyncingRef.current) return;
+    isSyncingRef.current = true;
+    setStatus((prev) => ({ ...prev, isSyncing: true }));
+
+    try {
+      const client = createSyncClient({ baseUrl: serverUrl });
+      const device = {
+        getState: () => stateRef.current,
+        getInventory: () => inventoryRef.current,
+        getLedger: () => ledgerRef.current,
+      };
+
+      // First contact adopts what the server already has, then
+      // queues what this device holds differently.
+      if (stateRef.current.needsSeed) {
+        const joined = await joinServer(client, device);
+        stateRef.current = joined.state;
+        applyRemote(joined);
+        persist();
+        reportConflicts(joined.conflicts);
+      }
+
+      const result = await syncRound(client, device);
+      stateRef.current = result.state;
+      applyRemote(result);
+      persist();
+      setStatus((prev) => ({ ...prev, lastSyncedAt: new Date().toISOString(), error: null }));
+      reportConflicts(result.conflicts);
+    } catch (error) {
+      // Offline or the server is down: keep everything queued.
+      setStatus((prev) => ({ ...prev, error: error.message }));
+    } finally {
+      isSyncingRef.current = false;
+      setStatus((prev) => ({ ...prev, isSyncing: false }));
+    }
+  }, [isReady, serverUrl, inventoryRef, ledgerRef, applyRemote, persist, reportConflicts]);
+
+  // ── SCHEDULE: Soon after local changes ──────────────────────
+  useEffect(() => {
+    if (!isEnabled || !isReady || !isStateLoaded) return undefined;
+    const timer = setTimeout(syncNow, SYNC_AFTER_CHANGE_MS);
+    return () => clearTimeout(timer);
+  }, [changeCount, isEnabled, isReady, isStateLoaded, syncNow]);
+
+  // ── SCHEDULE: …and regularly, to pick up remote changes ─────
+  useEffect(() => {
+    if (!isEnabled || !isReady || !isStateLoaded) return undefined;
+    const interval = setInterval(syncNow, SYNC_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [isEnabled, isReady, isStateLoaded, syncNow]);
+
+  return {
+    syncStatus: { ...status, isEnabled },
+    recordChange,
+    syncNow,
+  };
+};
@@ -0,0 +1,348 @@
+// context/purchasing-context.js
+// ─────────────────────────────────────────────────────────────
+// Suppliers, goods-received notes and purchase orders (see
+// utils/purchasing.js), persisted to AsyncStorage and encrypted, as
+// they hold costs and invoices. Receiving a note posts its stock in
+// one change through the InventoryProvider, which must wrap this
+// provider, and books it against the order it was received for.
+// Only users who may manage settings can edit suppliers; orders
+// need the same permission as receiving stock.
+// ─────────────────────────────────────────────────────────────
+
+import React, { createContext, useState, useEffect, useCallback, useContext } from 'react';
+import { useInventory } from './inventory-context';
+import { useAuth } from './auth-context';
+import { hasPermission } from '../utils/users';
+import {
+  applyReceiptToOrder,
+  createDraftOrder,
+  createReceiptId,
+  getSupplierName,
+  parseCost,
+  toOrderLine,
+  toReceiptLines,
+  toSupplier,
+} from '../utils/purchasing';
+import { groupBySupplier } from '../utils/reorder';
+import { getEncryptedItem, setEncryptedItem } from '../utils/encrypted-storage';
+
+// The keys used to store suppliers and received notes in AsyncStorage
+const SUPPLIERS_KEY = '@pharmatrack_suppliers';
+const RECEIPTS_KEY = '@pharmatrack_receipts';
+const ORDERS_KEY = '@pharmatrack_purchase_orders';
+
+// Why an order in each status cannot take a change meant for another
+const ORDER_STATUS_ERRORS = {
+  draft: 'has not been sent yet.',
+  ordered: 'has already been sent.',
+  closed: 'is closed.',
+};
+
+// Create the context object. Components will consume this.
+export const PurchasingContext = createContext(null);
+
+// ─── Provider Component ───────────────────────────────────────
+export const PurchasingProvider = ({ children }) => {
+  const { receiveGoods } = useInventory();
+  const { currentUser } = useAuth();
+  const [suppliers, setSuppliers] = useState([]);
+  const [receipts, setReceipts] = useState([]);
+  const [orders, setOrders] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+
+  // ── LOAD: Hydrate suppliers, notes and orders on app mount ──
+  useEffect(() => {
+    const loadPurchasing = async () => {
+      try {
+        const [storedSuppliers, storedReceipts, storedOrders] = await Promise.all([
+          getEncryptedItem(SUPPLIERS_KEY),
+          getEncryptedItem(RECEIPTS_KEY),
+          getEncryptedItem(ORDERS_KEY),
+        ]);
+        if (storedSuppliers !== null) setSuppliers(JSON.parse(storedSuppliers));
+        if (storedReceipts !== null) setReceipts(JSON.parse(storedReceipts));
+        if (storedOrders !== null) setOrders(JSON.parse(storedOrders));
+      } catch (error) {
+        // Saving stays off while `loadError` is set, so the stored
+        // records are not overwritten with empty lists.
+        console.error('[PurchasingContext] Failed to load purchasing data:', error);
+        setLoadError(error.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadPurchasing();
+  }, []);
+
+  // ── SAVE: Persist suppliers whenever they change ────────────
+  useEffect(() => {
+    if (isLoading || loadError) return;
+
+    const saveSuppliers = async () => {
+      try {
+        await setEncryptedItem(SUPPLIERS_KEY, JSON.stringify(suppliers));
+      } catch (error) {
+        console.error('[PurchasingContext] Failed to save suppliers:', error);
+      }
+    };
+    saveSuppliers();
+  }, [suppliers, isLoading, loadError]);
+
+  // ── SAVE: Persist received notes whenever they change ───────
+  useEffect(() => {
+    if (isLoading || loadError) return;
+
+    const saveReceipts = async () => {
+      try {
+        await setEncryptedItem(RECEIPTS_KEY, JSON.stringify(receipts));
+      } catch (error) {
+        console.error('[PurchasingContext] Failed to save received notes:', error);
+      }
+    };
+    saveReceipts();
+  }, [receipts, isLoading, loadError]);
+
+  // ── SAVE: Persist purchase orders whenever they change ──────
+  useEffect(() => {
+    if (isLoading || loadError) return;
+
+    const saveOrders = async () => {
+      try {
+        await setEncryptedItem(ORDERS_KEY, JSON.stringify(orders));
+      } catch (error) {
+        console.error('[PurchasingContext] Failed to save purchase orders:', error);
+      }
+    };
+    saveOrders();
+  }, [orders, isLoading, loadError]);
+
+  // ── Helper: Refuse changes the current user may not make ────
+  const requirePermission = useCallback(
+    (action, permission) => {
+      if (!hasPermission(currentUser, permission)) {
+        throw new Error(`[${action}] Your role does not allow this.`);
+      }
+    },
+    [currentUser]
+  );
+
+  // ── Helper: An order that must still be at one of `statuses` ─
+  const requireOrder = useCallback(
+    (action, id, statuses) => {
+      const order = orders.find((o) => o.id === id);
+      if (!order) throw new Error(`[${action}] Purchase order not found.`);
+      if (!statuses.includes(order.status)) {
+        throw new Error(`[${action}] ${order.number} ${ORDER_STATUS_ERRORS[order.status]}`);
+      }
+      return order;
+    },
+    [orders]
+  );
+
+  // ── ADD SUPPLIER: Returns the new supplier ──────────────────
+  const addSupplier = useCallback(
+    (fields) => {
+      requirePermission('addSupplier', 'manage');
+      const supplier = toSupplier(fields);
+      setSuppliers((prev) => [...prev, supplier]);
+      return supplier;
+    },
+    [requirePermission]
+  );
+
+  // ── UPDATE SUPPLIER: Replaces its details ───────────────────
+  const updateSupplier = useCallback(
+    (id, fields) => {
+      requirePermission('updateSupplier', 'manage');
+      setSuppliers((prev) => prev.map((s) => (s.id === id ? toSupplier(fields, id) : s)));
+    },
+    [requirePermission]
+  );
+
+  // ── REMOVE SUPPLIER: Its received notes keep its name ───────
+  const removeSupplier = useCallback(
+    (id) => {
+      requirePermission('removeSupplier', 'manage');
+      setSuppliers((prev) => prev.filter((s) => s.id !== id));
+    },
+    [requirePermission]
+  );
+
+  // ── DRAFT ORDERS: One per supplier from reorder suggestions ──
+  // Suggestions for a supplier that already has a draft are added
+  // to it (drugs already on it are left alone). Returns the ids of
+  // the drafts created or added to.
+  const createDraftOrders = useCallback(
+    (suggestions) => {
+      requirePermission('createDraftOrders', 'add');
+      const toOrder = suggestions.filter((s) => s.suggestedUnits > 0);
+      if (toOrder.length === 0) throw new Error('[createDraftOrders] Nothing needs ordering.');
+
+      let next = orders;
+      const ids = groupBySupplier(toOrder).map(({ supplierId, suggestions: group }) => {
+        const draft = next.find((o) => o.status === 'draft' && o.supplierId === supplierId);
+        if (draft) {
+          const onDraft = new Set(draft.lines.map((line) => line.drugId));
+          const lines = group.filter((s) => !onDraft.has(s.drug.id)).map(toOrderLine);
+          next = next.map((o) => (o.id === draft.id ? { ...o, lines: [...o.lines, ...lines] } : o));
+          return draft.id;
+        }
+        const order = createDraftOrder(next, {
+          supplierId,
+          supplierName: supplierId ? getSupplierName(suppliers, supplierId) : null,
+          lines: group.map(toOrderLine),
+          createdBy: currentUser ? currentUser.name : null,
+        });
+        next = [order, ...next];
+        return order.id;
+      });
+      setOrders(next);
+      return ids;
+    },
+    [requirePermission, orders, suppliers, currentUser]
+  );
+
+  // ── UPDATE ORDER: Change a draft's supplier or lines ────────
+  const updateOrder = useCallback(
+    (id, { supplierId, lines }) => {
+      requirePermission('updateOrder', 'add');
+      const order = requireOrder('updateOrder', id, ['draft']);
+      const changes = {};
+      if (supplierId !== undefined) {
+        changes.supplierId = supplierId;
+        changes.supplierName = supplierId ? getSupplierName(suppliers, supplierId) : null;
+      }
+      if (lines !== undefined) {
+        if (lines.some((line) => !Number.isInteger(line.quantity) || line.quantity < 1)) {
+          throw new Error('[updateOrder] Order at least 1 of every item.');
+        }
+        changes.lines = lines;
+      }
+      setOrders((prev) => prev.map((o) => (o.id === order.id ? { ...o, ...changes } : o)));
+    },
+    [requirePermission, requireOrder, suppliers]
+  );
+
+  // ── MARK ORDERED: A draft has been sent to the supplier ─────
+  const markOrdered = useCallback(
+    (id) => {
+      requirePermission('markOrdered', 'add');
+      const order = requireOrder('markOrdered', id, ['draft']);
+      if (order.lines.length === 0) throw new Error('[markOrdered] Add at least one item.');
+      const orderedAt = new Date().toISOString();
+      setOrders((prev) =>
+        prev.map((o) => (o.id === id ? { ...o, status: 'ordered', orderedAt } : o))
+      );
+    },
+    [requirePermission, requireOrder]
+  );
+
+  // ── CLOSE ORDER: Stop waiting for the lines still open ──────
+  const closeOrder = useCallback(
+    (id) => {
+      requirePermission('closeOrder', 'add');
+      requireOrder('closeOrder', id, ['ordered']);
+      const closedAt = new Date().toISOString();
+      setOrders((prev) =>
+        prev.map((o) => (o.id === id ? { ...o, status: 'closed', closedAt } : o))
+      );
+    },
+    [requirePermission, requireOrder]
+  );
+
+  // ── DELETE ORDER: Drafts only; sent orders are kept ─────────
+  const deleteOrder = useCallback(
+    (id) => {
+      requirePermission('deleteOrder', 'add');
+      requireOrder('deleteOrder', id, ['draft']);
+      setOrders((prev) => prev.filter((o) => o.id !== id));
+    },
+    [requirePermission, requireOrder]
+  );
+
+  // ── RECEIVE: Posts a goods-received note's stock and saves it ─
+  // `lines` are addDrug fields plus `unitCost` as typed (per pack
+  // when `inPacks`). With an `orderId`, lines carrying an
+  // `orderLineId` are booked against that order's lines, which close
+  // once received in full. Returns the saved note's id.
+  const receiveDelivery = useCallback(
+    ({ supplierId = null, invoiceNumber = '', note = '', orderId = null, lines }) => {
+      const order = orderId ? requireOrder('receiveDelivery', orderId, ['ordered']) : null;
+      const id = createReceiptId();
+      const supplierName = supplierId ? getSupplierName(suppliers, supplierId) : null;
+      const invoice = invoiceNumber.trim();
+      const movementNote = [
+        supplierName ? `Received from ${supplierName}` : 'Goods received',
+        order ? `order ${order.number}` : null,
+        invoice ? `invoice ${invoice}` : null,
+        note.trim() || null,
+      ]
+        .filter(Boolean)
+        .join(' · ');
+      const movements = receiveGoods(
+        lines.map(({ orderLineId, ...line }) => ({ ...line, unitCost: parseCost(line.unitCost) })),
+        { note: movementNote, supplierId, receiptId: id }
+      );
+      const receipt = {
+        id,
+        supplierId,
+        supplierName,
+        orderId: order ? order.id : null,
+        orderNumber: order ? order.number : null,
+        invoiceNumber: invoice,
+        note: note.trim(),
+        receivedAt: new Date().toISOString(),
+        receivedBy: currentUser ? currentUser.name : null,
+        lines: toReceiptLines(movements, lines),
+      };
+      setReceipts((prev) => [receipt, ...prev]);
+
+      if (order) {
+        const receivedByLine = lines.reduce((acc, line, index) => {
+          if (line.orderLineId) {
+            acc[line.orderLineId] = (acc[line.orderLineId] || 0) + movements[index].delta;
+          }
+          return acc;
+        }, {});
+        setOrders((prev) =>
+          prev.map((o) => (o.id === order.id ? applyReceiptToOrder(o, receivedByLine) : o))
+        );
+      }
+      return id;
+    },
+    [requireOrder, suppliers, receiveGoods, currentUser]
+  );
+
+  const contextValue = {
+    suppliers,
+    receipts,
+    orders,
+    isLoading,
+    loadError,
+    addSupplier,
+    updateSupplier,
+    removeSupplier,
+    createDraftOrders,
+    updateOrder,
+    markOrdered,
+    closeOrder,
+    deleteOrder,
+    receiveDelivery,
+  };
+
+  return (
+    <PurchasingContext.Provider value={contextValue}>
+      {children}
+    </PurchasingContext.Provider>
+  );
+};
+
+// ── Custom hook for clean consumption ──────────────────────────
+export const usePurchasing = () => {
+  const context = useContext(PurchasingContext);
+  if (!context) {
+    throw new Error('[usePurchasing] must be used within a <PurchasingProvider>');
+  }
+  return context;
+};
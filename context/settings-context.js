@@ -0,0 +1,111 @@
+// context/settings-context.js
+// ─────────────────────────────────────────────────────────────
+// App-wide settings (global low-stock and expiry-warning
+// thresholds, reorder cover, notification preferences, auto-lock, storage
+// locations, dashboard sort and filters). Persisted to AsyncStorage; drugs may override the
+// thresholds individually.
+// ─────────────────────────────────────────────────────────────
+
+import React, { createContext, useState, useEffect, useCallback, useContext } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_LOCATIONS } from '../utils/locations';
+
+// The key used to store settings in AsyncStorage
+const SETTINGS_KEY = '@pharmatrack_settings';
+
+// Defaults match the behaviour before thresholds were configurable.
+export const DEFAULT_SETTINGS = {
+  lowStockThreshold: 5,
+  expiryWarningDays: 30,
+  // Reorder suggestions cover this many days of recent use on top
+  // of the reorder level (see utils/reorder.js)
+  reorderCoverDays: 30,
+  notificationsEnabled: true,
+  digestHour: 8,
+  // Deleted drugs are purged from the recycle bin after this many days
+  recycleBinDays: 30,
+  // Lock the app after this many minutes without a touch
+  autoLockMinutes: 5,
+  // Base URL of the sync server; blank keeps this device standalone
+  syncUrl: '',
+  // Where stock is kept, `[{ id, name }]` (see utils/locations.js)
+  locations: DEFAULT_LOCATIONS,
+  // Dashboard list preferences (see utils/inventory-query.js)
+  dashboardSort: 'recent',
+  dashboardFilters: [],
+  // null shows every location combined
+  dashboardLocationId: null,
+};
+
+// Create the context object. Components will consume this.
+export const SettingsContext = createContext(null);
+
+// ─── Provider Component ───────────────────────────────────────
+export const SettingsProvider = ({ children }) => {
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [isLoading, setIsLoading] = useState(true);
+
+  // ── LOAD: Hydrate settings on app mount ─────────────────────
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const stored = await AsyncStorage.getItem(SETTINGS_KEY);
+        if (stored !== null) {
+          // Merge so settings added in later versions get defaults.
+          setSettings({ ...DEFAULT_SETTINGS, ...JSON.parse(stored) });
+        }
+      } catch (error) {
+        console.error('[SettingsContext] Failed to load settings:', error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadSettings();
+  }, []);
+
+  // ── SAVE: Persist settings whenever they change ─────────────
+  useEffect(() => {
+    if (isLoading) return;
+
+    const saveSettings = async () => {
+      try {
+        await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+      } catch (error) {
+        console.error('[SettingsContext] Failed to save settings:', error);
+      }
+    };
+    saveSettings();
+  }, [settings, isLoading]);
+
+  // ── UPDATE: Merge a partial change into the settings ────────
+  const updateSettings = useCallback((changes) => {
+    setSettings((prev) => ({ ...prev, ...changes }));
+  }, []);
+
+  // ── REPLACE: Swap in settings wholesale (backup restore) ────
+  const replaceSettings = useCallback((next) => {
+    setSettings({ ...DEFAULT_SETTINGS, ...next });
+  }, []);
+
+  const contextValue = {
+    settings,
+    isLoading,
+    updateSettings,
+    replaceSettings,
+  };
+
+  return (
+    <SettingsContext.Provider value={contextValue}>
+      {children}
+    </SettingsContext.Provider>
+  );
+};
+
+// ── Custom hook for clean consumption ──────────────────────────
+export const useSettings = () => {
+  const context = useContext(SettingsContext);
+  if (!context) {
+    throw new Error('[useSettings] must be used within a <SettingsProvider>');
+  }
+  return context;
+};
@@ -0,0 +1,176 @@
+// context/stocktake-context.js
+// ─────────────────────────────────────────────────────────────
+// Stocktakes (cycle counts): the one in progress and the saved
+// reports of finished ones. Persisted to AsyncStorage, encrypted,
+// so a count can be picked up again after the app is closed. Completing a
+// stocktake posts the adjustments through the InventoryProvider,
+// which must wrap this provider.
+// ─────────────────────────────────────────────────────────────
+
+import React, { createContext, useState, useEffect, useCallback, useContext } from 'react';
+import { useInventory } from './inventory-context';
+import { useSettings } from './settings-context';
+import { useAuth } from './auth-context';
+import { createStocktake, setLineCount, getVariance } from '../utils/stocktake';
+import { hasPermission } from '../utils/users';
+import { getEncryptedItem, setEncryptedItem } from '../utils/encrypted-storage';
+
+// The key used to store stocktakes (drafts and reports) in AsyncStorage
+const STOCKTAKES_KEY = '@pharmatrack_stocktakes';
+
+// Create the context object. Components will consume this.
+export const StocktakeContext = createContext(null);
+
+// ─── Provider Component ───────────────────────────────────────
+export const StocktakeProvider = ({ children }) => {
+  const { inventory, reconcileCounts } = useInventory();
+  const { settings } = useSettings();
+  const { currentUser } = useAuth();
+  const [stocktakes, setStocktakes] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+
+  // ── LOAD: Hydrate stocktakes on app mount ───────────────────
+  useEffect(() => {
+    const loadStocktakes = async () => {
+      try {
+        const stored = await getEncryptedItem(STOCKTAKES_KEY);
+        if (stored !== null) setStocktakes(JSON.parse(stored));
+      } catch (error) {
+        // Saving stays off while `loadError` is set, so the saved
+        // reports are not overwritten with an empty list.
+        console.error('[StocktakeContext] Failed to load stocktakes:', error);
+        setLoadError(error.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadStocktakes();
+  }, []);
+
+  // ── SAVE: Persist stocktakes whenever they change ───────────
+  useEffect(() => {
+    if (isLoading || loadError) return;
+
+    const saveStocktakes = async () => {
+      try {
+        await setEncryptedItem(STOCKTAKES_KEY, JSON.stringify(stocktakes));
+      } catch (error) {
+        console.error('[StocktakeContext] Failed to save stocktakes:', error);
+      }
+    };
+    saveStocktakes();
+  }, [stocktakes, isLoading, loadError]);
+
+  // ── Helper: Refuse changes the current user may not make ────
+  // The screens hide these actions too; this is the backstop.
+  const requirePermission = useCallback(
+    (action) => {
+      if (!hasPermission(currentUser, 'stocktake')) {
+        throw new Error(`[${action}] Your role does not allow this.`);
+      }
+    },
+    [currentUser]
+  );
+
+  // Only one stocktake can be in progress at a time.
+  const activeStocktake = stocktakes.find((s) => s.status === 'in-progress') || null;
+
+  // ── START: Begins counting all items, or a filtered subset ──
+  // Returns the new stocktake's id (or the one already running).
+  const startStocktake = useCallback(
+    (filters = []) => {
+      requirePermission('startStocktake');
+      if (activeStocktake) return activeStocktake.id;
+      const stocktake = createStocktake(inventory, {
+        filters,
+        settings,
+        startedBy: currentUser ? currentUser.name : null,
+      });
+      setStocktakes((prev) => [stocktake, ...prev]);
+      return stocktake.id;
+    },
+    [activeStocktake, inventory, settings, currentUser, requirePermission]
+  );
+
+  // ── COUNT: Records the counted quantity for one lot ─────────
+  const recordCount = useCallback(
+    (id, lotId, counted) => {
+      requirePermission('recordCount');
+      setStocktakes((prev) =>
+        prev.map((s) => (s.id === id ? setLineCount(s, lotId, counted) : s))
+      );
+    },
+    [requirePermission]
+  );
+
+  // ── DISCARD: Abandons an in-progress stocktake ──────────────
+  const discardStocktake = useCallback(
+    (id) => {
+      requirePermission('discardStocktake');
+      setStocktakes((prev) => prev.filter((s) => s.id !== id || s.status !== 'in-progress'));
+    },
+    [requirePermission]
+  );
+
+  // ── COMPLETE: Posts adjustments and saves the report ────────
+  // Every counted lot is set to its count (an adjust movement with
+  // `reason` wherever it differs); uncounted lots are left alone.
+  // Counting a controlled drug short needs a `witness`.
+  const completeStocktake = useCallback(
+    (id, reason, witness = null) => {
+      requirePermission('completeStocktake');
+      const stocktake = stocktakes.find((s) => s.id === id);
+      if (!stocktake || stocktake.status !== 'in-progress') return;
+
+      const counts = stocktake.lines.filter((line) => line.counted != null);
+      const expected = reconcileCounts(
+        counts,
+        `Stocktake: ${reason.trim()}`,
+        { stocktakeId: id },
+        witness
+      );
+
+      const report = {
+        ...stocktake,
+        status: 'completed',
+        completedAt: new Date().toISOString(),
+        completedBy: currentUser ? currentUser.name : null,
+        reason: reason.trim(),
+        // Freeze what the system said at the moment of reconciliation.
+        lines: stocktake.lines.map((line) => {
+          const before = line.lotId in expected ? expected[line.lotId] : null;
+          return { ...line, expected: before, variance: getVariance(line.counted, before) };
+        }),
+      };
+      setStocktakes((prev) => prev.map((s) => (s.id === id ? report : s)));
+    },
+    [stocktakes, reconcileCounts, currentUser, requirePermission]
+  );
+
+  const contextValue = {
+    stocktakes,
+    activeStocktake,
+    isLoading,
+    loadError,
+    startStocktake,
+    recordCount,
+    discardStocktake,
+    completeStocktake,
+  };
+
+  return (
+    <StocktakeContext.Provider value={contextValue}>
+      {children}
+    </StocktakeContext.Provider>
+  );
+};
+
+// ── Custom hook for clean consumption ──────────────────────────
+export const useStocktake = () => {
+  const context = useContext(StocktakeContext);
+  if (!context) {
+    throw new Error('[useStocktake] must be used within a <StocktakeProvider>');
+  }
+  return context;
+};
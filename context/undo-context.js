@@ -0,0 +1,73 @@
+// context/undo-context.js
+// ─────────────────────────────────────────────────────────────
+// A single app-wide "Undo" snackbar. Any screen can offer to undo
+// what it just did (a dispense, a delete); the offer stays up for
+// a few seconds and survives navigation, e.g. leaving the detail
+// screen of a drug that was just deleted. A new offer replaces
+// the previous one.
+// ─────────────────────────────────────────────────────────────
+
+import React, { createContext, useState, useEffect, useCallback, useContext } from 'react';
+import { Alert } from 'react-native';
+import UndoSnackbar from '../components/undo-snackbar';
+
+// How long the snackbar stays up before the change is final
+export const UNDO_TIMEOUT_MS = 6000;
+
+// Create the context object. Components will consume this.
+export const UndoContext = createContext(null);
+
+// ─── Provider Component ───────────────────────────────────────
+export const UndoProvider = ({ children }) => {
+  // `{ id, message, onUndo }` while the snackbar is showing
+  const [offer, setOffer] = useState(null);
+
+  // ── TIMEOUT: Hide the snackbar once the offer lapses ────────
+  useEffect(() => {
+    if (!offer) return undefined;
+    const timer = setTimeout(() => setOffer(null), UNDO_TIMEOUT_MS);
+    return () => clearTimeout(timer);
+  }, [offer]);
+
+  // ── OFFER: Shows "<message> · UNDO" ──────────────────────────
+  const offerUndo = useCallback((message, onUndo) => {
+    setOffer({ id: Date.now(), message, onUndo });
+  }, []);
+
+  // ── UNDO: Runs the offered undo once, then hides ────────────
+  // If the undo is refused (say the app locked in the meantime),
+  // the reason is shown instead.
+  const handleUndo = () => {
+    if (!offer) return;
+    setOffer(null);
+    try {
+      offer.onUndo();
+    } catch (error) {
+      Alert.alert('Cannot Undo', error.message.replace(/^\[\w+\]\s*/, ''));
+    }
+  };
+
+  const contextValue = {
+    offerUndo,
+  };
+
+  return (
+    <UndoContext.Provider value={contextValue}>
+      {children}
+      <UndoSnackbar
+        message={offer ? offer.message : null}
+        onUndo={handleUndo}
+        onDismiss={() => setOffer(null)}
+      />
+    </UndoContext.Provider>
+  );
+};
+
+// ── Custom hook for clean consumption ──────────────────────────
+export const useUndo = () => {
+  const context = useContext(UndoContext);
+  if (!context) {
+    throw new Error('[useUndo] must be used within an <UndoProvider>');
+  }
+  return context;
+};
@@ -0,0 +1,100 @@
+// scripts/mock-sync-server.js
+// ─────────────────────────────────────────────────────────────
+// A tiny in-memory sync server for trying sync on a local network
+// (see utils/sync-client.js for the protocol). Everything is lost
+// when it stops. Run with `npm run sync-server`, then enter
+// http://<this machine's IP>:4000 under Settings → Sync server on
+// each device. Set PORT to listen elsewhere.
+//
+// Tests start their own with `startSyncServer(0)` (any free port)
+// and close it when done; each server keeps its own log.
+// ─────────────────────────────────────────────────────────────
+
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 4000;
+
+// ── Helper: Send a JSON response ───────────────────────────────
+const sendJson = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Accept',
+  });
+  res.end(JSON.stringify(body));
+};
+
+// ── Helper: Read and parse a JSON request body ─────────────────
+const readJson = (req) =>
+  new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (chunk) => {
+      data += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+
+// ── Factory: A server with an empty operation log ─────────────
+// `quiet` stops it logging each push.
+const createSyncServer = ({ quiet = false } = {}) => {
+  // Operations in the order received, each with its `seq` (1-based)
+  const log = [];
+  const seenIds = new Set();
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    if (req.method === 'OPTIONS') return sendJson(res, 204, {});
+
+    if (url.pathname === '/ops' && req.method === 'GET') {
+      const since = Number(url.searchParams.get('since')) || 0;
+      return sendJson(res, 200, { ops: log.slice(since), cursor: log.length });
+    }
+
+    if (url.pathname === '/ops' && req.method === 'POST') {
+      try {
+        const { deviceId, ops } = await readJson(req);
+        if (!Array.isArray(ops)) return sendJson(res, 400, { error: '`ops` must be an array' });
+        // Re-pushed operations (a retry after a lost reply) are ignored.
+        const fresh = ops.filter((op) => {
+          if (!op || !op.id || seenIds.has(op.id)) return false;
+          seenIds.add(op.id);
+          return true;
+        });
+        fresh.forEach((op) => log.push({ ...op, seq: log.length + 1 }));
+        if (!quiet) {
+          console.log(`[sync] ${deviceId}: +${fresh.length} op(s), ${log.length} total`);
+        }
+        return sendJson(res, 200, { cursor: log.length });
+      } catch (error) {
+        return sendJson(res, 400, { error: 'Invalid JSON body' });
+      }
+    }
+
+    return sendJson(res, 404, { error: 'Not found' });
+  });
+};
+
+// ── Start: Listen on `port`; resolves with the server ──────────
+// Pass 0 for any free port; `server.address().port` says which.
+const startSyncServer = (port = PORT, options) =>
+  new Promise((resolve, reject) => {
+    const server = createSyncServer(options);
+    server.once('error', reject);
+    server.listen(port, () => resolve(server));
+  });
+
+if (require.main === module) {
+  startSyncServer(PORT).then(() => {
+    console.log(`[sync] Mock sync server listening on port ${PORT}`);
+  });
+}
+
+module.exports = { createSyncServer, startSyncServer };
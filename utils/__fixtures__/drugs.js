@@ -0,0 +1,25 @@
+// utils/__fixtures__/drugs.js
+// ─────────────────────────────────────────────────────────────
+// Drug and lot records for the tests in utils/__tests__. Kept out
+// of __tests__, where Jest would run it as a suite of its own.
+// ─────────────────────────────────────────────────────────────
+
+import { withDerivedTotals } from '../lots';
+
+// Expiry for lots that do not care when they expire
+export const EXPIRY = '2027-01-01T00:00:00.000Z';
+
+// ── Build: A lot of `quantity` units, numbered after its id ────
+export const makeLot = (id, quantity, fields = {}) => ({
+  id,
+  lotNumber: id.toUpperCase(),
+  quantity,
+  expiryDate: EXPIRY,
+  locationId: 'main',
+  ...fields,
+});
+
+// ── Build: A drug holding `lots`, totals derived as the app does ─
+// It follows the settings' thresholds unless `fields` set its own.
+export const makeDrug = (id, lots, fields = {}) =>
+  withDerivedTotals({ id, name: id, reorderLevel: null, expiryWarningDays: null, lots, ...fields });
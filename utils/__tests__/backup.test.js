@@ -0,0 +1,122 @@
+// utils/__tests__/backup.test.js
+// ─────────────────────────────────────────────────────────────
+// Restoring a backup only appends to the ledger and the CD
+// register: everything already recorded is kept, and the balances
+// rebuilt from the ledger still match the restored inventory.
+// ─────────────────────────────────────────────────────────────
+
+import { createBackup, readBackup, planRestore } from '../backup';
+import { movementsForChange, deriveBalances } from '../ledger';
+import { makeDrug, makeLot } from '../__fixtures__/drugs';
+
+// ── Helper: A ledger that built `drug` with a single receipt ───
+const receivedAs = (drug) => movementsForChange('receive', null, drug);
+
+// ── Helper: Register entries numbered 1… for one drug ──────────
+const registerFor = (drugId, quantities) =>
+  quantities.map((quantity, index) => ({
+    id: `cd_${drugId}_${index + 1}`,
+    drugId,
+    number: index + 1,
+    quantity,
+  }));
+
+// ── Helper: Apply a plan as InventoryProvider would ────────────
+const applyPlan = (ledger, plan) => [...ledger, ...plan.history, ...plan.movements];
+
+const expectLedgerMatches = (ledger, inventory) => {
+  const balances = deriveBalances(ledger);
+  inventory.forEach((drug) => {
+    expect(balances[drug.id].total).toBe(drug.quantity);
+    drug.lots.forEach((lot) => expect(balances[drug.id].lots[lot.id]).toBe(lot.quantity));
+  });
+};
+
+// This device and the backup share d1's receipt; after the backup
+// was made, d1 was dispensed here and d2 was added.
+const D1_AT_BACKUP = makeDrug('d1', [makeLot('a', 10), makeLot('b', 5)]);
+const D1_NOW = makeDrug('d1', [makeLot('a', 4), makeLot('b', 5)]);
+const D2_NOW = makeDrug('d2', [makeLot('c', 7)]);
+const SHARED = receivedAs(D1_AT_BACKUP);
+const CURRENT = {
+  inventory: [D1_NOW, D2_NOW],
+  ledger: [
+    ...SHARED,
+    ...movementsForChange('dispense', D1_AT_BACKUP, D1_NOW),
+    ...receivedAs(D2_NOW),
+  ],
+};
+const BACKUP = { inventory: [D1_AT_BACKUP], ledger: SHARED };
+
+describe('planRestore', () => {
+  it.each(['merge', 'replace'])('keeps every movement on "%s"', (mode) => {
+    const plan = planRestore(CURRENT, BACKUP, mode);
+    const ledger = applyPlan(CURRENT.ledger, plan);
+
+    expect(ledger.slice(0, CURRENT.ledger.length)).toEqual(CURRENT.ledger);
+    expect(plan.history).toEqual([]);
+    expectLedgerMatches(ledger, plan.inventory);
+  });
+
+  it('posts the difference as restore movements', () => {
+    const merged = planRestore(CURRENT, BACKUP, 'merge');
+    expect(merged.inventory.map((drug) => drug.id)).toEqual(['d1', 'd2']);
+    expect(merged.movements).toEqual([
+      expect.objectContaining({ type: 'restore', drugId: 'd1', lotId: 'a', delta: 6, balance: 15 }),
+    ]);
+
+    // "replace" also takes d2, which the backup lacks, to zero.
+    const replaced = planRestore(CURRENT, BACKUP, 'replace');
+    expect(replaced.inventory).toEqual([D1_AT_BACKUP]);
+    expect(replaced.movements.map((m) => [m.drugId, m.delta])).toEqual([
+      ['d1', 6],
+      ['d2', -7],
+    ]);
+    expect(deriveBalances(applyPlan(CURRENT.ledger, replaced)).d2.total).toBe(0);
+  });
+
+  it('brings in the history of a backup made on another device', () => {
+    const elsewhere = makeDrug('d3', [makeLot('e', 12)]);
+    const dispensed = makeDrug('d3', [makeLot('e', 9)]);
+    const backup = {
+      inventory: [dispensed],
+      ledger: [
+        ...movementsForChange('dispense', elsewhere, dispensed),
+        ...receivedAs(elsewhere),
+      ].map((movement, index) => ({ ...movement, timestamp: `2025-0${2 - index}-01` })),
+    };
+
+    const plan = planRestore(CURRENT, backup, 'merge');
+    expect(plan.history.map((m) => m.type)).toEqual(['receive', 'dispense']);
+    expect(plan.movements).toEqual([]);
+    expectLedgerMatches(applyPlan(CURRENT.ledger, plan), plan.inventory);
+  });
+
+  it('posts nothing when the backup matches the ledger', () => {
+    const plan = planRestore(CURRENT, CURRENT, 'replace');
+    expect(plan.history).toEqual([]);
+    expect(plan.movements).toEqual([]);
+  });
+
+  it("appends the backup's register only for drugs with none here", () => {
+    const current = { ...CURRENT, cdRegister: registerFor('d1', [10, 5, -6]) };
+    const backup = {
+      ...BACKUP,
+      inventory: [D1_AT_BACKUP, makeDrug('d4', [makeLot('f', 3)])],
+      cdRegister: [...registerFor('d1', [10, 5]), ...registerFor('d4', [3])],
+    };
+
+    const plan = planRestore(current, backup, 'merge');
+    expect(plan.register).toEqual(registerFor('d4', [3]));
+  });
+});
+
+describe('createBackup', () => {
+  it('carries the CD register through a backup and back', async () => {
+    const cdRegister = registerFor('d1', [10, 5]);
+    const text = await createBackup({ ...CURRENT, cdRegister });
+    const restored = await readBackup(text);
+    expect(restored.cdRegister).toEqual(cdRegister);
+    expect(restored.ledger).toEqual(CURRENT.ledger);
+  });
+});
@@ -0,0 +1,202 @@
+// utils/__tests__/consumption.test.js
+// ─────────────────────────────────────────────────────────────
+// Average daily use, lots expiring before use, forecasts and the
+// urgency ranking, all with the clock pinned.
+// ─────────────────────────────────────────────────────────────
+
+import { subDays, addDays } from 'date-fns';
+import {
+  getAverageDailyUse,
+  getLotsExpiringBeforeUse,
+  getConsumptionForecast,
+  rankByUrgency,
+} from '../consumption';
+import { makeDrug } from '../__fixtures__/drugs';
+
+const NOW = new Date('2025-06-01T12:00:00.000Z');
+const SETTINGS = { lowStockThreshold: 5, expiryWarningDays: 30 };
+
+const daysAgo = (n) => subDays(NOW, n).toISOString();
+const inDays = (n) => addDays(NOW, n).toISOString();
+
+const move = (type, delta, timestamp) => ({ type, delta, timestamp, drugId: 'd1' });
+
+describe('getAverageDailyUse', () => {
+  it('returns null with no dispenses', () => {
+    expect(getAverageDailyUse([move('receive', 100, daysAgo(100))], NOW)).toBeNull();
+  });
+
+  it('averages dispenses over the whole window for a drug tracked before it', () => {
+    const movements = [
+      move('receive', 500, daysAgo(200)),
+      move('dispense', -90, daysAgo(10)),
+      move('dispense', -90, daysAgo(50)),
+    ];
+    expect(getAverageDailyUse(movements, NOW)).toBeCloseTo(180 / 90);
+  });
+
+  it('ignores dispenses outside the window', () => {
+    const movements = [
+      move('receive', 500, daysAgo(200)),
+      move('dispense', -900, daysAgo(120)),
+      move('dispense', -45, daysAgo(10)),
+    ];
+    expect(getAverageDailyUse(movements, NOW)).toBeCloseTo(45 / 90);
+  });
+
+  it('clamps the window to when the drug was first seen', () => {
+    const movements = [move('receive', 50, daysAgo(10)), move('dispense', -20, daysAgo(5))];
+    expect(getAverageDailyUse(movements, NOW)).toBeCloseTo(2);
+  });
+
+  it('averages over at least one day', () => {
+    const movements = [
+      move('receive', 50, NOW.toISOString()),
+      move('dispense', -6, NOW.toISOString()),
+    ];
+    expect(getAverageDailyUse(movements, NOW)).toBe(6);
+  });
+
+  it('nets undone dispenses off', () => {
+    const movements = [
+      move('receive', 100, daysAgo(10)),
+      move('dispense', -30, daysAgo(5)),
+      move('undo-dispense', 10, daysAgo(5)),
+    ];
+    expect(getAverageDailyUse(movements, NOW)).toBeCloseTo(2);
+  });
+
+  it('returns null once every dispense has been undone', () => {
+    const movements = [
+      move('receive', 100, daysAgo(10)),
+      move('dispense', -30, daysAgo(5)),
+      move('undo-dispense', 30, daysAgo(5)),
+    ];
+    expect(getAverageDailyUse(movements, NOW)).toBeNull();
+  });
+
+  it('does not count write-offs, adjustments or deletions as use', () => {
+    const movements = [
+      move('receive', 100, daysAgo(10)),
+      move('write-off', -40, daysAgo(4)),
+      move('adjust', -10, daysAgo(3)),
+      move('delete', -50, daysAgo(2)),
+    ];
+    expect(getAverageDailyUse(movements, NOW)).toBeNull();
+  });
+});
+
+describe('getLotsExpiringBeforeUse', () => {
+  it('returns nothing without usage', () => {
+    const lots = [{ id: 'a', quantity: 10, expiryDate: inDays(5) }];
+    expect(getLotsExpiringBeforeUse(lots, null, NOW)).toEqual([]);
+  });
+
+  it('flags the units a lot will still hold when it expires', () => {
+    const lots = [{ id: 'a', lotNumber: 'A1', quantity: 30, expiryDate: inDays(10) }];
+    expect(getLotsExpiringBeforeUse(lots, 2, NOW)).toEqual([
+      { lotId: 'a', lotNumber: 'A1', expiryDate: inDays(10), unusedUnits: 10 },
+    ]);
+  });
+
+  it('starts each lot once the ones before it are used up (FEFO)', () => {
+    const lots = [
+      { id: 'late', lotNumber: 'L', quantity: 20, expiryDate: inDays(20) },
+      { id: 'early', lotNumber: 'E', quantity: 10, expiryDate: inDays(10) },
+    ];
+    // 1/day: the early lot lasts all 10 days, the late one gets 10 more
+    const atRisk = getLotsExpiringBeforeUse(lots, 1, NOW);
+    expect(atRisk.map((lot) => [lot.lotId, lot.unusedUnits])).toEqual([['late', 10]]);
+  });
+
+  it('leaves out lots already expired or empty', () => {
+    const lots = [
+      { id: 'gone', quantity: 10, expiryDate: inDays(-3) },
+      { id: 'empty', quantity: 0, expiryDate: inDays(1) },
+    ];
+    expect(getLotsExpiringBeforeUse(lots, 1, NOW)).toEqual([]);
+  });
+});
+
+describe('getConsumptionForecast', () => {
+  it('projects days of supply and a stock-out date from in-date stock', () => {
+    const drug = makeDrug('d1', [
+      { id: 'ok', quantity: 40, expiryDate: inDays(365) },
+      { id: 'old', quantity: 25, expiryDate: inDays(-1) },
+    ]);
+    const movements = [move('receive', 100, daysAgo(10)), move('dispense', -20, daysAgo(5))];
+    const forecast = getConsumptionForecast(drug, movements, NOW);
+    expect(forecast.averageDailyUse).toBeCloseTo(2);
+    expect(forecast.daysOfSupply).toBe(20);
+    expect(forecast.stockOutDate).toBe(addDays(NOW, 20).toISOString());
+    expect(forecast.atRiskLots).toEqual([]);
+  });
+
+  it('leaves units that will expire first out of the supply', () => {
+    const drug = makeDrug('d1', [{ id: 'a', quantity: 30, expiryDate: inDays(10) }]);
+    const movements = [move('receive', 50, daysAgo(10)), move('dispense', -20, daysAgo(5))];
+    const forecast = getConsumptionForecast(drug, movements, NOW);
+    expect(forecast.unusedUnits).toBe(10);
+    expect(forecast.daysOfSupply).toBe(10);
+  });
+
+  it('has no projection without usage', () => {
+    const drug = makeDrug('d1', [{ id: 'a', quantity: 30, expiryDate: inDays(10) }]);
+    const forecast = getConsumptionForecast(drug, [], NOW);
+    expect(forecast).toEqual({
+      averageDailyUse: null,
+      daysOfSupply: null,
+      stockOutDate: null,
+      atRiskLots: [],
+      unusedUnits: 0,
+    });
+  });
+});
+
+describe('rankByUrgency', () => {
+  const forecastFor = (drug, movements = []) => getConsumptionForecast(drug, movements, NOW);
+
+  it('ranks out-of-stock, expired and soon-to-run-out drugs by days until action', () => {
+    const outOfStock = makeDrug('out', [{ id: 'o', quantity: 0, expiryDate: inDays(100) }]);
+    const expired = makeDrug('expired', [
+      { id: 'e1', quantity: 3, expiryDate: inDays(-4) },
+      { id: 'e2', quantity: 20, expiryDate: inDays(300) },
+    ]);
+    const runningOut = makeDrug('running', [{ id: 'r', quantity: 30, expiryDate: inDays(300) }]);
+    const idle = makeDrug('idle', [{ id: 'i', quantity: 30, expiryDate: inDays(300) }]);
+    const inventory = [idle, runningOut, outOfStock, expired];
+    const forecasts = {
+      out: forecastFor(outOfStock),
+      expired: forecastFor(expired),
+      running: forecastFor(runningOut, [
+        move('receive', 50, daysAgo(10)),
+        move('dispense', -30, daysAgo(2)),
+      ]),
+      idle: forecastFor(idle),
+    };
+
+    const rows = rankByUrgency(inventory, forecasts, SETTINGS, NOW);
+    expect(rows.map((row) => [row.drug.id, row.urgencyDays])).toEqual([
+      ['expired', -4],
+      ['out', 0],
+      ['running', 10],
+      ['idle', null],
+    ]);
+    expect(rows[0].reasons).toEqual(['3 expired units on the shelf']);
+    expect(rows[1].reasons).toEqual(['Out of stock']);
+    expect(rows[2].reasons).toEqual(['Runs out in 10d']);
+  });
+
+  it('puts low-stock drugs first among those with nothing to act on', () => {
+    const plenty = makeDrug('plenty', [{ id: 'p', quantity: 30, expiryDate: inDays(300) }]);
+    const low = makeDrug('low', [{ id: 'l', quantity: 2, expiryDate: inDays(300) }]);
+    const rows = rankByUrgency(
+      [plenty, low],
+      { plenty: forecastFor(plenty), low: forecastFor(low) },
+      SETTINGS,
+      NOW
+    );
+    expect(rows.map((row) => row.drug.id)).toEqual(['low', 'plenty']);
+    expect(rows[0].reasons).toEqual(['Below reorder level (5)']);
+  });
+});
@@ -0,0 +1,99 @@
+// utils/__tests__/csv.test.js
+// ─────────────────────────────────────────────────────────────
+// An exported inventory read back through column matching: every
+// field survives the trip, and cells a spreadsheet would run as a
+// formula stay text on the way out and come back unchanged.
+// ─────────────────────────────────────────────────────────────
+
+import { exportInventoryCsv, guessColumnMapping, mapCsvRows, parseCsv, toCsv } from '../csv';
+import { DEFAULT_LOCATIONS } from '../locations';
+import { makeDrug, makeLot } from '../__fixtures__/drugs';
+
+const LOCATIONS = [...DEFAULT_LOCATIONS, { id: 'fridge', name: 'Fridge' }];
+
+// A GS1 example GTIN with a valid check digit
+const GTIN = '09506000134352';
+
+// ── Helper: Export, then map the file as the import screen does ─
+const roundTrip = (inventory) => {
+  const [headers, ...rows] = parseCsv(exportInventoryCsv(inventory, LOCATIONS));
+  return mapCsvRows(rows, guessColumnMapping(headers), LOCATIONS);
+};
+
+describe('exportInventoryCsv', () => {
+  it('writes one row per lot with the GTIN and controlled flag', () => {
+    const drug = makeDrug('Morphine 10mg', [makeLot('a1', 5), makeLot('b2', 3)], {
+      gtin: GTIN,
+      controlled: true,
+    });
+    expect(exportInventoryCsv([drug], LOCATIONS).split('\r\n')).toEqual([
+      'name,lot_number,quantity,expiry_date,location,gtin,controlled',
+      `Morphine 10mg,A1,5,2027-01-01,Main Pharmacy,${GTIN},yes`,
+      `Morphine 10mg,B2,3,2027-01-01,Main Pharmacy,${GTIN},yes`,
+    ]);
+  });
+
+  it('prefixes text that starts like a formula with an apostrophe', () => {
+    const drug = makeDrug('=HYPERLINK("http://x","y")', [makeLot('a1', 5, { lotNumber: '-12' })]);
+    expect(exportInventoryCsv([drug], LOCATIONS).split('\r\n')[1]).toBe(
+      `"'=HYPERLINK(""http://x"",""y"")",'-12,5,2027-01-01,Main Pharmacy,,no`
+    );
+    expect(toCsv([['+1', '@SUM(A1)', '\tx', 'a=b']])).toBe("'+1,'@SUM(A1),'\tx,a=b");
+  });
+
+  it('leaves negative numbers as numbers', () => {
+    expect(toCsv([[-4, '-4', 'ok']])).toBe("-4,'-4,ok");
+  });
+});
+
+describe('mapCsvRows', () => {
+  it('reads an export back to the values it was made from', () => {
+    const inventory = [
+      makeDrug('Morphine 10mg', [makeLot('a1', 5, { locationId: 'fridge' })], {
+        gtin: GTIN,
+        controlled: true,
+      }),
+      makeDrug('=1+1', [makeLot('b2', 3, { lotNumber: '-B2' })]),
+    ];
+    const rows = roundTrip(inventory);
+    expect(rows.map((row) => row.errors)).toEqual([{}, {}]);
+    expect(rows[0].values).toMatchObject({
+      name: 'Morphine 10mg',
+      lotNumber: 'A1',
+      quantity: '5',
+      expiryDate: '2027-01-01',
+      locationId: 'fridge',
+      gtin: GTIN,
+      controlled: true,
+    });
+    expect(rows[1].values).toMatchObject({
+      name: '=1+1',
+      lotNumber: '-B2',
+      gtin: '',
+      controlled: false,
+    });
+  });
+
+  it('keeps an apostrophe that is not escaping a formula', () => {
+    const mapping = guessColumnMapping(['name', 'quantity', 'expiry']);
+    const [row] = mapCsvRows([["'Tis Balm", '1', '2027-01-01']], mapping, LOCATIONS);
+    expect(row.values.name).toBe("'Tis Balm");
+  });
+
+  it('rejects a bad GTIN and a controlled flag that is not yes or no', () => {
+    const mapping = guessColumnMapping(['name', 'qty', 'expiry', 'barcode', 'cd']);
+    const rows = mapCsvRows(
+      [
+        ['Aspirin', '10', '2027-01-01', '4006381333932', 'Y'],
+        ['Codeine', '10', '2027-01-01', '', 'maybe'],
+      ],
+      mapping,
+      LOCATIONS
+    );
+    expect(rows[0].errors).toEqual({
+      gtin: 'Enter a valid 8–14 digit GTIN (check digit failed).',
+    });
+    expect(rows[0].values.controlled).toBe(true);
+    expect(rows[1].errors).toEqual({ controlled: 'Controlled must be yes or no, not "maybe".' });
+  });
+});
@@ -0,0 +1,81 @@
+// utils/__tests__/encrypted-storage.test.js
+// ─────────────────────────────────────────────────────────────
+// Stored values must round-trip, and anything else under a key —
+// another key's value, edited ciphertext, or plaintext once the key
+// has been encrypted — must fail loudly rather than load.
+// ─────────────────────────────────────────────────────────────
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  encryptValue,
+  decryptValue,
+  getEncryptedItem,
+  setEncryptedItem,
+} from '../encrypted-storage';
+
+// The native modules are stubs under Jest: an in-memory secure store
+// and AsyncStorage, and Node's crypto for random bytes.
+jest.mock('expo-secure-store', () => {
+  const items = {};
+  return {
+    isAvailableAsync: async () => true,
+    getItemAsync: async (key) => (key in items ? items[key] : null),
+    setItemAsync: async (key, value) => {
+      items[key] = value;
+    },
+  };
+});
+jest.mock('@react-native-async-storage/async-storage', () => {
+  const items = {};
+  return {
+    getItem: async (key) => (key in items ? items[key] : null),
+    setItem: async (key, value) => {
+      items[key] = value;
+    },
+  };
+});
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: (size) => new Uint8Array(require('crypto').randomBytes(size)),
+}));
+
+const DATA_KEY = new Uint8Array(32).fill(7);
+
+describe('encryptValue / decryptValue', () => {
+  it('round-trips a value under its own key', () => {
+    const sealed = encryptValue('{"a":1}', DATA_KEY, '@k');
+    expect(sealed).toMatch(/^enc:v1:/);
+    expect(decryptValue(sealed, DATA_KEY, '@k')).toBe('{"a":1}');
+  });
+
+  it('refuses a value moved to another key or edited', () => {
+    const sealed = encryptValue('{"a":1}', DATA_KEY, '@k');
+    expect(() => decryptValue(sealed, DATA_KEY, '@other')).toThrow(/could not be decrypted/);
+    const edited = `${sealed.slice(0, -2)}${sealed.endsWith('00') ? '11' : '00'}`;
+    expect(() => decryptValue(edited, DATA_KEY, '@k')).toThrow(/could not be decrypted/);
+  });
+
+  it('refuses plaintext', () => {
+    expect(() => decryptValue('[]', DATA_KEY, '@k')).toThrow(/not encrypted/);
+  });
+});
+
+describe('getEncryptedItem / setEncryptedItem', () => {
+  it('reads plaintext from before encryption once, then encrypts it', async () => {
+    await AsyncStorage.setItem('@legacy', '[1,2]');
+    expect(await getEncryptedItem('@legacy')).toBe('[1,2]');
+
+    await setEncryptedItem('@legacy', '[1,2]');
+    expect(await AsyncStorage.getItem('@legacy')).toMatch(/^enc:v1:/);
+    expect(await getEncryptedItem('@legacy')).toBe('[1,2]');
+  });
+
+  it('refuses plaintext written over a key that was encrypted', async () => {
+    await setEncryptedItem('@stock', '[{"quantity":5}]');
+    await AsyncStorage.setItem('@stock', '[{"quantity":500}]');
+    await expect(getEncryptedItem('@stock')).rejects.toThrow(/not encrypted/);
+  });
+
+  it('reads a missing key as null', async () => {
+    expect(await getEncryptedItem('@missing')).toBeNull();
+  });
+});
@@ -0,0 +1,82 @@
+// utils/__tests__/formulary.test.js
+// ─────────────────────────────────────────────────────────────
+// Drugs linked to a formulary entry: stored with only the link,
+// given the entry's details when read, and kept whole when this
+// device does not have the entry.
+// ─────────────────────────────────────────────────────────────
+
+import {
+  resolveDrug,
+  resolveDrugs,
+  toFormularyEntry,
+  toLinkedFields,
+  toStoredDrug,
+} from '../formulary';
+import { makeDrug, makeLot } from '../__fixtures__/drugs';
+
+const MORPHINE = toFormularyEntry(
+  {
+    genericName: 'Morphine sulfate',
+    strength: '10mg',
+    dosageForm: 'injection',
+    packSize: '10',
+    controlled: true,
+  },
+  'f_morphine'
+);
+
+// ── Helper: A drug added from MORPHINE ─────────────────────────
+const linkedDrug = () =>
+  makeDrug('d1', [makeLot('a1', 5)], { ...toLinkedFields(MORPHINE), gtin: null });
+
+describe('toStoredDrug', () => {
+  it('leaves out what the entry holds and keeps the rest', () => {
+    const record = toStoredDrug(linkedDrug(), [MORPHINE]);
+    expect(record).not.toHaveProperty('name');
+    expect(record).not.toHaveProperty('genericName');
+    expect(record).not.toHaveProperty('packSize');
+    expect(record).not.toHaveProperty('controlled');
+    expect(record).toMatchObject({ id: 'd1', formularyId: 'f_morphine', quantity: 5 });
+    expect(record.lots).toHaveLength(1);
+  });
+
+  it('stores unlinked drugs and links this device cannot resolve in full', () => {
+    const own = makeDrug('Saline', [makeLot('b1', 2)], { formularyId: null });
+    expect(toStoredDrug(own, [MORPHINE])).toBe(own);
+    const drug = linkedDrug();
+    expect(toStoredDrug(drug, [])).toBe(drug);
+  });
+});
+
+describe('resolveDrug', () => {
+  it('fills a stored record back in from its entry', () => {
+    const drug = linkedDrug();
+    expect(resolveDrug(toStoredDrug(drug, [MORPHINE]), [MORPHINE])).toEqual(drug);
+  });
+
+  it('shows the entry as it is now', () => {
+    const edited = toFormularyEntry({ ...MORPHINE, strength: '15mg', packSize: '5' }, MORPHINE.id);
+    expect(resolveDrug(linkedDrug(), [edited])).toMatchObject({
+      name: 'Morphine sulfate 15 mg injection',
+      strength: '15 mg',
+      packSize: 5,
+      controlled: true,
+    });
+  });
+
+  it('returns the same drug when there is nothing to fill in', () => {
+    const drug = linkedDrug();
+    expect(resolveDrug(drug, [MORPHINE])).toBe(drug);
+    expect(resolveDrug(drug, [])).toBe(drug);
+  });
+});
+
+describe('resolveDrugs', () => {
+  it('sets aside records stored by reference whose entry is gone', () => {
+    const stored = toStoredDrug(linkedDrug(), [MORPHINE]);
+    const whole = makeDrug('Saline', [makeLot('b1', 2)], { formularyId: 'f_other' });
+    const { drugs, unresolved } = resolveDrugs([stored, whole], []);
+    expect(drugs).toEqual([whole]);
+    expect(unresolved).toEqual([stored]);
+  });
+});
@@ -0,0 +1,147 @@
+// utils/__tests__/gs1.test.js
+// ─────────────────────────────────────────────────────────────
+// Scanner output as it arrives from real packs: symbology prefixes,
+// FNC1 sent as GS, the bracketed form, and the strings a bad scan
+// or a damaged label produces.
+// ─────────────────────────────────────────────────────────────
+
+import { parseGs1, parseGs1Date, isValidGtin, normalizeGtin } from '../gs1';
+
+// Group Separator — FNC1 as scanners send it
+const GS = '\u001D';
+
+// A GS1 example GTIN with a valid check digit
+const GTIN = '09506000134352';
+
+const NOW = new Date(2026, 5, 15);
+
+describe('parseGs1Date', () => {
+  it('reads YYMMDD in the current century', () => {
+    expect(parseGs1Date('271231', NOW)).toBe('2027-12-31');
+    expect(parseGs1Date('260101', NOW)).toBe('2026-01-01');
+  });
+
+  it('puts a year more than 50 years ahead in the last century', () => {
+    expect(parseGs1Date('760101', NOW)).toBe('2076-01-01');
+    expect(parseGs1Date('770101', NOW)).toBe('1977-01-01');
+  });
+
+  it('puts a year more than 49 years behind in the next century', () => {
+    const later = new Date(2080, 0, 1);
+    expect(parseGs1Date('310101', later)).toBe('2031-01-01');
+    expect(parseGs1Date('300101', later)).toBe('2130-01-01');
+  });
+
+  it('reads day "00" as the last day of the month', () => {
+    expect(parseGs1Date('270200', NOW)).toBe('2027-02-28');
+    expect(parseGs1Date('280200', NOW)).toBe('2028-02-29');
+    expect(parseGs1Date('271100', NOW)).toBe('2027-11-30');
+  });
+
+  it('rejects impossible dates and malformed input', () => {
+    expect(parseGs1Date('271301', NOW)).toBeNull();
+    expect(parseGs1Date('270001', NOW)).toBeNull();
+    expect(parseGs1Date('270230', NOW)).toBeNull();
+    expect(parseGs1Date('27123', NOW)).toBeNull();
+    expect(parseGs1Date('27-1-31', NOW)).toBeNull();
+  });
+});
+
+describe('parseGs1', () => {
+  it('reads a DataMatrix scan with its symbology prefix', () => {
+    const result = parseGs1(`]d201${GTIN}1727123110ABC123${GS}21SN0001`, NOW);
+    expect(result).toMatchObject({
+      gtin: GTIN,
+      expiryDate: '2027-12-31',
+      lotNumber: 'ABC123',
+      serial: 'SN0001',
+    });
+    expect(result.elements).toEqual({
+      '01': GTIN,
+      '17': '271231',
+      '10': 'ABC123',
+      '21': 'SN0001',
+    });
+  });
+
+  it('ignores GS1-128 and GS1 QR prefixes and a leading GS', () => {
+    const fields = `01${GTIN}10LOT7`;
+    expect(parseGs1(`]C1${fields}`, NOW).lotNumber).toBe('LOT7');
+    expect(parseGs1(`]Q3${fields}`, NOW).lotNumber).toBe('LOT7');
+    expect(parseGs1(`${GS}${fields}`, NOW).gtin).toBe(GTIN);
+    expect(parseGs1(`]d2${GS}${fields}`, NOW).gtin).toBe(GTIN);
+  });
+
+  it('reads the bracketed human-readable form', () => {
+    expect(parseGs1(`(01)${GTIN}(17)270200(10)A1B2(21)77`, NOW)).toMatchObject({
+      gtin: GTIN,
+      expiryDate: '2027-02-28',
+      lotNumber: 'A1B2',
+      serial: '77',
+    });
+  });
+
+  it('splits variable-length fields at GS and fixed ones by length', () => {
+    const result = parseGs1(`10L-0042${GS}21000123${GS}01${GTIN}17280100`, NOW);
+    expect(result).toMatchObject({
+      lotNumber: 'L-0042',
+      serial: '000123',
+      gtin: GTIN,
+      expiryDate: '2028-01-31',
+    });
+  });
+
+  it('reads the 3-digit national reimbursement AIs', () => {
+    expect(parseGs1(`01${GTIN}7101234567${GS}10X`, NOW)).toMatchObject({
+      nhrnGermany: '1234567',
+      lotNumber: 'X',
+    });
+  });
+
+  it('rejects a GTIN whose check digit is wrong', () => {
+    expect(() => parseGs1(`01${GTIN.slice(0, 13)}3`, NOW)).toThrow(
+      'GTIN 09506000134353 has an invalid check digit.'
+    );
+  });
+
+  it('rejects empty and unreadable scans', () => {
+    expect(() => parseGs1('', NOW)).toThrow('Nothing was scanned.');
+    expect(() => parseGs1('   ', NOW)).toThrow('Nothing was scanned.');
+    expect(() => parseGs1('9912345', NOW)).toThrow('Unknown GS1 Application Identifier at "9912".');
+    expect(() => parseGs1('https://example.com/p/1', NOW)).toThrow(
+      'Unknown GS1 Application Identifier'
+    );
+  });
+
+  it('rejects truncated and oversized fields', () => {
+    expect(() => parseGs1(`01${GTIN.slice(0, 10)}`, NOW)).toThrow('AI (01) is too short.');
+    expect(() => parseGs1(`01${GTIN}1727`, NOW)).toThrow('AI (17) is too short.');
+    expect(() => parseGs1(`01${GTIN}10${GS}21X`, NOW)).toThrow('AI (10) has an invalid length.');
+    expect(() => parseGs1(`10${'A'.repeat(21)}`, NOW)).toThrow('AI (10) has an invalid length.');
+  });
+
+  it('rejects an impossible expiry date', () => {
+    expect(() => parseGs1(`01${GTIN}17271301`, NOW)).toThrow(
+      'AI (17) is not a valid YYMMDD date: 271301.'
+    );
+  });
+});
+
+describe('GTINs', () => {
+  it('validates GTIN-8, -12, -13 and -14 check digits', () => {
+    expect(isValidGtin('96385074')).toBe(true);
+    expect(isValidGtin('036000291452')).toBe(true);
+    expect(isValidGtin(GTIN)).toBe(true);
+    expect(isValidGtin('4006381333931')).toBe(true);
+    expect(isValidGtin('4006381333932')).toBe(false);
+    expect(isValidGtin('12345')).toBe(false);
+    expect(isValidGtin('40063813339A1')).toBe(false);
+  });
+
+  it('pads every GTIN to 14 digits so typed and scanned codes match', () => {
+    expect(normalizeGtin('4006381333931')).toBe('04006381333931');
+    expect(normalizeGtin(` ${GTIN} `)).toBe(GTIN);
+    expect(normalizeGtin('')).toBeNull();
+    expect(normalizeGtin(null)).toBeNull();
+  });
+});
@@ -0,0 +1,161 @@
+// utils/__tests__/inventory-store.test.js
+// ─────────────────────────────────────────────────────────────
+// Each status is written three times — as SQL, as a row predicate
+// (both in inventory-store.js) and as a dashboard filter over drug
+// records (inventory-query.js). These tests pin all three to the
+// same answers, and the memory store to the list and chip counts
+// the dashboard would compute itself.
+// ─────────────────────────────────────────────────────────────
+
+import { addDays, addHours, subDays } from 'date-fns';
+import {
+  STATUS_QUERIES,
+  toDrugRow,
+  toQueryParams,
+  diffRecords,
+  toSavedMap,
+} from '../inventory-store';
+import { createMemoryStore } from '../memory-store';
+import { queryInventory, countByFilter, matchesFilter, SORT_OPTIONS } from '../inventory-query';
+import { withDerivedTotals } from '../lots';
+import { makeDrug, makeLot } from '../__fixtures__/drugs';
+
+const NOW = new Date('2025-06-01T12:00:00.000Z');
+const SETTINGS = { lowStockThreshold: 10, expiryWarningDays: 30 };
+
+// ── Helper: A drug with one lot, added longer ago the longer its id ─
+const drugExpiring = (id, quantity, expiryDate, fields = {}) => {
+  const expiry = expiryDate.toISOString();
+  const lot = makeLot(`lot_${id}`, quantity, { lotNumber: '', expiryDate: expiry });
+  return makeDrug(id, [lot], { addedAt: subDays(NOW, id.length).toISOString(), ...fields });
+};
+
+// One drug either side of every threshold
+const INVENTORY = [
+  drugExpiring('Expired yesterday', 20, subDays(NOW, 1)),
+  drugExpiring('Expires in an hour', 20, addHours(NOW, 1)),
+  drugExpiring('Inside the warning window', 20, addHours(addDays(NOW, 30), 23)),
+  drugExpiring('Just outside the window', 20, addDays(NOW, 31)),
+  drugExpiring('Own longer window', 20, addDays(NOW, 45), { expiryWarningDays: 60 }),
+  drugExpiring('Own window of zero', 20, addHours(NOW, 12), { expiryWarningDays: 0 }),
+  drugExpiring('Own zero window, tomorrow', 20, addDays(NOW, 1), { expiryWarningDays: 0 }),
+  drugExpiring('Low stock', 9, addDays(NOW, 300)),
+  drugExpiring('At the threshold', 10, addDays(NOW, 300)),
+  drugExpiring('Own higher reorder level', 40, addDays(NOW, 300), { reorderLevel: 50 }),
+  drugExpiring('Own reorder level of zero', 2, addDays(NOW, 300), { reorderLevel: 0 }),
+  drugExpiring('Out of stock', 0, addDays(NOW, 300)),
+  drugExpiring('Plenty', 100, addDays(NOW, 300), { genericName: 'Ibuprofen' }),
+];
+
+// ── Helper: Evaluate a status's SQL over a row ─────────────────
+// SQLite cannot run under Jest, so the (deliberately small) SQL
+// dialect the statuses use is translated to JavaScript over the
+// same row columns: snake_case columns, $parameters, IS [NOT] NULL,
+// AND, = and COALESCE.
+const toCamel = (column) => column.replace(/_([a-z])/g, (match, c) => c.toUpperCase());
+
+const compileSql = (sql) => {
+  const columns = Object.keys(toDrugRow(INVENTORY[0]));
+  const expression = sql
+    .replace(/\$(\w+)/g, 'params.$1')
+    .replace(/\b([a-z]+(?:_[a-z]+)+|quantity)\b/g, (column) => {
+      const field = toCamel(column);
+      if (!columns.includes(field)) throw new Error(`Unknown column: ${column}`);
+      return `row.${field}`;
+    })
+    .replace(/\bIS NOT NULL\b/g, '!= null')
+    .replace(/\bIS NULL\b/g, '== null')
+    .replace(/\bAND\b/g, '&&')
+    .replace(/\bCOALESCE\(([^,]+),\s*([^)]+)\)/g, '($1 != null ? $1 : $2)')
+    .replace(/([^<>!=])=([^=])/g, '$1===$2');
+  return new Function('row', 'params', `return ${expression};`);
+};
+
+const idsWhere = (predicate) => INVENTORY.filter(predicate).map((drug) => drug.id);
+
+describe('STATUS_QUERIES', () => {
+  const params = toQueryParams(SETTINGS, NOW);
+
+  it.each(Object.keys(STATUS_QUERIES))('%s: SQL, predicate and filter agree', (key) => {
+    const { sql, matches } = STATUS_QUERIES[key];
+    const bySql = idsWhere((drug) => compileSql(sql)(toDrugRow(drug), params));
+    const byPredicate = idsWhere((drug) => matches(toDrugRow(drug), params));
+    const byFilter = idsWhere((drug) => matchesFilter(drug, key, SETTINGS, NOW));
+
+    expect(byPredicate).toEqual(byFilter);
+    expect(bySql).toEqual(byFilter);
+  });
+
+  it('puts each boundary drug where the dashboard expects', () => {
+    const under = (key) =>
+      idsWhere((drug) => STATUS_QUERIES[key].matches(toDrugRow(drug), params));
+
+    expect(under('expired')).toEqual(['Expired yesterday']);
+    expect(under('expiring')).toEqual([
+      'Expires in an hour',
+      'Inside the warning window',
+      'Own longer window',
+      'Own window of zero',
+    ]);
+    expect(under('low-stock')).toEqual(['Low stock', 'Own higher reorder level', 'Out of stock']);
+    expect(under('out-of-stock')).toEqual(['Out of stock']);
+  });
+});
+
+describe('createMemoryStore', () => {
+  const storeFor = (drugs) => createMemoryStore({ drugs });
+
+  it.each([
+    [{}],
+    [{ search: 'own' }],
+    [{ search: 'ibuprofen' }],
+    [{ filters: ['expired', 'out-of-stock'] }],
+    [{ filters: ['expiring'], sort: 'expiry' }],
+    [{ filters: ['low-stock'], sort: 'stock' }],
+    ...Object.keys(SORT_OPTIONS).map((sort) => [{ sort }]),
+  ])('queryDrugIds(%p) matches queryInventory', async (query) => {
+    const ids = await storeFor(INVENTORY).queryDrugIds(query, SETTINGS, NOW);
+    expect(ids).toEqual(queryInventory(INVENTORY, query, SETTINGS, NOW).map((d) => d.id));
+  });
+
+  it('counts each status as the dashboard chips do', async () => {
+    const counts = await storeFor(INVENTORY).countByStatus(SETTINGS, NOW);
+    expect(counts).toEqual(countByFilter(INVENTORY, SETTINGS, NOW));
+  });
+
+  it('writes only what diffRecords finds changed and reads it back', async () => {
+    const store = storeFor(INVENTORY);
+    const saved = toSavedMap(INVENTORY);
+    const restocked = withDerivedTotals({
+      ...INVENTORY[7],
+      lots: INVENTORY[7].lots.map((lot) => ({ ...lot, quantity: 60 })),
+    });
+    const next = [restocked, ...INVENTORY.slice(0, 7), ...INVENTORY.slice(8, -1)];
+    const drugs = diffRecords(saved, next);
+    expect(drugs.upserts).toEqual([restocked]);
+    expect(drugs.deletes).toEqual(['Plenty']);
+
+    await store.writeChanges({ drugs, version: 8 });
+    const { records, version } = await store.loadDrugs();
+    expect(version).toBe(8);
+    expect(records.map((d) => d.id).sort()).toEqual(next.map((d) => d.id).sort());
+    expect((await store.countByStatus(SETTINGS, NOW))['low-stock']).toBe(2);
+    expect(await store.queryDrugIds({ search: 'ibuprofen' }, SETTINGS, NOW)).toEqual([]);
+  });
+
+  it('indexes drugs as given and stores them as toRecord makes them', async () => {
+    const store = storeFor([]);
+    const drug = INVENTORY[0];
+    const toRecord = ({ name, ...record }) => record;
+    await store.writeChanges({ drugs: { upserts: [drug], deletes: [] }, toRecord });
+    const { records } = await store.loadDrugs();
+    expect(records).toEqual([toRecord(drug)]);
+    expect(await store.queryDrugIds({ search: drug.name }, SETTINGS, NOW)).toEqual([drug.id]);
+  });
+
+  it('keeps movements in the order they were appended', async () => {
+    const store = createMemoryStore({ movements: [{ id: 'm1' }, { id: 'm2' }] });
+    await store.writeChanges({ movements: { upserts: [{ id: 'm3' }], deletes: ['m1'] } });
+    expect((await store.loadMovements()).map((m) => m.id)).toEqual(['m2', 'm3']);
+  });
+});
@@ -0,0 +1,109 @@
+// utils/__tests__/ledger.test.js
+// ─────────────────────────────────────────────────────────────
+// Balances rebuilt from the ledger must match the inventory, both
+// for local changes and after sync clamps an overdraw.
+// ─────────────────────────────────────────────────────────────
+
+import { movementsForChange, deriveBalances } from '../ledger';
+import { createOperation, applyOperations, mergeLedgerMovements } from '../sync';
+import { makeDrug, makeLot } from '../__fixtures__/drugs';
+
+// ── Helper: The controlled drug every test moves stock of ──────
+const morphine = (lots) =>
+  makeDrug('d1', lots, { name: 'Morphine 10mg tablets', controlled: true });
+
+// ── Helper: Compare derived balances with the inventory ────────
+const expectLedgerMatches = (ledger, inventory) => {
+  const balances = deriveBalances(ledger);
+  inventory.forEach((drug) => {
+    expect(balances[drug.id].total).toBe(drug.quantity);
+    drug.lots.forEach((l) => expect(balances[drug.id].lots[l.id]).toBe(l.quantity));
+  });
+};
+
+describe('deriveBalances', () => {
+  it('rebuilds each drug and lot from the movements that changed them', () => {
+    const steps = [
+      ['receive', morphine([makeLot('a', 20)])],
+      ['receive', morphine([makeLot('a', 20), makeLot('b', 10)])],
+      ['dispense', morphine([makeLot('a', 12), makeLot('b', 10)])],
+      ['write-off', morphine([makeLot('a', 12), makeLot('b', 7)])],
+      ['adjust', morphine([makeLot('a', 13), makeLot('b', 7)])],
+    ];
+    let drug = null;
+    const ledger = steps.flatMap(([type, next]) => {
+      const movements = movementsForChange(type, drug, next);
+      drug = next;
+      return movements;
+    });
+
+    expect(deriveBalances(ledger)).toEqual({ d1: { total: 20, lots: { a: 13, b: 7 } } });
+    expectLedgerMatches(ledger, [drug]);
+  });
+
+  it('brings a deleted drug back to zero', () => {
+    const drug = morphine([makeLot('a', 5)]);
+    const ledger = [
+      ...movementsForChange('receive', null, drug),
+      ...movementsForChange('delete', drug, null),
+    ];
+    expect(deriveBalances(ledger)).toEqual({ d1: { total: 0, lots: { a: 0 } } });
+  });
+
+  it('counts movements without a lot in the total only', () => {
+    const ledger = [
+      { drugId: 'd1', lotId: 'a', delta: 4 },
+      { drugId: 'd1', lotId: null, delta: 0 },
+    ];
+    expect(deriveBalances(ledger)).toEqual({ d1: { total: 4, lots: { a: 4 } } });
+  });
+
+  it('still matches the inventory after sync clamps an overdraw', () => {
+    // Both devices start from 3 units and each dispenses 2 offline.
+    const start = morphine([makeLot('a', 3)]);
+    const after = morphine([makeLot('a', 1)]);
+    const created = createOperation(null, start, movementsForChange('receive', null, start), {
+      deviceId: 'dev_1',
+    });
+    const dispenses = ['dev_1', 'dev_2'].map((deviceId) =>
+      createOperation(start, after, movementsForChange('dispense', start, after), { deviceId })
+    );
+    const ops = [created, ...dispenses];
+
+    const { inventory, conflicts, corrections } = applyOperations([], ops);
+    expect(inventory[0].quantity).toBe(0);
+    expect(conflicts).toHaveLength(1);
+    expect(corrections).toEqual([
+      expect.objectContaining({ type: 'adjust', drugId: 'd1', lotId: 'a', delta: 1, balance: 0 }),
+    ]);
+
+    const ledger = mergeLedgerMovements([], ops, corrections);
+    expectLedgerMatches(ledger, inventory);
+  });
+
+  it('posts a clamp correction once however many devices apply it', () => {
+    const start = morphine([makeLot('a', 1)]);
+    const after = morphine([makeLot('a', 0)]);
+    const ops = [
+      createOperation(null, start, movementsForChange('receive', null, start), {
+        deviceId: 'dev_1',
+      }),
+      createOperation(start, after, movementsForChange('dispense', start, after), {
+        deviceId: 'dev_1',
+      }),
+      createOperation(start, after, movementsForChange('dispense', start, after), {
+        deviceId: 'dev_2',
+      }),
+    ];
+
+    const first = applyOperations([], ops);
+    const second = applyOperations([], ops);
+    const ledger = mergeLedgerMovements(
+      mergeLedgerMovements([], ops, first.corrections),
+      ops,
+      second.corrections
+    );
+    expect(ledger.filter((movement) => movement.type === 'adjust')).toHaveLength(1);
+    expectLedgerMatches(ledger, first.inventory);
+  });
+});
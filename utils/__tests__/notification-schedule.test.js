@@ -0,0 +1,150 @@
+// utils/__tests__/notification-schedule.test.js
+// ─────────────────────────────────────────────────────────────
+// Which notifications are pending for an inventory, checked with a
+// fake notifier: warnings and expiries per lot, the daily low-stock
+// digest, and a digest whose text follows the stock.
+// ─────────────────────────────────────────────────────────────
+
+import {
+  MAX_SCHEDULED,
+  nextDigestDate,
+  planNotifications,
+  syncNotifications,
+} from '../notification-schedule';
+import { makeDrug, makeLot } from '../__fixtures__/drugs';
+
+const NOW = new Date(2027, 0, 10, 12, 0);
+
+// Ahead of NOW, and already past
+const MARCH = '2027-03-01T00:00:00.000Z';
+const LAST_MONTH = '2026-12-01T00:00:00.000Z';
+
+const SETTINGS = {
+  notificationsEnabled: true,
+  expiryWarningDays: 30,
+  lowStockThreshold: 5,
+  digestHour: 8,
+};
+
+// ── Helper: A notifier that keeps what is pending in memory ────
+const createFakeNotifier = () => {
+  const notifier = {
+    pending: [],
+    cancelAll: async () => {
+      notifier.pending = [];
+    },
+    schedule: async (notification) => {
+      notifier.pending.push(notification);
+    },
+  };
+  return notifier;
+};
+
+describe('nextDigestDate', () => {
+  it('is today at the hour if that is still ahead, else tomorrow', () => {
+    expect(nextDigestDate(14, NOW)).toEqual(new Date(2027, 0, 10, 14, 0));
+    expect(nextDigestDate(8, NOW)).toEqual(new Date(2027, 0, 11, 8, 0));
+  });
+});
+
+describe('planNotifications', () => {
+  it('plans a warning and an expiry for each lot with stock', () => {
+    const drug = makeDrug('Amoxicillin 500mg', [makeLot('l1', 20, { expiryDate: MARCH })]);
+    const plan = planNotifications([drug], SETTINGS, NOW);
+    expect(plan.map((n) => n.key)).toEqual(['warning:l1', 'expired:l1']);
+    expect(plan[0]).toMatchObject({
+      date: new Date('2027-01-30T00:00:00.000Z'),
+      body: 'Amoxicillin 500mg (lot L1) expires in 30 days — 20 unit(s) on hand.',
+      data: { drugId: 'Amoxicillin 500mg' },
+    });
+    expect(plan[1].date).toEqual(new Date(MARCH));
+  });
+
+  it('uses the drug’s own warning window', () => {
+    const lots = [makeLot('l1', 20, { expiryDate: MARCH })];
+    const drug = makeDrug('Insulin', lots, { expiryWarningDays: 7 });
+    const [warning] = planNotifications([drug], SETTINGS, NOW);
+    expect(warning.date).toEqual(new Date('2027-02-22T00:00:00.000Z'));
+  });
+
+  it('skips empty lots and dates already past', () => {
+    const drug = makeDrug('Paracetamol', [
+      makeLot('empty', 0, { expiryDate: '2027-06-01T00:00:00.000Z' }),
+      makeLot('soon', 10, { expiryDate: '2027-01-20T00:00:00.000Z' }),
+      makeLot('gone', 10, { expiryDate: LAST_MONTH }),
+    ]);
+    const plan = planNotifications([drug], SETTINGS, NOW);
+    expect(plan.map((n) => n.key)).toEqual(['expired:soon']);
+  });
+
+  it('adds a daily digest of the drugs below their reorder level', () => {
+    const inventory = [
+      makeDrug('Aspirin', [makeLot('l1', 2, { expiryDate: LAST_MONTH })]),
+      makeDrug('Ibuprofen', [makeLot('l2', 3, { expiryDate: LAST_MONTH })]),
+      makeDrug('Cetirizine', [makeLot('l3', 50, { expiryDate: LAST_MONTH })]),
+    ];
+    const [digest] = planNotifications(inventory, SETTINGS, NOW);
+    expect(digest).toMatchObject({
+      key: 'digest:low-stock',
+      date: new Date(2027, 0, 11, 8, 0),
+      repeatsDaily: true,
+      title: '📦 2 items low on stock',
+      body: 'Aspirin (2), Ibuprofen (3)',
+      data: { drugId: null },
+    });
+  });
+
+  it('links a one-drug digest to that drug', () => {
+    const inventory = [makeDrug('Aspirin', [makeLot('l1', 2, { expiryDate: LAST_MONTH })])];
+    const [digest] = planNotifications(inventory, SETTINGS, NOW);
+    expect(digest).toMatchObject({ title: '📦 1 item low on stock', data: { drugId: 'Aspirin' } });
+  });
+
+  it('keeps the digest when the expiries fill every slot', () => {
+    const lots = Array.from({ length: MAX_SCHEDULED }, (_, i) =>
+      makeLot(`l${i}`, 1, { expiryDate: new Date(2027, 5, 1 + i).toISOString() })
+    );
+    const drug = makeDrug('Saline', lots, { reorderLevel: 100 });
+    const plan = planNotifications([drug], SETTINGS, NOW);
+    expect(plan).toHaveLength(MAX_SCHEDULED);
+    expect(plan.some((n) => n.key === 'digest:low-stock')).toBe(true);
+    expect(plan.map((n) => n.date)).toEqual([...plan.map((n) => n.date)].sort((a, b) => a - b));
+  });
+
+  it('plans nothing with notifications turned off', () => {
+    const drug = makeDrug('Aspirin', [makeLot('l1', 2, { expiryDate: MARCH })]);
+    const settings = { ...SETTINGS, notificationsEnabled: false };
+    expect(planNotifications([drug], settings, NOW)).toEqual([]);
+  });
+});
+
+describe('syncNotifications', () => {
+  it('cancels what was pending and schedules the new plan', async () => {
+    const notifier = createFakeNotifier();
+    notifier.pending = [{ key: 'expired:stale' }];
+    const drug = makeDrug('Amoxicillin', [makeLot('l1', 20, { expiryDate: MARCH })]);
+
+    await syncNotifications(notifier, planNotifications([drug], SETTINGS, NOW));
+    expect(notifier.pending.map((n) => n.key)).toEqual(['warning:l1', 'expired:l1']);
+  });
+
+  it('rebuilds the digest text when the stock changes', async () => {
+    const notifier = createFakeNotifier();
+    const aspirin = makeDrug('Aspirin', [makeLot('l1', 2, { expiryDate: LAST_MONTH })]);
+    const ibuprofen = makeDrug('Ibuprofen', [makeLot('l2', 3, { expiryDate: LAST_MONTH })]);
+    await syncNotifications(notifier, planNotifications([aspirin, ibuprofen], SETTINGS, NOW));
+    expect(notifier.pending[0].body).toBe('Aspirin (2), Ibuprofen (3)');
+
+    const restocked = makeDrug('Ibuprofen', [makeLot('l2', 40, { expiryDate: LAST_MONTH })]);
+    await syncNotifications(notifier, planNotifications([aspirin, restocked], SETTINGS, NOW));
+    expect(notifier.pending).toHaveLength(1);
+    expect(notifier.pending[0]).toMatchObject({
+      title: '📦 1 item low on stock',
+      body: 'Aspirin (2)',
+    });
+
+    const allRestocked = makeDrug('Aspirin', [makeLot('l1', 40, { expiryDate: LAST_MONTH })]);
+    await syncNotifications(notifier, planNotifications([allRestocked], SETTINGS, NOW));
+    expect(notifier.pending).toEqual([]);
+  });
+});
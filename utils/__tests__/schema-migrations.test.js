@@ -0,0 +1,267 @@
+// utils/__tests__/schema-migrations.test.js
+// ─────────────────────────────────────────────────────────────
+// Every migration step upgrades a good record and quarantines a
+// bad one; envelopes are read and newer payloads refused.
+// ─────────────────────────────────────────────────────────────
+
+import {
+  SCHEMA_VERSION,
+  MIGRATIONS,
+  migrateRecords,
+  migratePayload,
+  readEnvelope,
+} from '../schema-migrations';
+import { DEFAULT_LOCATION_ID } from '../locations';
+
+// A record as the very first version of the app stored it
+const V0_RECORD = {
+  id: 'drug_1',
+  name: 'Amoxicillin 500mg capsules',
+  quantity: '12',
+  expiryDate: '2026-03-01',
+  addedAt: '2024-01-10T09:00:00.000Z',
+};
+
+// ── Helper: The record as it was stored at `version` ───────────
+const recordAt = (version, record = V0_RECORD) =>
+  MIGRATIONS.slice(0, version).reduce((migrated, step) => step(migrated), record);
+
+// ── Helper: Run one step through migrateRecords ────────────────
+// Records are stored at `version`, so the step that upgrades from
+// it is the first one to see them.
+const runStep = (version, records) => migrateRecords(records, version);
+
+it('has one step per schema version', () => {
+  expect(MIGRATIONS).toHaveLength(SCHEMA_VERSION);
+});
+
+describe('0 → 1: lots', () => {
+  it('turns a single quantity and expiry into one lot', () => {
+    const migrated = MIGRATIONS[0](V0_RECORD);
+    expect(migrated.lots).toEqual([
+      {
+        id: 'lot_drug_1',
+        lotNumber: '',
+        quantity: 12,
+        expiryDate: '2026-03-01T00:00:00.000Z',
+        receivedAt: V0_RECORD.addedAt,
+      },
+    ]);
+  });
+
+  it('passes records that already have lots through', () => {
+    const record = { id: 'x', name: 'X', lots: [] };
+    expect(MIGRATIONS[0](record)).toBe(record);
+  });
+
+  it('quarantines a record with an unreadable quantity', () => {
+    const { drugs, quarantined } = runStep(0, [
+      V0_RECORD,
+      { ...V0_RECORD, id: 'bad', quantity: 'lots' },
+    ]);
+    expect(drugs.map((d) => d.id)).toEqual(['drug_1']);
+    expect(quarantined).toHaveLength(1);
+    expect(quarantined[0].fromVersion).toBe(0);
+    expect(quarantined[0].error).toMatch(/^Invalid quantity/);
+    expect(quarantined[0].record.id).toBe('bad');
+  });
+
+  it('quarantines a record without a name', () => {
+    const { quarantined } = runStep(0, [{ ...V0_RECORD, name: '  ' }]);
+    expect(quarantined[0].error).toBe('Record has no name');
+  });
+});
+
+describe('1 → 2: lot ids, receipt and record dates', () => {
+  it('fills in lot ids, numbers and ISO dates', () => {
+    const record = { id: 'd', name: 'D', lots: [{ quantity: 3, expiryDate: '2026-01-01' }] };
+    const migrated = MIGRATIONS[1](record);
+    expect(migrated.addedAt).toBe(new Date(0).toISOString());
+    expect(migrated.updatedAt).toBe(new Date(0).toISOString());
+    expect(migrated.lots[0]).toEqual({
+      id: 'lot_d_0',
+      lotNumber: '',
+      quantity: 3,
+      expiryDate: '2026-01-01T00:00:00.000Z',
+      receivedAt: new Date(0).toISOString(),
+    });
+  });
+
+  it('quarantines a record with no lots or a bad lot', () => {
+    const good = recordAt(1);
+    const { drugs, quarantined } = runStep(1, [
+      good,
+      { ...good, id: 'empty', lots: [] },
+      { ...good, id: 'neg', lots: [{ quantity: -1, expiryDate: '2026-01-01' }] },
+    ]);
+    expect(drugs.map((d) => d.id)).toEqual(['drug_1']);
+    expect(quarantined.map((q) => q.error)).toEqual([
+      'Record has no lots',
+      'Invalid lots[0].quantity: -1',
+    ]);
+  });
+});
+
+describe('2 → 3: per-drug thresholds', () => {
+  it('defaults thresholds to null and keeps valid ones', () => {
+    expect(MIGRATIONS[2](recordAt(2))).toMatchObject({
+      reorderLevel: null,
+      expiryWarningDays: null,
+    });
+    expect(MIGRATIONS[2]({ ...recordAt(2), reorderLevel: 10 }).reorderLevel).toBe(10);
+  });
+
+  it('quarantines a record with a bad threshold', () => {
+    const { drugs, quarantined } = runStep(2, [
+      recordAt(2),
+      { ...recordAt(2), id: 'bad', expiryWarningDays: 'soon' },
+    ]);
+    expect(drugs).toHaveLength(1);
+    expect(quarantined[0].error).toBe('Invalid expiryWarningDays: "soon"');
+  });
+});
+
+describe('3 → 4: GTIN', () => {
+  it('defaults the GTIN to null and keeps a 14-digit one as a string', () => {
+    expect(MIGRATIONS[3](recordAt(3)).gtin).toBeNull();
+    expect(MIGRATIONS[3]({ ...recordAt(3), gtin: 12345678901231 }).gtin).toBe('12345678901231');
+  });
+
+  it('quarantines a record with a malformed GTIN', () => {
+    const { drugs, quarantined } = runStep(3, [
+      recordAt(3),
+      { ...recordAt(3), id: 'bad', gtin: '123' },
+    ]);
+    expect(drugs).toHaveLength(1);
+    expect(quarantined[0].error).toBe('Invalid gtin: 123');
+  });
+});
+
+describe('4 → 5: locations', () => {
+  it('places stock from before locations in the main pharmacy', () => {
+    const migrated = MIGRATIONS[4](recordAt(4));
+    expect(migrated.lots.map((lot) => lot.locationId)).toEqual([DEFAULT_LOCATION_ID]);
+  });
+
+  it('quarantines a record with a bad location', () => {
+    const bad = recordAt(4);
+    const { drugs, quarantined } = runStep(4, [
+      recordAt(4),
+      { ...bad, id: 'bad', lots: [{ ...bad.lots[0], locationId: 7 }] },
+    ]);
+    expect(drugs).toHaveLength(1);
+    expect(quarantined[0].error).toBe('Invalid lots[0].locationId: 7');
+  });
+});
+
+describe('5 → 6: controlled flag', () => {
+  it('defaults to not controlled', () => {
+    expect(MIGRATIONS[5](recordAt(5)).controlled).toBe(false);
+    expect(MIGRATIONS[5]({ ...recordAt(5), controlled: true }).controlled).toBe(true);
+  });
+
+  it('quarantines a record with a non-boolean flag', () => {
+    const { drugs, quarantined } = runStep(5, [
+      recordAt(5),
+      { ...recordAt(5), id: 'bad', controlled: 'yes' },
+    ]);
+    expect(drugs).toHaveLength(1);
+    expect(quarantined[0].error).toBe('Invalid controlled: "yes"');
+  });
+});
+
+describe('6 → 7: drug metadata', () => {
+  it('reads what it can out of the name and counts in units, one to a pack', () => {
+    const migrated = MIGRATIONS[6](recordAt(6));
+    expect(migrated.name).toBe('Amoxicillin 500mg capsules');
+    expect(migrated).toMatchObject({
+      genericName: 'Amoxicillin',
+      strength: '500 mg',
+      dosageForm: 'capsule',
+      baseUnit: 'unit',
+      packSize: 1,
+    });
+  });
+
+  it('quarantines a record with a bad pack size', () => {
+    const { drugs, quarantined } = runStep(6, [
+      recordAt(6),
+      { ...recordAt(6), id: 'bad', packSize: 0 },
+    ]);
+    expect(drugs).toHaveLength(1);
+    expect(quarantined[0].error).toBe('Invalid packSize: 0');
+  });
+});
+
+describe('7 → 8: formulary link', () => {
+  it('leaves existing drugs unlinked', () => {
+    expect(MIGRATIONS[7](recordAt(7)).formularyId).toBeNull();
+    expect(MIGRATIONS[7]({ ...recordAt(7), formularyId: 'f1' }).formularyId).toBe('f1');
+  });
+
+  it('quarantines a record with a bad link', () => {
+    const { drugs, quarantined } = runStep(7, [
+      recordAt(7),
+      { ...recordAt(7), id: 'bad', formularyId: 42 },
+    ]);
+    expect(drugs).toHaveLength(1);
+    expect(quarantined[0].error).toBe('Invalid formularyId: 42');
+  });
+});
+
+describe('8 → 9: linked drugs stored by reference', () => {
+  it('leaves the record to be rewritten by the provider', () => {
+    const record = { ...recordAt(8), formularyId: 'f1' };
+    expect(MIGRATIONS[8](record)).toBe(record);
+  });
+});
+
+describe('migrateRecords', () => {
+  it('upgrades a version 0 record all the way and derives its totals', () => {
+    const { drugs, quarantined, fromVersion } = migrateRecords([V0_RECORD], 0);
+    expect(quarantined).toEqual([]);
+    expect(fromVersion).toBe(0);
+    expect(drugs[0]).toMatchObject({
+      quantity: 12,
+      expiryDate: '2026-03-01T00:00:00.000Z',
+      gtin: null,
+      controlled: false,
+      formularyId: null,
+    });
+  });
+
+  it('refuses records saved by a newer version', () => {
+    expect(() => migrateRecords([], SCHEMA_VERSION + 1)).toThrow(/newer version/);
+  });
+});
+
+describe('readEnvelope', () => {
+  it('reads a bare array as version 0', () => {
+    expect(readEnvelope([V0_RECORD])).toEqual({ version: 0, drugs: [V0_RECORD] });
+  });
+
+  it('reads a versioned envelope', () => {
+    expect(readEnvelope({ version: 3, drugs: [] })).toEqual({ version: 3, drugs: [] });
+  });
+
+  it.each([null, {}, { version: '2', drugs: [] }, { version: 2, drugs: {} }])(
+    'rejects %p',
+    (parsed) => {
+      expect(() => readEnvelope(parsed)).toThrow('Unrecognised inventory payload');
+    }
+  );
+});
+
+describe('migratePayload', () => {
+  it('parses, upgrades and reports quarantined records', () => {
+    const raw = JSON.stringify([V0_RECORD, { id: 'bad' }]);
+    const { drugs, quarantined } = migratePayload(raw);
+    expect(drugs).toHaveLength(1);
+    expect(quarantined[0].error).toBe('Record has no name');
+  });
+
+  it('refuses a payload from a newer version', () => {
+    const raw = JSON.stringify({ version: SCHEMA_VERSION + 1, drugs: [] });
+    expect(() => migratePayload(raw)).toThrow(/newer version/);
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * @jest-environment node
+ */
+// utils/__tests__/sync-server.test.js
+// ─────────────────────────────────────────────────────────────
+// Two devices syncing through the mock server over real HTTP.
+// Whatever order they edit and sync in, both must end up with the
+// same inventory, and their ledgers must still add up to it.
+// ─────────────────────────────────────────────────────────────
+
+import { createSyncClient, joinServer, syncRound } from '../sync-client';
+import { operationsForChange } from '../sync';
+import { movementsForChange, deriveBalances } from '../ledger';
+import { withDerivedTotals } from '../lots';
+
+const { startSyncServer } = require('../../scripts/mock-sync-server');
+
+const DRUG = withDerivedTotals({
+  id: 'd1',
+  name: 'Paracetamol 500mg tablets',
+  reorderLevel: null,
+  lots: [{ id: 'a', lotNumber: 'A1', quantity: 10, expiryDate: '2027-01-01T00:00:00.000Z' }],
+});
+
+let server;
+let client;
+
+beforeEach(async () => {
+  server = await startSyncServer(0, { quiet: true });
+  client = createSyncClient({ baseUrl: `http://127.0.0.1:${server.address().port}` });
+});
+
+afterEach(() => new Promise((resolve) => server.close(resolve)));
+
+// ── Helper: A device with nothing synced yet ───────────────────
+const createDevice = (deviceId) => ({
+  deviceId,
+  cursor: 0,
+  base: [],
+  pending: [],
+  inventory: [],
+  ledger: [],
+  conflicts: [],
+});
+
+// ── Helper: Make a local change, as InventoryProvider would ────
+// `producer` maps the drug (or null) to its next state, or null.
+const change = (device, type, producer) => {
+  const before = device.inventory.find((drug) => drug.id === DRUG.id) || null;
+  const after = producer(before);
+  const movements = movementsForChange(type, before, after);
+  const next = after
+    ? [after, ...device.inventory.filter((drug) => drug.id !== after.id)]
+    : device.inventory.filter((drug) => drug.id !== before.id);
+  const ops = operationsForChange(device.inventory, next, movements, {
+    deviceId: device.deviceId,
+  });
+  device.pending = [...device.pending, ...ops];
+  device.inventory = next;
+  device.ledger = [...device.ledger, ...movements];
+};
+
+// ── Helper: One sync round, run exactly as InventorySync runs it ─
+const sync = async (device) => {
+  const result = await syncRound(client, {
+    getState: () => device,
+    getLedger: () => device.ledger,
+  });
+  Object.assign(device, result.state, {
+    inventory: result.inventory,
+    ledger: result.ledger,
+    conflicts: [...device.conflicts, ...result.conflicts],
+  });
+};
+
+// ── Helper: First contact for a device that already holds stock ─
+const join = async (device, joiningClient = client) => {
+  const result = await joinServer(joiningClient, {
+    getState: () => device,
+    getInventory: () => device.inventory,
+    getLedger: () => device.ledger,
+  });
+  Object.assign(device, result.state, {
+    inventory: result.inventory,
+    ledger: result.ledger,
+    conflicts: [...device.conflicts, ...result.conflicts],
+  });
+};
+
+// ── Helper: Sync both until each has seen the other's changes ──
+const settle = async (first, second) => {
+  await sync(first);
+  await sync(second);
+  await sync(first);
+};
+
+const setQuantity = (quantity) => (drug) =>
+  withDerivedTotals({ ...drug, lots: drug.lots.map((lot) => ({ ...lot, quantity })) });
+
+const setFields = (fields) => (drug) => ({ ...drug, ...fields });
+
+const expectConverged = (a, b) => {
+  expect(a.pending).toEqual([]);
+  expect(b.pending).toEqual([]);
+  expect(a.inventory).toEqual(b.inventory);
+  [a, b].forEach((device) => {
+    const balances = deriveBalances(device.ledger);
+    device.inventory.forEach((drug) => expect(balances[drug.id].total).toBe(drug.quantity));
+  });
+};
+
+// ── Helper: Two devices that both hold DRUG ────────────────────
+const setUp = async () => {
+  const tabletA = createDevice('dev_a');
+  const tabletB = createDevice('dev_b');
+  change(tabletA, 'receive', () => DRUG);
+  await sync(tabletA);
+  await sync(tabletB);
+  return [tabletA, tabletB];
+};
+
+describe('two devices syncing through the mock server', () => {
+  it('counts dispenses made on both devices before they sync', async () => {
+    const [tabletA, tabletB] = await setUp();
+    change(tabletA, 'dispense', setQuantity(7));
+    change(tabletB, 'dispense', setQuantity(6));
+
+    await settle(tabletA, tabletB);
+
+    expect(tabletA.inventory[0].quantity).toBe(3);
+    expect(tabletA.conflicts).toEqual([]);
+    expectConverged(tabletA, tabletB);
+  });
+
+  it('clamps an overdraw to zero on both devices and reports it', async () => {
+    const [tabletA, tabletB] = await setUp();
+    change(tabletA, 'dispense', setQuantity(4));
+    change(tabletB, 'dispense', setQuantity(3));
+
+    await settle(tabletA, tabletB);
+
+    expect(tabletA.inventory[0].quantity).toBe(0);
+    expect(tabletB.conflicts).toHaveLength(1);
+    expectConverged(tabletA, tabletB);
+  });
+
+  it('gives a field edited on both devices to the edit synced last', async () => {
+    const [tabletA, tabletB] = await setUp();
+    change(tabletA, 'edit', setFields({ name: 'Paracetamol 500mg caplets' }));
+    change(tabletB, 'edit', setFields({ name: 'Panadol 500mg tablets', reorderLevel: 20 }));
+    change(tabletA, 'edit', setFields({ reorderLevel: 30 }));
+
+    await sync(tabletA);
+    await sync(tabletB);
+    await sync(tabletA);
+
+    // B synced its edits after A, so both of B's fields win.
+    expect(tabletA.inventory[0]).toMatchObject({
+      name: 'Panadol 500mg tablets',
+      reorderLevel: 20,
+    });
+    expectConverged(tabletA, tabletB);
+  });
+
+  it('keeps edits to different fields from both devices', async () => {
+    const [tabletA, tabletB] = await setUp();
+    change(tabletA, 'edit', setFields({ name: 'Paracetamol 500mg caplets' }));
+    change(tabletB, 'edit', setFields({ reorderLevel: 20 }));
+
+    await settle(tabletA, tabletB);
+
+    expect(tabletB.inventory[0]).toMatchObject({
+      name: 'Paracetamol 500mg caplets',
+      reorderLevel: 20,
+    });
+    expectConverged(tabletA, tabletB);
+  });
+
+  it('drops an edit that reaches the server after the drug was deleted', async () => {
+    const [tabletA, tabletB] = await setUp();
+    change(tabletA, 'delete', () => null);
+    change(tabletB, 'edit', setFields({ reorderLevel: 20 }));
+
+    await settle(tabletA, tabletB);
+
+    expect(tabletA.inventory).toEqual([]);
+    expect(tabletB.conflicts.map((conflict) => conflict.drugId)).toEqual(['d1']);
+    expectConverged(tabletA, tabletB);
+  });
+
+  it('deletes a drug edited elsewhere before the delete synced', async () => {
+    const [tabletA, tabletB] = await setUp();
+    change(tabletB, 'edit', setFields({ reorderLevel: 20 }));
+    change(tabletA, 'delete', () => null);
+
+    await settle(tabletB, tabletA);
+
+    expect(tabletB.inventory).toEqual([]);
+    expectConverged(tabletA, tabletB);
+  });
+
+  it('ignores operations pushed twice', async () => {
+    const [tabletA, tabletB] = await setUp();
+    change(tabletA, 'dispense', setQuantity(8));
+    await client.push(tabletA.deviceId, tabletA.pending);
+
+    await settle(tabletA, tabletB);
+
+    expect(tabletB.inventory[0].quantity).toBe(8);
+    expectConverged(tabletA, tabletB);
+  });
+});
+
+describe('a device joining a server it has not synced with', () => {
+  // Stock recorded before sync was turned on: in the ledger and the
+  // inventory, but never queued.
+  const holding = (deviceId, drugs) => {
+    const device = createDevice(deviceId);
+    device.inventory = drugs;
+    device.ledger = drugs.flatMap((drug) => movementsForChange('receive', null, drug));
+    return device;
+  };
+
+  it('uploads drugs the server has never seen', async () => {
+    const [tabletA] = await setUp();
+    const other = withDerivedTotals({ ...DRUG, id: 'd2', name: 'Ibuprofen 200mg tablets' });
+    const tabletB = holding('dev_b', [other]);
+
+    await join(tabletB);
+    await settle(tabletB, tabletA);
+
+    expect(tabletB.conflicts).toEqual([]);
+    expect(tabletA.inventory.map((drug) => drug.id).sort()).toEqual(['d1', 'd2']);
+    expectConverged(tabletA, tabletB);
+  });
+
+  it('keeps and reports local differences to drugs the server knows', async () => {
+    const [tabletA] = await setUp();
+    const tabletB = holding('dev_b', [setQuantity(4)({ ...DRUG, reorderLevel: 20 })]);
+
+    await join(tabletB);
+    expect(tabletB.inventory[0]).toMatchObject({ quantity: 4, reorderLevel: 20 });
+    expect(tabletB.conflicts.map((conflict) => conflict.drugId)).toEqual(['d1']);
+
+    await settle(tabletB, tabletA);
+
+    expect(tabletA.inventory[0]).toMatchObject({ quantity: 4, reorderLevel: 20 });
+    expectConverged(tabletA, tabletB);
+  });
+
+  it('does not report a drug held exactly as the server has it', async () => {
+    const [tabletA] = await setUp();
+    const tabletB = holding('dev_b', [DRUG]);
+
+    await join(tabletB);
+    await settle(tabletB, tabletA);
+
+    expect(tabletB.conflicts).toEqual([]);
+    expectConverged(tabletA, tabletB);
+  });
+
+  it('queues changes made while the server was answering', async () => {
+    const [tabletA] = await setUp();
+    const tabletB = holding('dev_b', []);
+    const other = withDerivedTotals({ ...DRUG, id: 'd2', name: 'Ibuprofen 200mg tablets' });
+    const slowClient = {
+      ...client,
+      pull: async (since) => {
+        const reply = await client.pull(since);
+        tabletB.inventory = [other];
+        tabletB.ledger = movementsForChange('receive', null, other);
+        return reply;
+      },
+    };
+
+    await join(tabletB, slowClient);
+    await settle(tabletB, tabletA);
+
+    expect(tabletA.inventory.map((drug) => drug.id).sort()).toEqual(['d1', 'd2']);
+    expectConverged(tabletA, tabletB);
+  });
+});
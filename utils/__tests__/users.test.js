@@ -0,0 +1,78 @@
+// utils/__tests__/users.test.js
+// ─────────────────────────────────────────────────────────────
+// PINs are stored as PBKDF2 hashes; PINs hashed the old way (one
+// salted SHA-256) must still unlock until they are re-hashed. Wrong
+// PINs pause unlocking for longer and longer.
+// ─────────────────────────────────────────────────────────────
+
+import * as Crypto from 'expo-crypto';
+import {
+  PIN_HASH_ITERATIONS,
+  MAX_PIN_ATTEMPTS,
+  createUser,
+  withPin,
+  verifyPin,
+  needsRehash,
+  getLockoutMs,
+} from '../users';
+
+// The native module is a stub under Jest; Node's crypto stands in.
+jest.mock('expo-crypto', () => {
+  const crypto = require('crypto');
+  return {
+    CryptoDigestAlgorithm: { SHA256: 'SHA-256' },
+    digestStringAsync: async (algorithm, data) =>
+      crypto.createHash('sha256').update(data).digest('hex'),
+    randomUUID: () => crypto.randomUUID(),
+  };
+});
+
+describe('PIN hashing', () => {
+  it('verifies a new PIN hashed with PBKDF2', async () => {
+    const user = await createUser({ name: ' Ada ', role: 'nurse', pin: '4821' });
+    expect(user).toMatchObject({ name: 'Ada', pinIterations: PIN_HASH_ITERATIONS });
+    expect(user.pinHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(await verifyPin(user, '4821')).toBe(true);
+    expect(await verifyPin(user, '4822')).toBe(false);
+    expect(needsRehash(user)).toBe(false);
+  });
+
+  it('salts each hash, so the same PIN never hashes alike', async () => {
+    const first = await createUser({ name: 'A', role: 'nurse', pin: '1111' });
+    const second = await createUser({ name: 'B', role: 'nurse', pin: '1111' });
+    expect(first.pinHash).not.toBe(second.pinHash);
+  });
+
+  it('still verifies a PIN hashed before PBKDF2, then upgrades it', async () => {
+    const salt = 'legacy-salt';
+    const legacy = {
+      id: 'user_1',
+      name: 'Ada',
+      role: 'pharmacist',
+      salt,
+      pinHash: await Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, `${salt}:4821`),
+    };
+    expect(await verifyPin(legacy, '4821')).toBe(true);
+    expect(await verifyPin(legacy, '4822')).toBe(false);
+    expect(needsRehash(legacy)).toBe(true);
+
+    const upgraded = await withPin(legacy, '4821');
+    expect(upgraded.pinIterations).toBe(PIN_HASH_ITERATIONS);
+    expect(await verifyPin(upgraded, '4821')).toBe(true);
+    expect(needsRehash(upgraded)).toBe(false);
+  });
+});
+
+describe('PIN lockout', () => {
+  it('allows a few wrong PINs before pausing', () => {
+    expect(getLockoutMs(0)).toBe(0);
+    expect(getLockoutMs(MAX_PIN_ATTEMPTS - 1)).toBe(0);
+    expect(getLockoutMs(MAX_PIN_ATTEMPTS)).toBe(30 * 1000);
+  });
+
+  it('doubles the pause with each further miss, up to an hour', () => {
+    expect(getLockoutMs(MAX_PIN_ATTEMPTS + 1)).toBe(60 * 1000);
+    expect(getLockoutMs(MAX_PIN_ATTEMPTS + 3)).toBe(4 * 60 * 1000);
+    expect(getLockoutMs(MAX_PIN_ATTEMPTS + 20)).toBe(60 * 60 * 1000);
+  });
+});
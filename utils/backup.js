@@ -0,0 +1,176 @@
+// utils/backup.js
+// ─────────────────────────────────────────────────────────────
+// Full backup and restore. A backup is a single versioned JSON
+// file holding the inventory, the stock ledger, the controlled-drug
+// register and any settings, sealed with a SHA-256 checksum of its
+// data. Restore verifies the
+// checksum, upgrades the inventory through the schema migrations
+// and can either replace everything or merge by drug id. Either way
+// the ledger and the register are only appended to (see
+// planRestore).
+// ─────────────────────────────────────────────────────────────
+
+import * as Crypto from 'expo-crypto';
+import { SCHEMA_VERSION, migrateRecord } from './schema-migrations';
+import { movementsForChange, deriveBalances } from './ledger';
+
+// Bump when the backup file layout (not the drug schema) changes.
+export const BACKUP_FORMAT_VERSION = 1;
+
+const BACKUP_APP_ID = 'pharmatrack';
+
+// ── Helper: SHA-256 hex digest of the backup's data section ────
+const checksumOf = (data) =>
+  Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, JSON.stringify(data));
+
+// ── Build: Current state → backup file contents (string) ───────
+export const createBackup = async ({ inventory, ledger, cdRegister = [], settings = {} }) => {
+  const data = { inventory, ledger, cdRegister, settings };
+  const backup = {
+    app: BACKUP_APP_ID,
+    formatVersion: BACKUP_FORMAT_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    createdAt: new Date().toISOString(),
+    checksum: await checksumOf(data),
+    data,
+  };
+  return JSON.stringify(backup, null, 2);
+};
+
+// ── Read: Backup file contents → verified, upgraded data ───────
+// Throws with a user-facing message if the file is not a PharmaTrack
+// backup, is from a newer app, or fails the checksum. Records the
+// migrations cannot upgrade are returned in `quarantined`.
+export const readBackup = async (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    throw new Error('This file is not valid JSON.');
+  }
+  if (!backup || backup.app !== BACKUP_APP_ID || !backup.data) {
+    throw new Error('This file is not a PharmaTrack backup.');
+  }
+  if (backup.formatVersion > BACKUP_FORMAT_VERSION || backup.schemaVersion > SCHEMA_VERSION) {
+    throw new Error('This backup was made by a newer version of PharmaTrack.');
+  }
+  if ((await checksumOf(backup.data)) !== backup.checksum) {
+    throw new Error('Checksum mismatch — the backup file is damaged or was edited.');
+  }
+
+  const inventory = [];
+  const quarantined = [];
+  (backup.data.inventory || []).forEach((record) => {
+    try {
+      inventory.push(migrateRecord(record, backup.schemaVersion));
+    } catch (error) {
+      quarantined.push({
+        record,
+        fromVersion: backup.schemaVersion,
+        error: error.message,
+        quarantinedAt: new Date().toISOString(),
+      });
+    }
+  });
+
+  return {
+    createdAt: backup.createdAt,
+    inventory,
+    ledger: backup.data.ledger || [],
+    cdRegister: backup.data.cdRegister || [],
+    settings: backup.data.settings || {},
+    quarantined,
+  };
+};
+
+// ── Diff: What a restore would change, keyed by drug id ────────
+// `removed` only applies to "replace"; "merge" keeps those drugs.
+export const diffInventories = (current, incoming) => {
+  const currentById = new Map(current.map((drug) => [drug.id, drug]));
+  const incomingIds = new Set(incoming.map((drug) => drug.id));
+
+  const added = incoming.filter((drug) => !currentById.has(drug.id));
+  const changed = incoming.filter(
+    (drug) =>
+      currentById.has(drug.id) &&
+      JSON.stringify(currentById.get(drug.id)) !== JSON.stringify(drug)
+  );
+  const removed = current.filter((drug) => !incomingIds.has(drug.id));
+  const unchanged = incoming.length - added.length - changed.length;
+
+  return { added, changed, removed, unchanged };
+};
+
+// ── Merge: Backup drugs win by id; everything else is kept ─────
+export const mergeById = (current, incoming) => {
+  const incomingIds = new Set(incoming.map((drug) => drug.id));
+  return [...incoming, ...current.filter((drug) => !incomingIds.has(drug.id))];
+};
+
+// ── Helper: A drug as its ledger has it, lot by lot ────────────
+// Every lot the ledger has seen, at its derived balance, so that a
+// movement from this snapshot to the restored drug posts exactly
+// the difference.
+const toLedgerSnapshot = (drug, ledger, balance) => {
+  const lots = new Map();
+  ledger.forEach((movement) => {
+    if (movement.drugId !== drug.id || !movement.lotId) return;
+    lots.set(movement.lotId, {
+      id: movement.lotId,
+      lotNumber: movement.lotNumber || '',
+      locationId: movement.locationId || null,
+    });
+  });
+  drug.lots.forEach((lot) => lots.set(lot.id, lot));
+  return {
+    ...drug,
+    lots: [...lots.values()].map((lot) => ({
+      ...lot,
+      quantity: balance ? balance.lots[lot.id] || 0 : 0,
+    })),
+  };
+};
+
+// ── Restore: What restoring a backup appends ───────────────────
+// The ledger and the CD register are append-only, so a restore
+// never replaces or drops a movement or an entry. `current` is
+// `{ inventory, ledger, cdRegister }`. Returns `{ inventory,
+// history, register, movements }`:
+//   inventory  the inventory once restored ("replace" or "merge")
+//   history    the backup's movements for restored drugs that are
+//              not in this ledger yet, oldest first
+//   register   the backup's register entries for restored drugs
+//              that have none here, so their register carries on
+//   movements  `restore` movements taking each lot from its balance
+//              (with that history in) to its restored quantity; on
+//              "replace", drugs missing from the backup go to zero
+export const planRestore = (current, incoming, mode) => {
+  const inventory =
+    mode === 'replace' ? incoming.inventory : mergeById(current.inventory, incoming.inventory);
+  const incomingIds = new Set(incoming.inventory.map((drug) => drug.id));
+  const nextById = new Map(inventory.map((drug) => [drug.id, drug]));
+
+  const known = new Set(current.ledger.map((movement) => movement.id));
+  const history = incoming.ledger
+    .filter((movement) => incomingIds.has(movement.drugId) && !known.has(movement.id))
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const ledger = [...current.ledger, ...history];
+  const balances = deriveBalances(ledger);
+
+  const registered = new Set((current.cdRegister || []).map((entry) => entry.drugId));
+  const register = (incoming.cdRegister || []).filter(
+    (entry) => incomingIds.has(entry.drugId) && !registered.has(entry.drugId)
+  );
+
+  const removed = current.inventory.filter((drug) => !nextById.has(drug.id));
+  const movements = [...incoming.inventory, ...removed].flatMap((drug) =>
+    movementsForChange(
+      'restore',
+      toLedgerSnapshot(drug, ledger, balances[drug.id]),
+      nextById.get(drug.id) || null,
+      { note: 'Restored from backup' }
+    )
+  );
+
+  return { inventory, history, register, movements };
+};
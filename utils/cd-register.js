@@ -0,0 +1,185 @@
+// utils/cd-register.js
+// ─────────────────────────────────────────────────────────────
+// The controlled-drug (CD) register. Every stock change of a drug
+// flagged `controlled` is copied from the ledger into the register
+// as an entry:
+//
+//   { id, drugId, drugName, number, timestamp, movementId, type,
+//     lotNumber, quantity, balance, reason, recipient,
+//     userName, witnessName, note }
+//
+// Entries are numbered 1, 2, 3… per drug and carry the running
+// balance. They are only ever appended, never edited: a mistake is
+// corrected by a new, witnessed entry. `checkRegister` compares the
+// register with the stock actually held and with itself.
+// ─────────────────────────────────────────────────────────────
+
+import { format } from 'date-fns';
+import { MOVEMENT_TYPES, DISPENSE_REASONS } from './ledger';
+import { toCsv } from './csv';
+
+// ── Helper: Unique ID for a new register entry ─────────────────
+const createEntryId = () => `cd_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+// ── Helper: One drug's entries, oldest first ───────────────────
+export const getDrugRegister = (register, drugId) =>
+  register.filter((entry) => entry.drugId === drugId);
+
+// ── Build: Register entries for a batch of ledger movements ────
+// `drugsAfter` is the inventory once the movements are applied;
+// `isControlled(drugId)` says which drugs the register covers.
+// A drug seen for the first time gets an opening-balance entry for
+// the stock it already held, so its register balances from day one.
+// Returns only the new entries.
+export const createRegisterEntries = (register, movements, drugsAfter, isControlled) => {
+  const entries = [];
+  const lastByDrug = {};
+  const touched = [...new Set(movements.map((m) => m.drugId))].filter(isControlled);
+
+  touched.forEach((drugId) => {
+    const own = movements.filter((m) => m.drugId === drugId);
+    const existing = getDrugRegister(register, drugId);
+    if (existing.length > 0) {
+      lastByDrug[drugId] = existing[existing.length - 1];
+      return;
+    }
+    // Stock before this batch = stock after, minus what the batch moved.
+    const drug = drugsAfter.find((d) => d.id === drugId);
+    const moved = own.reduce((sum, m) => sum + m.delta, 0);
+    const opening = (drug ? drug.quantity : 0) - moved;
+    if (opening === 0) return;
+    const entry = {
+      id: createEntryId(),
+      drugId,
+      drugName: own[0].drugName,
+      number: 1,
+      timestamp: own[0].timestamp,
+      movementId: null,
+      type: 'opening',
+      lotNumber: '',
+      quantity: opening,
+      balance: opening,
+      reason: '',
+      recipient: '',
+      userName: own[0].userName || null,
+      witnessName: null,
+      note: 'Opening balance',
+    };
+    entries.push(entry);
+    lastByDrug[drugId] = entry;
+  });
+
+  movements.forEach((movement) => {
+    if (movement.delta === 0 || !touched.includes(movement.drugId)) return;
+    const last = lastByDrug[movement.drugId];
+    const entry = {
+      id: createEntryId(),
+      drugId: movement.drugId,
+      drugName: movement.drugName,
+      number: last ? last.number + 1 : 1,
+      timestamp: movement.timestamp,
+      movementId: movement.id,
+      type: movement.type,
+      lotNumber: movement.lotNumber || '',
+      quantity: movement.delta,
+      balance: (last ? last.balance : 0) + movement.delta,
+      reason: movement.reason || '',
+      recipient: movement.recipient || '',
+      userName: movement.userName || null,
+      witnessName: movement.witnessName || null,
+      note: movement.note || '',
+    };
+    entries.push(entry);
+    lastByDrug[movement.drugId] = entry;
+  });
+
+  return entries;
+};
+
+// ── Check: The register against itself and the shelf ──────────
+// `stock` is what the inventory says is held now. Returns
+// `{ balance, stock, difference, breaks, unwitnessed }`, where
+// `breaks` lists entry numbers that do not follow on from the one
+// before (a gap in numbering or a balance that does not add up) and
+// `unwitnessed` counts stock that left without a witness.
+export const checkRegister = (entries, stock) => {
+  const breaks = [];
+  entries.forEach((entry, index) => {
+    const prev = index > 0 ? entries[index - 1] : null;
+    const expectedNumber = prev ? prev.number + 1 : 1;
+    const expectedBalance = (prev ? prev.balance : 0) + entry.quantity;
+    if (entry.number !== expectedNumber || entry.balance !== expectedBalance) {
+      breaks.push(entry.number);
+    }
+  });
+  const balance = entries.length > 0 ? entries[entries.length - 1].balance : 0;
+  return {
+    balance,
+    stock,
+    difference: stock - balance,
+    breaks,
+    unwitnessed: entries.filter((entry) => entry.quantity < 0 && !entry.witnessName).length,
+  };
+};
+
+// ── Helper: Does a check need attention? ───────────────────────
+export const hasDiscrepancy = (check) => check.difference !== 0 || check.breaks.length > 0;
+
+// ── Helper: One-line summary of a check ────────────────────────
+export const describeCheck = (check) => {
+  const parts = [`Register balance ${check.balance}, stock held ${check.stock}`];
+  if (check.difference !== 0) {
+    parts.push(`discrepancy ${check.difference > 0 ? '+' : ''}${check.difference}`);
+  }
+  if (check.breaks.length > 0) parts.push(`sequence breaks at no. ${check.breaks.join(', ')}`);
+  return parts.join(' · ');
+};
+
+// ── Helper: Display label for an entry's type ──────────────────
+export const getEntryLabel = (entry) =>
+  entry.type === 'opening'
+    ? 'Opening balance'
+    : (MOVEMENT_TYPES[entry.type] || { label: entry.type }).label;
+
+// Column headings for the exported register
+const REGISTER_HEADERS = [
+  'No.',
+  'Date',
+  'Transaction',
+  'Lot',
+  'In',
+  'Out',
+  'Balance',
+  'Reason',
+  'Patient / recipient',
+  'By',
+  'Witness',
+  'Note',
+];
+
+// ── Export: One drug's register report → CSV text ─────────────
+// A few title rows (drug, date, balance check) above the entries.
+export const exportRegisterCsv = (drug, entries, now = new Date()) => {
+  const check = checkRegister(entries, drug.quantity);
+  return toCsv([
+    [`Controlled drug register: ${drug.name}`],
+    [`Exported ${format(now, 'yyyy-MM-dd HH:mm')}`],
+    [describeCheck(check)],
+    [],
+    REGISTER_HEADERS,
+    ...entries.map((entry) => [
+      entry.number,
+      format(new Date(entry.timestamp), 'yyyy-MM-dd HH:mm'),
+      getEntryLabel(entry),
+      entry.lotNumber,
+      entry.quantity > 0 ? entry.quantity : '',
+      entry.quantity < 0 ? -entry.quantity : '',
+      entry.balance,
+      DISPENSE_REASONS[entry.reason] || entry.reason,
+      entry.recipient,
+      entry.userName || '',
+      entry.witnessName || '',
+      entry.note,
+    ]),
+  ]);
+};
@@ -0,0 +1,176 @@
+// utils/consumption.js
+// ─────────────────────────────────────────────────────────────
+// Consumption analytics from the movement ledger: average daily
+// use, days of supply / projected stock-out date, and which lots
+// will expire before they are used up at the current rate.
+// Everything here is pure — pass `now` to pin the clock.
+// ─────────────────────────────────────────────────────────────
+
+import { addDays, differenceInDays, subDays } from 'date-fns';
+import { sortLotsByExpiry } from './lots';
+import { getDrugStatus } from './stock-status';
+
+// How far back dispenses count towards the average
+export const CONSUMPTION_WINDOW_DAYS = 90;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// ── Helper: Group ledger movements by drug id ──────────────────
+export const groupMovementsByDrug = (ledger) =>
+  ledger.reduce((groups, movement) => {
+    (groups[movement.drugId] = groups[movement.drugId] || []).push(movement);
+    return groups;
+  }, {});
+
+// ── Average daily use over the window ──────────────────────────
+// Units dispensed in the last `windowDays`, divided by the days the
+// drug has been tracked within that window (so a drug added last
+// week is not averaged over three months). Write-offs, adjustments
+// and deletions are not consumption; undone dispenses are netted off.
+// Returns null with no dispenses.
+export const getAverageDailyUse = (
+  movements,
+  now = new Date(),
+  windowDays = CONSUMPTION_WINDOW_DAYS
+) => {
+  const windowStart = subDays(now, windowDays);
+  const inWindow = movements.filter((movement) => {
+    const at = new Date(movement.timestamp);
+    return at >= windowStart && at <= now;
+  });
+  const dispensed = inWindow
+    .filter((movement) => movement.type === 'dispense' || movement.type === 'undo-dispense')
+    .reduce((sum, movement) => sum - movement.delta, 0);
+  if (dispensed <= 0) return null;
+
+  const firstSeen = movements.reduce(
+    (earliest, movement) => Math.min(earliest, new Date(movement.timestamp).getTime()),
+    now.getTime()
+  );
+  const since = Math.max(firstSeen, windowStart.getTime());
+  const days = Math.max(1, (now.getTime() - since) / MS_PER_DAY);
+  return dispensed / days;
+};
+
+// ── Helper: Average daily use for display ("2.5/day") ──────────
+export const formatDailyUse = (averageDailyUse) =>
+  `${averageDailyUse >= 10 ? Math.round(averageDailyUse) : averageDailyUse.toFixed(1)}/day`;
+
+// ── Days until the current stock runs out ──────────────────────
+// null when there is no usage to project from.
+export const getDaysOfSupply = (quantity, averageDailyUse) => {
+  if (!averageDailyUse) return null;
+  return Math.floor(quantity / averageDailyUse);
+};
+
+// ── Lots that will expire before they are used up ─────────────
+// Simulates FEFO dispensing at `averageDailyUse`: each lot starts
+// being used when the ones before it are finished (or expire), and
+// whatever is left at its expiry is at risk. Lots already expired
+// are left out — they are flagged as expired elsewhere.
+export const getLotsExpiringBeforeUse = (lots, averageDailyUse, now = new Date()) => {
+  if (!averageDailyUse) return [];
+
+  const atRisk = [];
+  let day = 0; // day on which FEFO dispensing reaches the next lot
+  sortLotsByExpiry(lots).forEach((lot) => {
+    const daysLeft = differenceInDays(new Date(lot.expiryDate), now);
+    if (lot.quantity <= 0 || daysLeft < 0) return;
+
+    const usable = Math.max(0, (daysLeft - day) * averageDailyUse);
+    const used = Math.min(lot.quantity, usable);
+    const unusedUnits = Math.ceil(lot.quantity - used);
+    day += used / averageDailyUse;
+
+    if (unusedUnits > 0) {
+      atRisk.push({
+        lotId: lot.id,
+        lotNumber: lot.lotNumber,
+        expiryDate: lot.expiryDate,
+        unusedUnits,
+      });
+    }
+  });
+  return atRisk;
+};
+
+// ── Forecast: Everything the UI shows for one drug ─────────────
+// Days of supply only count stock that can actually be used: lots
+// already expired and units that will expire first are left out.
+export const getConsumptionForecast = (drug, movements, now = new Date()) => {
+  const averageDailyUse = getAverageDailyUse(movements, now);
+  const atRiskLots = getLotsExpiringBeforeUse(drug.lots, averageDailyUse, now);
+  const unusedUnits = atRiskLots.reduce((sum, lot) => sum + lot.unusedUnits, 0);
+  const inDateUnits = drug.lots
+    .filter((lot) => new Date(lot.expiryDate) >= now)
+    .reduce((sum, lot) => sum + lot.quantity, 0);
+  const daysOfSupply = getDaysOfSupply(Math.max(0, inDateUnits - unusedUnits), averageDailyUse);
+  return {
+    averageDailyUse,
+    daysOfSupply,
+    stockOutDate: daysOfSupply == null ? null : addDays(now, daysOfSupply).toISOString(),
+    atRiskLots,
+    unusedUnits,
+  };
+};
+
+// ── Forecast every drug in one pass over the ledger ────────────
+// Returns `{ [drugId]: forecast }`.
+export const forecastInventory = (inventory, ledger, now = new Date()) => {
+  const byDrug = groupMovementsByDrug(ledger);
+  return inventory.reduce((forecasts, drug) => {
+    forecasts[drug.id] = getConsumptionForecast(drug, byDrug[drug.id] || [], now);
+    return forecasts;
+  }, {});
+};
+
+// ── Report: Drugs ranked by how soon they need attention ──────
+// `urgencyDays` is the soonest of: stock-out, an expired lot still
+// on the shelf (negative), or a lot expiring before it can be used.
+// Out-of-stock counts as 0. Rows with nothing to act on come last.
+export const rankByUrgency = (inventory, forecasts, settings, now = new Date()) =>
+  inventory
+    .map((drug) => {
+      const forecast = forecasts[drug.id];
+      const status = getDrugStatus(drug, settings, now);
+      const reasons = [];
+      const candidates = [];
+
+      if (status.isOutOfStock) {
+        reasons.push('Out of stock');
+        candidates.push(0);
+      }
+      const expiredLots = drug.lots.filter(
+        (lot) => lot.quantity > 0 && new Date(lot.expiryDate) < now
+      );
+      if (expiredLots.length > 0) {
+        const units = expiredLots.reduce((sum, lot) => sum + lot.quantity, 0);
+        reasons.push(`${units} expired unit${units !== 1 ? 's' : ''} on the shelf`);
+        candidates.push(differenceInDays(new Date(expiredLots[0].expiryDate), now));
+      }
+      if (!status.isOutOfStock && forecast.daysOfSupply != null) {
+        reasons.push(`Runs out in ${forecast.daysOfSupply}d`);
+        candidates.push(forecast.daysOfSupply);
+      }
+      if (forecast.atRiskLots.length > 0) {
+        reasons.push(`${forecast.unusedUnits} unit(s) expire before use`);
+        candidates.push(differenceInDays(new Date(forecast.atRiskLots[0].expiryDate), now));
+      }
+      if (status.isLowStock && !status.isOutOfStock) {
+        reasons.push(`Below reorder level (${status.reorderLevel})`);
+      }
+
+      return {
+        drug,
+        forecast,
+        reasons,
+        urgencyDays: candidates.length > 0 ? Math.min(...candidates) : null,
+        isLowStock: status.isLowStock,
+      };
+    })
+    .sort((a, b) => {
+      if (a.urgencyDays == null && b.urgencyDays == null) return b.isLowStock - a.isLowStock;
+      if (a.urgencyDays == null) return 1;
+      if (b.urgencyDays == null) return -1;
+      return a.urgencyDays - b.urgencyDays;
+    });
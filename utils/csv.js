@@ -0,0 +1,198 @@
+// utils/csv.js
+// ─────────────────────────────────────────────────────────────
+// CSV export and import of the inventory. Export writes one row
+// per lot; import maps spreadsheet columns onto drug fields and
+// checks every row with the same rules as the add-drug form
+// before anything reaches the inventory. Locations travel as
+// their names and must already exist to be imported into. Cells
+// a spreadsheet would run as a formula are written with a leading
+// apostrophe, which import strips again.
+// ─────────────────────────────────────────────────────────────
+
+import { validateDrugFields, validateGtin, toDateInput } from './validation';
+import { DEFAULT_LOCATION_ID, getLocationName, findLocationByName } from './locations';
+
+// The drug fields an imported column can be mapped to
+export const IMPORT_FIELDS = [
+  {
+    key: 'name',
+    label: 'Drug name',
+    required: true,
+    aliases: ['name', 'drug', 'drug name', 'product', 'item', 'description'],
+  },
+  {
+    key: 'lotNumber',
+    label: 'Lot number',
+    required: false,
+    aliases: ['lot', 'lot number', 'batch', 'batch number', 'batch no'],
+  },
+  {
+    key: 'quantity',
+    label: 'Quantity',
+    required: true,
+    aliases: ['quantity', 'qty', 'stock', 'units', 'count', 'on hand'],
+  },
+  {
+    key: 'expiryDate',
+    label: 'Expiry date',
+    required: true,
+    aliases: ['expiry', 'expiry date', 'exp', 'expires', 'expiration', 'expiration date'],
+  },
+  {
+    key: 'location',
+    label: 'Location',
+    required: false,
+    aliases: ['location', 'store', 'storage', 'storage location', 'site'],
+  },
+  {
+    key: 'gtin',
+    label: 'GTIN',
+    required: false,
+    aliases: ['gtin', 'gtin 14', 'barcode', 'ean', 'upc'],
+  },
+  {
+    key: 'controlled',
+    label: 'Controlled drug',
+    required: false,
+    aliases: ['controlled', 'controlled drug', 'cd'],
+  },
+];
+
+// Column headers written by `exportInventoryCsv`
+const EXPORT_HEADERS = [
+  'name',
+  'lot_number',
+  'quantity',
+  'expiry_date',
+  'location',
+  'gtin',
+  'controlled',
+];
+
+// Leading characters that make a spreadsheet read a cell as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Accepted spellings of the controlled flag (blank means no)
+const YES = ['yes', 'y', 'true', '1'];
+const NO = ['no', 'n', 'false', '0', ''];
+
+// ── Parse: CSV text → array of rows (arrays of strings) ────────
+// Handles quoted fields, escaped quotes (""), commas and line
+// breaks inside quotes, CRLF line endings and a leading BOM.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Drop fully blank lines (common at the end of spreadsheet exports).
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ''));
+};
+
+// ── Helper: Quote a value only when CSV requires it ────────────
+// Text that would run as a formula gets a leading apostrophe, so a
+// drug named "=HYPERLINK(…)" opens as text. Numbers are left as they
+// are, which keeps negative quantities numeric.
+const escapeCell = (value) => {
+  const raw = value == null ? '' : String(value);
+  const text = typeof value !== 'number' && FORMULA_START.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// ── Helper: Undo escapeCell's apostrophe on an imported cell ───
+const unescapeCell = (text) =>
+  text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+
+// ── Serialize: array of rows → CSV text ────────────────────────
+export const toCsv = (rows) => rows.map((row) => row.map(escapeCell).join(',')).join('\r\n');
+
+// ── Export: Inventory → CSV text, one row per lot ──────────────
+export const exportInventoryCsv = (inventory, locations) =>
+  toCsv([
+    EXPORT_HEADERS,
+    ...inventory.flatMap((drug) =>
+      drug.lots.map((lot) => [
+        drug.name,
+        lot.lotNumber,
+        lot.quantity,
+        toDateInput(lot.expiryDate),
+        getLocationName(locations, lot.locationId),
+        drug.gtin || '',
+        drug.controlled ? 'yes' : 'no',
+      ])
+    ),
+  ]);
+
+// ── Helper: Guess which column holds each field from headers ───
+// Returns `{ [fieldKey]: columnIndex | null }`.
+export const guessColumnMapping = (headers) => {
+  const normalized = headers.map((h) => h.trim().toLowerCase().replace(/[_-]+/g, ' '));
+  return IMPORT_FIELDS.reduce((mapping, field) => {
+    const index = normalized.findIndex((h) => field.aliases.includes(h));
+    mapping[field.key] = index >= 0 ? index : null;
+    return mapping;
+  }, {});
+};
+
+// ── Import: Apply a column mapping and validate every row ──────
+// `rows` excludes the header row. Returns one entry per row with the
+// mapped values and a (possibly empty) errors object. `rowNumber` is
+// the 1-based row in the file, counting the header. A blank location
+// means the main pharmacy; `values.locationId` holds the match.
+// `values.controlled` is read from yes/no and becomes a boolean.
+export const mapCsvRows = (rows, mapping, locations) =>
+  rows.map((row, index) => {
+    const values = IMPORT_FIELDS.reduce((acc, field) => {
+      const column = mapping[field.key];
+      acc[field.key] = column == null ? '' : unescapeCell((row[column] || '').trim());
+      return acc;
+    }, {});
+    const errors = validateDrugFields(values);
+
+    const gtinError = validateGtin(values.gtin);
+    if (gtinError) errors.gtin = gtinError;
+
+    const flag = values.controlled.toLowerCase();
+    if (!YES.includes(flag) && !NO.includes(flag)) {
+      errors.controlled = `Controlled must be yes or no, not "${values.controlled}".`;
+    }
+    values.controlled = YES.includes(flag);
+
+    const location = values.location ? findLocationByName(locations, values.location) : null;
+    if (values.location && !location) {
+      errors.location = `Unknown location "${values.location}". Add it in Settings first.`;
+    }
+    values.locationId = location ? location.id : DEFAULT_LOCATION_ID;
+    return { rowNumber: index + 2, values, errors };
+  });
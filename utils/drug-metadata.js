@@ -0,0 +1,254 @@
+// utils/drug-metadata.js
+// ─────────────────────────────────────────────────────────────
+// What a drug is, beyond its display name: generic name, brand,
+// strength, dosage form, the base unit its stock is counted in and
+// how many of those come in a pack. A drug's `quantity` and every
+// lot quantity are always in base units; packs are only a way of
+// entering or reading them.
+//
+// Records from before these fields existed only have a free-text
+// `name`. `parseDrugName` pulls what it can out of it, so that
+// "Amoxicillin 500mg" and "amoxicillin 500 mg caps" are recognised
+// as the same product.
+// ─────────────────────────────────────────────────────────────
+
+// The structured fields a drug record carries, besides its name
+export const DRUG_METADATA_FIELDS = [
+  'genericName',
+  'brandName',
+  'strength',
+  'dosageForm',
+  'baseUnit',
+  'packSize',
+];
+
+// Dosage forms, in picker order. `unit` is the base unit a new drug
+// of that form is counted in unless another is picked.
+export const DOSAGE_FORMS = {
+  tablet: { label: 'Tablet', unit: 'tablet' },
+  capsule: { label: 'Capsule', unit: 'capsule' },
+  'oral-liquid': { label: 'Oral liquid', unit: 'ml' },
+  injection: { label: 'Injection', unit: 'vial' },
+  inhaler: { label: 'Inhaler', unit: 'inhaler' },
+  cream: { label: 'Cream', unit: 'tube' },
+  ointment: { label: 'Ointment', unit: 'tube' },
+  drops: { label: 'Drops', unit: 'bottle' },
+  patch: { label: 'Patch', unit: 'patch' },
+  suppository: { label: 'Suppository', unit: 'suppository' },
+  other: { label: 'Other', unit: 'unit' },
+};
+
+// Base units stock can be counted in → their plural
+export const BASE_UNITS = {
+  tablet: 'tablets',
+  capsule: 'capsules',
+  ml: 'ml',
+  vial: 'vials',
+  ampoule: 'ampoules',
+  tube: 'tubes',
+  inhaler: 'inhalers',
+  bottle: 'bottles',
+  sachet: 'sachets',
+  patch: 'patches',
+  suppository: 'suppositories',
+  unit: 'units',
+};
+
+export const DEFAULT_BASE_UNIT = 'unit';
+
+// Words in a free-text name that give away the dosage form
+const FORM_WORDS = {
+  tab: 'tablet',
+  tabs: 'tablet',
+  tablet: 'tablet',
+  tablets: 'tablet',
+  cap: 'capsule',
+  caps: 'capsule',
+  capsule: 'capsule',
+  capsules: 'capsule',
+  syrup: 'oral-liquid',
+  suspension: 'oral-liquid',
+  elixir: 'oral-liquid',
+  inj: 'injection',
+  injection: 'injection',
+  inhaler: 'inhaler',
+  cream: 'cream',
+  ointment: 'ointment',
+  oint: 'ointment',
+  drops: 'drops',
+  patch: 'patch',
+  patches: 'patch',
+  supp: 'suppository',
+  supps: 'suppository',
+  suppository: 'suppository',
+  suppositories: 'suppository',
+};
+
+// A strength such as "500mg", "2.5 mg", "250 mg/5 ml", "1%" or "100 IU"
+const STRENGTH_PATTERN =
+  /\d+(?:[.,]\d+)?\s*(?:mg|mcg|µg|g|ml|iu|units?|%)(?:\s*\/\s*\d*(?:[.,]\d+)?\s*(?:ml|g|dose))?/i;
+
+// ── Helper: Tidy a strength ("500MG" → "500 mg") ──────────────
+export const normalizeStrength = (strength) => {
+  const text = String(strength == null ? '' : strength)
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+  if (!text) return null;
+  return text
+    .replace(/(\d)\s*(?=[a-zµ])/g, '$1 ')
+    .replace(/\s*\/\s*/g, '/')
+    .replace(/\biu\b/g, 'IU');
+};
+
+// ── Helper: Guess the structured fields from a free-text name ──
+// Returns `{ genericName, strength, dosageForm }`; a field that
+// cannot be found is null. What is left once the strength and form
+// words are taken out is the generic name.
+export const parseDrugName = (name) => {
+  const text = String(name || '').trim();
+  const strengthMatch = text.match(STRENGTH_PATTERN);
+  let dosageForm = null;
+  const rest = (strengthMatch ? text.replace(strengthMatch[0], ' ') : text)
+    .split(/\s+/)
+    .filter((word) => {
+      const form = FORM_WORDS[word.toLowerCase().replace(/\.$/, '')];
+      if (form && !dosageForm) dosageForm = form;
+      return !form;
+    })
+    .join(' ')
+    .trim();
+  return {
+    genericName: rest || text || null,
+    strength: strengthMatch ? normalizeStrength(strengthMatch[0]) : null,
+    dosageForm,
+  };
+};
+
+// ── Helper: Display name from the structured fields ────────────
+// e.g. "Amoxicillin 500 mg capsule". The brand is shown separately.
+export const formatDrugName = ({ genericName, strength, dosageForm }) => {
+  const form = DOSAGE_FORMS[dosageForm];
+  return [
+    String(genericName || '').trim(),
+    normalizeStrength(strength),
+    form && dosageForm !== 'other' ? form.label.toLowerCase() : null,
+  ]
+    .filter(Boolean)
+    .join(' ');
+};
+
+// ── Helper: Base units per pack (1 when sold loose) ────────────
+export const getPackSize = (drug) =>
+  Number.isInteger(drug.packSize) && drug.packSize > 1 ? drug.packSize : 1;
+
+// ── Helper: The unit a drug's stock is counted in ──────────────
+export const getBaseUnit = (drug) =>
+  BASE_UNITS[drug.baseUnit] ? drug.baseUnit : DEFAULT_BASE_UNIT;
+
+// ── Format: "1 tablet", "30 tablets", "5 ml" ──────────────────
+export const formatUnits = (count, unit = DEFAULT_BASE_UNIT) =>
+  `${count} ${count === 1 ? unit : BASE_UNITS[unit] || unit}`;
+
+// ── Format: A stock level as whole packs + loose units ─────────
+// e.g. "2 packs + 5"; null if the drug has no packs or there is
+// less than one.
+export const formatPacks = (drug, quantity = drug.quantity) => {
+  const packSize = getPackSize(drug);
+  if (packSize === 1 || quantity < packSize) return null;
+  const packs = Math.floor(quantity / packSize);
+  const loose = quantity % packSize;
+  return `${packs} pack${packs !== 1 ? 's' : ''}${loose > 0 ? ` + ${loose}` : ''}`;
+};
+
+// ── Format: A stock level in base units, plus packs if any ─────
+// e.g. "65 tablets (2 packs + 5)". `quantity` defaults to the
+// drug's total stock.
+export const formatStock = (drug, quantity = drug.quantity) => {
+  const units = formatUnits(quantity, getBaseUnit(drug));
+  const packs = formatPacks(drug, quantity);
+  return packs ? `${units} (${packs})` : units;
+};
+
+// ── Format: Brand and pack size, e.g. "Amoxil · packs of 21" ──
+export const formatProductDetails = (drug) =>
+  [
+    drug.brandName,
+    getPackSize(drug) > 1
+      ? `packs of ${formatUnits(getPackSize(drug), getBaseUnit(drug))}`
+      : null,
+  ]
+    .filter(Boolean)
+    .join(' · ');
+
+// ── Convert: Packs or units entered → base units ──────────────
+export const toBaseUnits = (amount, { inPacks = false, packSize = 1 } = {}) =>
+  inPacks ? amount * packSize : amount;
+
+// ── Helper: Lower-cased text a search is matched against ───────
+// Digits and units are run together ("500 mg" → "500mg") on both
+// sides, so either spelling finds the other.
+export const toSearchKey = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .replace(/(\d)\s+(?=[a-zµ%])/g, '$1')
+    .trim();
+
+export const getSearchKey = (drug) =>
+  toSearchKey([drug.name, drug.genericName, drug.brandName].filter(Boolean).join(' '));
+
+// ── Helper: Is this the same product, whatever it was called? ──
+// Generic name and strength must agree; the form only has to if
+// both sides name one. `candidate` may be a bare `{ name }`.
+const toProductKey = (drug) => {
+  const fields = drug.genericName ? drug : parseDrugName(drug.name);
+  return {
+    generic: String(fields.genericName || '').trim().toLowerCase().replace(/\s+/g, ' '),
+    strength: toSearchKey(normalizeStrength(fields.strength)),
+    dosageForm: fields.dosageForm || null,
+  };
+};
+
+export const isSameProduct = (drug, candidate) => {
+  const a = toProductKey(drug);
+  const b = toProductKey(candidate);
+  return (
+    a.generic === b.generic &&
+    a.strength === b.strength &&
+    (!a.dosageForm || !b.dosageForm || a.dosageForm === b.dosageForm)
+  );
+};
+
+// ── Helper: Just the metadata fields of a drug record ──────────
+export const pickDrugMetadata = (drug) =>
+  DRUG_METADATA_FIELDS.reduce((fields, key) => {
+    fields[key] = drug[key];
+    return fields;
+  }, {});
+
+// ── Helper: Structured fields for a new or edited drug ─────────
+// Blank text becomes null; the base unit follows the dosage form
+// unless one is given; pack size defaults to 1.
+export const toDrugMetadata = ({
+  genericName,
+  brandName,
+  strength,
+  dosageForm,
+  baseUnit,
+  packSize,
+}) => {
+  const form = DOSAGE_FORMS[dosageForm] ? dosageForm : null;
+  const size = parseInt(packSize, 10);
+  return {
+    genericName: String(genericName || '').trim() || null,
+    brandName: String(brandName || '').trim() || null,
+    strength: normalizeStrength(strength),
+    dosageForm: form,
+    baseUnit: BASE_UNITS[baseUnit]
+      ? baseUnit
+      : form
+      ? DOSAGE_FORMS[form].unit
+      : DEFAULT_BASE_UNIT,
+    packSize: Number.isInteger(size) && size > 1 ? size : 1,
+  };
+};
@@ -0,0 +1,142 @@
+// utils/encrypted-storage.js
+// ─────────────────────────────────────────────────────────────
+// AsyncStorage with encryption at rest, for anything that holds
+// stock records or patient references. Values are sealed with
+// XChaCha20-Poly1305 under a random 256-bit data key that lives in
+// the platform secure store (Keychain / Keystore) and never in
+// AsyncStorage itself. A stored value looks like:
+//
+//   enc:v1:<hex nonce + ciphertext>
+//
+// The AsyncStorage key is bound in as associated data, so a value
+// cannot be moved to another key. Values written before encryption
+// was added are read as plaintext, once, and encrypted on their next
+// save; the secure store then records the key as migrated, and from
+// then on plaintext under it throws like any other tampering. A
+// value that cannot be decrypted (wrong key, tampered data) throws
+// instead of reading as empty.
+// ─────────────────────────────────────────────────────────────
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+import { getRandomBytes } from 'expo-crypto';
+import { xchacha20poly1305 } from '@noble/ciphers/chacha';
+import { bytesToHex, hexToBytes, utf8ToBytes, bytesToUtf8 } from '@noble/ciphers/utils';
+
+// Where the data key is kept in the secure store
+const DATA_KEY_NAME = 'pharmatrack_data_key';
+
+// The AsyncStorage keys saved encrypted at least once, also kept in
+// the secure store so that plaintext written there cannot undo it
+const MIGRATED_KEYS_NAME = 'pharmatrack_encrypted_keys';
+
+// Marks (and versions) an encrypted value
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+// XChaCha20 nonces are long enough to pick at random
+const NONCE_BYTES = 24;
+
+// ── Helper: Is a stored value encrypted? ───────────────────────
+export const isEncrypted = (stored) =>
+  typeof stored === 'string' && stored.startsWith(ENCRYPTED_PREFIX);
+
+// ── Seal: Plaintext → stored value ─────────────────────────────
+// `storageKey` is bound to the value as associated data.
+export const encryptValue = (plaintext, dataKey, storageKey) => {
+  const nonce = getRandomBytes(NONCE_BYTES);
+  const sealed = xchacha20poly1305(dataKey, nonce, utf8ToBytes(storageKey)).encrypt(
+    utf8ToBytes(plaintext)
+  );
+  return `${ENCRYPTED_PREFIX}${bytesToHex(nonce)}${bytesToHex(sealed)}`;
+};
+
+// ── Open: Stored value → plaintext ─────────────────────────────
+// Throws for anything that is not a value sealed under `storageKey`
+// with `dataKey`, plaintext included (see getEncryptedItem for the
+// one-time migration).
+export const decryptValue = (stored, dataKey, storageKey) => {
+  if (!isEncrypted(stored)) {
+    throw new Error(
+      `Stored data (${storageKey}) is not encrypted. It was changed outside the app.`
+    );
+  }
+  try {
+    const bytes = hexToBytes(stored.slice(ENCRYPTED_PREFIX.length));
+    const nonce = bytes.subarray(0, NONCE_BYTES);
+    const sealed = bytes.subarray(NONCE_BYTES);
+    return bytesToUtf8(
+      xchacha20poly1305(dataKey, nonce, utf8ToBytes(storageKey)).decrypt(sealed)
+    );
+  } catch (error) {
+    throw new Error(
+      `Stored data (${storageKey}) could not be decrypted. The encryption key on this ` +
+        'device does not match the one it was saved with, or the data is damaged.'
+    );
+  }
+};
+
+// ── Key: Read the data key, creating it on first use ───────────
+// Cached for the life of the app. Throws if the platform has no
+// secure store (e.g. web), rather than storing data unencrypted.
+let dataKeyPromise = null;
+
+export const getDataKey = () => {
+  if (!dataKeyPromise) {
+    dataKeyPromise = (async () => {
+      if (!(await SecureStore.isAvailableAsync())) {
+        throw new Error('This device has no secure key store, so data cannot be encrypted.');
+      }
+      const stored = await SecureStore.getItemAsync(DATA_KEY_NAME);
+      if (stored) return hexToBytes(stored);
+      const created = getRandomBytes(32);
+      await SecureStore.setItemAsync(DATA_KEY_NAME, bytesToHex(created));
+      return created;
+    })();
+    // Let a later call try again after a transient failure.
+    dataKeyPromise.catch(() => {
+      dataKeyPromise = null;
+    });
+  }
+  return dataKeyPromise;
+};
+
+// ── Migration: Keys that have been saved encrypted ─────────────
+// Cached for the life of the app, like the data key.
+let migratedKeysPromise = null;
+
+const getMigratedKeys = () => {
+  if (!migratedKeysPromise) {
+    migratedKeysPromise = SecureStore.getItemAsync(MIGRATED_KEYS_NAME).then(
+      (stored) => new Set(stored ? JSON.parse(stored) : [])
+    );
+    migratedKeysPromise.catch(() => {
+      migratedKeysPromise = null;
+    });
+  }
+  return migratedKeysPromise;
+};
+
+const markMigrated = async (storageKey) => {
+  const keys = await getMigratedKeys();
+  if (keys.has(storageKey)) return;
+  keys.add(storageKey);
+  await SecureStore.setItemAsync(MIGRATED_KEYS_NAME, JSON.stringify([...keys]));
+};
+
+// ── Storage: Drop-in getItem / setItem that encrypt ────────────
+// Plaintext reads only until the key's first encrypted save.
+export const getEncryptedItem = async (storageKey) => {
+  const stored = await AsyncStorage.getItem(storageKey);
+  if (stored === null) return null;
+  const dataKey = await getDataKey();
+  if (!isEncrypted(stored) && !(await getMigratedKeys()).has(storageKey)) return stored;
+  return decryptValue(stored, dataKey, storageKey);
+};
+
+export const setEncryptedItem = async (storageKey, plaintext) => {
+  await AsyncStorage.setItem(
+    storageKey,
+    encryptValue(plaintext, await getDataKey(), storageKey)
+  );
+  await markMigrated(storageKey);
+};
@@ -0,0 +1,84 @@
+// utils/expo-notifier.js
+// ─────────────────────────────────────────────────────────────
+// The real notifier, backed by expo-notifications, plus a hook
+// that opens the relevant drug when a notification is tapped.
+// See `notification-schedule.js` for the notifier interface.
+// ─────────────────────────────────────────────────────────────
+
+import { useEffect } from 'react';
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+
+const ANDROID_CHANNEL_ID = 'stock-alerts';
+
+// Show alerts even while the app is in the foreground.
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowAlert: true,
+    shouldPlaySound: false,
+    shouldSetBadge: false,
+  }),
+});
+
+// ── Helper: Ask for permission once; false if refused ──────────
+const ensurePermission = async () => {
+  const current = await Notifications.getPermissionsAsync();
+  if (current.granted) return true;
+  if (!current.canAskAgain) return false;
+  const requested = await Notifications.requestPermissionsAsync();
+  return requested.granted;
+};
+
+// ── Factory: Notifier backed by expo-notifications ─────────────
+export const createExpoNotifier = () => {
+  let ready = null;
+
+  // Permission and the Android channel are set up lazily, once.
+  const prepare = () => {
+    if (!ready) {
+      ready = (async () => {
+        if (Platform.OS === 'android') {
+          await Notifications.setNotificationChannelAsync(ANDROID_CHANNEL_ID, {
+            name: 'Stock alerts',
+            importance: Notifications.AndroidImportance.DEFAULT,
+          });
+        }
+        return ensurePermission();
+      })();
+    }
+    return ready;
+  };
+
+  return {
+    cancelAll: async () => {
+      await Notifications.cancelAllScheduledNotificationsAsync();
+    },
+    schedule: async ({ date, repeatsDaily = false, title, body, data }) => {
+      if (!(await prepare())) return;
+      const trigger = repeatsDaily
+        ? { hour: date.getHours(), minute: date.getMinutes(), repeats: true }
+        : { date };
+      await Notifications.scheduleNotificationAsync({
+        content: { title, body, data },
+        trigger: { ...trigger, channelId: ANDROID_CHANNEL_ID },
+      });
+    },
+  };
+};
+
+// ── Hook: Call `onOpenDrug(drugId)` when a notification is tapped ─
+// Also handles the tap that launched the app from a cold start.
+export const useNotificationTaps = (onOpenDrug) => {
+  useEffect(() => {
+    const handleResponse = (response) => {
+      const drugId = response?.notification?.request?.content?.data?.drugId;
+      onOpenDrug(drugId || null);
+    };
+
+    Notifications.getLastNotificationResponseAsync().then((response) => {
+      if (response) handleResponse(response);
+    });
+    const subscription = Notifications.addNotificationResponseReceivedListener(handleResponse);
+    return () => subscription.remove();
+  }, [onOpenDrug]);
+};
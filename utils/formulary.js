@@ -0,0 +1,174 @@
+// utils/formulary.js
+// ─────────────────────────────────────────────────────────────
+// The local formulary: one master entry per product the clinic
+// stocks, holding what a drug record would otherwise retype —
+// generic name, brand, strength, dosage form, base unit, pack size,
+// the controlled flag, default thresholds and known GTINs. It is
+// seeded from data/formulary.json on first launch and maintained
+// in the app (Settings → Formulary).
+//
+// A drug added from an entry links to it by `formularyId`. Stored
+// records of linked drugs hold only that link: the name, metadata
+// and controlled flag are left out when a drug is written (see
+// toStoredDrug) and filled in from the entry when it is read (see
+// resolveDrug), so editing an entry changes every drug linked to
+// it. The formulary is kept per device and is neither synced nor
+// backed up, so drugs leave the device resolved — sync operations,
+// backups, the recycle bin and the CD register carry the details
+// as they were — and a drug whose entry this device does not have
+// is stored in full.
+// ─────────────────────────────────────────────────────────────
+
+import { isValidGtin, normalizeGtin } from './gs1';
+import {
+  DRUG_METADATA_FIELDS,
+  formatDrugName,
+  pickDrugMetadata,
+  toDrugMetadata,
+  toSearchKey,
+} from './drug-metadata';
+import { parseThreshold, validateName, validatePackSize, validateThreshold } from './validation';
+
+// ── Helper: Unique ID for a new entry ──────────────────────────
+const createEntryId = () =>
+  `formulary_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+// ── Helper: GTINs from a list or comma / space separated text ──
+const splitGtins = (value) =>
+  (Array.isArray(value) ? value : String(value || '').split(/[\s,;]+/))
+    .map((code) => String(code).trim())
+    .filter(Boolean);
+
+// Invalid and repeated codes are dropped; the rest are stored in
+// their 14-digit form, like a drug's own GTIN.
+export const parseGtins = (value) => [
+  ...new Set(splitGtins(value).filter(isValidGtin).map(normalizeGtin)),
+];
+
+// ── Build: An entry from form input or seed data ───────────────
+// Thresholds left blank fall back to the global settings.
+export const toFormularyEntry = (fields, id = createEntryId()) => ({
+  id,
+  ...toDrugMetadata(fields),
+  controlled: fields.controlled === true,
+  reorderLevel: parseThreshold(fields.reorderLevel),
+  expiryWarningDays: parseThreshold(fields.expiryWarningDays),
+  gtins: parseGtins(fields.gtins),
+  updatedAt: new Date().toISOString(),
+});
+
+// ── Seed: Entries from the bundled JSON file ───────────────────
+// Seed ids are fixed so a drug linked on one device still points
+// at the same entry after a reinstall.
+export const seedFormulary = (seed) =>
+  (seed && Array.isArray(seed.entries) ? seed.entries : []).map((entry) =>
+    toFormularyEntry(entry, entry.id)
+  );
+
+// ── Validate: An entry being added or edited ───────────────────
+// Returns an errors object keyed by field; empty when valid.
+export const validateFormularyEntry = ({
+  genericName,
+  packSize,
+  reorderLevel,
+  expiryWarningDays,
+  gtins,
+}) => {
+  const errors = {};
+  const nameError = validateName(genericName);
+  if (nameError) errors.genericName = nameError;
+  const packSizeError = validatePackSize(packSize);
+  if (packSizeError) errors.packSize = packSizeError;
+  const reorderError = validateThreshold(reorderLevel);
+  if (reorderError) errors.reorderLevel = reorderError;
+  const warningError = validateThreshold(expiryWarningDays);
+  if (warningError) errors.expiryWarningDays = warningError;
+  if (splitGtins(gtins).some((code) => !isValidGtin(code))) {
+    errors.gtins = 'Each GTIN must be a valid 8–14 digit code.';
+  }
+  return errors;
+};
+
+// ── Helper: Display name of an entry ───────────────────────────
+export const getEntryName = (entry) => formatDrugName(entry);
+
+// ── Helper: The entry a scanned GTIN belongs to, if any ────────
+export const findEntryByGtin = (formulary, gtin) => {
+  const code = isValidGtin(String(gtin || '')) ? normalizeGtin(gtin) : null;
+  return code ? formulary.find((entry) => entry.gtins.includes(code)) || null : null;
+};
+
+// ── Search: Entries for the name autocomplete ──────────────────
+// Matches the generic name, brand or a GTIN; names that start with
+// the query come before those that only contain it.
+export const searchFormulary = (formulary, query, limit = 6) => {
+  const q = toSearchKey(query);
+  if (!q) return [];
+  const byGtin = findEntryByGtin(formulary, q);
+  const ranked = formulary
+    .map((entry) => {
+      const names = [getEntryName(entry), entry.brandName].filter(Boolean).map(toSearchKey);
+      if (names.some((name) => name.startsWith(q))) return { entry, rank: 0 };
+      if (names.some((name) => name.includes(q)) || entry === byGtin) {
+        return { entry, rank: 1 };
+      }
+      return null;
+    })
+    .filter(Boolean);
+  return ranked
+    .sort((a, b) => a.rank - b.rank || getEntryName(a.entry).localeCompare(getEntryName(b.entry)))
+    .slice(0, limit)
+    .map(({ entry }) => entry);
+};
+
+// ── Helper: Look up an entry by id ─────────────────────────────
+export const findEntry = (formulary, id) =>
+  id ? formulary.find((entry) => entry.id === id) || null : null;
+
+// Fields a linked drug takes from its entry instead of storing
+const LINKED_FIELDS = ['name', ...DRUG_METADATA_FIELDS, 'controlled'];
+
+// ── Helper: The fields a linked drug takes from its entry ──────
+export const toLinkedFields = (entry) => ({
+  formularyId: entry.id,
+  name: getEntryName(entry),
+  ...pickDrugMetadata(entry),
+  controlled: entry.controlled,
+});
+
+// ── Helper: Does a linked drug show other details than its entry? ─
+export const isOutOfDate = (drug, entry) => {
+  const linked = toLinkedFields(entry);
+  return Object.keys(linked).some((key) => drug[key] !== linked[key]);
+};
+
+// ── Read: A drug with its entry's fields filled in ─────────────
+// The very same object comes back when there is nothing to fill in,
+// so unchanged drugs are not written again.
+export const resolveDrug = (drug, formulary) => {
+  const entry = findEntry(formulary, drug.formularyId);
+  return entry && isOutOfDate(drug, entry) ? { ...drug, ...toLinkedFields(entry) } : drug;
+};
+
+// ── Read: Stored records → drugs, setting aside the unreadable ──
+// A record stored without its details whose entry is gone cannot be
+// shown; it is returned in `unresolved`, for the caller to quarantine.
+export const resolveDrugs = (records, formulary) => {
+  const drugs = [];
+  const unresolved = [];
+  records.forEach((record) => {
+    const drug = resolveDrug(record, formulary);
+    if (typeof drug.name === 'string') drugs.push(drug);
+    else unresolved.push(record);
+  });
+  return { drugs, unresolved };
+};
+
+// ── Write: A drug as stored — linked fields left out ───────────
+// Only when the entry is on this device to fill them back in.
+export const toStoredDrug = (drug, formulary) => {
+  if (!findEntry(formulary, drug.formularyId)) return drug;
+  const record = { ...drug };
+  LINKED_FIELDS.forEach((key) => delete record[key]);
+  return record;
+};
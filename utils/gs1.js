@@ -0,0 +1,148 @@
+// utils/gs1.js
+// ─────────────────────────────────────────────────────────────
+// Parser for GS1 element strings as printed in the DataMatrix on
+// pharmaceutical packs: GTIN (01), expiry (17), lot (10), serial
+// (21) and a few other common Application Identifiers (AIs).
+// Accepts raw scanner output (with a ]d2 / ]C1 / ]Q3 symbology
+// prefix and FNC1 sent as the GS character) as well as the
+// bracketed human-readable form "(01)…(17)…(10)…".
+// ─────────────────────────────────────────────────────────────
+
+// Group Separator — how scanners transmit FNC1 between fields
+const GS = '\u001D';
+
+// Known AIs: fixed-length ones give `length`, variable ones `max`.
+const AI_TABLE = {
+  '00': { key: 'sscc', length: 18 },
+  '01': { key: 'gtin', length: 14 },
+  '02': { key: 'contentGtin', length: 14 },
+  '10': { key: 'lotNumber', max: 20 },
+  '11': { key: 'productionDate', length: 6, date: true },
+  '15': { key: 'bestBefore', length: 6, date: true },
+  '17': { key: 'expiryDate', length: 6, date: true },
+  '21': { key: 'serial', max: 20 },
+  '30': { key: 'count', max: 8 },
+  '240': { key: 'additionalId', max: 30 },
+  '710': { key: 'nhrnGermany', max: 20 },
+  '711': { key: 'nhrnFrance', max: 20 },
+  '712': { key: 'nhrnSpain', max: 20 },
+  '713': { key: 'nhrnBrazil', max: 20 },
+  '714': { key: 'nhrnPortugal', max: 20 },
+};
+
+// ── Helper: Which AI starts at this position? ──────────────────
+// AIs are prefix-free, so trying 2-, 3- then 4-digit keys is safe.
+const matchAi = (text, index) => {
+  for (let size = 2; size <= 4; size += 1) {
+    const ai = text.substr(index, size);
+    if (AI_TABLE[ai]) return ai;
+  }
+  return null;
+};
+
+// ── Helper: GS1 mod-10 check digit is valid ────────────────────
+export const isValidGtin = (gtin) => {
+  if (!/^\d{8}$|^\d{12,14}$/.test(gtin)) return false;
+  const digits = gtin.padStart(14, '0').split('').map(Number);
+  const check = digits.pop();
+  const sum = digits.reduce((acc, digit, i) => acc + digit * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+};
+
+// ── Helper: Any GTIN-8/12/13 → the 14-digit form used in AI (01) ─
+// Stored GTINs are always 14 digits so typed and scanned codes match.
+export const normalizeGtin = (gtin) => {
+  const text = String(gtin == null ? '' : gtin).trim();
+  return text ? text.padStart(14, '0') : null;
+};
+
+// ── Helper: YYMMDD → YYYY-MM-DD ────────────────────────────────
+// Century follows the GS1 General Specifications (7.12): a year
+// more than 50 years ahead of now belongs to the last century, more
+// than 49 years behind to the next one. Day "00" means the last day
+// of the month.
+export const parseGs1Date = (yymmdd, now = new Date()) => {
+  if (!/^\d{6}$/.test(yymmdd)) return null;
+  const yy = parseInt(yymmdd.slice(0, 2), 10);
+  const month = parseInt(yymmdd.slice(2, 4), 10);
+  let day = parseInt(yymmdd.slice(4, 6), 10);
+  if (month < 1 || month > 12) return null;
+
+  const currentYear = now.getFullYear();
+  const century = Math.floor(currentYear / 100) * 100;
+  let year = century + yy;
+  const diff = yy - (currentYear % 100);
+  if (diff >= 51) year -= 100;
+  else if (diff <= -50) year += 100;
+
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  if (day === 0) day = daysInMonth;
+  if (day > daysInMonth) return null;
+
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// ── Helper: "(01)123(10)ABC" → "01123" + GS + "10ABC" ──────────
+const fromBracketed = (text) =>
+  text
+    .split('(')
+    .filter(Boolean)
+    .map((part) => part.replace(')', ''))
+    .join(GS);
+
+// ── Parse: Element string → { gtin, expiryDate, lotNumber, … } ─
+// Throws an Error describing the first problem found.
+export const parseGs1 = (raw, now = new Date()) => {
+  let text = String(raw || '').trim();
+  if (!text) throw new Error('Nothing was scanned.');
+
+  // Symbology identifiers added by the scanner (]d2 DataMatrix, ]C1
+  // GS1-128, ]Q3 GS1 QR, ]e0 DataBar) are not part of the data.
+  text = text.replace(/^\][A-Za-z]\d/, '');
+  if (text.startsWith('(')) text = fromBracketed(text);
+  // Some scanners also send the leading FNC1 as a GS character.
+  text = text.replace(new RegExp(`^${GS}+`), '');
+
+  const result = { elements: {} };
+  let index = 0;
+  while (index < text.length) {
+    if (text[index] === GS) {
+      index += 1;
+      continue;
+    }
+    const ai = matchAi(text, index);
+    if (!ai) {
+      throw new Error(`Unknown GS1 Application Identifier at "${text.slice(index, index + 4)}".`);
+    }
+    const spec = AI_TABLE[ai];
+    index += ai.length;
+
+    let value;
+    if (spec.length) {
+      value = text.substr(index, spec.length);
+      if (value.length !== spec.length) throw new Error(`AI (${ai}) is too short.`);
+      index += spec.length;
+    } else {
+      const end = text.indexOf(GS, index);
+      value = end === -1 ? text.slice(index) : text.slice(index, end);
+      if (value.length === 0 || value.length > spec.max) {
+        throw new Error(`AI (${ai}) has an invalid length.`);
+      }
+      index += value.length;
+    }
+
+    result.elements[ai] = value;
+    if (spec.date) {
+      const date = parseGs1Date(value, now);
+      if (!date) throw new Error(`AI (${ai}) is not a valid YYMMDD date: ${value}.`);
+      result[spec.key] = date;
+    } else {
+      result[spec.key] = value;
+    }
+  }
+
+  if (result.gtin && !isValidGtin(result.gtin)) {
+    throw new Error(`GTIN ${result.gtin} has an invalid check digit.`);
+  }
+  return result;
+};
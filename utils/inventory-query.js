@@ -0,0 +1,92 @@
+// utils/inventory-query.js
+// ─────────────────────────────────────────────────────────────
+// Search, status filters and sort orders for the dashboard list.
+// Pure functions over the inventory so the list, the chip counts
+// and the header badges all agree on what each status means.
+// ─────────────────────────────────────────────────────────────
+
+import { getDrugStatus, isExpired } from './stock-status';
+import { getSearchKey, toSearchKey } from './drug-metadata';
+
+// Sort orders offered on the dashboard, in menu order
+export const SORT_OPTIONS = {
+  expiry: 'Soonest expiry',
+  stock: 'Lowest stock',
+  name: 'Name (A–Z)',
+  recent: 'Recently added',
+};
+
+// Status filter chips, in display order. `matches` decides whether
+// a drug belongs under the chip.
+export const STATUS_FILTERS = {
+  expired: {
+    label: 'Expired',
+    color: '#E53E3E',
+    matches: (drug, status, now) => isExpired(drug, now),
+  },
+  expiring: {
+    label: 'Expiring soon',
+    color: '#DD6B20',
+    matches: (drug, status, now) => status.expiryStatus === 'warning' && !isExpired(drug, now),
+  },
+  'low-stock': {
+    label: 'Low stock',
+    color: '#DD6B20',
+    matches: (drug, status) => status.isLowStock,
+  },
+  'out-of-stock': {
+    label: 'Out of stock',
+    color: '#718096',
+    matches: (drug, status) => status.isOutOfStock,
+  },
+};
+
+// ── Helper: Does a drug fall under a given filter chip? ────────
+export const matchesFilter = (drug, filterKey, settings, now = new Date()) => {
+  const filter = STATUS_FILTERS[filterKey];
+  return !!filter && filter.matches(drug, getDrugStatus(drug, settings, now), now);
+};
+
+// ── Helper: Live count of drugs under every filter chip ────────
+export const countByFilter = (inventory, settings, now = new Date()) =>
+  Object.keys(STATUS_FILTERS).reduce((counts, key) => {
+    counts[key] = inventory.filter((drug) => matchesFilter(drug, key, settings, now)).length;
+    return counts;
+  }, {});
+
+// ── Helper: Comparators for each sort order ────────────────────
+// Ties fall back to the name so the order is stable between renders.
+// Drugs with no expiry (no lot in stock) sort last, as in the store.
+const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+
+const COMPARATORS = {
+  expiry: (a, b) =>
+    !a.expiryDate - !b.expiryDate ||
+    new Date(a.expiryDate || 0) - new Date(b.expiryDate || 0) ||
+    byName(a, b),
+  stock: (a, b) => a.quantity - b.quantity || byName(a, b),
+  name: byName,
+  recent: (a, b) => new Date(b.addedAt) - new Date(a.addedAt) || byName(a, b),
+};
+
+// ── Sort: A new array in the chosen order ──────────────────────
+export const sortInventory = (inventory, sortKey) =>
+  [...inventory].sort(COMPARATORS[sortKey] || COMPARATORS.recent);
+
+// ── Query: Search + filters + sort in one pass ─────────────────
+// Several selected filters widen the list (a drug matching any of
+// them is shown); no filters means everything.
+export const queryInventory = (
+  inventory,
+  { search = '', filters = [], sort = 'recent' },
+  settings,
+  now = new Date()
+) => {
+  const q = toSearchKey(search);
+  const matching = inventory.filter(
+    (drug) =>
+      (!q || getSearchKey(drug).includes(q)) &&
+      (filters.length === 0 || filters.some((key) => matchesFilter(drug, key, settings, now)))
+  );
+  return sortInventory(matching, sort);
+};
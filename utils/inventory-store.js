@@ -0,0 +1,119 @@
+// utils/inventory-store.js
+// ─────────────────────────────────────────────────────────────
+// The storage interface behind InventoryProvider, shared by the
+// SQLite store (sqlite-store.js) and the in-memory one used in
+// tests (memory-store.js). A store holds drug records and ledger
+// movements as rows and answers the dashboard's questions — search,
+// status filters, sort order, status counts — from indexed columns:
+//
+//   init()                              → create tables / indexes
+//   getMeta(key) / setMeta(key, value)  → small string settings
+//   loadDrugs()      → { records, version }  (records unmigrated)
+//   loadMovements()  → movements in the order they were appended
+//   writeChanges({ drugs, movements, version, toRecord })
+//                    → applies `{ upserts, deletes }` for each, and
+//                      stamps the schema version, in one transaction.
+//                      Drugs are indexed as given and stored as
+//                      `toRecord(drug)` (as given, if not passed)
+//   queryDrugIds({ search, filters, sort }, thresholds, now) → ids
+//   countByStatus(thresholds, now) → { [filter key]: count }
+//
+// `thresholds` is `{ lowStockThreshold, expiryWarningDays }` from
+// settings. Each status below is written twice — as SQL and as a
+// predicate over a row — and both must agree with STATUS_FILTERS in
+// inventory-query.js.
+// ─────────────────────────────────────────────────────────────
+
+import { getSearchKey } from './drug-metadata';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ── Helper: The indexed columns for a drug record ─────────────
+// `expiryMs` follows the earliest lot that still has stock; search
+// runs over `searchKey` (name, generic and brand), sorting by `nameKey`.
+export const toDrugRow = (drug) => ({
+  id: drug.id,
+  nameKey: drug.name.trim().toLowerCase(),
+  searchKey: getSearchKey(drug),
+  expiryMs: drug.expiryDate ? new Date(drug.expiryDate).getTime() : null,
+  quantity: drug.quantity,
+  reorderLevel: drug.reorderLevel != null ? drug.reorderLevel : null,
+  warningDays: drug.expiryWarningDays != null ? drug.expiryWarningDays : null,
+  addedMs: drug.addedAt ? new Date(drug.addedAt).getTime() : 0,
+});
+
+// ── Diff: What to write to go from `saved` to `next` ───────────
+// `saved` maps id → the record last written. Records are replaced,
+// never mutated, so an unchanged one is the very same object.
+export const diffRecords = (saved, next) => {
+  const nextIds = new Set(next.map((record) => record.id));
+  return {
+    upserts: next.filter((record) => saved.get(record.id) !== record),
+    deletes: [...saved.keys()].filter((id) => !nextIds.has(id)),
+  };
+};
+
+// ── Helper: Record the records just written ────────────────────
+export const toSavedMap = (records) => new Map(records.map((record) => [record.id, record]));
+
+// ── Statuses: SQL conditions and row predicates ────────────────
+// SQL parameters: $now, $lowStock, $warningDays. An expiry counts
+// as "soon" while it is fewer than (warning days + 1) whole days
+// away, matching getExpiryStatus's whole-day comparison.
+export const STATUS_QUERIES = {
+  expired: {
+    sql: 'expiry_ms IS NOT NULL AND expiry_ms < $now',
+    matches: (row, { now }) => row.expiryMs != null && row.expiryMs < now,
+  },
+  expiring: {
+    sql:
+      'expiry_ms IS NOT NULL AND expiry_ms >= $now AND ' +
+      `expiry_ms - $now < (COALESCE(warning_days, $warningDays) + 1) * ${DAY_MS}`,
+    matches: (row, { now, warningDays }) =>
+      row.expiryMs != null &&
+      row.expiryMs >= now &&
+      row.expiryMs - now < ((row.warningDays != null ? row.warningDays : warningDays) + 1) * DAY_MS,
+  },
+  'low-stock': {
+    sql: 'quantity < COALESCE(reorder_level, $lowStock)',
+    matches: (row, { lowStock }) =>
+      row.quantity < (row.reorderLevel != null ? row.reorderLevel : lowStock),
+  },
+  'out-of-stock': {
+    sql: 'quantity = 0',
+    matches: (row) => row.quantity === 0,
+  },
+};
+
+// ── Sort orders: SQL ORDER BY and row comparators ──────────────
+// Ties fall back to the name; drugs with no expiry sort last.
+const byNameKey = (a, b) => (a.nameKey < b.nameKey ? -1 : a.nameKey > b.nameKey ? 1 : 0);
+
+export const SORT_QUERIES = {
+  expiry: {
+    sql: 'expiry_ms IS NULL, expiry_ms, name_key',
+    compare: (a, b) =>
+      (a.expiryMs == null) - (b.expiryMs == null) ||
+      (a.expiryMs || 0) - (b.expiryMs || 0) ||
+      byNameKey(a, b),
+  },
+  stock: {
+    sql: 'quantity, name_key',
+    compare: (a, b) => a.quantity - b.quantity || byNameKey(a, b),
+  },
+  name: {
+    sql: 'name_key',
+    compare: byNameKey,
+  },
+  recent: {
+    sql: 'added_ms DESC, name_key',
+    compare: (a, b) => b.addedMs - a.addedMs || byNameKey(a, b),
+  },
+};
+
+// ── Helper: Query parameters from settings and the clock ───────
+export const toQueryParams = (thresholds, now = new Date()) => ({
+  now: now.getTime(),
+  lowStock: thresholds.lowStockThreshold,
+  warningDays: thresholds.expiryWarningDays,
+});
@@ -0,0 +1,155 @@
+// utils/ledger.js
+// ─────────────────────────────────────────────────────────────
+// The stock movement ledger. Every change to a drug's stock is
+// recorded as an append-only movement, so the current quantity
+// of any drug (or lot) can be rebuilt from the ledger alone.
+// ─────────────────────────────────────────────────────────────
+
+import { DRUG_METADATA_FIELDS } from './drug-metadata';
+
+export const MOVEMENT_TYPES = {
+  receive: { label: 'Received', color: '#38A169' },
+  dispense: { label: 'Dispensed', color: '#319795' },
+  adjust: { label: 'Adjusted', color: '#805AD5' },
+  delete: { label: 'Deleted', color: '#E53E3E' },
+  'write-off': { label: 'Written Off', color: '#DD6B20' },
+  edit: { label: 'Edited', color: '#3182CE' },
+  transfer: { label: 'Transferred', color: '#D69E2E' },
+  'undo-dispense': { label: 'Dispense Undone', color: '#718096' },
+  restore: { label: 'Restored', color: '#2F855A' },
+};
+
+// Human labels for the fields an `edit` movement can record
+export const EDITABLE_FIELDS = {
+  name: 'Name',
+  genericName: 'Generic name',
+  brandName: 'Brand',
+  strength: 'Strength',
+  dosageForm: 'Dosage form',
+  baseUnit: 'Base unit',
+  packSize: 'Pack size',
+  gtin: 'GTIN',
+  controlled: 'Controlled drug',
+  lotNumber: 'Lot number',
+  expiryDate: 'Expiry',
+  reorderLevel: 'Reorder level',
+  expiryWarningDays: 'Warning window (days)',
+};
+
+// Why stock left the shelf on a dispense movement
+export const DISPENSE_REASONS = {
+  patient: 'Patient dispense',
+  'ward-transfer': 'Ward transfer',
+  sample: 'Sample',
+};
+
+// ── Helper: Unique ID for a new movement ───────────────────────
+const createMovementId = () =>
+  `mov_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+// ── Helper: Build movements from a before/after drug snapshot ──
+// Compares the lots of the two snapshots and emits one movement per
+// lot whose quantity changed. `after` is null when the drug is being
+// removed. `balance` is the drug's total stock after each movement;
+// `locationId` is where the lot is kept.
+// `details` holds an optional `note` plus any extra fields to stamp on
+// each movement (e.g. a dispense `reason` and `recipient`).
+export const movementsForChange = (type, before, after, details = {}) => {
+  const { note = '', ...extra } = details;
+  const drug = after || before;
+  const beforeLots = before ? before.lots : [];
+  const afterLots = after ? after.lots : [];
+  const timestamp = new Date().toISOString();
+
+  let balance = beforeLots.reduce((sum, lot) => sum + lot.quantity, 0);
+  const lotIds = [...new Set([...afterLots, ...beforeLots].map((lot) => lot.id))];
+
+  return lotIds.reduce((movements, lotId) => {
+    const prevLot = beforeLots.find((lot) => lot.id === lotId);
+    const nextLot = afterLots.find((lot) => lot.id === lotId);
+    const delta = (nextLot ? nextLot.quantity : 0) - (prevLot ? prevLot.quantity : 0);
+    // A removed drug always gets a delete entry, even if it was empty.
+    if (delta === 0 && !(type === 'delete' && prevLot)) return movements;
+
+    balance += delta;
+    const lot = nextLot || prevLot;
+    movements.push({
+      id: createMovementId(),
+      type,
+      drugId: drug.id,
+      drugName: drug.name,
+      lotId,
+      lotNumber: lot.lotNumber,
+      locationId: lot.locationId || null,
+      delta,
+      balance,
+      note: note.trim(),
+      ...extra,
+      timestamp,
+    });
+    return movements;
+  }, []);
+};
+
+// ── Helper: List the non-stock fields that differ ─────────────
+// Quantity changes are recorded as `adjust` movements instead, so
+// only descriptive fields (name, thresholds, lot details) land here.
+export const diffDrugFields = (before, after) => {
+  const changes = [];
+  [
+    'name',
+    ...DRUG_METADATA_FIELDS,
+    'gtin',
+    'controlled',
+    'reorderLevel',
+    'expiryWarningDays',
+  ].forEach((field) => {
+    if (before[field] !== after[field]) {
+      changes.push({ field, from: before[field], to: after[field] });
+    }
+  });
+  after.lots.forEach((lot) => {
+    const prevLot = before.lots.find((l) => l.id === lot.id);
+    if (!prevLot) return;
+    ['lotNumber', 'expiryDate'].forEach((field) => {
+      if (prevLot[field] !== lot[field]) {
+        changes.push({ field, lotId: lot.id, from: prevLot[field], to: lot[field] });
+      }
+    });
+  });
+  return changes;
+};
+
+// ── Helper: A zero-delta movement recording edited fields ──────
+export const createEditMovement = (drug, changes, note = '') => ({
+  id: createMovementId(),
+  type: 'edit',
+  drugId: drug.id,
+  drugName: drug.name,
+  lotId: null,
+  lotNumber: '',
+  delta: 0,
+  balance: drug.quantity,
+  note: note.trim(),
+  changes,
+  timestamp: new Date().toISOString(),
+});
+
+// ── Helper: Rebuild stock levels from the ledger ───────────────
+// Returns `{ [drugId]: { total, lots: { [lotId]: quantity } } }`.
+export const deriveBalances = (ledger) =>
+  ledger.reduce((balances, movement) => {
+    const entry = balances[movement.drugId] || { total: 0, lots: {} };
+    entry.total += movement.delta;
+    if (!movement.lotId) {
+      balances[movement.drugId] = entry;
+      return balances;
+    }
+    entry.lots[movement.lotId] = (entry.lots[movement.lotId] || 0) + movement.delta;
+    balances[movement.drugId] = entry;
+    return balances;
+  }, {});
+
+// ── Helper: One drug's movements, newest first ─────────────────
+export const getDrugHistory = (ledger, drugId) =>
+  ledger.filter((movement) => movement.drugId === drugId).reverse();
@@ -0,0 +1,91 @@
+// utils/locations.js
+// ─────────────────────────────────────────────────────────────
+// Storage locations (main pharmacy, fridge, ward cupboards…).
+// Every lot sits in exactly one location via `lot.locationId`;
+// a drug's stock at a location is the sum of its lots there.
+// The list of locations lives in settings as `[{ id, name }]`.
+// ─────────────────────────────────────────────────────────────
+
+import { withDerivedTotals, createLotId, sortLotsByExpiry } from './lots';
+
+// Stock recorded before locations existed is placed here
+export const DEFAULT_LOCATION_ID = 'main';
+
+export const DEFAULT_LOCATIONS = [{ id: DEFAULT_LOCATION_ID, name: 'Main Pharmacy' }];
+
+// ── Helper: Unique ID for a new location ───────────────────────
+export const createLocationId = () =>
+  `loc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+// ── Helper: Display name for a location id ─────────────────────
+export const getLocationName = (locations, locationId) => {
+  const location = locations.find((l) => l.id === locationId);
+  return location ? location.name : 'Unknown location';
+};
+
+// ── Helper: Location whose name matches (case-insensitive) ─────
+export const findLocationByName = (locations, name) => {
+  const wanted = String(name || '').trim().toLowerCase();
+  return locations.find((l) => l.name.trim().toLowerCase() === wanted) || null;
+};
+
+// ── View: A drug as seen from one location ─────────────────────
+// Only the lots held there, with `quantity` / `expiryDate` worked
+// out from them. `locationId` null means every location combined.
+export const scopeDrugToLocation = (drug, locationId) =>
+  locationId == null
+    ? drug
+    : withDerivedTotals({
+        ...drug,
+        lots: drug.lots.filter((lot) => lot.locationId === locationId),
+      });
+
+// ── View: The inventory as seen from one location ──────────────
+// Drugs that have never had a lot there are left out.
+export const scopeInventoryToLocation = (inventory, locationId) =>
+  locationId == null
+    ? inventory
+    : inventory
+        .filter((drug) => drug.lots.some((lot) => lot.locationId === locationId))
+        .map((drug) => scopeDrugToLocation(drug, locationId));
+
+// ── Helper: Stock of a drug per location, `{ [locationId]: n }` ─
+export const getQuantityByLocation = (drug) =>
+  drug.lots.reduce((totals, lot) => {
+    totals[lot.locationId] = (totals[lot.locationId] || 0) + lot.quantity;
+    return totals;
+  }, {});
+
+// ── Transfer: Move `quantity` of one lot to another location ───
+// The units land on the destination's lot of the same batch (same
+// lot number and expiry) if there is one, otherwise on a new lot
+// with the same details. Throws if the move is not possible.
+export const transferLot = (drug, { lotId, toLocationId, quantity }) => {
+  const source = drug.lots.find((lot) => lot.id === lotId);
+  if (!source) throw new Error('That lot no longer exists.');
+  if (source.locationId === toLocationId) {
+    throw new Error('Choose a different location to move the stock to.');
+  }
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new Error('Enter a quantity of 1 or more.');
+  }
+  if (quantity > source.quantity) {
+    throw new Error(`Only ${source.quantity} unit(s) of this lot are at its location.`);
+  }
+
+  const target = drug.lots.find(
+    (lot) =>
+      lot.locationId === toLocationId &&
+      lot.lotNumber === source.lotNumber &&
+      lot.expiryDate === source.expiryDate
+  );
+  const lots = drug.lots.map((lot) => {
+    if (lot.id === source.id) return { ...lot, quantity: lot.quantity - quantity };
+    if (target && lot.id === target.id) return { ...lot, quantity: lot.quantity + quantity };
+    return lot;
+  });
+  if (!target) {
+    lots.push({ ...source, id: createLotId(), quantity, locationId: toLocationId });
+  }
+  return withDerivedTotals({ ...drug, lots: sortLotsByExpiry(lots) });
+};
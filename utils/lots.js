@@ -0,0 +1,87 @@
+// utils/lots.js
+// ─────────────────────────────────────────────────────────────
+// Pure helpers for drugs that hold several lots (batches).
+// Each lot carries its own lot number, quantity and expiry;
+// dispensing always draws from the soonest-expiring lot first
+// (FEFO — First Expiry, First Out).
+// ─────────────────────────────────────────────────────────────
+
+// ── Helper: Unique ID for a new lot ────────────────────────────
+export const createLotId = () =>
+  `lot_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+// ── Helper: Lots ordered soonest-expiry first ──────────────────
+export const sortLotsByExpiry = (lots = []) =>
+  [...lots].sort((a, b) => new Date(a.expiryDate) - new Date(b.expiryDate));
+
+// ── Helper: Total stock across every lot ───────────────────────
+export const getTotalQuantity = (lots = []) =>
+  lots.reduce((sum, lot) => sum + (lot.quantity || 0), 0);
+
+// ── Helper: The lot that drives the drug's expiry status ───────
+// The earliest lot that still has stock. When everything is used
+// up we fall back to the latest lot so an empty shelf is not
+// flagged as "expired" because of an old, already-emptied batch.
+export const getActiveLot = (lots = []) => {
+  if (lots.length === 0) return null;
+  const sorted = sortLotsByExpiry(lots);
+  return sorted.find((lot) => lot.quantity > 0) || sorted[sorted.length - 1];
+};
+
+// ── Helper: Recompute the cached totals on a drug record ───────
+// `quantity` and `expiryDate` are kept on the record so list
+// screens and derived counts never have to walk the lots.
+export const withDerivedTotals = (drug) => {
+  const lots = sortLotsByExpiry(drug.lots);
+  const activeLot = getActiveLot(lots);
+  return {
+    ...drug,
+    lots,
+    quantity: getTotalQuantity(lots),
+    expiryDate: activeLot ? activeLot.expiryDate : null,
+  };
+};
+
+// ── Helper: Build a new lot from form input ────────────────────
+// `locationId` is where the stock is put away (see locations.js).
+export const createLot = ({ lotNumber, quantity, expiryDate, locationId }) => ({
+  id: createLotId(),
+  lotNumber: (lotNumber || '').trim(),
+  quantity: parseInt(quantity, 10),
+  expiryDate: new Date(expiryDate).toISOString(),
+  locationId,
+  receivedAt: new Date().toISOString(),
+});
+
+// ── Helper: Add a lot, topping up an existing one if it matches ─
+// A delivery with the same lot number and expiry as a lot already
+// on the same shelf is the same batch, so it is merged rather than split.
+export const addLotToDrug = (drug, lot) => {
+  const existing = drug.lots.find(
+    (l) =>
+      lot.lotNumber &&
+      l.lotNumber === lot.lotNumber &&
+      l.expiryDate === lot.expiryDate &&
+      l.locationId === lot.locationId
+  );
+  const lots = existing
+    ? drug.lots.map((l) =>
+        l.id === existing.id ? { ...l, quantity: l.quantity + lot.quantity } : l
+      )
+    : [...drug.lots, lot];
+  return withDerivedTotals({ ...drug, lots });
+};
+
+// ── Helper: Take stock FEFO, returning the updated lots ────────
+// Never goes below zero: asking for more than is available simply
+// empties every lot.
+export const dispenseFromLots = (lots, amount) => {
+  let remaining = amount;
+  const updated = sortLotsByExpiry(lots).map((lot) => {
+    if (remaining <= 0 || lot.quantity <= 0) return lot;
+    const taken = Math.min(lot.quantity, remaining);
+    remaining -= taken;
+    return { ...lot, quantity: lot.quantity - taken };
+  });
+  return updated;
+};
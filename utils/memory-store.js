@@ -0,0 +1,84 @@
+// utils/memory-store.js
+// ─────────────────────────────────────────────────────────────
+// An inventory store (see inventory-store.js) that keeps its rows
+// in plain objects. Nothing survives a restart, so it is for tests
+// and previews: pass `store={createMemoryStore()}` to
+// InventoryProvider, optionally seeded with `{ drugs, movements }`.
+// Queries use the row predicates, so they answer exactly as the
+// SQLite store does.
+// ─────────────────────────────────────────────────────────────
+
+import { SCHEMA_VERSION } from './schema-migrations';
+import { toDrugRow, STATUS_QUERIES, SORT_QUERIES, toQueryParams } from './inventory-store';
+import { toSearchKey } from './drug-metadata';
+
+// ── Factory ────────────────────────────────────────────────────
+export const createMemoryStore = ({ drugs = [], movements = [] } = {}) => {
+  const meta = new Map([['schemaVersion', String(SCHEMA_VERSION)]]);
+  // id → { row, record }, in insertion order
+  const drugRows = new Map(drugs.map((drug) => [drug.id, { row: toDrugRow(drug), record: drug }]));
+  const movementRows = new Map(movements.map((movement) => [movement.id, movement]));
+
+  const rows = () => [...drugRows.values()].map((entry) => entry.row);
+
+  return {
+    init: async () => {},
+
+    getMeta: async (key) => (meta.has(key) ? meta.get(key) : null),
+
+    setMeta: async (key, value) => {
+      meta.set(key, String(value));
+    },
+
+    loadDrugs: async () => ({
+      records: [...drugRows.values()].map((entry) => entry.record),
+      version: parseInt(meta.get('schemaVersion'), 10),
+    }),
+
+    loadMovements: async () => [...movementRows.values()],
+
+    writeChanges: async ({
+      drugs: drugChanges,
+      movements: movementChanges,
+      version,
+      toRecord = (drug) => drug,
+    }) => {
+      if (drugChanges) {
+        drugChanges.deletes.forEach((id) => drugRows.delete(id));
+        drugChanges.upserts.forEach((drug) =>
+          drugRows.set(drug.id, { row: toDrugRow(drug), record: toRecord(drug) })
+        );
+      }
+      if (movementChanges) {
+        movementChanges.deletes.forEach((id) => movementRows.delete(id));
+        movementChanges.upserts.forEach((movement) => movementRows.set(movement.id, movement));
+      }
+      if (version != null) meta.set('schemaVersion', String(version));
+    },
+
+    queryDrugIds: async ({ search = '', filters = [], sort = 'recent' }, thresholds, now) => {
+      const params = toQueryParams(thresholds, now);
+      const q = toSearchKey(search);
+      const order = SORT_QUERIES[sort] || SORT_QUERIES.recent;
+      const statuses = filters.filter((key) => STATUS_QUERIES[key]);
+      return rows()
+        .filter(
+          (row) =>
+            (!q || row.searchKey.includes(q)) &&
+            (statuses.length === 0 ||
+              statuses.some((key) => STATUS_QUERIES[key].matches(row, params)))
+        )
+        .sort(order.compare)
+        .map((row) => row.id);
+    },
+
+    countByStatus: async (thresholds, now) => {
+      const params = toQueryParams(thresholds, now);
+      const all = rows();
+      return Object.keys(STATUS_QUERIES).reduce((counts, key) => {
+        counts[key] = all.filter((row) => STATUS_QUERIES[key].matches(row, params)).length;
+        return counts;
+      }, {});
+    },
+  };
+};
@@ -0,0 +1,92 @@
+// utils/notification-schedule.js
+// ─────────────────────────────────────────────────────────────
+// Works out which local notifications should be pending for the
+// current inventory, and hands them to a "notifier". The notifier
+// is any object with this interface:
+//
+//   cancelAll(): Promise<void>
+//   schedule({ date, repeatsDaily, title, body, data }): Promise<void>
+//
+// A notification with `repeatsDaily` fires at `date`'s hour every
+// day from `date` on; any other fires once, at `date`.
+//
+// The app uses the Expo implementation in `expo-notifier.js`; a
+// plain in-memory object works as a fake.
+// ─────────────────────────────────────────────────────────────
+
+import { addDays, setHours, setMinutes, startOfMinute, subDays } from 'date-fns';
+import { getWarningDays, isLowStock } from './stock-status';
+
+// iOS keeps at most 64 pending notifications per app; stay under it.
+export const MAX_SCHEDULED = 60;
+
+// ── Helper: Next occurrence of `hour`:00 after `now` ───────────
+export const nextDigestDate = (hour, now = new Date()) => {
+  const today = startOfMinute(setMinutes(setHours(now, hour), 0));
+  return today > now ? today : addDays(today, 1);
+};
+
+// ── Plan: Inventory → the notifications that should be pending ─
+// One "warning" and one "expired" notification per lot that still
+// has stock (future dates only), plus the daily low-stock digest,
+// repeating from its next occurrence. Sorted soonest first and
+// capped at MAX_SCHEDULED; the digest always keeps its slot. Each
+// body is fixed once scheduled, the digest's included, so the plan
+// is rebuilt and resynced after every inventory change.
+export const planNotifications = (inventory, settings, now = new Date()) => {
+  if (!settings.notificationsEnabled) return [];
+
+  const planned = [];
+  inventory.forEach((drug) => {
+    const warningDays = getWarningDays(drug, settings);
+    drug.lots.forEach((lot) => {
+      if (lot.quantity <= 0) return;
+      const expiry = new Date(lot.expiryDate);
+      const lotLabel = lot.lotNumber ? ` (lot ${lot.lotNumber})` : '';
+      const warningDate = subDays(expiry, warningDays);
+
+      if (warningDate > now) {
+        planned.push({
+          key: `warning:${lot.id}`,
+          date: warningDate,
+          title: '🟠 Expiring Soon',
+          body: `${drug.name}${lotLabel} expires in ${warningDays} days — ${lot.quantity} unit(s) on hand.`,
+          data: { drugId: drug.id },
+        });
+      }
+      if (expiry > now) {
+        planned.push({
+          key: `expired:${lot.id}`,
+          date: expiry,
+          title: '🔴 Expired',
+          body: `${drug.name}${lotLabel} has expired — ${lot.quantity} unit(s) should be written off.`,
+          data: { drugId: drug.id },
+        });
+      }
+    });
+  });
+
+  const digest = [];
+  const lowStock = inventory.filter((drug) => isLowStock(drug, settings));
+  if (lowStock.length > 0) {
+    digest.push({
+      key: 'digest:low-stock',
+      date: nextDigestDate(settings.digestHour, now),
+      repeatsDaily: true,
+      title: `📦 ${lowStock.length} item${lowStock.length !== 1 ? 's' : ''} low on stock`,
+      body: lowStock.map((drug) => `${drug.name} (${drug.quantity})`).join(', '),
+      data: { drugId: lowStock.length === 1 ? lowStock[0].id : null },
+    });
+  }
+
+  const expiries = planned.sort((a, b) => a.date - b.date).slice(0, MAX_SCHEDULED - digest.length);
+  return [...expiries, ...digest].sort((a, b) => a.date - b.date);
+};
+
+// ── Sync: Replace whatever is pending with the new plan ────────
+export const syncNotifications = async (notifier, plan) => {
+  await notifier.cancelAll();
+  for (const notification of plan) {
+    await notifier.schedule(notification);
+  }
+};
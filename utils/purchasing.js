@@ -0,0 +1,215 @@
+// utils/purchasing.js
+// ─────────────────────────────────────────────────────────────
+// Suppliers and goods-received notes (GRNs). A supplier is:
+//
+//   { id, name, contact, phone, email }
+//
+// and a GRN, saved once its stock has been received, is:
+//
+//   { id, supplierId, supplierName, invoiceNumber, note,
+//     receivedAt, receivedBy, lines: [ line ] }
+//
+// with one line per lot the delivery landed on:
+//
+//   { drugId, drugName, lotId, lotNumber, expiryDate, locationId,
+//     quantity, unitCost }
+//
+// `quantity` is in base units and `unitCost` is per base unit, as
+// on the receive movements the note posted (see utils/valuation.js).
+// A purchase order (PO) is:
+//
+//   { id, number, supplierId, supplierName, status, createdAt,
+//     createdBy, orderedAt, closedAt, lines: [ orderLine ] }
+//
+//   orderLine: { id, drugId, drugName, quantity, packSize,
+//                baseUnit, unitCost, received }
+//
+// `status` moves from 'draft' (lines can be edited) to 'ordered'
+// and on to 'closed', once every line has been received in full or
+// the rest is given up on. A line is open while `received` is short
+// of `quantity`; both are in base units.
+//
+// The supplier's name is copied so old notes and orders still read
+// after the supplier is removed.
+// ─────────────────────────────────────────────────────────────
+
+import { format } from 'date-fns';
+import { validateLotFields } from './validation';
+import { toCsv } from './csv';
+import { formatUnits, formatPacks, getBaseUnit, getPackSize } from './drug-metadata';
+
+// ── Helper: Unique ID for a new supplier ───────────────────────
+const createSupplierId = () =>
+  `sup_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+// ── Helper: Unique ID for a new goods-received note ────────────
+export const createReceiptId = () =>
+  `grn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+// ── Build: A supplier from form input ──────────────────────────
+export const toSupplier = ({ name, contact, phone, email }, id = createSupplierId()) => ({
+  id,
+  name: String(name || '').trim(),
+  contact: String(contact || '').trim(),
+  phone: String(phone || '').trim(),
+  email: String(email || '').trim(),
+});
+
+// ── Helper: Display name for a supplier id ─────────────────────
+export const getSupplierName = (suppliers, supplierId) => {
+  if (!supplierId) return 'No supplier';
+  const supplier = suppliers.find((s) => s.id === supplierId);
+  return supplier ? supplier.name : 'Unknown supplier';
+};
+
+// ── Helper: Form text → a cost (blank or invalid becomes null) ─
+export const parseCost = (value) => {
+  const text = String(value == null ? '' : value).trim();
+  return /^\d+(\.\d+)?$/.test(text) ? parseFloat(text) : null;
+};
+
+// ── Validate: A cost of 0 or more, up to 4 decimal places ─────
+export const validateCost = (value) =>
+  /^\d+(\.\d{1,4})?$/.test(String(value == null ? '' : value).trim())
+    ? null
+    : 'Enter a cost of 0 or more, e.g. 12.50';
+
+// ── Validate: One line of a goods-received note ────────────────
+// Returns an errors object keyed by field; empty when valid.
+export const validateReceiptLine = ({ product, quantity, expiryDate, unitCost }) => {
+  const errors = validateLotFields({ quantity, expiryDate });
+  if (!errors.quantity && parseInt(quantity, 10) < 1) {
+    errors.quantity = 'Enter a quantity of 1 or more.';
+  }
+  if (!product) errors.product = 'Pick a drug or type its name.';
+  const costError = validateCost(unitCost);
+  if (costError) errors.unitCost = costError;
+  return errors;
+};
+
+// ── Build: GRN lines from the receive movements it posted ─────
+// Every line of a delivery lands on exactly one lot, so `movements`
+// (as returned by receiveGoods) pair up with `lines` in order.
+export const toReceiptLines = (movements, lines) =>
+  movements.map((movement, index) => ({
+    drugId: movement.drugId,
+    drugName: movement.drugName,
+    lotId: movement.lotId,
+    lotNumber: movement.lotNumber,
+    expiryDate: new Date(lines[index].expiryDate).toISOString(),
+    locationId: movement.locationId,
+    quantity: movement.delta,
+    unitCost: typeof movement.unitCost === 'number' ? movement.unitCost : null,
+  }));
+
+// ── Helper: What a GRN line or a whole note cost ───────────────
+export const getLineTotal = (line) => (line.unitCost == null ? 0 : line.quantity * line.unitCost);
+
+export const getReceiptTotal = (receipt) =>
+  receipt.lines.reduce((sum, line) => sum + getLineTotal(line), 0);
+
+// ── Purchase Orders ─────────────────────────────────────────────
+
+export const ORDER_STATUSES = {
+  draft: 'Draft',
+  ordered: 'Ordered',
+  closed: 'Closed',
+};
+
+// ── Helper: Unique IDs for a new order and its lines ───────────
+const createOrderId = () => `po_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+const createOrderLineId = () =>
+  `pol_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+// ── Helper: The next order number, e.g. "PO-0007" ──────────────
+const getNextOrderNumber = (orders) => {
+  const last = orders.reduce(
+    (max, order) => Math.max(max, parseInt(order.number.replace(/\D/g, ''), 10) || 0),
+    0
+  );
+  return `PO-${String(last + 1).padStart(4, '0')}`;
+};
+
+// ── Build: An order line from a reorder suggestion ─────────────
+// (see utils/reorder.js)
+export const toOrderLine = ({ drug, suggestedUnits, unitCost }) => ({
+  id: createOrderLineId(),
+  drugId: drug.id,
+  drugName: drug.name,
+  quantity: suggestedUnits,
+  packSize: getPackSize(drug),
+  baseUnit: getBaseUnit(drug),
+  unitCost,
+  received: 0,
+});
+
+// ── Build: A new draft order ───────────────────────────────────
+export const createDraftOrder = (orders, { supplierId, supplierName, lines, createdBy }) => ({
+  id: createOrderId(),
+  number: getNextOrderNumber(orders),
+  supplierId,
+  supplierName,
+  status: 'draft',
+  createdAt: new Date().toISOString(),
+  createdBy,
+  orderedAt: null,
+  closedAt: null,
+  lines,
+});
+
+// ── Helper: Units of a line still to arrive ────────────────────
+export const getOpenQuantity = (line) => Math.max(0, line.quantity - line.received);
+
+export const getOpenLines = (order) => order.lines.filter((line) => getOpenQuantity(line) > 0);
+
+// ── Helper: Estimated cost of an order at the last known prices ─
+export const getOrderTotal = (order) =>
+  order.lines.reduce((sum, line) => sum + getLineTotal(line), 0);
+
+// ── Format: An order quantity, e.g. "3 packs (90 tablets)" ────
+export const formatOrderQuantity = (line, quantity = line.quantity) => {
+  const packs = formatPacks(line, quantity);
+  const units = formatUnits(quantity, getBaseUnit(line));
+  return packs ? `${packs} (${units})` : units;
+};
+
+// ── Update: Book received units against an order's lines ───────
+// `receivedByLine` is `{ [orderLineId]: units }`. The order closes
+// once no line is left open.
+export const applyReceiptToOrder = (order, receivedByLine, now = new Date()) => {
+  const lines = order.lines.map((line) =>
+    receivedByLine[line.id]
+      ? { ...line, received: line.received + receivedByLine[line.id] }
+      : line
+  );
+  const isComplete = lines.every((line) => getOpenQuantity(line) === 0);
+  return {
+    ...order,
+    lines,
+    status: isComplete ? 'closed' : order.status,
+    closedAt: isComplete ? now.toISOString() : order.closedAt,
+  };
+};
+
+// ── Export: A purchase order → CSV text to send the supplier ───
+const ORDER_HEADERS = ['Item', 'Pack size', 'Packs', 'Units', 'Unit cost', 'Line total'];
+
+export const exportOrderCsv = (order, now = new Date()) =>
+  toCsv([
+    [`Purchase order ${order.number}`],
+    [`Supplier: ${order.supplierName || 'No supplier'}`],
+    [`Exported ${format(now, 'yyyy-MM-dd HH:mm')}`],
+    [],
+    ORDER_HEADERS,
+    ...order.lines.map((line) => [
+      line.drugName,
+      line.packSize,
+      line.packSize > 1 ? Math.ceil(line.quantity / line.packSize) : '',
+      line.quantity,
+      line.unitCost == null ? '' : line.unitCost.toFixed(4),
+      line.unitCost == null ? '' : getLineTotal(line).toFixed(2),
+    ]),
+    [],
+    ['Estimated total', '', '', '', '', getOrderTotal(order).toFixed(2)],
+  ]);
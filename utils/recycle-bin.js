@@ -0,0 +1,33 @@
+// utils/recycle-bin.js
+// ─────────────────────────────────────────────────────────────
+// Deleted drugs are kept in a recycle bin for a while so they
+// can be restored. Each entry is `{ drug, deletedAt, deletedBy }`,
+// holding the record exactly as it was when it was deleted and the
+// name of the user who deleted it. Entries older than the
+// `recycleBinDays` setting are purged automatically.
+// ─────────────────────────────────────────────────────────────
+
+import { addDays, differenceInCalendarDays } from 'date-fns';
+
+// ── Helper: A bin entry for a drug deleted `now` ───────────────
+export const createBinEntry = (drug, deletedBy = null, now = new Date()) => ({
+  drug,
+  deletedAt: now.toISOString(),
+  deletedBy,
+});
+
+// ── Helper: When an entry will be purged ───────────────────────
+export const getPurgeDate = (entry, retentionDays) =>
+  addDays(new Date(entry.deletedAt), retentionDays);
+
+// ── Helper: Whole days left before an entry is purged (≥ 0) ────
+export const getDaysUntilPurge = (entry, retentionDays, now = new Date()) =>
+  Math.max(0, differenceInCalendarDays(getPurgeDate(entry, retentionDays), now));
+
+// ── Helper: Has an entry been in the bin for too long? ─────────
+export const isDueForPurge = (entry, retentionDays, now = new Date()) =>
+  getPurgeDate(entry, retentionDays) <= now;
+
+// ── Purge: The bin without entries past their retention ────────
+export const withoutExpiredEntries = (bin, retentionDays, now = new Date()) =>
+  bin.filter((entry) => !isDueForPurge(entry, retentionDays, now));
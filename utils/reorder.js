@@ -0,0 +1,117 @@
+// utils/reorder.js
+// ─────────────────────────────────────────────────────────────
+// Reorder suggestions for drugs below their reorder level. Each
+// drug's target stock is its reorder level — kept back as safety
+// stock — plus enough for `settings.reorderCoverDays` at its recent
+// rate of use (see utils/consumption.js); with no recent use, the
+// reorder level again. The suggested order makes up the difference
+// between the target and the in-date stock plus anything already
+// on an open purchase order, rounded up to whole packs.
+//
+// A drug is ordered from whoever delivered it last, going by the
+// `supplierId` on its receive movements. Everything here is pure —
+// pass `now` to pin the clock.
+// ─────────────────────────────────────────────────────────────
+
+import { getReorderLevel, isLowStock } from './stock-status';
+import { groupMovementsByDrug } from './consumption';
+import { getPackSize } from './drug-metadata';
+import { getOpenQuantity } from './purchasing';
+
+// ── Helper: The last receive movement matching a test ─────────
+const findLastReceipt = (movements, test) => {
+  for (let i = movements.length - 1; i >= 0; i -= 1) {
+    if (movements[i].type === 'receive' && movements[i].delta > 0 && test(movements[i])) {
+      return movements[i];
+    }
+  }
+  return null;
+};
+
+// ── Helper: Who delivered a drug last (null if nobody known) ──
+export const getLastSupplierId = (movements) => {
+  const receipt = findLastReceipt(movements, (m) => !!m.supplierId);
+  return receipt ? receipt.supplierId : null;
+};
+
+// ── Helper: What a drug cost per base unit last time ──────────
+export const getLastUnitCost = (movements) => {
+  const receipt = findLastReceipt(movements, (m) => typeof m.unitCost === 'number');
+  return receipt ? receipt.unitCost : null;
+};
+
+// ── Helper: Stock a drug should be brought back up to ─────────
+export const getTargetStock = (drug, forecast, settings) => {
+  const reorderLevel = getReorderLevel(drug, settings);
+  const averageDailyUse = forecast ? forecast.averageDailyUse : null;
+  const cover =
+    averageDailyUse != null
+      ? Math.ceil(averageDailyUse * settings.reorderCoverDays)
+      : reorderLevel;
+  return reorderLevel + cover;
+};
+
+// ── Helper: Units still to arrive on open orders, by drug id ──
+// Drafts count too, so a drug is not suggested twice.
+export const getOnOrderUnits = (orders) =>
+  orders
+    .filter((order) => order.status !== 'closed')
+    .reduce((totals, order) => {
+      order.lines.forEach((line) => {
+        totals[line.drugId] = (totals[line.drugId] || 0) + getOpenQuantity(line);
+      });
+      return totals;
+    }, {});
+
+// ── Suggestions: Every drug below its reorder level ───────────
+// Returns `[{ drug, supplierId, reorderLevel, usableUnits, onOrder,
+// targetStock, suggestedUnits, unitCost }]`, most urgent first
+// (furthest below target). `suggestedUnits` is 0 when open orders
+// already cover the drug.
+export const getReorderSuggestions = (
+  inventory,
+  ledger,
+  forecasts,
+  orders,
+  settings,
+  now = new Date()
+) => {
+  const byDrug = groupMovementsByDrug(ledger);
+  const onOrderByDrug = getOnOrderUnits(orders);
+  return inventory
+    .filter((drug) => isLowStock(drug, settings))
+    .map((drug) => {
+      const movements = byDrug[drug.id] || [];
+      const usableUnits = drug.lots
+        .filter((lot) => new Date(lot.expiryDate) >= now)
+        .reduce((sum, lot) => sum + lot.quantity, 0);
+      const onOrder = onOrderByDrug[drug.id] || 0;
+      const targetStock = getTargetStock(drug, forecasts[drug.id], settings);
+      const packSize = getPackSize(drug);
+      const shortfall = Math.max(0, targetStock - usableUnits - onOrder);
+      return {
+        drug,
+        supplierId: getLastSupplierId(movements),
+        reorderLevel: getReorderLevel(drug, settings),
+        usableUnits,
+        onOrder,
+        targetStock,
+        suggestedUnits: Math.ceil(shortfall / packSize) * packSize,
+        unitCost: getLastUnitCost(movements),
+      };
+    })
+    .sort((a, b) => b.suggestedUnits / b.targetStock - a.suggestedUnits / a.targetStock);
+};
+
+// ── Group: Suggestions per supplier ───────────────────────────
+// Returns `[{ supplierId, suggestions }]` in first-seen order, with
+// drugs no known supplier has delivered last.
+export const groupBySupplier = (suggestions) => {
+  const groups = suggestions.reduce((acc, suggestion) => {
+    const key = suggestion.supplierId || '';
+    if (!acc[key]) acc[key] = { supplierId: suggestion.supplierId, suggestions: [] };
+    acc[key].suggestions.push(suggestion);
+    return acc;
+  }, {});
+  return Object.values(groups).sort((a, b) => (a.supplierId ? 0 : 1) - (b.supplierId ? 0 : 1));
+};
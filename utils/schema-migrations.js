@@ -0,0 +1,228 @@
+// utils/schema-migrations.js
+// ─────────────────────────────────────────────────────────────
+// Versioned storage schema for `@pharmatrack_inventory`.
+// The stored payload is an envelope `{ version, drugs }`. Older
+// payloads are upgraded on load one step at a time; any record a
+// step cannot upgrade is set aside (quarantined) and reported
+// instead of crashing the app or being silently dropped.
+// ─────────────────────────────────────────────────────────────
+
+import { withDerivedTotals } from './lots';
+import { DEFAULT_LOCATION_ID } from './locations';
+import { parseDrugName, toDrugMetadata } from './drug-metadata';
+
+// Bump this and append a step to MIGRATIONS whenever the drug
+// record shape changes.
+export const SCHEMA_VERSION = 9;
+
+// ── Helper: Throw if a date field cannot be parsed ─────────────
+const assertDate = (value, field) => {
+  if (!value || isNaN(new Date(value).getTime())) {
+    throw new Error(`Invalid ${field}: ${JSON.stringify(value)}`);
+  }
+};
+
+// ── Helper: Throw if a quantity is not a whole number ≥ 0 ──────
+const assertQuantity = (value, field) => {
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`Invalid ${field}: ${JSON.stringify(value)}`);
+  }
+};
+
+// ── Migration steps ────────────────────────────────────────────
+// MIGRATIONS[n] upgrades a single record from version n to n + 1.
+// Each step must throw when it meets a record it cannot upgrade.
+export const MIGRATIONS = [
+  // 0 → 1: Single `quantity` / `expiryDate` becomes a list of lots.
+  // Version 0 and 1 were both stored as a bare array, so records that
+  // already carry `lots` simply pass through.
+  (record) => {
+    if (!record || typeof record !== 'object') throw new Error('Record is not an object');
+    if (!record.id) throw new Error('Record has no id');
+    if (typeof record.name !== 'string' || !record.name.trim()) {
+      throw new Error('Record has no name');
+    }
+    if (Array.isArray(record.lots)) return record;
+
+    const quantity =
+      typeof record.quantity === 'string' ? parseInt(record.quantity, 10) : record.quantity;
+    assertQuantity(quantity, 'quantity');
+    assertDate(record.expiryDate, 'expiryDate');
+
+    // `quantity` / `expiryDate` are recomputed from the lots afterwards.
+    return {
+      ...record,
+      lots: [
+        {
+          id: `lot_${record.id}`,
+          lotNumber: '',
+          quantity,
+          expiryDate: new Date(record.expiryDate).toISOString(),
+          receivedAt: record.addedAt,
+        },
+      ],
+    };
+  },
+
+  // 1 → 2: Every lot has an id, lot number and receipt date; every
+  // drug has `addedAt` / `updatedAt`; all dates are ISO strings.
+  (record) => {
+    const addedAt = record.addedAt || new Date(0).toISOString();
+    assertDate(addedAt, 'addedAt');
+
+    const lots = record.lots.map((lot, index) => {
+      assertQuantity(lot.quantity, `lots[${index}].quantity`);
+      assertDate(lot.expiryDate, `lots[${index}].expiryDate`);
+      return {
+        ...lot,
+        id: lot.id || `lot_${record.id}_${index}`,
+        lotNumber: lot.lotNumber || '',
+        expiryDate: new Date(lot.expiryDate).toISOString(),
+        receivedAt: new Date(lot.receivedAt || addedAt).toISOString(),
+      };
+    });
+    if (lots.length === 0) throw new Error('Record has no lots');
+
+    return {
+      ...record,
+      lots,
+      addedAt: new Date(addedAt).toISOString(),
+      updatedAt: new Date(record.updatedAt || addedAt).toISOString(),
+    };
+  },
+
+  // 2 → 3: Optional per-drug thresholds. `null` means "use the
+  // global setting".
+  (record) => {
+    const thresholds = {};
+    ['reorderLevel', 'expiryWarningDays'].forEach((field) => {
+      const value = record[field] == null ? null : record[field];
+      if (value !== null) assertQuantity(value, field);
+      thresholds[field] = value;
+    });
+    return { ...record, ...thresholds };
+  },
+
+  // 3 → 4: Optional GS1 GTIN so scanned packs match the drug.
+  (record) => {
+    const gtin = record.gtin == null || record.gtin === '' ? null : String(record.gtin);
+    if (gtin !== null && !/^\d{14}$/.test(gtin)) throw new Error(`Invalid gtin: ${gtin}`);
+    return { ...record, gtin };
+  },
+
+  // 4 → 5: Every lot is stored somewhere. Stock from before locations
+  // existed is placed in the main pharmacy.
+  (record) => {
+    const lots = record.lots.map((lot, index) => {
+      const locationId = lot.locationId == null ? DEFAULT_LOCATION_ID : lot.locationId;
+      if (typeof locationId !== 'string' || !locationId) {
+        throw new Error(`Invalid lots[${index}].locationId: ${JSON.stringify(locationId)}`);
+      }
+      return { ...lot, locationId };
+    });
+    return { ...record, lots };
+  },
+
+  // 5 → 6: Controlled drugs (opioids, benzodiazepines…) are flagged so
+  // their stock changes are kept in the controlled-drug register.
+  (record) => {
+    if (record.controlled != null && typeof record.controlled !== 'boolean') {
+      throw new Error(`Invalid controlled: ${JSON.stringify(record.controlled)}`);
+    }
+    return { ...record, controlled: record.controlled === true };
+  },
+
+  // 6 → 7: Structured metadata (generic name, brand, strength, dosage
+  // form, base unit, pack size). Until now there was only the name,
+  // so what can be read out of it is filled in; stock was counted in
+  // plain units, one to a pack. The name itself is left as it was.
+  (record) => {
+    if (record.packSize != null && (!Number.isInteger(record.packSize) || record.packSize < 1)) {
+      throw new Error(`Invalid packSize: ${JSON.stringify(record.packSize)}`);
+    }
+    const parsed = parseDrugName(record.name);
+    return {
+      ...record,
+      ...toDrugMetadata({
+        genericName: record.genericName || parsed.genericName,
+        brandName: record.brandName,
+        strength: record.strength || parsed.strength,
+        dosageForm: record.dosageForm || parsed.dosageForm,
+        baseUnit: record.baseUnit || 'unit',
+        packSize: record.packSize,
+      }),
+    };
+  },
+
+  // 7 → 8: Drugs can link to a formulary entry. Existing drugs are
+  // unlinked; nothing is matched up automatically.
+  (record) => {
+    const formularyId = record.formularyId == null ? null : record.formularyId;
+    if (formularyId !== null && (typeof formularyId !== 'string' || !formularyId)) {
+      throw new Error(`Invalid formularyId: ${JSON.stringify(formularyId)}`);
+    }
+    return { ...record, formularyId };
+  },
+
+  // 8 → 9: A linked drug is stored without the details it takes from
+  // its formulary entry (see toStoredDrug in formulary.js). That needs
+  // the formulary, so InventoryProvider does it when it writes the
+  // upgraded rows back; the record itself is unchanged. From here on
+  // a step may meet records that have only `formularyId` and no name.
+  (record) => record,
+];
+
+// ── Helper: Upgrade one record from `fromVersion` to current ───
+export const migrateRecord = (record, fromVersion) => {
+  let migrated = record;
+  for (let version = fromVersion; version < SCHEMA_VERSION; version += 1) {
+    migrated = MIGRATIONS[version](migrated);
+  }
+  return withDerivedTotals(migrated);
+};
+
+// ── Helper: Read the version and records out of a stored value ─
+// Payloads written before versioning are a bare array (version 0).
+export const readEnvelope = (parsed) => {
+  if (Array.isArray(parsed)) return { version: 0, drugs: parsed };
+  if (parsed && Number.isInteger(parsed.version) && Array.isArray(parsed.drugs)) {
+    return { version: parsed.version, drugs: parsed.drugs };
+  }
+  throw new Error('Unrecognised inventory payload');
+};
+
+// ── Load: Parse and upgrade a stored payload ───────────────────
+// Returns `{ drugs, quarantined, fromVersion }`. Throws only when the
+// payload as a whole is unreadable or was written by a newer app,
+// so the caller can refuse to overwrite it.
+export const migratePayload = (raw) => {
+  const { version, drugs } = readEnvelope(JSON.parse(raw));
+  return migrateRecords(drugs, version);
+};
+
+// ── Load: Upgrade records all stored at one version ────────────
+// Same result and rules as `migratePayload`, for records that were
+// stored individually (e.g. rows in the SQLite store).
+export const migrateRecords = (drugs, version) => {
+  if (version > SCHEMA_VERSION) {
+    throw new Error(
+      `Inventory was saved by a newer version of PharmaTrack (schema ${version}).`
+    );
+  }
+
+  const migrated = [];
+  const quarantined = [];
+  drugs.forEach((record) => {
+    try {
+      migrated.push(migrateRecord(record, version));
+    } catch (error) {
+      quarantined.push({
+        record,
+        fromVersion: version,
+        error: error.message,
+        quarantinedAt: new Date().toISOString(),
+      });
+    }
+  });
+  return { drugs: migrated, quarantined, fromVersion: version };
+};
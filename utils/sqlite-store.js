@@ -0,0 +1,239 @@
+// utils/sqlite-store.js
+// ─────────────────────────────────────────────────────────────
+// The inventory store (see inventory-store.js) on an embedded
+// SQLite database via expo-sqlite. Each drug and each ledger
+// movement is one row, so a change writes only the rows it touched.
+// Drug rows carry indexed columns (name, expiry, quantity and the
+// per-drug thresholds) for the dashboard's queries; the full record
+// is kept in `data`, encrypted like everything else at rest (see
+// encrypted-storage.js). The indexed columns hold no patient data.
+// ─────────────────────────────────────────────────────────────
+
+import * as SQLite from 'expo-sqlite';
+import { toDrugRow, STATUS_QUERIES, SORT_QUERIES, toQueryParams } from './inventory-store';
+import { getDataKey, encryptValue, decryptValue } from './encrypted-storage';
+import { toSearchKey } from './drug-metadata';
+
+// The database file, in the app's private documents directory
+const DATABASE_NAME = 'pharmatrack.db';
+
+// Tables and indexes, created on first open
+const SCHEMA_SQL = `
+  PRAGMA journal_mode = WAL;
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY NOT NULL,
+    value TEXT
+  );
+  CREATE TABLE IF NOT EXISTS drugs (
+    id TEXT PRIMARY KEY NOT NULL,
+    name_key TEXT NOT NULL,
+    search_key TEXT NOT NULL DEFAULT '',
+    expiry_ms INTEGER,
+    quantity INTEGER NOT NULL,
+    reorder_level INTEGER,
+    warning_days INTEGER,
+    added_ms INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS drugs_name ON drugs (name_key);
+  CREATE INDEX IF NOT EXISTS drugs_expiry ON drugs (expiry_ms);
+  CREATE INDEX IF NOT EXISTS drugs_quantity ON drugs (quantity);
+  CREATE TABLE IF NOT EXISTS movements (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT NOT NULL UNIQUE,
+    drug_id TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS movements_drug ON movements (drug_id, seq);
+`;
+
+// Columns added after the first release → their definition. A
+// database from before gets them on open; rows are filled in when
+// next written (the schema migration that came with each one
+// rewrites every drug).
+const ADDED_DRUG_COLUMNS = {
+  search_key: "TEXT NOT NULL DEFAULT ''",
+};
+
+// ── Helper: LIKE pattern for a substring search ────────────────
+const toLikePattern = (search) => `%${search.replace(/[\\%_]/g, (c) => `\\${c}`)}%`;
+
+// ── Helper: Named SQL parameters for a status query ────────────
+const toSqlParams = (thresholds, now) => {
+  const { now: nowMs, lowStock, warningDays } = toQueryParams(thresholds, now);
+  return { $now: nowMs, $lowStock: lowStock, $warningDays: warningDays };
+};
+
+// ── Helper: Only the parameters a statement actually uses ──────
+const pickParams = (sql, params) =>
+  Object.fromEntries(Object.entries(params).filter(([key]) => sql.includes(key)));
+
+// Upserts that keep a row's place and any columns not listed
+const UPSERT_META_SQL =
+  'INSERT INTO meta (key, value) VALUES (?, ?) ' +
+  'ON CONFLICT (key) DO UPDATE SET value = excluded.value';
+
+// ── Factory ────────────────────────────────────────────────────
+// The database is opened lazily, on the first call.
+export const openSqliteStore = (name = DATABASE_NAME) => {
+  let dbPromise = null;
+  const getDb = () => {
+    if (!dbPromise) dbPromise = SQLite.openDatabaseAsync(name);
+    return dbPromise;
+  };
+
+  // Sealed `data` values are bound to their table and id.
+  const seal = async (table, record) =>
+    encryptValue(JSON.stringify(record), await getDataKey(), `${table}:${record.id}`);
+  const open = async (table, id, data) =>
+    JSON.parse(decryptValue(data, await getDataKey(), `${table}:${id}`));
+
+  const getMeta = async (key) => {
+    const row = await (await getDb()).getFirstAsync('SELECT value FROM meta WHERE key = ?', key);
+    return row ? row.value : null;
+  };
+
+  const setMeta = async (key, value) => {
+    await (await getDb()).runAsync(UPSERT_META_SQL, key, String(value));
+  };
+
+  return {
+    init: async () => {
+      const db = await getDb();
+      await db.execAsync(SCHEMA_SQL);
+      const columns = (await db.getAllAsync('PRAGMA table_info(drugs)')).map((c) => c.name);
+      for (const [column, definition] of Object.entries(ADDED_DRUG_COLUMNS)) {
+        if (!columns.includes(column)) {
+          await db.execAsync(`ALTER TABLE drugs ADD COLUMN ${column} ${definition}`);
+        }
+      }
+    },
+
+    getMeta,
+    setMeta,
+
+    loadDrugs: async () => {
+      const db = await getDb();
+      const rows = await db.getAllAsync('SELECT id, data FROM drugs');
+      const records = await Promise.all(rows.map((row) => open('drugs', row.id, row.data)));
+      const version = await getMeta('schemaVersion');
+      return { records, version: version !== null ? parseInt(version, 10) : null };
+    },
+
+    loadMovements: async () => {
+      const db = await getDb();
+      const rows = await db.getAllAsync('SELECT id, data FROM movements ORDER BY seq');
+      return Promise.all(rows.map((row) => open('movements', row.id, row.data)));
+    },
+
+    // Sealing happens before the transaction so it holds no awaits
+    // on anything but the database.
+    writeChanges: async ({ drugs, movements, version, toRecord = (drug) => drug }) => {
+      const db = await getDb();
+      const drugRows = drugs
+        ? await Promise.all(
+            drugs.upserts.map(async (drug) => ({
+              ...toDrugRow(drug),
+              data: await seal('drugs', toRecord(drug)),
+            }))
+          )
+        : [];
+      const movementRows = movements
+        ? await Promise.all(
+            movements.upserts.map(async (movement) => ({
+              id: movement.id,
+              drugId: movement.drugId,
+              data: await seal('movements', movement),
+            }))
+          )
+        : [];
+
+      await db.withTransactionAsync(async () => {
+        if (drugs) {
+          for (const id of drugs.deletes) {
+            await db.runAsync('DELETE FROM drugs WHERE id = ?', id);
+          }
+        }
+        for (const row of drugRows) {
+          await db.runAsync(
+            `INSERT INTO drugs
+               (id, name_key, search_key, expiry_ms, quantity, reorder_level, warning_days,
+                added_ms, data)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT (id) DO UPDATE SET
+               name_key = excluded.name_key, search_key = excluded.search_key,
+               expiry_ms = excluded.expiry_ms,
+               quantity = excluded.quantity, reorder_level = excluded.reorder_level,
+               warning_days = excluded.warning_days, added_ms = excluded.added_ms,
+               data = excluded.data`,
+            row.id,
+            row.nameKey,
+            row.searchKey,
+            row.expiryMs,
+            row.quantity,
+            row.reorderLevel,
+            row.warningDays,
+            row.addedMs,
+            row.data
+          );
+        }
+        if (movements) {
+          for (const id of movements.deletes) {
+            await db.runAsync('DELETE FROM movements WHERE id = ?', id);
+          }
+        }
+        // An existing movement keeps its place (`seq`) in the ledger.
+        for (const row of movementRows) {
+          await db.runAsync(
+            `INSERT INTO movements (id, drug_id, data) VALUES (?, ?, ?)
+             ON CONFLICT (id) DO UPDATE SET drug_id = excluded.drug_id, data = excluded.data`,
+            row.id,
+            row.drugId,
+            row.data
+          );
+        }
+        if (version != null) {
+          await db.runAsync(UPSERT_META_SQL, 'schemaVersion', String(version));
+        }
+      });
+    },
+
+    queryDrugIds: async ({ search = '', filters = [], sort = 'recent' }, thresholds, now) => {
+      const db = await getDb();
+      const conditions = [];
+      const params = toSqlParams(thresholds, now);
+      const q = toSearchKey(search);
+      if (q) {
+        conditions.push("search_key LIKE $search ESCAPE '\\'");
+        params.$search = toLikePattern(q);
+      }
+      const statusSql = filters
+        .filter((key) => STATUS_QUERIES[key])
+        .map((key) => `(${STATUS_QUERIES[key].sql})`);
+      if (statusSql.length > 0) conditions.push(`(${statusSql.join(' OR ')})`);
+
+      const order = SORT_QUERIES[sort] || SORT_QUERIES.recent;
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const sql = `SELECT id FROM drugs ${where} ORDER BY ${order.sql}`;
+      const rows = await db.getAllAsync(sql, pickParams(sql, params));
+      return rows.map((row) => row.id);
+    },
+
+    countByStatus: async (thresholds, now) => {
+      const db = await getDb();
+      const keys = Object.keys(STATUS_QUERIES);
+      const columns = keys
+        .map(
+          (key, index) =>
+            `COALESCE(SUM(CASE WHEN ${STATUS_QUERIES[key].sql} THEN 1 ELSE 0 END), 0) AS c${index}`
+        )
+        .join(', ');
+      const sql = `SELECT ${columns} FROM drugs`;
+      const row = await db.getFirstAsync(sql, pickParams(sql, toSqlParams(thresholds, now)));
+      return keys.reduce((counts, key, index) => {
+        counts[key] = row[`c${index}`];
+        return counts;
+      }, {});
+    },
+  };
+};
@@ -0,0 +1,58 @@
+// utils/stock-status.js
+// ─────────────────────────────────────────────────────────────
+// The "Decision Support" rules in one place: when a drug counts
+// as low stock, expiring soon or expired. Thresholds come from the
+// global settings unless the drug overrides them.
+// ─────────────────────────────────────────────────────────────
+
+import { differenceInDays } from 'date-fns';
+
+// ── Helper: Reorder level for a drug (per-drug or global) ──────
+export const getReorderLevel = (drug, settings) =>
+  drug.reorderLevel != null ? drug.reorderLevel : settings.lowStockThreshold;
+
+// ── Helper: Expiry warning window in days (per-drug or global) ─
+export const getWarningDays = (drug, settings) =>
+  drug.expiryWarningDays != null ? drug.expiryWarningDays : settings.expiryWarningDays;
+
+// ── Helper: Whole days from now until an expiry date ───────────
+export const getDaysUntilExpiry = (expiryDate, now = new Date()) =>
+  differenceInDays(new Date(expiryDate), now);
+
+// ── Helper: Determine status based on days until expiry ────────
+export const getExpiryStatus = (daysUntilExpiry, warningDays) => {
+  if (daysUntilExpiry < 0) return 'critical';
+  if (daysUntilExpiry <= warningDays) return 'warning';
+  return 'safe';
+};
+
+// ── Helper: Has the drug's active lot expired? ─────────────────
+export const isExpired = (drug, now = new Date()) =>
+  !!drug.expiryDate && new Date(drug.expiryDate) < now;
+
+// ── Helper: Is stock below the reorder level? ──────────────────
+export const isLowStock = (drug, settings) => drug.quantity < getReorderLevel(drug, settings);
+
+// ── Helper: Everything a card needs to flag a drug ─────────────
+export const getDrugStatus = (drug, settings, now = new Date()) => {
+  const warningDays = getWarningDays(drug, settings);
+  const daysUntilExpiry = drug.expiryDate ? getDaysUntilExpiry(drug.expiryDate, now) : null;
+  return {
+    daysUntilExpiry,
+    warningDays,
+    expiryStatus:
+      daysUntilExpiry == null ? 'safe' : getExpiryStatus(daysUntilExpiry, warningDays),
+    reorderLevel: getReorderLevel(drug, settings),
+    isLowStock: isLowStock(drug, settings),
+    isOutOfStock: drug.quantity === 0,
+  };
+};
+
+// ── Helper: How many drugs have an expired active lot ──────────
+// Pass a location-scoped inventory to count for one location only.
+export const countExpired = (inventory, now = new Date()) =>
+  inventory.filter((drug) => isExpired(drug, now)).length;
+
+// ── Helper: How many drugs are below their reorder level ───────
+export const countLowStock = (inventory, settings) =>
+  inventory.filter((drug) => isLowStock(drug, settings)).length;
@@ -0,0 +1,110 @@
+// utils/stocktake.js
+// ─────────────────────────────────────────────────────────────
+// Pure helpers for stocktakes (cycle counts). A stocktake is:
+//
+//   { id, status: 'in-progress' | 'completed', startedAt, startedBy,
+//     completedAt, completedBy, scope, reason, lines: [ line ] }
+//
+// with one line per lot counted:
+//
+//   { lotId, drugId, drugName, lotNumber, expiryDate,
+//     locationName, counted, expected, variance }
+//
+// `counted` is null until entered. While in progress `expected` is
+// read live from the inventory; on completion it is frozen along
+// with `variance` (counted − expected) for the saved report.
+// ─────────────────────────────────────────────────────────────
+
+import { getActiveLot } from './lots';
+import { queryInventory, STATUS_FILTERS } from './inventory-query';
+import { getLocationName } from './locations';
+
+// ── Helper: Unique ID for a new stocktake ──────────────────────
+const createStocktakeId = () =>
+  `stk_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+// ── Helper: Human-readable scope ("All items", "Expired, Low stock") ─
+export const describeScope = (filters = []) =>
+  filters.length === 0
+    ? 'All items'
+    : filters.map((key) => (STATUS_FILTERS[key] ? STATUS_FILTERS[key].label : key)).join(', ');
+
+// ── Create: A new stocktake over the inventory or a subset ─────
+// `filters` are dashboard status filter keys; none means everything.
+// Every lot with stock gets a line; a drug with no stock gets one for
+// its latest lot so stock the app does not know about can be counted.
+export const createStocktake = (
+  inventory,
+  { filters = [], settings, startedBy = null, now = new Date() }
+) => {
+  const drugs = queryInventory(inventory, { filters, sort: 'name' }, settings, now);
+  const lines = drugs.flatMap((drug) => {
+    const stocked = drug.lots.filter((lot) => lot.quantity > 0);
+    const lots = stocked.length > 0 ? stocked : [getActiveLot(drug.lots)].filter(Boolean);
+    return lots.map((lot) => ({
+      lotId: lot.id,
+      drugId: drug.id,
+      drugName: drug.name,
+      lotNumber: lot.lotNumber,
+      expiryDate: lot.expiryDate,
+      // Where to look for it, as named when the count started
+      locationName: getLocationName(settings.locations, lot.locationId),
+      counted: null,
+      expected: null,
+      variance: null,
+    }));
+  });
+  return {
+    id: createStocktakeId(),
+    status: 'in-progress',
+    startedAt: now.toISOString(),
+    startedBy,
+    completedAt: null,
+    completedBy: null,
+    scope: filters,
+    reason: '',
+    lines,
+  };
+};
+
+// ── Helper: The system quantity of a line's lot right now ──────
+// null when the drug or lot has since been removed.
+export const getSystemQuantity = (line, inventory) => {
+  const drug = inventory.find((d) => d.id === line.drugId);
+  const lot = drug && drug.lots.find((l) => l.id === line.lotId);
+  return lot ? lot.quantity : null;
+};
+
+// ── Helper: counted − expected, or null if either is unknown ───
+export const getVariance = (counted, expected) =>
+  counted == null || expected == null ? null : counted - expected;
+
+// ── Helper: Lines with live `expected` / `variance` filled in ──
+export const withSystemQuantities = (lines, inventory) =>
+  lines.map((line) => {
+    const expected = getSystemQuantity(line, inventory);
+    return { ...line, expected, variance: getVariance(line.counted, expected) };
+  });
+
+// ── Update: Record (or clear, with null) one lot's count ───────
+export const setLineCount = (stocktake, lotId, counted) => ({
+  ...stocktake,
+  lines: stocktake.lines.map((line) => (line.lotId === lotId ? { ...line, counted } : line)),
+});
+
+// ── Summary: Totals for a report or the progress bar ───────────
+// Expects lines with `expected` / `variance` filled in.
+export const summariseStocktake = (lines) =>
+  lines.reduce(
+    (summary, line) => {
+      if (line.counted != null) summary.counted += 1;
+      if (line.variance) {
+        summary.withVariance += 1;
+        if (line.variance > 0) summary.unitsOver += line.variance;
+        else summary.unitsShort += -line.variance;
+        summary.netVariance += line.variance;
+      }
+      return summary;
+    },
+    { total: lines.length, counted: 0, withVariance: 0, unitsOver: 0, unitsShort: 0, netVariance: 0 }
+  );
@@ -0,0 +1,113 @@
+// utils/sync-client.js
+// ─────────────────────────────────────────────────────────────
+// REST transport for sync (see utils/sync.js). The server speaks:
+//
+//   POST {baseUrl}/ops         { deviceId, ops: [op] } → { cursor }
+//   GET  {baseUrl}/ops?since=n → { ops: [{ seq, ...op }], cursor }
+//
+// Pushing the same operation twice is harmless: the server keeps
+// the first copy (by op id). `fetchImpl` can be swapped for a fake.
+// scripts/mock-sync-server.js implements this for local testing.
+//
+// joinServer and syncRound run a whole round for one device, for
+// InventorySync and the tests alike. The device is passed as live
+// getters (`getState`, `getInventory`, `getLedger`), read again once
+// the server answers, so changes made meanwhile are not lost.
+// ─────────────────────────────────────────────────────────────
+
+import {
+  seedOperations,
+  applyOperations,
+  rebase,
+  getIncomingMovements,
+  mergeLedgerMovements,
+} from './sync';
+
+// Give up on a request after this long and treat the server as unreachable
+const REQUEST_TIMEOUT_MS = 10000;
+
+// ── Helper: fetch JSON, throwing on timeouts and non-2xx ───────
+const requestJson = async (fetchImpl, url, options = {}) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const response = await fetchImpl(url, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      throw new Error(`Sync server replied ${response.status} for ${url}`);
+    }
+    return await response.json();
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// ── Factory: A client bound to one server ──────────────────────
+export const createSyncClient = ({ baseUrl, fetchImpl = fetch }) => {
+  const root = baseUrl.trim().replace(/\/+$/, '');
+  return {
+    push: (deviceId, ops) =>
+      requestJson(fetchImpl, `${root}/ops`, {
+        method: 'POST',
+        body: JSON.stringify({ deviceId, ops }),
+      }),
+    pull: (since) => requestJson(fetchImpl, `${root}/ops?since=${since}`),
+  };
+};
+
+// ── Sync: Push pending operations, then pull everything new ────
+// Returns the pulled operations (own ones included) and the new
+// cursor. Throws if the server cannot be reached; the caller keeps
+// its operations queued and tries again later.
+export const exchangeOperations = async (client, { deviceId, cursor, pending }) => {
+  if (pending.length > 0) await client.push(deviceId, pending);
+  const { ops, cursor: nextCursor } = await client.pull(cursor);
+  return { pulled: ops, cursor: nextCursor };
+};
+
+// ── Helper: What a round leaves the device with ────────────────
+// `incoming` is the part of `ledger` that came from the server.
+const toRoundResult = (state, result, pulled, ledger) => ({
+  state: { ...state, base: result.base, pending: result.pending },
+  inventory: result.inventory,
+  ledger: mergeLedgerMovements(ledger, pulled, result.corrections),
+  incoming: getIncomingMovements(ledger, pulled, result.corrections),
+  conflicts: result.conflicts,
+});
+
+// ── Sync: First contact with a server ──────────────────────────
+// The server's inventory becomes the base, and whatever this device
+// holds differently is queued on top (see seedOperations), including
+// changes made while the server was answering. Resolves like
+// syncRound, with `needsSeed` cleared; `conflicts` lists the drugs
+// the server already held differently.
+export const joinServer = async (client, { getState, getInventory, getLedger }) => {
+  const { ops, cursor } = await client.pull(0);
+  const state = getState();
+  const server = applyOperations([], ops).inventory;
+  const seed = seedOperations(server, ops, getInventory(), getLedger(), {
+    deviceId: state.deviceId,
+  });
+  const seeded = rebase({ base: [], pending: seed.ops }, ops);
+  return toRoundResult(
+    { ...state, needsSeed: false, cursor },
+    { ...seeded, conflicts: seed.conflicts },
+    ops,
+    getLedger()
+  );
+};
+
+// ── Sync: Push the queue, pull and merge remote changes ────────
+// Resolves to `{ state, inventory, ledger, incoming, conflicts }`:
+// the next sync state, the merged inventory and ledger, the ledger
+// movements that are new, and the conflicts the rebase resolved.
+// Operations queued while the request was in flight are in the
+// state read afterwards, so the rebase replays them.
+export const syncRound = async (client, { getState, getLedger }) => {
+  const { pulled, cursor } = await exchangeOperations(client, getState());
+  const state = getState();
+  return toRoundResult({ ...state, cursor }, rebase(state, pulled), pulled, getLedger());
+};
@@ -0,0 +1,315 @@
+// utils/sync.js
+// ─────────────────────────────────────────────────────────────
+// Operation-based sync between devices sharing one server.
+// Every local change becomes one operation per drug touched:
+//
+//   { id, deviceId, timestamp, drugId, deleted,
+//     fields: { name, gtin, … },          // descriptive fields set
+//     lots: { [lotId]: { lotNumber, … } }, // lot details set
+//     deltas: { [lotId]: n },              // stock added / removed
+//     movements: [ ledger movements ] }
+//
+// The server keeps operations in the order it received them and
+// hands them back with a sequence number. Every device applies the
+// same operations in the same order, so all of them converge.
+//
+// Conflict rules, for edits made on two devices before they sync:
+//   • Stock never conflicts: `deltas` are added, so both tablets'
+//     dispenses and receipts all count. A lot is never taken below
+//     zero; an overdraw is clamped, reported, and an `adjust`
+//     movement posted for the units added back, so the ledger still
+//     adds up to what is on the shelf.
+//   • Descriptive fields (name, GTIN, thresholds, lot number and
+//     expiry, location) go to the operation the server saw last.
+//     Only fields an operation actually changed are written, so
+//     edits to different fields of the same drug both survive.
+//   • Deleting a drug wins over edits made elsewhere before the
+//     delete synced; they are dropped and reported. Restoring it
+//     from the recycle bin brings it back everywhere.
+// ─────────────────────────────────────────────────────────────
+
+import { withDerivedTotals } from './lots';
+
+// Drug-level keys that are derived or structural, never synced as fields
+const NON_FIELD_KEYS = ['id', 'lots', 'quantity', 'expiryDate'];
+
+// Lot-level keys synced as lot details (quantity travels as deltas)
+const LOT_DETAIL_KEYS = ['lotNumber', 'expiryDate', 'locationId', 'receivedAt'];
+
+// ── Helper: Unique ID for a new operation ──────────────────────
+const createOperationId = () =>
+  `op_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+// ── Helper: Unique ID for this device (stored with sync state) ─
+export const createDeviceId = () =>
+  `dev_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+// ── Helper: The keys of `after` whose value differs from `before` ─
+const changedKeys = (before, after, keys) =>
+  keys.filter((key) => !before || before[key] !== after[key]);
+
+// ── Build: The operation turning `before` into `after` ─────────
+// Either side may be null (a new drug, or a deleted one). Returns
+// null when nothing synced has changed.
+export const createOperation = (before, after, movements, { deviceId, now = new Date() }) => {
+  const drug = after || before;
+  const op = {
+    id: createOperationId(),
+    deviceId,
+    timestamp: now.toISOString(),
+    drugId: drug.id,
+    deleted: after === null,
+    fields: {},
+    lots: {},
+    deltas: {},
+    movements: movements.filter((movement) => movement.drugId === drug.id),
+  };
+
+  if (after) {
+    const fieldKeys = Object.keys(after).filter((key) => !NON_FIELD_KEYS.includes(key));
+    changedKeys(before, after, fieldKeys).forEach((key) => {
+      op.fields[key] = after[key];
+    });
+    after.lots.forEach((lot) => {
+      const prevLot = before && before.lots.find((l) => l.id === lot.id);
+      const changed = changedKeys(prevLot, lot, LOT_DETAIL_KEYS);
+      if (changed.length > 0) {
+        op.lots[lot.id] = changed.reduce((details, key) => {
+          details[key] = lot[key];
+          return details;
+        }, {});
+      }
+    });
+  }
+
+  // Stock differences per lot, whichever way the lots changed.
+  const lotIds = new Set([
+    ...(before ? before.lots : []).map((lot) => lot.id),
+    ...(after ? after.lots : []).map((lot) => lot.id),
+  ]);
+  lotIds.forEach((lotId) => {
+    const prevLot = before && before.lots.find((l) => l.id === lotId);
+    const nextLot = after && after.lots.find((l) => l.id === lotId);
+    const delta = (nextLot ? nextLot.quantity : 0) - (prevLot ? prevLot.quantity : 0);
+    if (delta !== 0) op.deltas[lotId] = delta;
+  });
+
+  const isEmpty =
+    !op.deleted &&
+    Object.keys(op.fields).length === 0 &&
+    Object.keys(op.lots).length === 0 &&
+    Object.keys(op.deltas).length === 0 &&
+    op.movements.length === 0;
+  return isEmpty ? null : op;
+};
+
+// ── Build: Operations for a whole-inventory change ─────────────
+// Compares two inventories drug by drug (unchanged records are the
+// same object, so only touched drugs are diffed).
+export const operationsForChange = (prev, next, movements, context) => {
+  const prevById = new Map(prev.map((drug) => [drug.id, drug]));
+  const nextById = new Map(next.map((drug) => [drug.id, drug]));
+  const ids = [...new Set([...prevById.keys(), ...nextById.keys()])];
+
+  return ids.reduce((ops, id) => {
+    const before = prevById.get(id) || null;
+    const after = nextById.get(id) || null;
+    if (before === after) return ops;
+    const op = createOperation(before, after, movements, context);
+    if (op) ops.push(op);
+    return ops;
+  }, []);
+};
+
+// ── Helper: Movements aligning a joining device's ledger ───────
+// A drug both sides recorded separately has two histories. Whatever
+// of this device's movements are sent, one `adjust` movement per lot
+// makes the ledger add up to the stock the operation leaves.
+const createJoinMovements = (drug, op) => {
+  const sent = {};
+  op.movements.forEach((movement) => {
+    sent[movement.lotId] = (sent[movement.lotId] || 0) + movement.delta;
+  });
+  const lotIds = new Set([...Object.keys(sent), ...Object.keys(op.deltas)]);
+  return [...lotIds].reduce((movements, lotId) => {
+    const delta = (op.deltas[lotId] || 0) - (sent[lotId] || 0);
+    if (delta === 0) return movements;
+    const lot = drug.lots.find((l) => l.id === lotId) || { id: lotId };
+    movements.push({
+      id: `mov_${op.id}_${lotId}_join`,
+      type: 'adjust',
+      drugId: drug.id,
+      drugName: drug.name,
+      lotId,
+      lotNumber: lot.lotNumber || '',
+      locationId: lot.locationId || null,
+      delta,
+      balance: drug.quantity,
+      note: 'Sync: this device held different stock when it joined',
+      timestamp: op.timestamp,
+    });
+    return movements;
+  }, []);
+};
+
+// ── Build: Operations for a device joining a server ────────────
+// `server` is the inventory the server's operations (`pulled`) add
+// up to. Every local drug that differs from it is queued as the
+// operation turning the server's version into this device's, so
+// nothing held here before joining is lost; for drugs the server
+// already had, that overrides it, and each is reported as a
+// conflict (`{ opId, drugId, message }`). Movements the server
+// already has are not sent again; see createJoinMovements for the
+// rest.
+export const seedOperations = (server, pulled, inventory, ledger, context) => {
+  const sent = new Set(pulled.flatMap((op) => op.movements).map((movement) => movement.id));
+  const movements = ledger.filter((movement) => !sent.has(movement.id));
+  const serverById = new Map(server.map((drug) => [drug.id, drug]));
+  const ops = [];
+  const conflicts = [];
+  inventory.forEach((drug) => {
+    const serverDrug = serverById.get(drug.id) || null;
+    const op = createOperation(serverDrug, drug, movements, context);
+    if (!op) return;
+    if (serverDrug) op.movements = [...op.movements, ...createJoinMovements(drug, op)];
+    ops.push(op);
+    const differs = [op.fields, op.lots, op.deltas].some((part) => Object.keys(part).length > 0);
+    if (serverDrug && differs) {
+      conflicts.push({
+        opId: op.id,
+        drugId: drug.id,
+        message:
+          `${drug.name}: held differently here when this device joined sync; ` +
+          "this device's version was sent.",
+      });
+    }
+  });
+  return { ops, conflicts };
+};
+
+// ── Helper: The movement correcting a clamped overdraw ─────────
+// Every device applies the same operation and clamps the same lot,
+// so the ID is derived from both: the movement is posted once no
+// matter how many devices produce it.
+const createClampMovement = (drug, lot, delta, op) => ({
+  id: `mov_${op.id}_${lot.id}_clamp`,
+  type: 'adjust',
+  drugId: drug.id,
+  drugName: drug.name,
+  lotId: lot.id,
+  lotNumber: lot.lotNumber || '',
+  locationId: lot.locationId || null,
+  delta,
+  balance: drug.quantity,
+  note: 'Sync: more dispensed than in stock; lot reset to 0',
+  timestamp: op.timestamp,
+});
+
+// ── Apply: One operation to an inventory ───────────────────────
+// Returns `{ inventory, conflicts, corrections }`; `conflicts` lists
+// anything a rule above had to resolve, as `{ opId, drugId,
+// message }`, and `corrections` the ledger movements it posted.
+export const applyOperation = (inventory, op) => {
+  const conflicts = [];
+  const clamped = [];
+  const report = (message) => conflicts.push({ opId: op.id, drugId: op.drugId, message });
+  const existing = inventory.find((drug) => drug.id === op.drugId);
+
+  if (op.deleted) {
+    return {
+      inventory: inventory.filter((drug) => drug.id !== op.drugId),
+      conflicts,
+      corrections: [],
+    };
+  }
+
+  // A drug is (re)created only by an operation that carries its name.
+  if (!existing && op.fields.name === undefined) {
+    report('Changed on another device after it was deleted; the change was dropped.');
+    return { inventory, conflicts, corrections: [] };
+  }
+
+  const base = existing || { id: op.drugId, lots: [] };
+  const lots = base.lots.map((lot) => ({ ...lot }));
+  Object.entries(op.lots).forEach(([lotId, details]) => {
+    const lot = lots.find((l) => l.id === lotId);
+    if (lot) Object.assign(lot, details);
+    else lots.push({ id: lotId, quantity: 0, ...details });
+  });
+  Object.entries(op.deltas).forEach(([lotId, delta]) => {
+    const lot = lots.find((l) => l.id === lotId);
+    if (!lot) {
+      report(`Stock change for an unknown lot (${lotId}) was dropped.`);
+      return;
+    }
+    const quantity = lot.quantity + delta;
+    if (quantity < 0) {
+      report(
+        `${base.name || op.fields.name}: ${-quantity} more unit(s) dispensed than were in stock; ` +
+          'lot set to 0.'
+      );
+      clamped.push({ lot, delta: -quantity });
+    }
+    lot.quantity = Math.max(0, quantity);
+  });
+
+  const drug = withDerivedTotals({ ...base, ...op.fields, lots });
+  return {
+    inventory: existing
+      ? inventory.map((d) => (d.id === op.drugId ? drug : d))
+      : [drug, ...inventory],
+    conflicts,
+    corrections: clamped.map(({ lot, delta }) => createClampMovement(drug, lot, delta, op)),
+  };
+};
+
+// ── Apply: Many operations, in order ───────────────────────────
+export const applyOperations = (inventory, ops) =>
+  ops.reduce(
+    (result, op) => {
+      const applied = applyOperation(result.inventory, op);
+      return {
+        inventory: applied.inventory,
+        conflicts: [...result.conflicts, ...applied.conflicts],
+        corrections: [...result.corrections, ...applied.corrections],
+      };
+    },
+    { inventory, conflicts: [], corrections: [] }
+  );
+
+// ── Ledger: Movements from operations not seen yet ─────────────
+// `corrections` are the movements applying the operations posted.
+export const getIncomingMovements = (ledger, ops, corrections = []) => {
+  const known = new Set(ledger.map((movement) => movement.id));
+  return [...ops.flatMap((op) => op.movements), ...corrections].filter(
+    (movement) => !known.has(movement.id)
+  );
+};
+
+// ── Ledger: Append movements from operations not seen yet ──────
+export const mergeLedgerMovements = (ledger, ops, corrections = []) => {
+  const incoming = getIncomingMovements(ledger, ops, corrections);
+  return incoming.length === 0 ? ledger : [...ledger, ...incoming];
+};
+
+// ── Rebase: Local state after pulling from the server ──────────
+// `base` is the inventory as of the last sync (every server
+// operation up to `cursor` applied). The pulled operations move the
+// base forward; local operations the server has not acknowledged
+// are then replayed on top, so they still show on this device and
+// win or lose exactly as they will once the server orders them.
+// Only the base's corrections are returned: the replayed ones may
+// not happen once the server has ordered the pending operations.
+export const rebase = ({ base, pending }, pulled) => {
+  const nextBase = applyOperations(base, pulled);
+  const acknowledged = new Set(pulled.map((op) => op.id));
+  const stillPending = pending.filter((op) => !acknowledged.has(op.id));
+  const local = applyOperations(nextBase.inventory, stillPending);
+  return {
+    base: nextBase.inventory,
+    pending: stillPending,
+    inventory: local.inventory,
+    conflicts: nextBase.conflicts,
+    corrections: nextBase.corrections,
+  };
+};
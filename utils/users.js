@@ -0,0 +1,132 @@
+// utils/users.js
+// ─────────────────────────────────────────────────────────────
+// Local user profiles, roles and what each role may do. Users
+// unlock the app with a PIN; only a slow, salted PBKDF2 hash of the
+// PIN is ever stored (see hashPin). Every inventory action is
+// stamped with the user who made it (see `toActor`).
+// ─────────────────────────────────────────────────────────────
+
+import * as Crypto from 'expo-crypto';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex } from '@noble/hashes/utils';
+
+// What can be granted to a role
+export const PERMISSIONS = {
+  add: 'Add and receive stock',
+  edit: 'Edit drugs, adjust and transfer stock',
+  delete: 'Delete, restore and write off drugs',
+  dispense: 'Dispense in-date stock',
+  dispenseExpired: 'Dispense expired stock',
+  witness: 'Witness controlled-drug stock leaving the shelf',
+  stocktake: 'Run stocktakes',
+  manage: 'Manage users, settings, suppliers, the formulary and backups',
+};
+
+// Roles, most to least trusted. `permissions` lists keys of PERMISSIONS.
+export const ROLES = {
+  pharmacist: {
+    label: 'Pharmacist',
+    permissions: Object.keys(PERMISSIONS),
+  },
+  nurse: {
+    label: 'Nurse',
+    permissions: ['add', 'dispense', 'witness', 'stocktake'],
+  },
+  viewer: {
+    label: 'Viewer',
+    permissions: [],
+  },
+};
+
+// The first account on a device must be able to manage the others.
+export const ADMIN_ROLE = 'pharmacist';
+
+// PBKDF2-SHA256 rounds for a new PIN hash. Kept on the user record
+// as `pinIterations`, so raising it upgrades each PIN at its next use.
+export const PIN_HASH_ITERATIONS = 20000;
+
+// After this many wrong PINs in a row, unlocking pauses for
+// PIN_LOCKOUT_MS. Each further miss doubles the pause, up to
+// MAX_PIN_LOCKOUT_MS, until someone unlocks.
+export const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCKOUT_MS = 30 * 1000;
+const MAX_PIN_LOCKOUT_MS = 60 * 60 * 1000;
+
+// ── Helper: Unique ID for a new user ───────────────────────────
+const createUserId = () => `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+// ── Helper: Salted PBKDF2-SHA256 hex hash of a PIN ─────────────
+// A PIN has few possible values, so each guess is made expensive.
+// Without `iterations` the PIN was hashed before PBKDF2, as a single
+// salted SHA-256; those still verify until upgraded (see needsRehash).
+const hashPin = async (pin, salt, iterations) => {
+  if (!iterations) {
+    return Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, `${salt}:${pin}`);
+  }
+  return bytesToHex(await pbkdf2Async(sha256, pin, salt, { c: iterations, dkLen: 32 }));
+};
+
+// ── Helper: May `user` do `permission`? ────────────────────────
+// No user (the app is locked) may do nothing.
+export const hasPermission = (user, permission) => {
+  if (!user || !ROLES[user.role]) return false;
+  return ROLES[user.role].permissions.includes(permission);
+};
+
+// ── Helper: Everyone but `currentUser` who may witness ─────────
+export const getWitnesses = (users, currentUser) =>
+  users.filter(
+    (user) => (!currentUser || user.id !== currentUser.id) && hasPermission(user, 'witness')
+  );
+
+// ── Helper: Display name for a role key ────────────────────────
+export const getRoleLabel = (role) => (ROLES[role] ? ROLES[role].label : 'Unknown role');
+
+// ── Helper: Fields stamped on movements and records ────────────
+export const toActor = (user) =>
+  user ? { userId: user.id, userName: user.name } : { userId: null, userName: null };
+
+// ── Build: A new user record from form input ───────────────────
+export const createUser = async ({ name, role, pin }) => {
+  const salt = Crypto.randomUUID();
+  return {
+    id: createUserId(),
+    name: name.trim(),
+    role,
+    salt,
+    pinHash: await hashPin(pin, salt, PIN_HASH_ITERATIONS),
+    pinIterations: PIN_HASH_ITERATIONS,
+    createdAt: new Date().toISOString(),
+  };
+};
+
+// ── Build: The same user with a new PIN ────────────────────────
+export const withPin = async (user, pin) => {
+  const salt = Crypto.randomUUID();
+  return {
+    ...user,
+    salt,
+    pinHash: await hashPin(pin, salt, PIN_HASH_ITERATIONS),
+    pinIterations: PIN_HASH_ITERATIONS,
+  };
+};
+
+// ── Check: Does `pin` unlock `user`? ───────────────────────────
+export const verifyPin = async (user, pin) =>
+  (await hashPin(pin, user.salt, user.pinIterations || null)) === user.pinHash;
+
+// ── Check: Is the stored hash weaker than a new one would be? ──
+// Once the PIN is verified, re-hash it with withPin.
+export const needsRehash = (user) => (user.pinIterations || 0) < PIN_HASH_ITERATIONS;
+
+// ── Check: Would this change leave nobody able to manage users? ─
+// `users` is the list after the change.
+export const hasAdmin = (users) => users.some((user) => hasPermission(user, 'manage'));
+
+// ── Check: How long unlocking pauses after `failures` misses ───
+// Zero until MAX_PIN_ATTEMPTS wrong PINs in a row.
+export const getLockoutMs = (failures) =>
+  failures < MAX_PIN_ATTEMPTS
+    ? 0
+    : Math.min(PIN_LOCKOUT_MS * 2 ** (failures - MAX_PIN_ATTEMPTS), MAX_PIN_LOCKOUT_MS);
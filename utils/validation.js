@@ -0,0 +1,130 @@
+// utils/validation.js
+// ─────────────────────────────────────────────────────────────
+// Field validation shared by every form that creates or edits
+// stock, so add, edit and import all apply the same rules.
+// ─────────────────────────────────────────────────────────────
+
+import { isValidGtin } from './gs1';
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// ── Helper: Is this a real calendar date in YYYY-MM-DD form? ───
+export const isValidDateString = (value) => {
+  if (!value || !DATE_REGEX.test(value)) return false;
+  const date = new Date(value);
+  // Rejects dates like 2026-02-31 that JS would silently roll over.
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+// ── Validate: Drug name ────────────────────────────────────────
+export const validateName = (name) =>
+  !name || !String(name).trim() ? 'Drug name is required.' : null;
+
+// ── Validate: One lot's quantity and expiry ────────────────────
+// Returns `{ quantity?, expiryDate? }` with a message per bad field.
+export const validateLotFields = ({ quantity, expiryDate }) => {
+  const errors = {};
+  if (!/^\d+$/.test(String(quantity == null ? '' : quantity).trim())) {
+    errors.quantity = 'Enter a valid quantity (0 or more).';
+  }
+  if (!isValidDateString(expiryDate)) {
+    errors.expiryDate = 'Use format: YYYY-MM-DD (e.g. 2026-12-31)';
+  }
+  return errors;
+};
+
+// ── Validate: Optional GTIN (8, 12, 13 or 14 digits) ──────────
+export const validateGtin = (value) => {
+  const text = String(value == null ? '' : value).trim();
+  if (text === '') return null;
+  return isValidGtin(text) ? null : 'Enter a valid 8–14 digit GTIN (check digit failed).';
+};
+
+// ── Validate: An optional whole-number threshold ──────────────
+// Blank is allowed (meaning "use the default") unless `required`.
+export const validateThreshold = (value, { required = false } = {}) => {
+  const text = String(value == null ? '' : value).trim();
+  if (text === '') return required ? 'A value is required.' : null;
+  return /^\d+$/.test(text) ? null : 'Enter a whole number (0 or more).';
+};
+
+// ── Validate: A quantity to take out of stock (1 or more) ─────
+// Digits only, so "12abc" is refused rather than read as 12.
+export const validateTakeQuantity = (value) => {
+  const text = String(value == null ? '' : value).trim();
+  return /^\d+$/.test(text) && parseInt(text, 10) >= 1 ? null : 'Enter a quantity of 1 or more.';
+};
+
+// ── Validate: Base units per pack (blank means 1) ─────────────
+export const validatePackSize = (value) => {
+  const text = String(value == null ? '' : value).trim();
+  if (text === '') return null;
+  return /^\d+$/.test(text) && parseInt(text, 10) >= 1
+    ? null
+    : 'Enter a whole number (1 or more).';
+};
+
+// ── Helper: Form text → threshold (blank becomes null) ─────────
+export const parseThreshold = (value) => {
+  const text = String(value == null ? '' : value).trim();
+  return text === '' ? null : parseInt(text, 10);
+};
+
+// ── Validate: A complete new-stock entry ───────────────────────
+// Returns an errors object keyed by field; empty when valid.
+export const validateDrugFields = ({ name, quantity, expiryDate }) => {
+  const errors = validateLotFields({ quantity, expiryDate });
+  const nameError = validateName(name);
+  if (nameError) errors.name = nameError;
+  return errors;
+};
+
+// ── Validate: A user's display name ────────────────────────────
+// Names must be unique on the device so the lock screen is unambiguous.
+export const validateUserName = (name, users, ignoreId = null) => {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) return 'Name is required.';
+  const taken = users.some(
+    (user) => user.id !== ignoreId && user.name.toLowerCase() === trimmed.toLowerCase()
+  );
+  return taken ? 'Someone already has that name.' : null;
+};
+
+// ── Validate: A 4–6 digit PIN ──────────────────────────────────
+export const validatePin = (pin) =>
+  /^\d{4,6}$/.test(String(pin || '')) ? null : 'PIN must be 4 to 6 digits.';
+
+// ── Validate: Optional sync server URL ─────────────────────────
+export const validateSyncUrl = (value) => {
+  const trimmed = String(value || '').trim();
+  if (!trimmed) return null;
+  return /^https?:\/\/[^\s/]+/.test(trimmed)
+    ? null
+    : 'Enter a full address, e.g. http://192.168.1.20:4000';
+};
+
+// ── Validate: A new storage location's name ───────────────────
+// Names must be unique (ignoring case) so CSV imports can match them.
+export const validateLocationName = (name, locations) => {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) return 'Location name is required.';
+  if (locations.some((l) => l.name.trim().toLowerCase() === trimmed.toLowerCase())) {
+    return 'A location with this name already exists.';
+  }
+  return null;
+};
+
+// ── Validate: A supplier's name ───────────────────────────────
+// Names must be unique (ignoring case) so they can be told apart
+// when receiving goods.
+export const validateSupplierName = (name, suppliers, ignoreId = null) => {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) return 'Supplier name is required.';
+  const taken = suppliers.some(
+    (s) => s.id !== ignoreId && s.name.trim().toLowerCase() === trimmed.toLowerCase()
+  );
+  return taken ? 'A supplier with this name already exists.' : null;
+};
+
+// ── Helper: Format a stored ISO date back to YYYY-MM-DD ────────
+export const toDateInput = (isoDate) => (isoDate ? isoDate.slice(0, 10) : '');
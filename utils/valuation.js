@@ -0,0 +1,98 @@
+// utils/valuation.js
+// ─────────────────────────────────────────────────────────────
+// Stock valuation at FIFO (First In, First Out) cost. Receive
+// movements posted from a goods-received note carry a `unitCost`
+// per base unit; whatever left the shelf is taken to have come
+// from the oldest deliveries, so the stock on hand is made up of
+// the most recent ones. Those remaining cost layers are then laid
+// over the lots soonest-expiry first (the order stock is used in),
+// which gives every lot a value — so a location's stock, or just
+// the lots close to expiry, can be valued as well as the total.
+//
+// Stock no costed delivery accounts for (added by hand, from a CSV,
+// or counted up at a stocktake) is reported as uncosted rather than
+// guessed at. Everything here is pure — pass `now` to pin the clock.
+// ─────────────────────────────────────────────────────────────
+
+import { sortLotsByExpiry } from './lots';
+import { getDaysUntilExpiry, getExpiryStatus, getWarningDays } from './stock-status';
+import { groupMovementsByDrug } from './consumption';
+
+// ── Helper: The cost layers still on hand, oldest first ────────
+// `movements` are one drug's, in the order they were posted; each
+// layer is `{ quantity, unitCost }` with `unitCost` null if unknown.
+export const getCostLayers = (movements, quantity) => {
+  const layers = [];
+  let remaining = quantity;
+  const receipts = movements.filter((m) => m.type === 'receive' && m.delta > 0);
+  for (let i = receipts.length - 1; i >= 0 && remaining > 0; i -= 1) {
+    const taken = Math.min(remaining, receipts[i].delta);
+    const { unitCost } = receipts[i];
+    layers.unshift({ quantity: taken, unitCost: typeof unitCost === 'number' ? unitCost : null });
+    remaining -= taken;
+  }
+  if (remaining > 0) layers.unshift({ quantity: remaining, unitCost: null });
+  return layers;
+};
+
+// ── Helper: Value of each lot of a drug ────────────────────────
+// Returns `{ [lotId]: { value, uncosted } }`, `uncosted` being the
+// units of that lot no known cost covers.
+export const valueLots = (drug, movements) => {
+  const layers = getCostLayers(movements, drug.quantity).map((layer) => ({ ...layer }));
+  let layerIndex = 0;
+  return sortLotsByExpiry(drug.lots).reduce((values, lot) => {
+    const entry = { value: 0, uncosted: 0 };
+    let needed = lot.quantity;
+    while (needed > 0 && layerIndex < layers.length) {
+      const layer = layers[layerIndex];
+      const taken = Math.min(needed, layer.quantity);
+      if (layer.unitCost == null) entry.uncosted += taken;
+      else entry.value += taken * layer.unitCost;
+      layer.quantity -= taken;
+      needed -= taken;
+      if (layer.quantity === 0) layerIndex += 1;
+    }
+    values[lot.id] = entry;
+    return values;
+  }, {});
+};
+
+// ── Value of every lot in the inventory, by lot id ─────────────
+export const valueInventoryLots = (inventory, ledger) => {
+  const byDrug = groupMovementsByDrug(ledger);
+  return inventory.reduce(
+    (values, drug) => Object.assign(values, valueLots(drug, byDrug[drug.id] || [])),
+    {}
+  );
+};
+
+// ── Helper: Is a lot expired or inside its warning window? ─────
+const isLotAtRisk = (drug, lot, settings, now) =>
+  getExpiryStatus(getDaysUntilExpiry(lot.expiryDate, now), getWarningDays(drug, settings)) !==
+  'safe';
+
+// ── Totals for a (possibly location-scoped) inventory ─────────
+// `lotValues` comes from valueInventoryLots. Returns
+// `{ value, atRiskValue, uncostedUnits }`; "at risk" is stock in
+// lots that have expired or are inside their warning window.
+export const summarizeValue = (inventory, lotValues, settings, now = new Date()) =>
+  inventory.reduce(
+    (totals, drug) => {
+      drug.lots.forEach((lot) => {
+        const lotValue = lotValues[lot.id];
+        if (!lotValue || lot.quantity <= 0) return;
+        totals.value += lotValue.value;
+        totals.uncostedUnits += lotValue.uncosted;
+        if (isLotAtRisk(drug, lot, settings, now)) totals.atRiskValue += lotValue.value;
+      });
+      return totals;
+    },
+    { value: 0, atRiskValue: 0, uncostedUnits: 0 }
+  );
+
+// ── Format: A money amount, e.g. "1,234.50" ────────────────────
+export const formatMoney = (amount) => {
+  const [whole, cents] = (Math.round(amount * 100) / 100).toFixed(2).split('.');
+  return `${whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',')}.${cents}`;
+};